@@ -1,5 +1,15 @@
 // main.js
 const { startCronJobs } = require('./src/cron/jobs');
+const { startServer } = require('./src/api/server');
+const { ensureIndexes } = require('./src/db');
+const { registerShutdownHandlers } = require('./src/utils/shutdown');
+const { registerPipelineStages } = require('./src/services/signalPipeline');
+const { startWorkers } = require('./src/queue/workers');
+const logger = require('./src/utils/logger');
 
-console.log('Initializing Cron Jobs...');
+logger.info('Initializing Cron Jobs...');
+ensureIndexes().catch(err => logger.error('Index setup failed:', err));
+registerPipelineStages();
+startWorkers();
 startCronJobs();
+registerShutdownHandlers({ server: startServer() });
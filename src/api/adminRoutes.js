@@ -0,0 +1,136 @@
+// src/api/adminRoutes.js
+const crypto = require('crypto');
+const express = require('express');
+const { admin } = require('../config/config');
+const {
+  getJob,
+  listJobs,
+  runJob,
+  pauseJob,
+  resumeJob,
+  setJobSchedule,
+  getJobRuns
+} = require('../cron/jobRegistry');
+const payoutRoutes = require('./payoutRoutes');
+const deadLetterRoutes = require('./deadLetterRoutes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Constant-time comparison so response timing does not leak the token
+function isValidAdminToken(token) {
+  if (typeof token !== 'string') return false;
+  const given = Buffer.from(token);
+  const expected = Buffer.from(admin.apiToken);
+  if (given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Admin routes are disabled unless ADMIN_API_TOKEN is configured
+function requireAdminToken(req, res, next) {
+  if (!admin.apiToken) {
+    return res.status(403).json({ error: 'Admin API is disabled: ADMIN_API_TOKEN is not configured' });
+  }
+  if (!isValidAdminToken(req.get('X-Admin-Token'))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  return next();
+}
+
+function requireKnownJob(req, res, next) {
+  if (!getJob(req.params.name)) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.name}` });
+  }
+  return next();
+}
+
+function findJobSummary(name) {
+  return listJobs().find(job => job.name === name);
+}
+
+router.use(requireAdminToken);
+
+// List all jobs with their effective schedule, next run and last run
+router.get('/jobs', async (_req, res) => {
+  try {
+    const jobs = await Promise.all(listJobs().map(async (job) => {
+      const [lastRun] = await getJobRuns(job.name, { limit: 1 });
+      return { ...job, lastRun: lastRun || null };
+    }));
+    return res.json(jobs);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to list jobs', details: err?.message });
+  }
+});
+
+// Single job with its recent run history
+router.get('/jobs/:name', requireKnownJob, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const runs = await getJobRuns(req.params.name, { limit, status: req.query.status });
+    return res.json({ ...findJobSummary(req.params.name), runs });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load job', details: err?.message });
+  }
+});
+
+// Trigger a job on demand. Returns immediately unless ?wait=true is passed.
+// An optional { "scheduledAt": "2025-03-01T00:00:00Z" } body re-runs a specific window,
+// e.g. the payouts for the month before that date.
+router.post('/jobs/:name/trigger', requireKnownJob, async (req, res) => {
+  let scheduledAt;
+  if (req.body?.scheduledAt) {
+    scheduledAt = new Date(req.body.scheduledAt);
+    if (isNaN(scheduledAt.getTime())) {
+      return res.status(400).json({ error: 'scheduledAt must be a valid date' });
+    }
+  }
+  try {
+    const run = runJob(req.params.name, { trigger: 'manual', scheduledAt });
+    if (req.query.wait === 'true') {
+      return res.json(await run);
+    }
+    run.catch((err) => logger.error(`Manual run of ${req.params.name} failed:`, err));
+    return res.status(202).json({ status: 'started', job: req.params.name });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to trigger job', details: err?.message });
+  }
+});
+
+router.post('/jobs/:name/pause', requireKnownJob, async (req, res) => {
+  try {
+    await pauseJob(req.params.name, req.body?.updatedBy);
+    return res.json(findJobSummary(req.params.name));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to pause job', details: err?.message });
+  }
+});
+
+router.post('/jobs/:name/resume', requireKnownJob, async (req, res) => {
+  try {
+    await resumeJob(req.params.name, req.body?.updatedBy);
+    return res.json(findJobSummary(req.params.name));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to resume job', details: err?.message });
+  }
+});
+
+// Override the cron expression; { "schedule": null } restores the default
+router.put('/jobs/:name/schedule', requireKnownJob, async (req, res) => {
+  const { schedule, updatedBy } = req.body || {};
+  if (schedule !== null && typeof schedule !== 'string') {
+    return res.status(400).json({ error: 'Body must contain a schedule string or null' });
+  }
+  try {
+    await setJobSchedule(req.params.name, schedule, updatedBy);
+    return res.json(findJobSummary(req.params.name));
+  } catch (err) {
+    const status = err.message.startsWith('Invalid cron expression') ? 400 : 500;
+    return res.status(status).json({ error: 'Failed to update schedule', details: err?.message });
+  }
+});
+
+router.use('/payouts', payoutRoutes);
+router.use('/dead-letters', deadLetterRoutes);
+
+module.exports = router;
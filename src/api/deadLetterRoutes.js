@@ -0,0 +1,127 @@
+// src/api/deadLetterRoutes.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterPayload,
+  replayDeadLetter,
+  replayDeadLetters,
+  discardDeadLetter
+} = require('../queue/deadLetters');
+
+const router = express.Router();
+
+// Query / body fields accepted as dead letter filters
+const FILTER_FIELDS = [
+  'stage', 'status', 'source', 'error', 'since', 'until', 'replayOf',
+  'twitterHandle', 'tweet_id', 'coin', 'subscriber', 'signalId'
+];
+
+function isValidationError(err) {
+  return err?.message?.startsWith('Invalid dead letter');
+}
+
+function pickFilters(source = {}) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    if (source[field] !== undefined && source[field] !== '') {
+      filters[field] = String(source[field]);
+    }
+  }
+  return filters;
+}
+
+function requireValidId(req, res, next) {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid dead letter id' });
+  }
+  return next();
+}
+
+function sendError(res, err, failureMessage) {
+  if (isValidationError(err)) {
+    return res.status(400).json({ error: err.message });
+  }
+  return res.status(500).json({ error: failureMessage, details: err?.message });
+}
+
+// List dead letters, newest first. Filterable by ?stage=&status=&error=&twitterHandle=&coin=&since=...
+// status defaults to open; ?status=all lists every entry.
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    return res.json(await listDeadLetters({ ...pickFilters(req.query), limit, skip }));
+  } catch (err) {
+    return sendError(res, err, 'Failed to list dead letters');
+  }
+});
+
+// Replay every open dead letter matching the filters in the body, e.g.
+// { "stage": "generateSignal", "error": "Perplexity", "limit": 100 }
+router.post('/replay', async (req, res) => {
+  const { limit, replayedBy } = req.body || {};
+  const filters = pickFilters(req.body);
+  // Replaying everything must be asked for explicitly
+  if (Object.keys(filters).length === 0 && req.body?.all !== true) {
+    return res.status(400).json({ error: 'Pass at least one filter, or "all": true to replay every open dead letter' });
+  }
+  try {
+    const maxEntries = Math.min(parseInt(limit, 10) || 500, 5000);
+    return res.json(await replayDeadLetters({ ...filters, limit: maxEntries }, replayedBy));
+  } catch (err) {
+    return sendError(res, err, 'Failed to replay dead letters');
+  }
+});
+
+router.get('/:id', requireValidId, async (req, res) => {
+  try {
+    const entry = await getDeadLetter(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    return res.json(entry);
+  } catch (err) {
+    return sendError(res, err, 'Failed to load dead letter');
+  }
+});
+
+// Replace the payload before replaying, e.g. { "payload": { ... }, "updatedBy": "ops" }
+router.patch('/:id', requireValidId, async (req, res) => {
+  try {
+    const entry = await updateDeadLetterPayload(req.params.id, req.body?.payload, req.body?.updatedBy);
+    if (!entry) {
+      return res.status(404).json({ error: 'Open dead letter not found' });
+    }
+    return res.json(entry);
+  } catch (err) {
+    return sendError(res, err, 'Failed to update dead letter');
+  }
+});
+
+router.post('/:id/replay', requireValidId, async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id, req.body?.replayedBy);
+    if (!result.replayed) {
+      return res.status(result.reason === 'Not found' ? 404 : 409).json({ error: result.reason });
+    }
+    return res.json(result);
+  } catch (err) {
+    return sendError(res, err, 'Failed to replay dead letter');
+  }
+});
+
+router.post('/:id/discard', requireValidId, async (req, res) => {
+  try {
+    const discarded = await discardDeadLetter(req.params.id, req.body?.discardedBy, req.body?.reason);
+    if (!discarded) {
+      return res.status(404).json({ error: 'Open dead letter not found' });
+    }
+    return res.json(await getDeadLetter(req.params.id));
+  } catch (err) {
+    return sendError(res, err, 'Failed to discard dead letter');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+// src/api/payoutRoutes.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  calculateMonthlyPayouts,
+  previewPayouts,
+  listPayouts,
+  getPayout,
+  approvePayout,
+  markPayoutPaid,
+  voidPayout,
+  PayoutTransitionError
+} = require('../services/payoutService');
+const {
+  buildPayoutStatement,
+  signStatement,
+  verifyStatement,
+  statementToCsv
+} = require('../services/payoutStatementService');
+const {
+  DEFAULT_PAYOUT_RULE,
+  loadPayoutRules,
+  savePayoutRule,
+  deletePayoutRule
+} = require('../services/payoutRules');
+
+const router = express.Router();
+
+function isValidationError(err) {
+  return err?.message?.startsWith('Invalid payout');
+}
+
+function requireValidId(req, res, next) {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid payout id' });
+  }
+  return next();
+}
+
+// Shared handler for approve / pay / void
+function transitionRoute(transition, failureMessage) {
+  return async (req, res) => {
+    try {
+      const payout = await transition(req);
+      if (!payout) {
+        return res.status(404).json({ error: 'Payout not found' });
+      }
+      return res.json(payout);
+    } catch (err) {
+      if (err instanceof PayoutTransitionError) {
+        return res.status(409).json({ error: err.message });
+      }
+      return res.status(500).json({ error: failureMessage, details: err?.message });
+    }
+  };
+}
+
+// List ledger entries, filterable by ?year=&month=&status=&twitterHandle=
+router.get('/', async (req, res) => {
+  try {
+    const { year, month, status, twitterHandle } = req.query;
+    return res.json(await listPayouts({ year, month, status, twitterHandle }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to list payouts', details: err?.message });
+  }
+});
+
+// (Re)calculate drafts for a period, e.g. { "year": 2025, "month": 3 }.
+// Approved, paid and voided entries for the period are left untouched.
+router.post('/calculate', async (req, res) => {
+  const year = Number(req.body?.year);
+  const month = Number(req.body?.month);
+  if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+    return res.status(400).json({ error: 'Body must contain a numeric year and a month between 1 and 12' });
+  }
+  try {
+    return res.json(await calculateMonthlyPayouts({ year, month }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to calculate payouts', details: err?.message });
+  }
+});
+
+// Stored rules plus the built-in fallback they are layered on
+router.get('/rules', async (_req, res) => {
+  try {
+    return res.json({ builtIn: DEFAULT_PAYOUT_RULE, ...(await loadPayoutRules()) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load payout rules', details: err?.message });
+  }
+});
+
+// Replace the default rule (key "default") or an influencer's override (key = twitterHandle)
+router.put('/rules/:key', async (req, res) => {
+  const { updatedBy, ...rule } = req.body || {};
+  try {
+    return res.json(await savePayoutRule(req.params.key, rule, updatedBy));
+  } catch (err) {
+    const status = isValidationError(err) ? 400 : 500;
+    return res.status(status).json({ error: 'Failed to save payout rule', details: err?.message });
+  }
+});
+
+router.delete('/rules/:key', async (req, res) => {
+  try {
+    if (!(await deletePayoutRule(req.params.key))) {
+      return res.status(404).json({ error: `No payout rule stored for ${req.params.key}` });
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to delete payout rule', details: err?.message });
+  }
+});
+
+// Dry run under a proposed rule set; nothing is written. Body:
+// { "rules": { "default": { ... }, "influencers": { "<handle>": { ... } } }, "year": 2025, "month": 3 }
+// Without year/month the current month is previewed.
+router.post('/preview', async (req, res) => {
+  const { rules, year, month } = req.body || {};
+  const period = year || month ? { year: Number(year), month: Number(month) } : undefined;
+  try {
+    return res.json(await previewPayouts(rules || {}, period));
+  } catch (err) {
+    const status = isValidationError(err) ? 400 : 500;
+    return res.status(status).json({ error: 'Failed to preview payouts', details: err?.message });
+  }
+});
+
+// Per-influencer statement: ?year=2025&month=3&format=csv|json (JSON by default)
+router.get('/statements/:twitterHandle', async (req, res) => {
+  const { year, month, format = 'json' } = req.query;
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+  const period = year || month ? { year: Number(year), month: Number(month) } : undefined;
+  try {
+    const statement = await buildPayoutStatement(req.params.twitterHandle, period);
+    if (!statement) {
+      return res.status(404).json({ error: 'No payout calculated for this influencer and period' });
+    }
+    const signed = signStatement(statement);
+    res.set('X-Statement-Hash', signed.hash);
+    if (format === 'csv') {
+      const { year: y, month: m } = statement.period;
+      const filename = `payout-${statement.twitterHandle}-${y}-${String(m).padStart(2, '0')}.csv`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('text/csv').send(statementToCsv(signed));
+    }
+    const { canonicalJson, ...body } = signed;
+    return res.json(body);
+  } catch (err) {
+    const status = isValidationError(err) ? 400 : 500;
+    return res.status(status).json({ error: 'Failed to build payout statement', details: err?.message });
+  }
+});
+
+// Check a previously issued statement: { "statement": {...}, "hash": "...", "signature": "..." }
+router.post('/statements/verify', (req, res) => {
+  const { statement, hash, signature } = req.body || {};
+  if (!statement || typeof hash !== 'string') {
+    return res.status(400).json({ error: 'Body must contain a statement and its hash' });
+  }
+  return res.json({ valid: verifyStatement(statement, { hash, signature }) });
+});
+
+router.get('/:id', requireValidId, async (req, res) => {
+  try {
+    const payout = await getPayout(req.params.id);
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    return res.json(payout);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load payout', details: err?.message });
+  }
+});
+
+router.post('/:id/approve', requireValidId, transitionRoute(
+  req => approvePayout(req.params.id, req.body?.updatedBy),
+  'Failed to approve payout'
+));
+
+// Optional { "reference": "<tx hash>" } records how the payout was made
+router.post('/:id/pay', requireValidId, transitionRoute(
+  req => markPayoutPaid(req.params.id, req.body?.updatedBy, req.body?.reference),
+  'Failed to mark payout as paid'
+));
+
+router.post('/:id/void', requireValidId, transitionRoute(
+  req => voidPayout(req.params.id, req.body?.updatedBy, req.body?.reason),
+  'Failed to void payout'
+));
+
+module.exports = router;
@@ -1,11 +1,7 @@
 const express = require('express');
-const dotenv = require('dotenv');
-const path = require('path');
 const cors = require('cors');
 const { connect, closeConnection } = require('../db');
-const { dbName, lunarcrushCollectionName } = require('../config/config');
-
-dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+const { dbName, lunarcrushCollectionName, port } = require('../config/config');
 
 const app = express();
 app.use(express.json());
@@ -17,11 +13,80 @@ app.use(cors());
 const { processAndSendTradingSignalMessage } = require('../services/telegramService');
 const { processSignals } = require('../services/process-signal-multi-strategies');
 const { processTweets } = require('../services/tweetsService');
-const { tradingSignalsCollectionName } = require('../config/config');
-
-// Health check
+const { tradingSignalsCollectionName, tweetsCollectionName } = require('../config/config');
+const { registerCronJobs } = require('../cron/jobs');
+const adminRoutes = require('./adminRoutes');
+const { getCircuitStates } = require('../utils/httpClient');
+const { getLiveness, getReadiness } = require('../services/healthService');
+const metrics = require('../utils/metrics');
+const { enqueue, getQueueStats } = require('../queue/workQueue');
+const { countOpenDeadLetters } = require('../queue/deadLetters');
+const logger = require('../utils/logger');
+
+// Job definitions are shared with the scheduler so the admin API can inspect and trigger them
+registerCronJobs();
+app.use('/admin', adminRoutes);
+
+// Health check. Reports "degraded" while any external provider's circuit breaker is open.
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const circuits = getCircuitStates();
+  const openCircuits = Object.keys(circuits).filter(name => circuits[name].state !== 'closed');
+  res.json({
+    status: openCircuits.length > 0 ? 'degraded' : 'ok',
+    openCircuits,
+    circuits
+  });
+});
+
+// Liveness probe: the process is up
+app.get('/health/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness probe: 503 with the failing checks when MongoDB, critical jobs,
+// required env vars or the Telegram bot token are not in order
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, ...report } = await getReadiness();
+    return res.status(ready ? 200 : 503).json(report);
+  } catch (err) {
+    logger.error('Readiness check failed:', err);
+    return res.status(503).json({ status: 'not_ready', error: err?.message });
+  }
+});
+
+// Queue and dead letter gauges come from MongoDB; when it is down they keep
+// their last values so the rest of the scrape is still served
+async function refreshDatabaseGauges() {
+  try {
+    const queueStats = await getQueueStats();
+    for (const [stage, counts] of Object.entries(queueStats)) {
+      for (const [status, count] of Object.entries(counts)) {
+        metrics.queueJobs.set({ stage, status }, count);
+      }
+    }
+    for (const [stage, count] of Object.entries(await countOpenDeadLetters())) {
+      metrics.deadLetters.set({ stage }, count);
+    }
+  } catch (err) {
+    logger.error('Failed to refresh queue metrics:', err);
+  }
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    const circuits = getCircuitStates();
+    for (const [provider, { state }] of Object.entries(circuits)) {
+      metrics.circuitOpen.set({ provider }, state === 'closed' ? 0 : 1);
+    }
+    await refreshDatabaseGauges();
+    res.set('Content-Type', metrics.register.contentType);
+    return res.send(await metrics.register.metrics());
+  } catch (err) {
+    logger.error('Failed to collect metrics:', err);
+    return res.status(500).end();
+  }
 });
 
 // Single endpoint: GET /lunarcrush -> returns all lunarcrush documents
@@ -133,11 +198,11 @@ app.post('/backtesting/run', async (_req, res) => {
   }
 });
 
-// 4) Run full signal generation flow (scrape tweets → generate signals → deliver)
+// 4) Queue the full signal generation flow (scrape tweets → generate signals → deliver)
 app.post('/signals/generate', async (_req, res) => {
   try {
-    await processTweets();
-    return res.json({ status: 'completed' });
+    const result = await processTweets();
+    return res.json({ status: 'queued', ...result });
   } catch (err) {
     return res.status(500).json({ error: 'Signal generation failed', details: err?.message });
   }
@@ -162,41 +227,41 @@ app.post('/signals/generate-mock', async (req, res) => {
     client = await connect();
     const db = client.db(dbName);
     const influencerCollection = db.collection('influencers');
-    const tradingSignalsCollection = db.collection(tradingSignalsCollectionName);
+    const tweetsCollection = db.collection(tweetsCollectionName);
 
-    // Create or update influencer with mock tweet
+    // Create or update influencer and queue the mock tweet
     await influencerCollection.updateOne(
       { twitterHandle },
+      { $set: { twitterHandle, subscribers } },
+      { upsert: true }
+    );
+    const { tweet_id, ...tweetFields } = mockTweet;
+    await tweetsCollection.updateOne(
+      { twitterHandle, tweet_id },
       {
         $set: {
-          twitterHandle,
-          subscribers,
-          tweets: [{
-            ...mockTweet,
-            signalsGenerated: false,
-            processedAt: null,
-            analysisStatus: 'pending'
-          }]
-        }
+          ...tweetFields,
+          relevant: true,
+          // The mock already names its coins, so extractCoins queues its signals without the LLM
+          coinsCheckedAt: new Date(),
+          signalsGenerated: false,
+          processedAt: null,
+          analysisStatus: 'pending',
+          updatedAt: new Date()
+        },
+        $setOnInsert: { twitterHandle, tweet_id, createdAt: new Date() }
       },
       { upsert: true }
     );
 
-    // Import the signal generation function
-    const { processAndGenerateSignalsForTweets } = require('../services/signalGeneration');
-
-    // Generate signals for the mock tweet
-    await processAndGenerateSignalsForTweets(twitterHandle);
-
-    // Deliver the generated signals
-    const deliveryResult = await processAndSendTradingSignalMessage({
-      handleFilter: twitterHandle
-    });
+    // Queue workers generate, route and deliver the signals from here
+    const jobId = await enqueue('extractCoins', { twitterHandle, tweet_id }, { dedupeKey: `extractCoins:${twitterHandle}:${tweet_id}` });
 
     return res.json({
-      status: 'completed',
+      status: 'queued',
       twitterHandle,
-      deliveryResult
+      tweet_id,
+      jobId
     });
   } catch (err) {
     return res.status(500).json({ error: 'Mock signal generation failed', details: err?.message });
@@ -316,9 +381,23 @@ app.post('/users/upsert-safe', async (req, res) => {
   }
 });
 
-const PORT = parseInt(process.env.PORT, 10) || 5001;
-app.listen(PORT, () => {
-  console.log(`API server listening on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
+function startServer() {
+  return app.listen(port, () => {
+    logger.info(`API server listening on port ${port}`);
+  });
+}
+
+// `npm start` runs this file: the API plus the queue workers that process what it queues
+if (require.main === module) {
+  const { ensureIndexes } = require('../db');
+  const { registerShutdownHandlers } = require('../utils/shutdown');
+  const { registerPipelineStages } = require('../services/signalPipeline');
+  const { startWorkers } = require('../queue/workers');
+  ensureIndexes().catch(err => logger.error('Index setup failed:', err));
+  registerPipelineStages();
+  startWorkers();
+  registerShutdownHandlers({ server: startServer() });
+}
+
+module.exports = app;
+module.exports.startServer = startServer;
\ No newline at end of file
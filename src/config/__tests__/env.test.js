@@ -0,0 +1,57 @@
+const { loadEnv, ConfigError } = require('../env');
+
+const production = {
+  APP_ENV: 'production',
+  MONGODB_URI: 'mongodb://localhost:27017',
+  OPENAI_API_KEY: 'openai',
+  PERPLEXITY_API_KEY: 'perplexity',
+  LUNARCRUSH_API_KEY: 'lunarcrush',
+  TWEETSCOUT_API_KEY: 'tweetscout',
+  TELEGRAM_BOT_TOKEN: '123:abc',
+  GMX_API_URL: 'https://gmx.example.com/',
+  SAFE_API_URL: 'https://safe.example.com',
+  HYPERLIQUID_API_URL: 'https://hyperliquid.example.com/signal',
+  HYPERLIQUID_SIGNAL_AUTH_TOKEN: 'hl-token',
+  LIGHTHOUSE_API_KEY: 'lighthouse'
+};
+
+describe('loadEnv', () => {
+  test('applies defaults and coerces values', () => {
+    const { profile, values } = loadEnv({ ...production, PORT: '8080' });
+
+    expect(profile).toBe('production');
+    expect(values.PORT).toBe(8080);
+    expect(values.LOG_LEVEL).toBe('info');
+    expect(values.GMX_API_URL).toBe('https://gmx.example.com');
+    expect(values.TELEGRAM_SENDER_URL).toBe('https://telegram-msg-sender.maxxit.ai/api/telegram/send');
+  });
+
+  test('reports every missing or invalid value at once', () => {
+    const env = { ...production, PORT: 'eighty', LOG_LEVEL: 'verbose' };
+    delete env.OPENAI_API_KEY;
+    delete env.GMX_API_URL;
+
+    expect(() => loadEnv(env)).toThrow(ConfigError);
+    try {
+      loadEnv(env);
+    } catch (err) {
+      expect(err.problems).toEqual([
+        'LOG_LEVEL must be one of debug, info, warn, error, silent, got "verbose"',
+        'PORT must be an integer, got "eighty"',
+        'OPENAI_API_KEY is required',
+        'GMX_API_URL is required'
+      ]);
+    }
+  });
+
+  test('development only requires MongoDB and falls back to a local Hyperliquid API', () => {
+    const { values } = loadEnv({ NODE_ENV: 'development', MONGODB_URI: 'mongodb://localhost:27017' });
+
+    expect(values.HYPERLIQUID_API_URL).toBe('http://localhost:5000/signal');
+    expect(() => loadEnv({ NODE_ENV: 'development' })).toThrow('MONGODB_URI is required');
+  });
+
+  test('rejects unknown profiles', () => {
+    expect(() => loadEnv({ APP_ENV: 'prod' })).toThrow('APP_ENV must be one of');
+  });
+});
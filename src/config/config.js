@@ -2,39 +2,223 @@
 const dotenv = require("dotenv");
 const path = require("path");
 
+const { loadEnv } = require("./env");
+
+// The only place .env is loaded. Startup fails here with a ConfigError listing
+// every missing or invalid variable for the active profile (APP_ENV or NODE_ENV).
 dotenv.config({ path: path.resolve(__dirname, "../../.env") });
 
-console.log(process.env.MONGODB_URI);
+const { profile, values: env } = loadEnv(process.env);
+
+const MINUTE_MS = 60 * 1000;
+
+// Applies "stage=n,stage=n" overrides from WORK_QUEUE_CONCURRENCY
+function withConcurrencyOverrides(stages, overrides) {
+  for (const entry of overrides ? overrides.split(",") : []) {
+    const [stage, concurrency] = entry.split("=");
+    if (stages[stage]) {
+      stages[stage].concurrency = Number(concurrency);
+    }
+  }
+  return stages;
+}
 
 module.exports = {
-  mongoUri: process.env.MONGODB_URI,
+  profile,
+  // Validated variables by name, for checks that report on them (health)
+  env: Object.freeze(env),
+  port: env.PORT,
+  mongoUri: env.MONGODB_URI,
   dbName: "ctxbt-signal-flow",
   userCollectionName: "users",
   influencerCollectionName: "influencers",
+  tweetsCollectionName: "tweets",
   tradingSignalsCollectionName: "trading-signals",
   lunarcrushCollectionName: "lunarcrush",
   lunarcrushTokensCollectionName: "lunarcrush-tokens-new",
-  scrapeEndpoint: 'https://tweets-scraper.maxxit.ai/scrape',
+  payoutsCollectionName: "payouts",
+  payoutRulesCollectionName: "payout_rules",
+  jobRunsCollectionName: "job_runs",
+  jobLocksCollectionName: "job_locks",
+  jobWindowsCollectionName: "job_windows",
+  jobSettingsCollectionName: "job_settings",
+  migrationsCollectionName: "migrations",
+  deadLetterCollectionName: "dead_letters",
+  classificationCacheCollectionName: "tweet_classifications",
+  jobSettingsSyncMs: env.JOB_SETTINGS_SYNC_MS,
+  jobLock: {
+    ttlMs: env.JOB_LOCK_TTL_MS,
+    heartbeatMs: env.JOB_LOCK_HEARTBEAT_MS,
+    // How long executed windows are remembered; longer than any catch-up lookback
+    windowRetentionMs: 30 * 24 * 60 * 60 * 1000,
+  },
+  // How long SIGTERM waits for running jobs before closing MongoDB
+  shutdownDrainTimeoutMs: env.SHUTDOWN_DRAIN_TIMEOUT_MS,
+  scrapeEndpoint: env.SCRAPER_ENDPOINT,
   scraperCredentials: {
-    user: "",
-    password: "",
-    tweets: 5,
+    user: env.SCRAPER_USER,
+    password: env.SCRAPER_PASSWORD,
+  },
+  // Where tweets are fetched from (src/services/tweetSources)
+  tweetSources: {
+    default: env.TWEET_SOURCE,
+    xApi: { baseUrl: "https://api.twitter.com/2", bearerToken: env.X_API_BEARER_TOKEN },
+    rss: { baseUrl: env.NITTER_BASE_URL },
+    // Relative paths are resolved from the repository root
+    fixtures: { dir: env.TWEET_FIXTURES_DIR },
+  },
+  // Tweets requested per scrape (src/services/scrapeCursor.js). The fetch size
+  // follows each influencer's posting rate; a scrape widens it up to
+  // maxFetchSize until it reaches the last tweet already seen.
+  scraping: {
+    defaultFetchSize: 5,
+    minFetchSize: 3,
+    maxFetchSize: 50,
+    // Expected tweets are multiplied by this
+    headroom: 1.5,
+    // Weight of the latest scrape in the posting rate average
+    rateSmoothing: 0.3,
   },
   openAI: {
-    apiKey: process.env.OPENAI_API_KEY,
+    apiKey: env.OPENAI_API_KEY,
+  },
+  // Relevance and platform-mention checks (src/services/tweetClassifier.js)
+  tweetClassification: {
+    model: "gpt-4o-mini",
+    // Tweets per LLM call
+    batchSize: 20,
+    // Coins up to this market cap rank count as named by the local pre-filter
+    knownCoinMaxRank: 300,
+    // Cached verdicts expire after this
+    cacheTtlMs: 30 * 24 * 60 * 60 * 1000,
+  },
+  // Deterministic coin resolution (src/services/coinResolver.js). Tweets whose
+  // cashtags all resolve at minConfidence or above skip the LLM.
+  coinResolution: {
+    minConfidence: 0.8,
+    // Coins matched by name in prose must be ranked this high
+    nameMaxRank: 300,
+  },
+  // Replies and quotes are analyzed with the tweets they refer to (src/services/tweetContext.js)
+  tweetContext: {
+    // Reply chain depth followed upwards
+    maxParents: 5,
+  },
+  // Entry, targets and stop loss stated in a tweet (src/services/levelParser.js)
+  // replace the generated ones when they are sane for the current price
+  statedLevels: {
+    // Stated entry at most this far from the current price (0.2 = 20%)
+    maxEntryDeviation: 0.2,
+    // Every level within current price / ratio and current price * ratio
+    maxPriceRatio: 5,
   },
   coingeckoApiUrl: "https://api.coingecko.com/api/v3",
+  coingeckoApiKey: env.COINGECKO_API_KEY,
   perplexity: {
-    apiKey: process.env.PERPLEXITY_API_KEY,
-    endpoint: "https://api.perplexity.ai/v1/completions",
+    apiKey: env.PERPLEXITY_API_KEY,
+    endpoint: "https://api.perplexity.ai/chat/completions",
+  },
+  lunarcrush: {
+    apiKey: env.LUNARCRUSH_API_KEY,
+  },
+  tweetScoutApiKey: env.TWEETSCOUT_API_KEY,
+  // Rate limits, timeouts, retries and circuit breakers for outbound HTTP
+  // (src/utils/httpClient.js). Providers inherit anything they don't set from
+  // `default`. `limit` requests are allowed per `intervalMs`, with at most
+  // `burst` sent back to back.
+  httpProviders: {
+    default: {
+      limit: 60,
+      intervalMs: 60 * 1000,
+      timeoutMs: 30 * 1000,
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30 * 1000,
+      retryUnsafeMethods: false,
+      breaker: { failureThreshold: 5, resetTimeoutMs: 60 * 1000 },
+    },
+    coingecko: { limit: 25, intervalMs: 60 * 1000, timeoutMs: 60 * 1000 },
+    lunarcrush: { limit: 9, intervalMs: 60 * 1000, burst: 1, maxRetries: 5, baseDelayMs: 2000 },
+    perplexity: { limit: 50, intervalMs: 60 * 1000, timeoutMs: 2 * 60 * 1000, retryUnsafeMethods: true },
+    openai: { limit: 60, intervalMs: 60 * 1000, timeoutMs: 2 * 60 * 1000, retryUnsafeMethods: true },
+    tweetscout: { limit: 30, intervalMs: 60 * 1000, burst: 5, retryUnsafeMethods: true },
+    // 7 calls of 5 tweets each per 6 minutes
+    scraper: { limit: 7, intervalMs: 6 * 60 * 1000, timeoutMs: 5 * 60 * 1000, maxRetries: 2, baseDelayMs: 5000, retryUnsafeMethods: true },
+    // X API v2 user lookups and timelines; match the limit to the account's access tier
+    xApi: { limit: 100, intervalMs: 60 * 1000, timeoutMs: 30 * 1000 },
+    rss: { limit: 30, intervalMs: 60 * 1000, timeoutMs: 30 * 1000 },
+    telegram: { limit: 25, intervalMs: 1000, timeoutMs: 60 * 1000 },
+    // Position and order endpoints are never retried after a possible side effect
+    trading: { limit: 60, intervalMs: 60 * 1000, timeoutMs: 60 * 1000 },
+  },
+  // Durable work queue behind the tweet → signal → delivery pipeline (src/queue).
+  // Per stage: parallel jobs per process, attempts before the job is
+  // dead-lettered, and how long a claimed job stays invisible to other workers
+  // (extended while the handler is still running).
+  workQueue: {
+    collectionName: "work_queue",
+    pollIntervalMs: env.WORK_QUEUE_POLL_MS,
+    retryBaseDelayMs: 30 * 1000,
+    retryMaxDelayMs: 30 * MINUTE_MS,
+    // Done and dead jobs are kept this long for inspection; dead letters are kept until handled
+    completedRetentionMs: 7 * 24 * 60 * MINUTE_MS,
+    stages: withConcurrencyOverrides({
+      scrapeHandle: { concurrency: 2, maxAttempts: 3, visibilityTimeoutMs: 10 * MINUTE_MS },
+      classifyTweet: { concurrency: 4, maxAttempts: 5, visibilityTimeoutMs: 3 * MINUTE_MS },
+      extractCoins: { concurrency: 2, maxAttempts: 5, visibilityTimeoutMs: 5 * MINUTE_MS },
+      generateSignal: { concurrency: 3, maxAttempts: 5, visibilityTimeoutMs: 5 * MINUTE_MS },
+      // Trading calls are not idempotent on the remote side; retried steps are skipped once recorded
+      routeExecution: { concurrency: 2, maxAttempts: 3, visibilityTimeoutMs: 5 * MINUTE_MS },
+      deliverMessage: { concurrency: 1, maxAttempts: 5, visibilityTimeoutMs: 2 * MINUTE_MS },
+    }, env.WORK_QUEUE_CONCURRENCY),
+  },
+  // debug | info | warn | error | silent
+  logLevel: env.LOG_LEVEL,
+  // Readiness checks behind GET /health/ready
+  health: {
+    checkTimeoutMs: 5000,
+    // Cached so frequent probes don't call Telegram every time
+    telegramCheckCacheMs: 5 * 60 * 1000,
+    // Not ready once a job's last successful run is older than this
+    criticalJobs: {
+      processTweets: 7 * 60 * 60 * 1000,
+      processSignals: 2 * 60 * 60 * 1000,
+      fetchAndUpdateCoins: 2 * 60 * 60 * 1000,
+      updateSubscribers: 5 * 60 * 60 * 1000,
+    },
+    requiredEnv: [
+      'OPENAI_API_KEY',
+      'PERPLEXITY_API_KEY',
+      'LUNARCRUSH_API_KEY',
+      'HYPERLIQUID_SIGNAL_AUTH_TOKEN',
+      'GMX_API_URL',
+      'SAFE_API_URL',
+      'TELEGRAM_BOT_TOKEN',
+    ],
+  },
+  admin: {
+    apiToken: env.ADMIN_API_TOKEN,
+  },
+  payouts: {
+    // HMAC key for payout statements; statements are only hashed when unset
+    statementSigningKey: env.PAYOUT_STATEMENT_SIGNING_KEY,
   },
-  tweetScoutApiKey: process.env.TWEETSCOUT_API_KEY,
   telegram: {
-    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    botToken: env.TELEGRAM_BOT_TOKEN,
+    apiBaseUrl: "https://api.telegram.org",
+    // Service that delivers signal messages to subscribers
+    senderUrl: env.TELEGRAM_SENDER_URL,
+  },
+  trading: {
+    gmxApiUrl: env.GMX_API_URL,
+    safeApiUrl: env.SAFE_API_URL,
   },
   hyperliquid: {
-    apiUrl: process.env.HYPERLIQUID_API_URL || "http://localhost:5000/signal",
-    timeout: parseInt(process.env.HYPERLIQUID_API_TIMEOUT) || 60000,
-    authToken: process.env.HYPERLIQUID_SIGNAL_AUTH_TOKEN,
+    apiUrl: env.HYPERLIQUID_API_URL,
+    timeout: env.HYPERLIQUID_API_TIMEOUT,
+    authToken: env.HYPERLIQUID_SIGNAL_AUTH_TOKEN,
+  },
+  lighthouse: {
+    apiKey: env.LIGHTHOUSE_API_KEY,
   },
 };
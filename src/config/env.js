@@ -0,0 +1,89 @@
+// src/config/env.js
+// Validates and coerces environment variables against ENV_SCHEMA
+const { PROFILES, ENV_SCHEMA } = require('./schema');
+
+class ConfigError extends Error {
+  constructor(problems, profile) {
+    super(`Invalid configuration for the ${profile} profile:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+    this.profile = profile;
+  }
+}
+
+/**
+ * Picks the profile from APP_ENV, falling back to NODE_ENV
+ * @param {Object} env - Environment variables
+ * @returns {string} - development, staging, production or test
+ */
+function resolveProfile(env) {
+  const profile = env.APP_ENV || env.NODE_ENV || 'development';
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([`APP_ENV must be one of ${PROFILES.join(', ')}, got "${profile}"`], profile);
+  }
+  return profile;
+}
+
+function coerce(name, spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) return { error: `${name} must be an integer, got "${raw}"` };
+      if (spec.min !== undefined && value < spec.min) return { error: `${name} must be at least ${spec.min}, got ${value}` };
+      return { value };
+    }
+    case 'url':
+      try {
+        new URL(raw);
+        return { value: raw.replace(/\/+$/, '') };
+      } catch {
+        return { error: `${name} must be a valid URL` };
+      }
+    case 'enum':
+      return spec.values.includes(raw)
+        ? { value: raw }
+        : { error: `${name} must be one of ${spec.values.join(', ')}, got "${raw}"` };
+    default:
+      return spec.pattern && !spec.pattern.test(raw)
+        ? { error: `${name} must match ${spec.pattern}, got "${raw}"` }
+        : { value: raw };
+  }
+}
+
+/**
+ * Reads every variable in ENV_SCHEMA, applying profile defaults. Collects all
+ * problems before failing so a misconfigured deploy shows everything at once.
+ * @param {Object} env - Environment variables, normally process.env
+ * @returns {Object} - { profile, values } with values keyed by variable name
+ * @throws {ConfigError} - When a required variable is missing or a value is invalid
+ */
+function loadEnv(env = process.env) {
+  const profile = resolveProfile(env);
+  const values = {};
+  const problems = [];
+
+  for (const [name, spec] of Object.entries(ENV_SCHEMA)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      if (spec.required?.includes(profile)) {
+        problems.push(`${name} is required`);
+      }
+      values[name] = spec.profileDefaults?.[profile] ?? spec.default;
+      continue;
+    }
+
+    const { value, error } = coerce(name, spec, raw.trim());
+    if (error) {
+      problems.push(error);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, profile);
+  }
+  return { profile, values };
+}
+
+module.exports = { loadEnv, resolveProfile, ConfigError };
@@ -0,0 +1,65 @@
+// src/config/schema.js
+// Every environment variable the application reads. src/config/env.js
+// validates process.env against this at startup; nothing else should read
+// process.env directly.
+//
+// Each entry has a `type` (string, url, int, enum), an optional `default`,
+// optional per-profile defaults in `profileDefaults`, and `required`: the
+// profiles in which startup fails when the variable is missing. Strings may
+// set a `pattern` they must match.
+
+const PROFILES = ['development', 'staging', 'production', 'test'];
+
+const DEPLOYED = ['staging', 'production'];
+const ALL_BUT_TEST = ['development', 'staging', 'production'];
+
+const ENV_SCHEMA = {
+  // General
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info', profileDefaults: { test: 'silent' } },
+  PORT: { type: 'int', min: 1, default: 5001 },
+
+  // Storage
+  MONGODB_URI: { type: 'string', required: ALL_BUT_TEST },
+
+  // Scheduler
+  JOB_SETTINGS_SYNC_MS: { type: 'int', min: 1000, default: 60 * 1000 },
+  JOB_LOCK_TTL_MS: { type: 'int', min: 1000, default: 2 * 60 * 1000 },
+  JOB_LOCK_HEARTBEAT_MS: { type: 'int', min: 1000, default: 30 * 1000 },
+  SHUTDOWN_DRAIN_TIMEOUT_MS: { type: 'int', min: 0, default: 2 * 60 * 1000 },
+
+  // Work queue (tweet → signal → delivery pipeline)
+  WORK_QUEUE_POLL_MS: { type: 'int', min: 100, default: 2000 },
+  // Per-stage concurrency overrides, e.g. "generateSignal=4,deliverMessage=1"
+  WORK_QUEUE_CONCURRENCY: { type: 'string', pattern: /^\w+=\d+(,\w+=\d+)*$/, default: '' },
+
+  // Tweet scraping and analysis
+  SCRAPER_ENDPOINT: { type: 'url', default: 'https://tweets-scraper.maxxit.ai/scrape' },
+  SCRAPER_USER: { type: 'string', default: '' },
+  SCRAPER_PASSWORD: { type: 'string', default: '' },
+  // Default tweet source (src/services/tweetSources); influencers can override it with `tweetSource`
+  TWEET_SOURCE: { type: 'enum', values: ['maxxit', 'xApi', 'rss', 'fixture'], default: 'maxxit', profileDefaults: { test: 'fixture' } },
+  X_API_BEARER_TOKEN: { type: 'string' },
+  NITTER_BASE_URL: { type: 'url', default: 'https://nitter.net' },
+  TWEET_FIXTURES_DIR: { type: 'string', default: 'src/data/tweet-fixtures' },
+  OPENAI_API_KEY: { type: 'string', required: DEPLOYED },
+  PERPLEXITY_API_KEY: { type: 'string', required: DEPLOYED },
+  COINGECKO_API_KEY: { type: 'string' },
+  LUNARCRUSH_API_KEY: { type: 'string', required: DEPLOYED },
+  TWEETSCOUT_API_KEY: { type: 'string', required: DEPLOYED },
+
+  // Delivery and trading
+  TELEGRAM_BOT_TOKEN: { type: 'string', required: DEPLOYED },
+  TELEGRAM_SENDER_URL: { type: 'url', default: 'https://telegram-msg-sender.maxxit.ai/api/telegram/send' },
+  GMX_API_URL: { type: 'url', required: DEPLOYED },
+  SAFE_API_URL: { type: 'url', required: DEPLOYED },
+  HYPERLIQUID_API_URL: { type: 'url', required: DEPLOYED, profileDefaults: { development: 'http://localhost:5000/signal', test: 'http://localhost:5000/signal' } },
+  HYPERLIQUID_API_TIMEOUT: { type: 'int', min: 1000, default: 60 * 1000 },
+  HYPERLIQUID_SIGNAL_AUTH_TOKEN: { type: 'string', required: DEPLOYED },
+  LIGHTHOUSE_API_KEY: { type: 'string', required: DEPLOYED },
+
+  // Admin and payouts
+  ADMIN_API_TOKEN: { type: 'string' },
+  PAYOUT_STATEMENT_SIGNING_KEY: { type: 'string' },
+};
+
+module.exports = { PROFILES, ENV_SCHEMA };
@@ -0,0 +1,69 @@
+const mockDocs = { job_locks: new Map(), job_windows: new Map() };
+
+jest.mock('../../config/config', () => ({
+  logLevel: 'silent',
+  dbName: 'test',
+  jobLocksCollectionName: 'job_locks',
+  jobWindowsCollectionName: 'job_windows',
+  jobLock: { ttlMs: 60000, heartbeatMs: 60000 }
+}));
+
+// Just enough of a collection for lease updates by _id and inserts with a unique _id
+jest.mock('../../db', () => {
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    value && value.$lte ? doc[key] <= value.$lte : doc[key] === value);
+  const collection = (docs) => ({
+    insertOne: async (doc) => {
+      if (docs.has(doc._id)) throw duplicateKey();
+      docs.set(doc._id, { ...doc });
+    },
+    updateOne: async (filter, update, { upsert } = {}) => {
+      const doc = docs.get(filter._id);
+      if (doc && matches(doc, filter)) {
+        Object.assign(doc, update.$set);
+        return { matchedCount: 1 };
+      }
+      if (!upsert) return { matchedCount: 0 };
+      if (doc) throw duplicateKey();
+      docs.set(filter._id, { _id: filter._id, ...update.$set });
+      return { matchedCount: 0, upsertedCount: 1 };
+    }
+  });
+  return {
+    connect: jest.fn(async () => ({ db: () => ({ collection: (name) => collection(mockDocs[name]) }) })),
+    closeConnection: jest.fn(async () => {})
+  };
+});
+
+const { acquireLock } = require('../jobLock');
+
+describe('acquireLock', () => {
+  beforeEach(() => {
+    mockDocs.job_locks.clear();
+    mockDocs.job_windows.clear();
+  });
+
+  test('runs each window once, even after other windows ran in between', async () => {
+    const first = await acquireLock('job', { windowKey: 'job@00:00' });
+    await first.release();
+    const second = await acquireLock('job', { windowKey: 'job@00:15' });
+    await second.release();
+
+    // A replica whose 00:00 tick fired late finds that window already executed
+    expect(await acquireLock('job', { windowKey: 'job@00:00' })).toBeNull();
+    expect([...mockDocs.job_windows.keys()]).toEqual(['job@00:00', 'job@00:15']);
+    // and leaves the lease free for the next window
+    const third = await acquireLock('job', { windowKey: 'job@00:30' });
+    expect(third).not.toBeNull();
+    await third.release();
+  });
+
+  test('does not claim a window while another one holds the lease', async () => {
+    const running = await acquireLock('job', { windowKey: 'job@00:00' });
+
+    expect(await acquireLock('job', { windowKey: 'job@00:15' })).toBeNull();
+    expect(mockDocs.job_windows.has('job@00:15')).toBe(false);
+    await running.release();
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('node-cron', () => ({
+  validate: jest.fn().mockReturnValue(true),
+  schedule: jest.fn().mockReturnValue({ stop: jest.fn() })
+}));
+
+const mockRuns = [];
+const mockCollection = {
+  insertOne: jest.fn(),
+  updateOne: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(() => ({
+    sort: () => ({ limit: () => ({ toArray: async () => mockRuns }) })
+  }))
+};
+
+jest.mock('../../db', () => ({
+  connect: jest.fn().mockResolvedValue({
+    db: () => ({ collection: () => mockCollection })
+  }),
+  closeConnection: jest.fn()
+}));
+
+jest.mock('../jobLock', () => ({
+  acquireLock: jest.fn(),
+  getWindowKey: jest.fn((name, date) => `${name}@${date.toISOString()}`),
+  INSTANCE_ID: 'test-instance'
+}));
+
+const { acquireLock } = require('../jobLock');
+const { registerJob, runJob, getJob, findMissedWindows } = require('../jobRegistry');
+
+describe('jobRegistry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCollection.insertOne.mockResolvedValue({ insertedId: 'run-1' });
+    acquireLock.mockResolvedValue({ owner: 'test-instance', release: jest.fn() });
+  });
+
+  test('records a successful run with its duration', async () => {
+    registerJob({ name: 'ok-job', schedule: '* * * * *', handler: jest.fn().mockResolvedValue() });
+
+    const result = await runJob('ok-job', { trigger: 'manual' });
+
+    expect(result.status).toBe('succeeded');
+    expect(mockCollection.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      jobName: 'ok-job',
+      trigger: 'manual',
+      status: 'running'
+    }));
+    expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      { $set: expect.objectContaining({ status: 'succeeded', durationMs: expect.any(Number), error: null }) }
+    );
+  });
+
+  test('records the error stack when the handler throws', async () => {
+    registerJob({ name: 'failing-job', schedule: '* * * * *', handler: jest.fn().mockRejectedValue(new Error('boom')) });
+
+    const result = await runJob('failing-job');
+
+    expect(result.status).toBe('failed');
+    const update = mockCollection.updateOne.mock.calls[0][1].$set;
+    expect(update.error.message).toBe('boom');
+    expect(update.error.stack).toContain('boom');
+  });
+
+  test('marks runs that exceed the timeout', async () => {
+    registerJob({
+      name: 'slow-job',
+      schedule: '* * * * *',
+      timeoutMs: 10,
+      handler: () => new Promise(resolve => setTimeout(resolve, 50))
+    });
+
+    const result = await runJob('slow-job');
+
+    expect(result.status).toBe('timed_out');
+  });
+
+  test('skips the run when another worker holds the lock', async () => {
+    const handler = jest.fn();
+    registerJob({ name: 'locked-job', schedule: '* * * * *', handler });
+    acquireLock.mockResolvedValue(null);
+
+    const result = await runJob('locked-job', { scheduledAt: new Date('2025-01-01T00:00:00Z') });
+
+    expect(result).toEqual({ status: 'skipped', reason: 'locked' });
+    expect(handler).not.toHaveBeenCalled();
+    expect(acquireLock).toHaveBeenCalledWith('locked-job', { windowKey: 'locked-job@2025-01-01T00:00:00.000Z' });
+  });
+
+  test('releases the lock once the handler settles', async () => {
+    const release = jest.fn();
+    acquireLock.mockResolvedValue({ owner: 'test-instance', release });
+    registerJob({ name: 'release-job', schedule: '* * * * *', handler: jest.fn().mockResolvedValue() });
+
+    await runJob('release-job');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('skips a catch-up window another replica already ran', async () => {
+    const release = jest.fn();
+    const handler = jest.fn();
+    acquireLock.mockResolvedValue({ owner: 'test-instance', release });
+    mockCollection.findOne.mockResolvedValue({ status: 'succeeded' });
+    registerJob({ name: 'caught-up-job', schedule: '0 0 1 * *', handler });
+    const window = new Date('2025-02-01T00:00:00Z');
+
+    const result = await runJob('caught-up-job', { trigger: 'catch_up', scheduledAt: window, windowKey: 'caught-up-job@x:catch_up:1' });
+
+    expect(result).toEqual({ status: 'skipped', reason: 'already_ran' });
+    expect(mockCollection.findOne).toHaveBeenCalledWith({ jobName: 'caught-up-job', scheduledFor: window, status: 'succeeded' });
+    expect(handler).not.toHaveBeenCalled();
+    expect(release).toHaveBeenCalled();
+  });
+
+  describe('findMissedWindows', () => {
+    beforeEach(() => {
+      mockRuns.length = 0;
+    });
+
+    test('returns every missed monthly window in order', async () => {
+      const job = registerJob({ name: 'monthly-all', schedule: '0 0 1 * *', catchUp: 'all', handler: jest.fn() });
+      mockRuns.push({ status: 'succeeded', scheduledFor: new Date(2025, 0, 1), startedAt: new Date(2025, 0, 1) });
+
+      const windows = await findMissedWindows(job, new Date(2025, 3, 1, 0, 0, 30));
+
+      expect(windows).toEqual([new Date(2025, 1, 1), new Date(2025, 2, 1), new Date(2025, 3, 1)]);
+    });
+
+    test('only returns the latest window for latest mode', async () => {
+      registerJob({ name: 'monthly-latest', schedule: '0 0 1 * *', catchUp: 'latest', handler: jest.fn() });
+      mockRuns.push({ status: 'succeeded', scheduledFor: new Date(2025, 0, 1), startedAt: new Date(2025, 0, 1) });
+
+      const windows = await findMissedWindows(getJob('monthly-latest'), new Date(2025, 3, 15));
+
+      expect(windows).toEqual([new Date(2025, 3, 1)]);
+    });
+
+    test('has nothing to catch up for a job that never succeeded', async () => {
+      const job = registerJob({ name: 'monthly-new', schedule: '0 0 1 * *', catchUp: 'all', handler: jest.fn() });
+
+      expect(await findMissedWindows(job, new Date(2025, 3, 15))).toEqual([]);
+    });
+  });
+
+  test('rejects duplicate job names', () => {
+    registerJob({ name: 'dup-job', schedule: '* * * * *', handler: jest.fn() });
+    expect(() => registerJob({ name: 'dup-job', schedule: '* * * * *', handler: jest.fn() })).toThrow();
+  });
+});
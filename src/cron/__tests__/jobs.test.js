@@ -1,6 +1,7 @@
 const { startCronJobs } = require('../jobs');
 
 jest.mock('node-cron', () => ({
+  validate: jest.fn().mockReturnValue(true),
   schedule: jest.fn().mockImplementation((schedule, callback) => {
     return {
       start: jest.fn(),
@@ -9,16 +10,32 @@ jest.mock('node-cron', () => ({
   })
 }));
 
+jest.mock('../../db', () => ({
+  connect: jest.fn().mockRejectedValue(new Error('no database in tests')),
+  closeConnection: jest.fn()
+}));
+
+// Service modules open API clients and timers on load, so keep them out of this suite
+jest.mock('../../services/tweetsService', () => ({
+  processTweets: jest.fn().mockResolvedValue(),
+  retryDeferredTweets: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../services/process-signal-multi-strategies', () => ({ processSignals: jest.fn() }));
+jest.mock('../../services/pnlNormalization', () => ({ processOverallNormalization: jest.fn() }));
+jest.mock('../../services/lunarCrush', () => ({ processAllTokens: jest.fn() }));
+jest.mock('../../services/telegramBotListener', () => ({ telegramBotListener: {} }));
+jest.mock('../../services/messageSender', () => ({ messageSender: jest.fn() }));
+
 describe('Cron Jobs', () => {
   beforeEach(() => {
     jest.clearAllMocks();
   });
 
-  test('startCronJobs should schedule all required jobs', () => {
+  test('startCronJobs should schedule all required jobs', async () => {
     const cron = require('node-cron');
-    startCronJobs();
-    
-    // Verify that cron.schedule was called the expected number of times
-    expect(cron.schedule).toHaveBeenCalledTimes(4);
+    await startCronJobs();
+
+    // Verify that cron.schedule was called once per registered job
+    expect(cron.schedule).toHaveBeenCalledTimes(12);
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,20 @@
+const { getNextRun, getPreviousRun } = require('../schedule');
+
+describe('schedule', () => {
+  const at = (iso) => new Date(iso);
+
+  test('next run is strictly after the reference time', () => {
+    expect(getNextRun('0 */3 * * *', at('2026-01-01T03:00:00Z'), { timezone: 'UTC' })).toEqual(at('2026-01-01T06:00:00Z'));
+    expect(getNextRun('*/15 * * * *', at('2026-01-01T03:07:30Z'), { timezone: 'UTC' })).toEqual(at('2026-01-01T03:15:00Z'));
+  });
+
+  test('previous run includes an exact match', () => {
+    expect(getPreviousRun('0 */3 * * *', at('2026-01-01T03:00:00Z'), { timezone: 'UTC' })).toEqual(at('2026-01-01T03:00:00Z'));
+    expect(getPreviousRun('*/10 * * * * *', at('2026-01-01T03:00:25.500Z'))).toEqual(at('2026-01-01T03:00:20Z'));
+  });
+
+  test('finds sparse schedules and returns null for ones that never fire', () => {
+    expect(getNextRun('0 0 1 1 *', at('2026-01-01T00:00:00Z'), { timezone: 'UTC' })).toEqual(at('2027-01-01T00:00:00Z'));
+    expect(getNextRun('0 0 30 2 *', at('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+});
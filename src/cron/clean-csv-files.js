@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const logger = require('../utils/logger');
 
 /**
  * Deletes CSV files that are no longer needed since we're using MongoDB directly
@@ -14,7 +15,7 @@ function cleanupCSVFiles() {
         'result.csv'
     ];
     
-    console.log('Cleaning up unnecessary CSV files...');
+    logger.info('Cleaning up unnecessary CSV files...');
     
     let deletedCount = 0;
     let notFoundCount = 0;
@@ -25,18 +26,18 @@ function cleanupCSVFiles() {
         try {
             if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
-                console.log(`Deleted: ${file}`);
+                logger.info(`Deleted: ${file}`);
                 deletedCount++;
             } else {
-                console.log(`File not found: ${file}`);
+                logger.info(`File not found: ${file}`);
                 notFoundCount++;
             }
         } catch (error) {
-            console.error(`Error deleting ${file}:`, error);
+            logger.error(`Error deleting ${file}:`, error);
         }
     }
     
-    console.log(`Cleanup complete. Deleted: ${deletedCount}, Not found: ${notFoundCount}`);
+    logger.info(`Cleanup complete. Deleted: ${deletedCount}, Not found: ${notFoundCount}`);
 }
 
 // Execute the cleanup if this file is run directly
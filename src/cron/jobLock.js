@@ -0,0 +1,156 @@
+// src/cron/jobLock.js
+const os = require('os');
+const crypto = require('crypto');
+const { connect, closeConnection } = require('../db');
+const { dbName, jobLocksCollectionName, jobWindowsCollectionName, jobLock } = require('../config/config');
+const logger = require('../utils/logger');
+
+// Identifies this process as a lock holder across replicas
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+async function withCollection(name, fn) {
+    const client = await connect();
+    try {
+        return await fn(client.db(dbName).collection(name));
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+function withLocksCollection(fn) {
+    return withCollection(jobLocksCollectionName, fn);
+}
+
+/**
+ * Records a window as executed. Each window is a document keyed by its window
+ * key, so it is claimed once however many other windows run in between.
+ * @returns {Promise<boolean>} - false if the window was already claimed
+ */
+async function claimWindow(jobName, windowKey) {
+    try {
+        await withCollection(jobWindowsCollectionName, collection => collection.insertOne(
+            { _id: windowKey, jobName, owner: INSTANCE_ID, claimedAt: new Date() }
+        ));
+        return true;
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function expireLease(jobName, windowKey) {
+    const releasedAt = new Date();
+    await withLocksCollection(collection => collection.updateOne(
+        { _id: jobName, owner: INSTANCE_ID, lastWindow: windowKey },
+        { $set: { expiresAt: releasedAt, releasedAt } }
+    ));
+}
+
+/**
+ * Builds the window key for a scheduled tick. Replicas firing the same tick
+ * a few seconds apart resolve to the same minute and therefore the same window.
+ * @param {string} jobName - Job name
+ * @param {Date} scheduledAt - Time the tick fired
+ * @returns {string} - Window key
+ */
+function getWindowKey(jobName, scheduledAt) {
+    const minute = new Date(scheduledAt);
+    minute.setSeconds(0, 0);
+    return `${jobName}@${minute.toISOString()}`;
+}
+
+/**
+ * Tries to take the lease for a job. The lease is granted when nobody holds it
+ * (or the holder stopped heartbeating past expiry) and the window has not
+ * already been executed by any replica (see claimWindow).
+ * @param {string} jobName - Job name, used as the lock _id
+ * @param {Object} options - Lock options
+ * @param {string} options.windowKey - Identifies the execution window
+ * @param {number} options.ttlMs - Lease duration without a heartbeat
+ * @param {number} options.heartbeatMs - Interval between lease extensions
+ * @returns {Promise<Object|null>} - A lock handle with release(), or null if not acquired
+ */
+async function acquireLock(jobName, { windowKey, ttlMs = jobLock.ttlMs, heartbeatMs = jobLock.heartbeatMs } = {}) {
+    const now = new Date();
+    try {
+        await withLocksCollection(collection => collection.updateOne(
+            { _id: jobName, expiresAt: { $lte: now } },
+            {
+                $set: {
+                    owner: INSTANCE_ID,
+                    lastWindow: windowKey,
+                    acquiredAt: now,
+                    heartbeatAt: now,
+                    expiresAt: new Date(now.getTime() + ttlMs)
+                }
+            },
+            { upsert: true }
+        ));
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return null;
+        }
+        throw error;
+    }
+
+    // Claimed under the lease, so a window is never marked executed by a
+    // replica that then could not run it
+    let claimed;
+    try {
+        claimed = await claimWindow(jobName, windowKey);
+    } finally {
+        if (!claimed) await expireLease(jobName, windowKey);
+    }
+    if (!claimed) {
+        return null;
+    }
+
+    const heartbeat = setInterval(async () => {
+        try {
+            const result = await withLocksCollection(collection => collection.updateOne(
+                { _id: jobName, owner: INSTANCE_ID, lastWindow: windowKey },
+                { $set: { heartbeatAt: new Date(), expiresAt: new Date(Date.now() + ttlMs) } }
+            ));
+            if (result.matchedCount === 0) {
+                logger.warn(`Lost lock for job ${jobName} (${windowKey}); another replica may have reclaimed it`);
+            }
+        } catch (error) {
+            logger.error(`Failed to extend lock for job ${jobName}:`, error.message);
+        }
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    return {
+        jobName,
+        windowKey,
+        owner: INSTANCE_ID,
+        async release() {
+            clearInterval(heartbeat);
+            try {
+                await expireLease(jobName, windowKey);
+            } catch (error) {
+                // The lease simply expires if the release cannot be written
+                logger.error(`Failed to release lock for job ${jobName}:`, error.message);
+            }
+        }
+    };
+}
+
+/**
+ * Returns the current lock documents, e.g. for diagnostics
+ * @returns {Promise<Array>} - Array of lock documents
+ */
+async function listLocks() {
+    return withLocksCollection(collection => collection.find({}).toArray());
+}
+
+module.exports = {
+    acquireLock,
+    getWindowKey,
+    listLocks,
+    INSTANCE_ID
+};
@@ -0,0 +1,587 @@
+// src/cron/jobRegistry.js
+const os = require('os');
+const cron = require('node-cron');
+const { connect, closeConnection } = require('../db');
+const { dbName, jobRunsCollectionName, jobSettingsSyncMs } = require('../config/config');
+const { acquireLock, getWindowKey, INSTANCE_ID } = require('./jobLock');
+const { loadJobSettings, saveJobSettings } = require('./jobSettings');
+const { getNextRun } = require('./schedule');
+const logger = require('../utils/logger');
+const { runWithLogContext } = logger;
+
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_CATCH_UP_RUNS = 12;
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+// Handler executions still running, including ones that outlived their timeout
+const inFlight = new Set();
+
+let started = false;
+let settingsSyncTimer = null;
+
+class JobTimeoutError extends Error {
+    constructor(jobName, timeoutMs) {
+        super(`Job ${jobName} exceeded its timeout of ${timeoutMs}ms`);
+        this.name = 'JobTimeoutError';
+    }
+}
+
+/**
+ * Declares a scheduled job. Jobs are not scheduled until startJobs() is called.
+ * @param {Object} definition - Job definition
+ * @param {string} definition.name - Unique job name, used as the key in job_runs
+ * @param {string} definition.schedule - node-cron expression
+ * @param {Function} definition.handler - Async function executed on every run
+ * @param {number} [definition.timeoutMs] - Maximum run duration before the run is marked as timed out
+ * @param {string} [definition.description] - Human readable description
+ * @param {string|false} [definition.catchUp] - Replay windows missed during downtime: 'all' runs every
+ *   missed window in order (period-scoped jobs), 'latest' runs only the most recent one
+ * @param {number} [definition.maxCatchUpRuns] - Upper bound on windows replayed in one catch-up
+ * @returns {Object} - The registered job
+ */
+function registerJob({
+    name,
+    schedule,
+    handler,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    description = '',
+    catchUp = false,
+    maxCatchUpRuns = DEFAULT_MAX_CATCH_UP_RUNS
+}) {
+    if (!name || typeof handler !== 'function') {
+        throw new Error('Job definition requires a name and a handler function');
+    }
+    if (!cron.validate(schedule)) {
+        throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+    }
+    if (jobs.has(name)) {
+        throw new Error(`Job ${name} is already registered`);
+    }
+    if (![false, 'all', 'latest'].includes(catchUp)) {
+        throw new Error(`Invalid catchUp mode for job ${name}: ${catchUp}`);
+    }
+
+    const job = {
+        name,
+        defaultSchedule: schedule,
+        schedule,
+        scheduleOverride: null,
+        paused: false,
+        handler,
+        timeoutMs,
+        description,
+        catchUp,
+        maxCatchUpRuns,
+        task: null,
+        running: false
+    };
+    jobs.set(name, job);
+    return job;
+}
+
+/**
+ * Returns a registered job by name
+ * @param {string} name - Job name
+ * @returns {Object|undefined} - The job definition
+ */
+function getJob(name) {
+    return jobs.get(name);
+}
+
+/**
+ * Lists all registered jobs without their internal handles
+ * @returns {Array} - Array of job summaries
+ */
+function listJobs() {
+    return Array.from(jobs.values()).map(job => ({
+        name: job.name,
+        schedule: job.schedule,
+        defaultSchedule: job.defaultSchedule,
+        scheduleOverride: job.scheduleOverride,
+        paused: job.paused,
+        nextRunAt: job.paused ? null : getNextRun(job.schedule),
+        timeoutMs: job.timeoutMs,
+        description: job.description,
+        catchUp: job.catchUp,
+        scheduled: Boolean(job.task),
+        running: job.running
+    }));
+}
+
+async function getJobRunsCollection() {
+    const client = await connect();
+    return { client, collection: client.db(dbName).collection(jobRunsCollectionName) };
+}
+
+/**
+ * Inserts the initial run record. Recording failures never block the job itself.
+ */
+async function recordRunStart(run) {
+    let client;
+    try {
+        const ref = await getJobRunsCollection();
+        client = ref.client;
+        const result = await ref.collection.insertOne(run);
+        return result.insertedId;
+    } catch (error) {
+        logger.error(`Failed to record start of job ${run.jobName}:`, error.message);
+        return null;
+    } finally {
+        if (client) await closeConnection(client);
+    }
+}
+
+async function recordRunEnd(runId, update) {
+    if (!runId) return;
+    let client;
+    try {
+        const ref = await getJobRunsCollection();
+        client = ref.client;
+        await ref.collection.updateOne({ _id: runId }, { $set: update });
+    } catch (error) {
+        logger.error(`Failed to record end of job run ${runId}:`, error.message);
+    } finally {
+        if (client) await closeConnection(client);
+    }
+}
+
+async function hasSucceededRun(name, scheduledFor) {
+    const { client, collection } = await getJobRunsCollection();
+    try {
+        return Boolean(await collection.findOne({ jobName: name, scheduledFor, status: 'succeeded' }));
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+function withTimeout(promise, jobName, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new JobTimeoutError(jobName, timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Executes a job once and writes a record to the job_runs collection.
+ * The run is wrapped in a MongoDB lease so only one replica executes a given
+ * window. A timed out handler keeps running in the background and keeps its
+ * lease until it actually settles, so the next tick does not overlap it.
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (schedule, startup, manual, catch_up)
+ * @param {Date} options.scheduledAt - Window the run covers; passed to the handler and used as the lock window
+ * @param {string} options.windowKey - Explicit lock window, overrides the one derived from the trigger
+ * @returns {Promise<Object>} - The run outcome
+ */
+async function runJob(name, { trigger = 'schedule', scheduledAt, windowKey: explicitWindowKey } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    const startedAt = new Date();
+    // Scheduled ticks share a window across replicas; other triggers always get their own
+    let windowKey = explicitWindowKey;
+    if (!windowKey) {
+        windowKey = trigger === 'schedule'
+            ? getWindowKey(name, scheduledAt || startedAt)
+            : `${name}@${trigger}:${INSTANCE_ID}:${startedAt.toISOString()}`;
+    }
+
+    let lock;
+    try {
+        lock = await acquireLock(name, { windowKey });
+    } catch (error) {
+        logger.error(`Could not acquire lock for ${name} job, skipping this run:`, error.message);
+        return { status: 'skipped', reason: 'lock_error' };
+    }
+    if (!lock) {
+        logger.info(`${name} job is running or already ran for ${windowKey} on another worker, skipping this run`);
+        return { status: 'skipped', reason: 'locked' };
+    }
+    // Catch-up keys change with every attempt, so another replica may have run
+    // the window under a different key since the missed windows were worked out
+    if (trigger === 'catch_up') {
+        let alreadyRan;
+        try {
+            alreadyRan = await hasSucceededRun(name, scheduledAt);
+        } catch (error) {
+            await lock.release();
+            logger.error(`Could not check earlier runs of ${name} job, skipping this run:`, error.message);
+            return { status: 'skipped', reason: 'lock_error' };
+        }
+        if (alreadyRan) {
+            await lock.release();
+            logger.info(`${name} job already succeeded for ${scheduledAt.toISOString()}, skipping this run`);
+            return { status: 'skipped', reason: 'already_ran' };
+        }
+    }
+
+    job.running = true;
+    logger.info(`Starting ${name} job at:`, startedAt.toISOString());
+    const runId = await recordRunStart({
+        jobName: name,
+        trigger,
+        schedule: job.schedule,
+        windowKey,
+        host: os.hostname(),
+        pid: process.pid,
+        owner: lock.owner,
+        scheduledFor: scheduledAt || null,
+        startedAt,
+        status: 'running'
+    });
+
+    // Every line logged during the run, in any module, carries the run id
+    const logContext = { jobName: name, jobRunId: runId ? String(runId) : windowKey };
+    const runLogger = logger.child(logContext);
+    const execution = runWithLogContext(logContext,
+        () => Promise.resolve().then(() => job.handler({ trigger, startedAt, scheduledAt })));
+    const settled = execution.catch(() => {}).finally(async () => {
+        job.running = false;
+        await lock.release();
+    });
+    inFlight.add(settled);
+    settled.then(() => inFlight.delete(settled), () => inFlight.delete(settled));
+
+    let status = 'succeeded';
+    let error = null;
+    try {
+        await withTimeout(execution, name, job.timeoutMs);
+    } catch (err) {
+        status = err instanceof JobTimeoutError ? 'timed_out' : 'failed';
+        error = { message: err.message, stack: err.stack };
+        runLogger.error(`Error in ${name} job:`, err);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+    await recordRunEnd(runId, { status, finishedAt, durationMs, error });
+
+    runLogger.info(`Completed ${name} job at: ${finishedAt.toISOString()} (${status}, ${durationMs}ms)`);
+    return { runId, status, durationMs, error };
+}
+
+function scheduleTask(job) {
+    if (job.task) {
+        job.task.stop();
+        job.task = null;
+    }
+    if (!started || job.paused) return;
+    job.task = cron.schedule(job.schedule, async (now) => {
+        const scheduledAt = now instanceof Date ? now : new Date();
+        if (job.catchUp === 'all') {
+            // Earlier windows that failed or were missed run first so periods stay in order
+            await catchUpJob(job.name, { before: scheduledAt });
+        }
+        return runJob(job.name, { scheduledAt });
+    });
+}
+
+/**
+ * Applies persisted overrides to a job and reschedules it if anything changed
+ */
+function applyJobSettings(job, settings = {}) {
+    const paused = Boolean(settings.paused);
+    const scheduleOverride = settings.scheduleOverride || null;
+    const schedule = scheduleOverride || job.defaultSchedule;
+    const changed = paused !== job.paused || schedule !== job.schedule;
+
+    job.paused = paused;
+    job.scheduleOverride = scheduleOverride;
+    job.schedule = schedule;
+
+    if (changed) {
+        logger.info(`Applied settings for ${job.name} job: ${paused ? 'paused' : `schedule ${schedule}`}`);
+        scheduleTask(job);
+    }
+}
+
+/**
+ * Reloads overrides from MongoDB so changes made through any replica's
+ * admin API take effect here too
+ */
+async function syncJobSettings() {
+    try {
+        const settings = await loadJobSettings();
+        for (const job of jobs.values()) {
+            const jobSettings = settings.get(job.name);
+            if (jobSettings?.scheduleOverride && !cron.validate(jobSettings.scheduleOverride)) {
+                logger.error(`Ignoring invalid schedule override for ${job.name} job: ${jobSettings.scheduleOverride}`);
+                applyJobSettings(job, { paused: jobSettings.paused });
+                continue;
+            }
+            applyJobSettings(job, jobSettings);
+        }
+    } catch (error) {
+        logger.error('Failed to sync job settings:', error.message);
+    }
+}
+
+/**
+ * Finds the windows a job should have run in but has no successful (or live)
+ * run for. Jobs that never succeeded have nothing to catch up.
+ * @param {Object} job - Registered job
+ * @param {Date} before - Only windows strictly before this time are returned
+ * @returns {Promise<Array<Date>>} - Missed windows, oldest first
+ */
+async function findMissedWindows(job, before = new Date()) {
+    const { client, collection } = await getJobRunsCollection();
+    let runs;
+    try {
+        runs = await collection
+            .find({ jobName: job.name, status: { $in: ['succeeded', 'running'] } })
+            .sort({ startedAt: -1 })
+            .limit(50)
+            .toArray();
+    } finally {
+        await closeConnection(client);
+    }
+
+    // A run still marked as running only covers its window while it could still be alive
+    const staleBefore = Date.now() - job.timeoutMs;
+    const coveredUntil = runs
+        .filter(run => run.status === 'succeeded' || new Date(run.startedAt).getTime() > staleBefore)
+        .map(run => new Date(run.scheduledFor || run.startedAt).getTime())
+        .reduce((latest, time) => Math.max(latest, time), -Infinity);
+
+    if (!Number.isFinite(coveredUntil)) {
+        return [];
+    }
+
+    const windows = [];
+    let cursor = new Date(coveredUntil);
+    for (;;) {
+        const next = getNextRun(job.schedule, cursor);
+        if (!next || next >= before) break;
+        windows.push(next);
+        cursor = next;
+    }
+
+    if (job.catchUp === 'latest') {
+        return windows.slice(-1);
+    }
+    if (windows.length > job.maxCatchUpRuns) {
+        logger.warn(`${job.name} job missed ${windows.length} windows; only the latest ${job.maxCatchUpRuns} will be caught up`);
+        return windows.slice(-job.maxCatchUpRuns);
+    }
+    return windows;
+}
+
+/**
+ * Runs the windows a job missed, oldest first, stopping at the first failure
+ * so period-scoped jobs never skip ahead of a failed period.
+ * @param {string} name - Job name
+ * @param {Object} options - Catch-up options
+ * @param {Date} options.before - Only windows strictly before this time are replayed
+ * @returns {Promise<Array>} - Outcomes of the catch-up runs
+ */
+async function catchUpJob(name, { before = new Date() } = {}) {
+    const job = requireJob(name);
+    const outcomes = [];
+    let windows;
+    try {
+        windows = await findMissedWindows(job, before);
+    } catch (error) {
+        logger.error(`Failed to determine missed windows for ${name} job:`, error.message);
+        return outcomes;
+    }
+    if (windows.length === 0) return outcomes;
+
+    logger.info(`Catching up ${windows.length} missed window(s) for ${name} job`);
+    for (const window of windows) {
+        // Replicas agree on the key, and every retry of a window gets a fresh one
+        const { client, collection } = await getJobRunsCollection();
+        let attempts;
+        try {
+            attempts = await collection.countDocuments({ jobName: name, scheduledFor: window });
+        } finally {
+            await closeConnection(client);
+        }
+
+        const outcome = await runJob(name, {
+            trigger: 'catch_up',
+            scheduledAt: window,
+            windowKey: `${getWindowKey(name, window)}:catch_up:${attempts}`
+        });
+        outcomes.push({ window, ...outcome });
+        if (outcome.status !== 'succeeded' && outcome.reason !== 'already_ran') {
+            logger.error(`Catch-up of ${name} job stopped at ${window.toISOString()} (${outcome.status})`);
+            break;
+        }
+    }
+    return outcomes;
+}
+
+/**
+ * Catches up every catch-up enabled, unpaused job, one job at a time
+ */
+async function catchUpMissedRuns() {
+    for (const job of jobs.values()) {
+        if (job.catchUp && !job.paused) {
+            await catchUpJob(job.name);
+        }
+    }
+}
+
+/**
+ * Schedules every registered job with node-cron, honouring persisted
+ * pause and schedule overrides, and keeps them in sync afterwards
+ */
+async function startJobs() {
+    await syncJobSettings();
+    started = true;
+    for (const job of jobs.values()) {
+        if (!job.task) scheduleTask(job);
+    }
+    if (!settingsSyncTimer) {
+        settingsSyncTimer = setInterval(syncJobSettings, jobSettingsSyncMs);
+        settingsSyncTimer.unref();
+    }
+    catchUpMissedRuns().catch(error => logger.error('Catch-up of missed runs failed:', error));
+}
+
+/**
+ * Stops every scheduled task. Runs already in progress are not interrupted.
+ */
+function stopJobs() {
+    started = false;
+    if (settingsSyncTimer) {
+        clearInterval(settingsSyncTimer);
+        settingsSyncTimer = null;
+    }
+    for (const job of jobs.values()) {
+        if (job.task) {
+            job.task.stop();
+            job.task = null;
+        }
+    }
+}
+
+/**
+ * Waits for running job handlers to finish and release their locks
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<boolean>} - True if every run finished in time
+ */
+async function drainJobs(timeoutMs) {
+    if (inFlight.size === 0) return true;
+    logger.info(`Waiting up to ${Math.round(timeoutMs / 1000)}s for ${inFlight.size} running job(s) to finish`);
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([Promise.all([...inFlight]).then(() => true), timedOut]);
+    clearTimeout(timer);
+    if (!drained) {
+        logger.warn(`${inFlight.size} job(s) still running after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    return drained;
+}
+
+function requireJob(name) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+    return job;
+}
+
+/**
+ * Pauses a job on every replica. Manual triggers still work while paused.
+ * @param {string} name - Job name
+ * @param {string} updatedBy - Who made the change
+ */
+async function pauseJob(name, updatedBy) {
+    const job = requireJob(name);
+    const settings = await saveJobSettings(name, { paused: true }, updatedBy);
+    applyJobSettings(job, settings);
+    return settings;
+}
+
+/**
+ * Resumes a paused job on every replica
+ * @param {string} name - Job name
+ * @param {string} updatedBy - Who made the change
+ */
+async function resumeJob(name, updatedBy) {
+    const job = requireJob(name);
+    const settings = await saveJobSettings(name, { paused: false }, updatedBy);
+    applyJobSettings(job, settings);
+    return settings;
+}
+
+/**
+ * Overrides a job's cron expression on every replica. Passing null restores the default.
+ * @param {string} name - Job name
+ * @param {string|null} schedule - node-cron expression, or null to clear the override
+ * @param {string} updatedBy - Who made the change
+ */
+async function setJobSchedule(name, schedule, updatedBy) {
+    const job = requireJob(name);
+    if (schedule !== null && !cron.validate(schedule)) {
+        throw new Error(`Invalid cron expression: ${schedule}`);
+    }
+    const settings = await saveJobSettings(name, { scheduleOverride: schedule }, updatedBy);
+    applyJobSettings(job, settings);
+    return settings;
+}
+
+/**
+ * Fetches recent run records for a job, newest first
+ * @param {string} name - Job name
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of records
+ * @param {string} options.status - Optional status filter
+ * @returns {Promise<Array>} - Array of run records
+ */
+async function getJobRuns(name, { limit = 20, status } = {}) {
+    const { client, collection } = await getJobRunsCollection();
+    try {
+        const query = { jobName: name };
+        if (status) query.status = status;
+        return await collection.find(query).sort({ startedAt: -1 }).limit(limit).toArray();
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Most recent successful run of a job
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} - Run record, or null if the job never succeeded
+ */
+async function getLastSuccessfulRun(name) {
+    const { client, collection } = await getJobRunsCollection();
+    try {
+        return await collection.findOne(
+            { jobName: name, status: 'succeeded' },
+            { sort: { finishedAt: -1 } }
+        );
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+module.exports = {
+    registerJob,
+    getJob,
+    listJobs,
+    runJob,
+    startJobs,
+    stopJobs,
+    drainJobs,
+    syncJobSettings,
+    catchUpJob,
+    catchUpMissedRuns,
+    findMissedWindows,
+    pauseJob,
+    resumeJob,
+    setJobSchedule,
+    getJobRuns,
+    getLastSuccessfulRun,
+    JobTimeoutError
+};
@@ -0,0 +1,38 @@
+// src/cron/jobSettings.js
+const { connect, closeConnection } = require('../db');
+const { dbName, jobSettingsCollectionName } = require('../config/config');
+
+async function withSettingsCollection(fn) {
+    const client = await connect();
+    try {
+        return await fn(client.db(dbName).collection(jobSettingsCollectionName));
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Loads the persisted overrides for every job, keyed by job name
+ * @returns {Promise<Map>} - Map of job name to { paused, scheduleOverride }
+ */
+async function loadJobSettings() {
+    const docs = await withSettingsCollection(collection => collection.find({}).toArray());
+    return new Map(docs.map(doc => [doc._id, doc]));
+}
+
+/**
+ * Persists an override for a single job. Only the provided fields are changed.
+ * @param {string} jobName - Job name
+ * @param {Object} changes - Fields to set, e.g. { paused: true } or { scheduleOverride: '0 * * * *' }
+ * @param {string} updatedBy - Who made the change
+ * @returns {Promise<Object>} - The updated settings document
+ */
+async function saveJobSettings(jobName, changes, updatedBy = 'admin-api') {
+    return withSettingsCollection(collection => collection.findOneAndUpdate(
+        { _id: jobName },
+        { $set: { ...changes, updatedAt: new Date(), updatedBy } },
+        { upsert: true, returnDocument: 'after' }
+    ));
+}
+
+module.exports = { loadJobSettings, saveJobSettings };
@@ -1,7 +1,6 @@
 // src/cron/jobs.js
-const cron = require('node-cron');
 const { updateSubscribers } = require('../services/subscriptionService');
-const { processTweets } = require('../services/tweetsService');
+const { processTweets, retryDeferredTweets } = require('../services/tweetsService');
 const { fetchAndUpdateCoins } = require('../services/coinsService');
 const { messageSender } = require('../services/messageSender');
 const { addSubscriber } = require('../services/addSubscribers');
@@ -10,129 +9,154 @@ const { updateInfluencerScores } = require('../services/updateInfluencerScores')
 const pnlNormalization = require('../services/pnlNormalization');
 const { verifyAndUpdateAllUsersFollow } = require('../services/verifyFollows');
 const { verifyAndUpdateAllUsersRetweet } = require('../services/verifyRetweets');
-const { calculateMonthlyPayouts } = require('../services/payoutService');
+const { calculateMonthlyPayouts, getPreviousMonthPeriod } = require('../services/payoutService');
 const { resetAllUsersCredits } = require('../services/resetCredits');
 const { cleanupCSVFiles } = require('./clean-csv-files');
 const { telegramBotListener } = require('../services/telegramBotListener');
 const { processAllTokens } = require('../services/lunarCrush');
+const { registerJob, runJob, startJobs } = require('./jobRegistry');
+const logger = require('../utils/logger');
 
-function startCronJobs() {
-    // One-time cleanup of CSV files when the application starts
-    // cleanupCSVFiles();
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
 
-    // Start Telegram bot listener for welcome messages
-    // telegramBotListener.startListening();
+let jobsRegistered = false;
+
+/**
+ * Declares every scheduled job in the job registry. Safe to call more than once.
+ */
+function registerCronJobs() {
+    if (jobsRegistered) return;
+    jobsRegistered = true;
 
     // updateInfluencerScores Every Sunday at midnight
-    cron.schedule('0 0 0 * * 0', async () => {
-        console.log('Starting influencer scores update at:', new Date().toISOString());
-        await updateInfluencerScores();
-        console.log('Completed influencer scores update at:', new Date().toISOString());
+    registerJob({
+        name: 'updateInfluencerScores',
+        schedule: '0 0 0 * * 0',
+        timeoutMs: HOUR_MS,
+        description: 'Refresh TweetScout scores for all influencers',
+        catchUp: 'latest',
+        handler: () => updateInfluencerScores()
     });
 
-    // updateSubscribers will run every 2 hours 
-    cron.schedule('0 */2 * * *', async () => {
-        console.log('Starting active subscription updater at:', new Date().toISOString());
-        await updateSubscribers();
+    // updateSubscribers will run every 2 hours
+    registerJob({
+        name: 'updateSubscribers',
+        schedule: '0 */2 * * *',
+        timeoutMs: 30 * MINUTE_MS,
+        description: 'Sync active subscriptions into influencer subscriber lists',
+        handler: () => updateSubscribers()
     });
 
     // fetchAndUpdateCoins will run every 20 minutes
-    cron.schedule('*/20 * * * *', async () => {
-        console.log('Starting coins update job at:', new Date().toISOString());
-        await fetchAndUpdateCoins();
+    registerJob({
+        name: 'fetchAndUpdateCoins',
+        schedule: '*/20 * * * *',
+        timeoutMs: 10 * MINUTE_MS,
+        description: 'Refresh the CoinGecko coins list',
+        handler: () => fetchAndUpdateCoins()
+    });
+
+    // processTweets will run every 3 hours; queue workers do the scraping, signals and delivery
+    registerJob({
+        name: 'processTweets',
+        schedule: '0 */3 * * *',
+        timeoutMs: 10 * MINUTE_MS,
+        description: 'Queue tweet scrapes for every influencer with subscribers',
+        handler: () => processTweets()
     });
 
-    // messageSender will run every 3 hours
-    let isProcessing = false;
-    cron.schedule('0 */3 * * *', async () => {
-        if (isProcessing) {
-            console.log('Previous processTweets job is still running, skipping this run');
-            return;
-        }
-
-        try {
-            isProcessing = true;
-            console.log('Starting message sender job at:', new Date().toISOString());
-            await processTweets();
-            console.log('Completed message sender job at:', new Date().toISOString());
-        } catch (error) {
-            console.error('Error in message sender job:', error);
-        } finally {
-            isProcessing = false;
-        }
+    // retryDeferredTweets will run every 15 minutes to queue tweets still waiting for signals
+    registerJob({
+        name: 'retryDeferredTweets',
+        schedule: '*/15 * * * *',
+        timeoutMs: HOUR_MS,
+        description: 'Queue signal generation for tweets still waiting for signals',
+        handler: () => retryDeferredTweets()
     });
 
     // backtesting job will run every 30 minutes
-    cron.schedule('*/30 * * * *', async () => {
-        console.log('Starting backtesting job at:', new Date().toISOString());
-        try {
-            await processSignals();
-            console.log('Completed backtesting job at:', new Date().toISOString());
-        } catch (error) {
-            console.error('Error in backtesting job:', error);
-        }
+    registerJob({
+        name: 'processSignals',
+        schedule: '*/30 * * * *',
+        timeoutMs: 2 * HOUR_MS,
+        description: 'Backtest generated signals',
+        handler: () => processSignals()
     });
 
     // pnl normalization job will run every 4 hours
-    cron.schedule('0 */4 * * *', async () => {
-        console.log('Starting PnL normalization job at:', new Date().toISOString());
-        await pnlNormalization.processOverallNormalization();
-        console.log('Completed PnL normalization job at:', new Date().toISOString());
+    registerJob({
+        name: 'pnlNormalization',
+        schedule: '0 */4 * * *',
+        timeoutMs: HOUR_MS,
+        description: 'Recalculate influencer impact factors from backtesting P&L',
+        handler: () => pnlNormalization.processOverallNormalization()
     });
 
     // Run LunarCrush aggregation job every day at 10:00 AM UTC
-    cron.schedule('0 10 * * *', async () => {
-        console.log('Starting LunarCrush aggregation job at:', new Date().toISOString());
-        try {
-            await processAllTokens();
-            console.log('Completed LunarCrush aggregation job at:', new Date().toISOString());
-        } catch (error) {
-            console.error('Error in LunarCrush aggregation job:', error);
-        }
+    registerJob({
+        name: 'lunarCrushAggregation',
+        schedule: '0 10 * * *',
+        timeoutMs: 3 * HOUR_MS,
+        description: 'Aggregate LunarCrush metrics for tracked tokens',
+        handler: () => processAllTokens()
     });
 
     // verifyFollows will run once every month (on the 1st day of the month at 00:00)
-    cron.schedule('0 0 1 * *', async () => {
-        console.log('Starting verifyFollows job at:', new Date().toISOString());
-        await verifyAndUpdateAllUsersFollow();
+    registerJob({
+        name: 'verifyFollows',
+        schedule: '0 0 1 * *',
+        timeoutMs: HOUR_MS,
+        description: 'Verify that users follow the project account',
+        catchUp: 'latest',
+        handler: () => verifyAndUpdateAllUsersFollow()
     });
 
     // verifyRetweets will run once every week (every Monday at 00:00)
-    cron.schedule('0 0 * * 1', async () => {
-        console.log('Starting verifyRetweets job at:', new Date().toISOString());
-        await verifyAndUpdateAllUsersRetweet();
+    registerJob({
+        name: 'verifyRetweets',
+        schedule: '0 0 * * 1',
+        timeoutMs: HOUR_MS,
+        description: 'Verify that users retweeted the latest project tweet',
+        catchUp: 'latest',
+        handler: () => verifyAndUpdateAllUsersRetweet()
     });
 
     // Calculate monthly payouts on the 1st of each month at 00:00
-    cron.schedule('0 0 1 * *', async () => {
-        console.log('Starting monthly payout calculation at:', new Date().toISOString());
-        await calculateMonthlyPayouts();
-        console.log('Completed monthly payout calculation at:', new Date().toISOString());
+    registerJob({
+        name: 'calculateMonthlyPayouts',
+        schedule: '0 0 1 * *',
+        timeoutMs: HOUR_MS,
+        description: 'Calculate influencer payouts for the previous month',
+        // Every missed month is paid out, oldest first; the window decides which month
+        catchUp: 'all',
+        handler: ({ scheduledAt }) => calculateMonthlyPayouts(getPreviousMonthPeriod(scheduledAt || new Date()))
     });
 
     // resetCredits will run once every month (on the 1st day of the month at 00:00)
-    cron.schedule('0 0 1 * *', async () => {
-        console.log('Starting resetCredits job at:', new Date().toISOString());
-        await resetAllUsersCredits();
+    registerJob({
+        name: 'resetCredits',
+        schedule: '0 0 1 * *',
+        timeoutMs: 30 * MINUTE_MS,
+        description: 'Reset user credits and clear signal subscribers',
+        catchUp: 'latest',
+        handler: () => resetAllUsersCredits()
     });
+}
+
+async function startCronJobs() {
+    // One-time cleanup of CSV files when the application starts
+    // cleanupCSVFiles();
+
+    // Start Telegram bot listener for welcome messages
+    // telegramBotListener.startListening();
 
-    console.log('Cron jobs are scheduled.');
+    registerCronJobs();
+    await startJobs();
 
-    // console.log('Starting active subscription updater at:', new Date().toISOString());
-    // updateSubscribers();
-    // console.log('Starting coins update job at:', new Date().toISOString());
-    // fetchAndUpdateCoins();
-    console.log('Starting tweets processing job at:', new Date().toISOString());
-    processTweets();
-    // console.log('Starting message sender job at:', new Date().toISOString());
-    // messageSender();
-    //  console.log('Starting influencer scores update at:', new Date().toISOString());
-    // updateInfluencerScores();
-    // console.log('Starting monthly payout calculation at:', new Date().toISOString());
-    // calculateMonthlyPayouts();
+    logger.info('Cron jobs are scheduled.');
 
-    // console.log('Starting LunarCrush aggregation job at:', new Date().toISOString());
-    // processAllTokens();   
+    runJob('processTweets', { trigger: 'startup' });
 
     // const twitterHandles = [
     //     "Steve_Cryptoo",
@@ -150,4 +174,4 @@ function startCronJobs() {
 
 }
 
-module.exports = { startCronJobs };
\ No newline at end of file
+module.exports = { startCronJobs, registerCronJobs };
\ No newline at end of file
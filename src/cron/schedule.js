@@ -0,0 +1,40 @@
+// src/cron/schedule.js
+const { CronExpressionParser } = require('cron-parser');
+
+/**
+ * Returns the first time the cron expression fires after (direction 1) or
+ * before (direction -1) `from`, or null when it never does, e.g. "0 0 30 2 *".
+ * Expressions validated by node-cron parse the same way here, 6-field ones
+ * included.
+ */
+function findMatch(expression, from, direction, { timezone } = {}) {
+    try {
+        const interval = CronExpressionParser.parse(expression, { currentDate: from, tz: timezone });
+        return (direction > 0 ? interval.next() : interval.prev()).toDate();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns the next time a cron expression fires strictly after `from`
+ * @param {string} expression - node-cron expression
+ * @param {Date} from - Reference time (defaults to now)
+ * @returns {Date|null} - Next run time, or null if it never fires
+ */
+function getNextRun(expression, from = new Date(), options = {}) {
+    return findMatch(expression, from, 1, options);
+}
+
+/**
+ * Returns the most recent time a cron expression fired at or before `before`
+ * @param {string} expression - node-cron expression
+ * @param {Date} before - Reference time (defaults to now)
+ * @returns {Date|null} - Previous run time, or null if it never fires
+ */
+function getPreviousRun(expression, before = new Date(), options = {}) {
+    // The parser looks strictly before its reference time
+    return findMatch(expression, new Date(new Date(before).getTime() + 1), -1, options);
+}
+
+module.exports = { getNextRun, getPreviousRun };
@@ -0,0 +1,51 @@
+const mockConnect = jest.fn();
+const mockClose = jest.fn();
+
+jest.mock('mongodb', () => ({
+  MongoClient: jest.fn().mockImplementation(() => ({
+    connect: mockConnect,
+    close: mockClose,
+    db: (name) => ({ name, collection: (collection) => ({ name: collection, db: name }) })
+  }))
+}));
+
+jest.mock('../../config/config', () => ({
+  mongoUri: 'mongodb://localhost:27017',
+  dbName: 'ctxbt-signal-flow',
+  logLevel: 'silent'
+}));
+
+const { MongoClient } = require('mongodb');
+const { connect, getCollection, disconnect } = require('../connection');
+
+describe('db connection', () => {
+  beforeEach(async () => {
+    await disconnect();
+    jest.clearAllMocks();
+    mockConnect.mockResolvedValue();
+  });
+
+  test('concurrent callers share one client', async () => {
+    const [first, second] = await Promise.all([connect(), connect()]);
+
+    expect(first).toBe(second);
+    expect(MongoClient).toHaveBeenCalledTimes(1);
+    expect(mockConnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('collection accessors default to the configured database', async () => {
+    expect(await getCollection('users')).toEqual({ name: 'users', db: 'ctxbt-signal-flow' });
+    expect(await getCollection('trades', 'backtesting_db')).toEqual({ name: 'trades', db: 'backtesting_db' });
+  });
+
+  test('reconnects after a failed attempt and closes on disconnect', async () => {
+    mockConnect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await expect(connect()).rejects.toThrow('ECONNREFUSED');
+    await connect();
+    await disconnect();
+
+    expect(MongoClient).toHaveBeenCalledTimes(2);
+    expect(mockClose).toHaveBeenCalledTimes(1);
+  });
+});
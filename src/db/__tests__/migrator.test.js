@@ -0,0 +1,129 @@
+const mockRecords = [];
+const mockRelease = jest.fn();
+
+jest.mock('../../config/config', () => ({
+  migrationsCollectionName: 'migrations',
+  influencerCollectionName: 'influencers',
+  tweetsCollectionName: 'tweets',
+  logLevel: 'silent'
+}));
+
+jest.mock('../connection', () => ({
+  getDb: jest.fn().mockResolvedValue({}),
+  getCollection: jest.fn().mockResolvedValue({
+    find: () => ({ sort: () => ({ toArray: async () => [...mockRecords] }) }),
+    insertOne: async (record) => { mockRecords.push(record); },
+    deleteOne: async ({ _id }) => { mockRecords.splice(mockRecords.findIndex(r => r._id === _id), 1); }
+  })
+}));
+
+jest.mock('../../cron/jobLock', () => ({
+  INSTANCE_ID: 'test',
+  acquireLock: jest.fn(async () => ({ release: mockRelease }))
+}));
+
+const { acquireLock } = require('../../cron/jobLock');
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../migrator');
+
+function migration(version, calls) {
+  return {
+    version,
+    name: `step-${version}`,
+    description: '',
+    up: async () => calls.push(`up ${version}`),
+    down: async () => calls.push(`down ${version}`)
+  };
+}
+
+describe('migrator', () => {
+  let calls;
+  let migrations;
+
+  beforeEach(() => {
+    mockRecords.length = 0;
+    jest.clearAllMocks();
+    calls = [];
+    migrations = [migration(1, calls), migration(2, calls), migration(3, calls)];
+  });
+
+  test('bundled migrations load in version order', () => {
+    const versions = loadMigrations().map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions.length).toBeGreaterThan(0);
+  });
+
+  test('up applies pending migrations once and records them', async () => {
+    expect(await migrateUp({ to: 2, migrations })).toEqual([1, 2]);
+    expect(await migrateUp({ migrations })).toEqual([3]);
+    expect(await migrateUp({ migrations })).toEqual([]);
+
+    expect(calls).toEqual(['up 1', 'up 2', 'up 3']);
+    expect(mockRecords.map(r => r._id)).toEqual([1, 2, 3]);
+    expect(mockRelease).toHaveBeenCalledTimes(3);
+  });
+
+  test('down rolls back newest first', async () => {
+    await migrateUp({ migrations });
+    calls.length = 0;
+
+    expect(await migrateDown({ migrations })).toEqual([3]);
+    expect(await migrateDown({ to: 0, migrations })).toEqual([2, 1]);
+    expect(calls).toEqual(['down 3', 'down 2', 'down 1']);
+
+    const status = await getMigrationStatus(migrations);
+    expect(status.every(s => s.appliedAt === null)).toBe(true);
+  });
+
+  test('a failed migration is not recorded and stops the run', async () => {
+    migrations[1].up = async () => { throw new Error('boom'); };
+
+    await expect(migrateUp({ migrations })).rejects.toThrow('boom');
+    expect(mockRecords.map(r => r._id)).toEqual([1]);
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  test('refuses to run while another process holds the lock', async () => {
+    acquireLock.mockResolvedValueOnce(null);
+
+    await expect(migrateUp({ migrations })).rejects.toThrow('Another process is running migrations');
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('migration 004', () => {
+  const extractTweets = require('../migrations/004-extract-tweets-collection');
+
+  // Sources as find() returns them, and a tweets collection that applies upserts by (twitterHandle, tweet_id)
+  function fakeDb(sources) {
+    const tweets = new Map();
+    const apply = ({ updateOne: { filter, update } }) => {
+      const key = `${filter.twitterHandle}:${filter.tweet_id}`;
+      const existing = tweets.get(key);
+      tweets.set(key, existing ? { ...existing, ...update.$set } : { ...update.$setOnInsert, ...update.$set });
+    };
+    const db = {
+      collection: (name) => name === 'tweets'
+        ? { createIndex: async () => {}, bulkWrite: async (ops) => ops.forEach(apply) }
+        : { find: () => sources[name] || [], updateMany: async () => {} }
+    };
+    return { db, tweets };
+  }
+
+  test('sets both checked markers on every migrated tweet', async () => {
+    const updatedAt = new Date('2025-01-01T00:00:00Z');
+    const { db, tweets } = fakeDb({
+      influencers: [{ twitterHandle: 'alice', updatedAt, tweets: [{ tweet_id: '1', content: '$BTC long', signalsGenerated: true }], processedTweetIds: ['1', '2'] }],
+      ctxbt_tweets: [{ twitterHandle: 'alice', updatedAt, tweets: [{ tweet_id: '1', content: '$BTC long' }, { tweet_id: '3', content: 'trade on maxxit' }] }]
+    });
+
+    await extractTweets.up({ db });
+
+    expect(tweets.size).toBe(3);
+    for (const tweet of tweets.values()) {
+      expect(tweet.relevanceCheckedAt).toBeInstanceOf(Date);
+      expect(tweet.platformCheckedAt).toBeInstanceOf(Date);
+    }
+    // A tweet in both sources keeps both verdicts
+    expect(tweets.get('alice:1')).toMatchObject({ relevant: true, mentionsPlatform: true });
+  });
+});
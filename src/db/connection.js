@@ -0,0 +1,77 @@
+// src/db/connection.js
+// Owns the process-wide MongoClient. Modules borrow it through connect(),
+// getDb() or getCollection(); only disconnect() (called on shutdown) closes it.
+const { MongoClient } = require('mongodb');
+const { mongoUri, dbName } = require('../config/config');
+const logger = require('../utils/logger');
+
+let client = null;
+let connecting = null;
+
+/**
+ * Returns the shared client, connecting on first use. Concurrent first
+ * callers wait for the same connection attempt.
+ * @returns {Promise<MongoClient>} - Connected client
+ */
+async function connect() {
+    if (client) return client;
+    if (!connecting) {
+        const candidate = new MongoClient(mongoUri, {
+            maxPoolSize: 20,
+            connectTimeoutMS: 30000,
+            socketTimeoutMS: 45000
+        });
+        connecting = candidate.connect()
+            .then(() => {
+                client = candidate;
+                logger.info('Connected to MongoDB');
+                return client;
+            })
+            .finally(() => {
+                connecting = null;
+            });
+    }
+    return connecting;
+}
+
+/**
+ * Kept for callers written against the old pooled-counter API. The shared
+ * client stays open until disconnect().
+ */
+async function closeConnection() {
+    return true;
+}
+
+/**
+ * @param {string} name - Database name, defaults to config.dbName
+ * @returns {Promise<Db>} - Database handle on the shared client
+ */
+async function getDb(name = dbName) {
+    return (await connect()).db(name);
+}
+
+/**
+ * @param {string} collectionName - Collection name
+ * @param {string} name - Database name, defaults to config.dbName
+ * @returns {Promise<Collection>} - Collection handle on the shared client
+ */
+async function getCollection(collectionName, name = dbName) {
+    return (await getDb(name)).collection(collectionName);
+}
+
+/**
+ * Closes the shared client. Only called on shutdown.
+ */
+async function disconnect() {
+    if (connecting) {
+        await connecting.catch(() => {});
+    }
+    if (client) {
+        const closing = client;
+        client = null;
+        await closing.close();
+        logger.info('MongoDB connection closed');
+    }
+}
+
+module.exports = { connect, closeConnection, getDb, getCollection, disconnect };
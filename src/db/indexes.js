@@ -0,0 +1,83 @@
+// src/db/indexes.js
+// Indexes for the hot queries, created at boot. createIndex is a no-op when
+// an identical index exists, so this is safe to run on every start and from
+// every replica. Add new entries to the end of the list.
+const {
+    dbName,
+    influencerCollectionName,
+    tweetsCollectionName,
+    tradingSignalsCollectionName,
+    jobRunsCollectionName,
+    deadLetterCollectionName,
+    classificationCacheCollectionName,
+    payoutsCollectionName,
+    jobWindowsCollectionName,
+    jobLock,
+    tweetClassification,
+    workQueue
+} = require('../config/config');
+const { getCollection } = require('./connection');
+const logger = require('../utils/logger');
+
+const BACKTESTING_DB = 'backtesting_db';
+
+const INDEXES = [
+    // Influencer lookups by handle (tweet processing, payouts, specialization checks)
+    { collection: influencerCollectionName, key: { twitterHandle: 1 } },
+    // Delivery picks up undelivered signals oldest first
+    { collection: tradingSignalsCollectionName, key: { generatedAt: 1 } },
+    { collection: tradingSignalsCollectionName, key: { twitterHandle: 1, generatedAt: 1 } },
+    // Signal lookups per tweet, coin and subscriber (retried generateSignal jobs, delivery status updates)
+    { collection: tradingSignalsCollectionName, key: { tweet_id: 1, coin: 1, personalizedFor: 1 } },
+    // Backtesting picks up signals that have not been backtested yet
+    { db: BACKTESTING_DB, collection: 'trading_signals_backtesting', key: { backtesting_done: 1 } },
+    { db: BACKTESTING_DB, collection: 'backtesting_results_with_reasoning', key: { 'Twitter Account': 1, 'Signal Generation Date': 1 } },
+    // Job history and readiness checks
+    { collection: jobRunsCollectionName, key: { jobName: 1, startedAt: -1 } },
+    { collection: jobRunsCollectionName, key: { jobName: 1, status: 1, finishedAt: -1 } },
+    // One document per scraped tweet; signal generation picks up pending ones per handle
+    { collection: tweetsCollectionName, key: { twitterHandle: 1, tweet_id: 1 }, options: { unique: true } },
+    { collection: tweetsCollectionName, key: { twitterHandle: 1, signalsGenerated: 1, createdAt: 1 } },
+    { collection: tweetsCollectionName, key: { analysisStatus: 1 } },
+    // Promotional tweets per handle and month (payouts)
+    { collection: tweetsCollectionName, key: { twitterHandle: 1, mentionsPlatform: 1, timestamp: 1 } },
+    // Work queue: claims per stage, dedupe of pending / running jobs, expiry of finished ones
+    { collection: workQueue.collectionName, key: { stage: 1, status: 1, availableAt: 1 } },
+    { collection: workQueue.collectionName, key: { dedupeKey: 1 }, options: { unique: true, partialFilterExpression: { active: true } } },
+    { collection: workQueue.collectionName, key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+    // Dead letter listings by status and stage, and lookups per influencer
+    { collection: deadLetterCollectionName, key: { status: 1, stage: 1, createdAt: -1 } },
+    { collection: deadLetterCollectionName, key: { 'payload.twitterHandle': 1, createdAt: -1 } },
+    // Cached tweet classifications expire so prompt or model drift does not linger
+    { collection: classificationCacheCollectionName, key: { createdAt: 1 }, options: { expireAfterSeconds: Math.round(tweetClassification.cacheTtlMs / 1000) } },
+    // Thread parents and quoted tweets are looked up by id when assembling context
+    { collection: tweetsCollectionName, key: { tweet_id: 1 } },
+    // One payout ledger entry per influencer and month, voided ones aside; listings per period and status
+    { collection: payoutsCollectionName, key: { twitterHandle: 1, year: 1, month: 1 }, options: { unique: true, partialFilterExpression: { active: true } } },
+    { collection: payoutsCollectionName, key: { year: 1, month: 1, status: 1 } },
+    // Executed cron windows are forgotten once no catch-up can reach them
+    { collection: jobWindowsCollectionName, key: { claimedAt: 1 }, options: { expireAfterSeconds: Math.round(jobLock.windowRetentionMs / 1000) } }
+];
+
+/**
+ * Creates every index in INDEXES. A failure is logged and does not stop the
+ * others or the application.
+ * @returns {Promise<Object>} - { created, failed } counts
+ */
+async function ensureIndexes() {
+    let created = 0;
+    let failed = 0;
+    for (const { db = dbName, collection, key, options = {} } of INDEXES) {
+        try {
+            await (await getCollection(collection, db)).createIndex(key, options);
+            created++;
+        } catch (error) {
+            failed++;
+            logger.error(`Failed to create index ${JSON.stringify(key)} on ${db}.${collection}:`, error);
+        }
+    }
+    logger.info(`Ensured ${created} indexes${failed ? `, ${failed} failed` : ''}`);
+    return { created, failed };
+}
+
+module.exports = { ensureIndexes, INDEXES };
@@ -0,0 +1,58 @@
+// src/db/migrations/001-normalize-influencer-subscribers.js
+// Influencer subscribers were written both as usernames and as
+// { username, sent } objects; signal generation expects usernames.
+const { influencerCollectionName } = require('../../config/config');
+
+const HAS_OBJECT_SUBSCRIBER = { subscribers: { $elemMatch: { username: { $exists: true } } } };
+
+module.exports = {
+    description: 'Store influencer subscribers as plain usernames',
+
+    async up({ db }) {
+        await db.collection(influencerCollectionName).updateMany(HAS_OBJECT_SUBSCRIBER, [
+            {
+                $set: {
+                    legacySubscribers: '$subscribers',
+                    subscribers: {
+                        $setUnion: [{
+                            $map: {
+                                input: '$subscribers',
+                                as: 'subscriber',
+                                in: {
+                                    $cond: [
+                                        { $eq: [{ $type: '$$subscriber' }, 'object'] },
+                                        '$$subscriber.username',
+                                        '$$subscriber'
+                                    ]
+                                }
+                            }
+                        }]
+                    }
+                }
+            }
+        ]);
+    },
+
+    async down({ db }) {
+        // Subscribers added since the migration are kept as usernames
+        await db.collection(influencerCollectionName).updateMany({ legacySubscribers: { $exists: true } }, [
+            {
+                $set: {
+                    subscribers: {
+                        $concatArrays: [
+                            '$legacySubscribers',
+                            {
+                                $filter: {
+                                    input: '$subscribers',
+                                    as: 'subscriber',
+                                    cond: { $not: [{ $in: ['$$subscriber', '$legacySubscribers.username'] }] }
+                                }
+                            }
+                        ]
+                    }
+                }
+            },
+            { $unset: 'legacySubscribers' }
+        ]);
+    }
+};
@@ -0,0 +1,40 @@
+// src/db/migrations/002-add-numeric-final-pnl.js
+// Backtesting results store "Final P&L" as a percent string ("12.50%").
+// Adds finalPnlPercent as a number alongside it; readers prefer the number.
+const BACKTESTING_DB = 'backtesting_db';
+const COLLECTIONS = ['backtesting_results_with_reasoning', 'trading_signals_backtesting'];
+
+const toNumber = {
+    $convert: {
+        input: {
+            $trim: { input: { $replaceAll: { input: { $toString: '$Final P&L' }, find: '%', replacement: '' } } }
+        },
+        to: 'double',
+        onError: null,
+        onNull: null
+    }
+};
+
+module.exports = {
+    description: 'Add numeric finalPnlPercent to backtesting documents',
+
+    async up({ getDb }) {
+        const db = await getDb(BACKTESTING_DB);
+        for (const name of COLLECTIONS) {
+            await db.collection(name).updateMany(
+                { 'Final P&L': { $exists: true, $ne: null }, finalPnlPercent: { $exists: false } },
+                [{ $set: { finalPnlPercent: toNumber } }]
+            );
+        }
+    },
+
+    async down({ getDb }) {
+        const db = await getDb(BACKTESTING_DB);
+        for (const name of COLLECTIONS) {
+            await db.collection(name).updateMany(
+                { finalPnlPercent: { $exists: true } },
+                { $unset: { finalPnlPercent: '' } }
+            );
+        }
+    }
+};
@@ -0,0 +1,21 @@
+// src/db/migrations/003-lunarcrush-token-symbol.js
+// Older LunarCrush token documents only carry "Token Mentioned".
+const { lunarcrushTokensCollectionName } = require('../../config/config');
+
+module.exports = {
+    description: 'Copy "Token Mentioned" into symbol on LunarCrush tokens',
+
+    async up({ db }) {
+        await db.collection(lunarcrushTokensCollectionName).updateMany(
+            { symbol: { $exists: false }, 'Token Mentioned': { $exists: true } },
+            [{ $set: { symbol: { $toUpper: '$Token Mentioned' }, symbolFromTokenMentioned: true } }]
+        );
+    },
+
+    async down({ db }) {
+        await db.collection(lunarcrushTokensCollectionName).updateMany(
+            { symbolFromTokenMentioned: true },
+            { $unset: { symbol: '', symbolFromTokenMentioned: '' } }
+        );
+    }
+};
@@ -0,0 +1,106 @@
+// src/db/migrations/004-extract-tweets-collection.js
+// Moves tweets out of the influencers.tweets / processedTweetIds and
+// ctxbt_tweets.tweets / processedTweetIds arrays into the tweets collection,
+// one document per (twitterHandle, tweet_id).
+const { influencerCollectionName, tweetsCollectionName } = require('../../config/config');
+
+const PLATFORM_COLLECTION = 'ctxbt_tweets';
+const BATCH_SIZE = 500;
+
+async function flush(tweetsCollection, ops) {
+    if (ops.length > 0) {
+        await tweetsCollection.bulkWrite(ops.splice(0, ops.length), { ordered: false });
+    }
+}
+
+// The other source's marker is only set on insert: the pipeline checks both
+// at once and would classify a tweet again if either were missing
+function upsert(twitterHandle, tweet_id, set, checkedAt, otherCheckedField) {
+    return {
+        updateOne: {
+            filter: { twitterHandle, tweet_id },
+            update: { $set: set, $setOnInsert: { twitterHandle, tweet_id, createdAt: checkedAt, [otherCheckedField]: checkedAt } },
+            upsert: true
+        }
+    };
+}
+
+/**
+ * Copies one source collection's embedded arrays into the tweets collection
+ * @param {Function} toFields - Maps an embedded tweet to the fields to set
+ * @param {string} checkedField - Marks ids the source had already processed
+ * @param {string} otherCheckedField - The other source's marker, set on new documents
+ */
+async function extract(db, sourceName, toFields, checkedField, otherCheckedField) {
+    const source = db.collection(sourceName);
+    const tweetsCollection = db.collection(tweetsCollectionName);
+    const cursor = source.find(
+        { $or: [{ 'tweets.0': { $exists: true } }, { 'processedTweetIds.0': { $exists: true } }] },
+        { projection: { twitterHandle: 1, tweets: 1, processedTweetIds: 1, updatedAt: 1 } }
+    );
+    const ops = [];
+
+    for await (const doc of cursor) {
+        const checkedAt = doc.updatedAt || new Date();
+        const stored = new Set();
+        for (const tweet of doc.tweets || []) {
+            stored.add(tweet.tweet_id);
+            const { tweet_id, createdAt, ...fields } = tweet;
+            ops.push(upsert(doc.twitterHandle, tweet_id, { ...toFields(fields), [checkedField]: createdAt || checkedAt }, createdAt || checkedAt, otherCheckedField));
+        }
+        // Ids that were processed but never stored (irrelevant, stale or without coins)
+        for (const tweet_id of doc.processedTweetIds || []) {
+            if (!stored.has(tweet_id)) {
+                ops.push(upsert(doc.twitterHandle, tweet_id, { [checkedField]: checkedAt }, checkedAt, otherCheckedField));
+            }
+        }
+        if (ops.length >= BATCH_SIZE) {
+            await flush(tweetsCollection, ops);
+        }
+    }
+    await flush(tweetsCollection, ops);
+    await source.updateMany({}, { $unset: { tweets: '', processedTweetIds: '' } });
+}
+
+/**
+ * Rebuilds one source collection's embedded arrays from the tweets collection
+ * @param {Function} wasStored - Whether the source kept the tweet in full
+ * @param {string} checkedField - Marks ids the source had processed
+ */
+async function embed(db, sourceName, wasStored, checkedField) {
+    const source = db.collection(sourceName);
+    const tweetsCollection = db.collection(tweetsCollectionName);
+    const handles = await tweetsCollection.distinct('twitterHandle', { [checkedField]: { $exists: true } });
+
+    for (const twitterHandle of handles) {
+        const checked = await tweetsCollection.find({ twitterHandle, [checkedField]: { $exists: true } })
+            .sort({ createdAt: 1 })
+            .toArray();
+        const tweets = checked.filter(wasStored).map(tweet => {
+            const {
+                _id, twitterHandle: handle, updatedAt, relevant, relevanceCheckedAt, mentionsPlatform, platformCheckedAt, ...embedded
+            } = tweet;
+            return embedded;
+        });
+        await source.updateOne(
+            { twitterHandle },
+            { $set: { tweets, processedTweetIds: checked.map(tweet => tweet.tweet_id) } }
+        );
+    }
+}
+
+module.exports = {
+    description: 'Move embedded tweet arrays into the tweets collection',
+
+    async up({ db }) {
+        await db.collection(tweetsCollectionName).createIndex({ twitterHandle: 1, tweet_id: 1 }, { unique: true });
+        await extract(db, influencerCollectionName, fields => ({ ...fields, relevant: true }), 'relevanceCheckedAt', 'platformCheckedAt');
+        await extract(db, PLATFORM_COLLECTION, fields => ({ ...fields, mentionsPlatform: true }), 'platformCheckedAt', 'relevanceCheckedAt');
+    },
+
+    // Tweets stay in the tweets collection so that running up again is lossless
+    async down({ db }) {
+        await embed(db, influencerCollectionName, tweet => tweet.signalsGenerated !== undefined, 'relevanceCheckedAt');
+        await embed(db, PLATFORM_COLLECTION, tweet => tweet.mentionsPlatform === true, 'platformCheckedAt');
+    }
+};
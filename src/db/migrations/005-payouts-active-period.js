@@ -0,0 +1,36 @@
+// src/db/migrations/005-payouts-active-period.js
+// Narrows the unique (twitterHandle, year, month) payout index to entries
+// with active: true, so a voided entry no longer blocks recalculating its
+// month. Entries that are not voided are marked active first.
+const { payoutsCollectionName } = require('../../config/config');
+
+const KEY = { twitterHandle: 1, year: 1, month: 1 };
+const INDEX_NAME = 'twitterHandle_1_year_1_month_1';
+const INDEX_NOT_FOUND = 27;
+
+async function dropPeriodIndex(payouts) {
+    try {
+        await payouts.dropIndex(INDEX_NAME);
+    } catch (error) {
+        if (error.code !== INDEX_NOT_FOUND) throw error;
+    }
+}
+
+module.exports = {
+    description: 'Let voided payouts release their period',
+
+    async up({ db }) {
+        const payouts = db.collection(payoutsCollectionName);
+        await payouts.updateMany({ status: { $ne: 'voided' } }, { $set: { active: true } });
+        await dropPeriodIndex(payouts);
+        await payouts.createIndex(KEY, { name: INDEX_NAME, unique: true, partialFilterExpression: { active: true } });
+    },
+
+    // Fails on the unique index while a voided entry shares its month with a newer one
+    async down({ db }) {
+        const payouts = db.collection(payoutsCollectionName);
+        await dropPeriodIndex(payouts);
+        await payouts.createIndex(KEY, { name: INDEX_NAME, unique: true });
+        await payouts.updateMany({}, { $unset: { active: '' } });
+    }
+};
@@ -0,0 +1,200 @@
+// src/db/migrator.js
+// Versioned schema migrations. Each file in src/db/migrations is named
+// `<version>-<name>.js` and exports { description, up, down }; both receive
+// { db, getDb } (the default database and an accessor for the others).
+// Applied versions are recorded in the `migrations` collection.
+const fs = require('fs');
+const path = require('path');
+const { migrationsCollectionName } = require('../config/config');
+const { getDb, getCollection } = require('./connection');
+const { acquireLock, INSTANCE_ID } = require('../cron/jobLock');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+/**
+ * Reads every migration file, ordered by version
+ * @param {string} dir - Directory to read, defaults to src/db/migrations
+ * @returns {Array} - [{ version, name, description, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || '',
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+async function getAppliedMigrations() {
+    const collection = await getCollection(migrationsCollectionName);
+    return collection.find({}).sort({ _id: 1 }).toArray();
+}
+
+/**
+ * Every known migration with whether and when it was applied
+ * @returns {Promise<Array>} - [{ version, name, description, appliedAt }]
+ */
+async function getMigrationStatus(migrations = loadMigrations()) {
+    const applied = new Map((await getAppliedMigrations()).map(record => [record._id, record]));
+    const status = migrations.map(({ version, name, description }) => ({
+        version,
+        name,
+        description,
+        appliedAt: applied.get(version)?.appliedAt || null
+    }));
+    // Applied versions whose file is gone can't be rolled back; report them
+    for (const [version, record] of applied) {
+        if (!migrations.some(migration => migration.version === version)) {
+            status.push({ version, name: record.name, description: 'Missing migration file', appliedAt: record.appliedAt, missing: true });
+        }
+    }
+    return status.sort((a, b) => a.version - b.version);
+}
+
+// Only one process may migrate at a time; reuses the job lock collection
+async function withMigrationLock(fn) {
+    const lock = await acquireLock('migrations', { windowKey: `migrate:${INSTANCE_ID}:${Date.now()}` });
+    if (!lock) {
+        throw new Error('Another process is running migrations');
+    }
+    try {
+        return await fn();
+    } finally {
+        await lock.release();
+    }
+}
+
+async function context() {
+    return { db: await getDb(), getDb };
+}
+
+/**
+ * Applies pending migrations in version order, stopping at the first failure
+ * @param {Object} options - { to } highest version to apply (default: all)
+ * @returns {Promise<Array>} - Versions applied
+ */
+async function migrateUp({ to = Infinity, migrations = loadMigrations() } = {}) {
+    return withMigrationLock(async () => {
+        const applied = new Set((await getAppliedMigrations()).map(record => record._id));
+        const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+        const collection = await getCollection(migrationsCollectionName);
+        const ctx = await context();
+        const done = [];
+
+        for (const migration of pending) {
+            const label = `${migration.version}-${migration.name}`;
+            logger.info(`Applying migration ${label}`);
+            const startedAt = Date.now();
+            try {
+                await migration.up(ctx);
+            } catch (error) {
+                logger.error(`Migration ${label} failed:`, error);
+                throw error;
+            }
+            await collection.insertOne({
+                _id: migration.version,
+                name: migration.name,
+                description: migration.description,
+                appliedAt: new Date(),
+                durationMs: Date.now() - startedAt
+            });
+            done.push(migration.version);
+        }
+
+        logger.info(done.length > 0 ? `Applied ${done.length} migration(s)` : 'No pending migrations');
+        return done;
+    });
+}
+
+/**
+ * Rolls back applied migrations, newest first
+ * @param {Object} options - { steps } how many to roll back (default 1), or { to } the version to keep
+ * @returns {Promise<Array>} - Versions rolled back
+ */
+async function migrateDown({ steps = 1, to, migrations = loadMigrations() } = {}) {
+    return withMigrationLock(async () => {
+        const applied = (await getAppliedMigrations()).map(record => record._id).sort((a, b) => b - a);
+        const targets = to !== undefined
+            ? applied.filter(version => version > to)
+            : applied.slice(0, steps);
+        const collection = await getCollection(migrationsCollectionName);
+        const ctx = await context();
+        const done = [];
+
+        for (const version of targets) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Cannot roll back migration ${version}: its file is missing`);
+            }
+            const label = `${migration.version}-${migration.name}`;
+            logger.info(`Rolling back migration ${label}`);
+            try {
+                await migration.down(ctx);
+            } catch (error) {
+                logger.error(`Rollback of migration ${label} failed:`, error);
+                throw error;
+            }
+            await collection.deleteOne({ _id: version });
+            done.push(version);
+        }
+
+        logger.info(done.length > 0 ? `Rolled back ${done.length} migration(s)` : 'Nothing to roll back');
+        return done;
+    });
+}
+
+/**
+ * Writes a new migration file with the next version number
+ * @param {string} name - Short description, e.g. "add-tweets-collection"
+ * @returns {string} - Path of the created file
+ */
+function createMigration(name, dir = MIGRATIONS_DIR) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!slug) {
+        throw new Error('Migration name is required');
+    }
+    const migrations = loadMigrations(dir);
+    const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+    const file = path.join(dir, `${String(version).padStart(3, '0')}-${slug}.js`);
+    fs.writeFileSync(file, `// ${path.relative(path.join(__dirname, '../..'), file)}
+module.exports = {
+    description: '${slug.replace(/-/g, ' ')}',
+
+    async up({ db, getDb }) {
+    },
+
+    async down({ db, getDb }) {
+    }
+};
+`);
+    return file;
+}
+
+module.exports = {
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    createMigration,
+    MIGRATIONS_DIR
+};
@@ -0,0 +1,87 @@
+const { ObjectId } = require('mongodb');
+
+const mockEntries = new Map();
+
+jest.mock('../../config/config', () => ({
+  logLevel: 'silent',
+  deadLetterCollectionName: 'dead_letters',
+  workQueue: { stages: { generateSignal: {}, extractCoins: {} } }
+}));
+
+jest.mock('../workQueue', () => ({
+  enqueue: jest.fn().mockResolvedValue('job1')
+}));
+
+// Just enough of a collection for single-document updates by _id and status
+jest.mock('../../db', () => {
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+  return {
+    getCollection: jest.fn().mockResolvedValue({
+      insertOne: async (doc) => {
+        const _id = new (require('mongodb').ObjectId)();
+        mockEntries.set(String(_id), { ...doc, _id });
+        return { insertedId: _id };
+      },
+      findOne: async (filter) => [...mockEntries.values()].find(doc => matches(doc, filter)) || null,
+      updateOne: async (filter, update) => {
+        const doc = [...mockEntries.values()].find(d => matches(d, filter));
+        if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+        Object.assign(doc, update.$set);
+        for (const key of Object.keys(update.$unset || {})) delete doc[key];
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+    })
+  };
+});
+
+const { enqueue } = require('../workQueue');
+const { recordDeadLetter, buildDeadLetterFilter, replayDeadLetter } = require('../deadLetters');
+
+describe('dead letters', () => {
+  beforeEach(() => {
+    mockEntries.clear();
+    jest.clearAllMocks();
+  });
+
+  test('filters default to open entries and match payload fields', () => {
+    expect(buildDeadLetterFilter({ stage: 'generateSignal', twitterHandle: 'alice', error: 'rate (limit)' })).toEqual({
+      status: 'open',
+      stage: 'generateSignal',
+      'payload.twitterHandle': 'alice',
+      'error.message': { $regex: 'rate \\(limit\\)', $options: 'i' }
+    });
+    expect(buildDeadLetterFilter({ status: 'all' })).toEqual({});
+    expect(() => buildDeadLetterFilter({ status: 'bogus' })).toThrow('Invalid dead letter status');
+    expect(() => buildDeadLetterFilter({ since: 'yesterday' })).toThrow('Invalid dead letter filter');
+  });
+
+  test('replay queues the payload on the same stage once', async () => {
+    const payload = { twitterHandle: 'alice', tweet_id: '1', coin: 'bitcoin', subscriber: 'bob' };
+    const id = String(await recordDeadLetter({ stage: 'generateSignal', payload, error: new Error('Perplexity down') }));
+
+    expect(await replayDeadLetter(id, 'ops')).toEqual({ id, replayed: true, jobId: 'job1' });
+    expect(enqueue).toHaveBeenCalledWith('generateSignal', payload, { replayOf: new ObjectId(id) });
+    expect(mockEntries.get(id)).toMatchObject({ status: 'replayed', replayedBy: 'ops', replayJobId: 'job1' });
+
+    expect(await replayDeadLetter(id, 'ops')).toEqual({ id, replayed: false, reason: 'Already replayed' });
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('a coin extraction that failed on the LLM can be replayed', async () => {
+    const payload = { twitterHandle: 'alice', tweet_id: '1' };
+    const id = String(await recordDeadLetter({ stage: 'extractCoins', payload, error: new Error('OpenAI timeout'), attempts: 3 }));
+
+    expect(mockEntries.get(id)).toMatchObject({ stage: 'extractCoins', status: 'open', error: expect.objectContaining({ message: 'OpenAI timeout' }) });
+    expect(await replayDeadLetter(id, 'ops')).toMatchObject({ replayed: true });
+    expect(enqueue).toHaveBeenCalledWith('extractCoins', payload, { replayOf: new ObjectId(id) });
+  });
+
+  test('a failed enqueue leaves the entry open', async () => {
+    const id = String(await recordDeadLetter({ stage: 'generateSignal', payload: {}, error: new Error('boom') }));
+    enqueue.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(replayDeadLetter(id)).rejects.toThrow('db down');
+    expect(mockEntries.get(id).status).toBe('open');
+    expect(mockEntries.get(id).replayedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+const mockJobs = [];
+
+jest.mock('../../config/config', () => ({
+  logLevel: 'silent',
+  workQueue: {
+    pollIntervalMs: 60000,
+    stages: { testStage: { concurrency: 2, maxAttempts: 3, visibilityTimeoutMs: 60000 } }
+  }
+}));
+
+jest.mock('../workQueue', () => ({
+  claim: jest.fn(async () => mockJobs.shift() || null),
+  releaseExpired: jest.fn().mockResolvedValue([]),
+  extendLease: jest.fn().mockResolvedValue(true),
+  complete: jest.fn().mockResolvedValue(true),
+  fail: jest.fn().mockResolvedValue('pending'),
+  postpone: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../deadLetters', () => ({
+  recordDeadLetter: jest.fn().mockResolvedValue('dl1')
+}));
+
+const { claim, releaseExpired, complete, fail, postpone } = require('../workQueue');
+const { recordDeadLetter } = require('../deadLetters');
+const { getLogContext } = require('../../utils/logger');
+const { CircuitOpenError } = require('../../utils/circuitBreaker');
+const { registerStage, startWorkers, stopWorkers, drainWorkers, PostponeJobError } = require('../workers');
+
+const handler = jest.fn();
+registerStage('testStage', (payload, job) => handler(payload, job));
+
+function job(id, payload = {}, attempts = 1) {
+  return { _id: id, stage: 'testStage', attempts, maxAttempts: 3, payload };
+}
+
+async function runQueued(...jobs) {
+  mockJobs.push(...jobs);
+  startWorkers();
+  // Freed slots are refilled without waiting for the poll interval
+  await new Promise(resolve => setTimeout(resolve, 50));
+  stopWorkers();
+  await drainWorkers(1000);
+}
+
+describe('queue workers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockJobs.length = 0;
+  });
+
+  test('runs claimed jobs with the payload in the log context and completes them', async () => {
+    handler.mockImplementation(async () => ({ context: getLogContext() }));
+    await runQueued(job('a', { twitterHandle: 'alice', tweet_id: '1' }));
+
+    expect(handler).toHaveBeenCalledWith({ twitterHandle: 'alice', tweet_id: '1' }, expect.objectContaining({ _id: 'a' }));
+    const [, result] = complete.mock.calls[0];
+    expect(result.context).toMatchObject({ queueStage: 'testStage', queueJobId: 'a', twitterHandle: 'alice', tweet_id: '1' });
+  });
+
+  test('does not claim more jobs than the stage concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    handler.mockImplementation(async () => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+    await runQueued(job('a'), job('b'), job('c'));
+
+    expect(complete).toHaveBeenCalledTimes(3);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('postpones on open circuits and PostponeJobError, fails on other errors', async () => {
+    handler
+      .mockRejectedValueOnce(new CircuitOpenError('coingecko', new Date(Date.now() + 120000)))
+      .mockRejectedValueOnce(new PostponeJobError('later', 5000))
+      .mockRejectedValueOnce(new Error('boom'));
+    await runQueued(job('a'), job('b'), job('c'));
+
+    expect(postpone).toHaveBeenCalledTimes(2);
+    expect(postpone.mock.calls[1]).toEqual([expect.objectContaining({ _id: 'b' }), 5000, 'later']);
+    expect(fail).toHaveBeenCalledWith(expect.objectContaining({ _id: 'c' }), expect.objectContaining({ message: 'boom' }));
+    expect(complete).not.toHaveBeenCalled();
+    expect(recordDeadLetter).not.toHaveBeenCalled();
+  });
+
+  test('dead-letters a job that fails its last attempt', async () => {
+    handler.mockRejectedValueOnce(new Error('still broken'));
+    await runQueued(job('a', { coin: 'bitcoin' }, 3));
+
+    expect(recordDeadLetter).toHaveBeenCalledWith(expect.objectContaining({
+      stage: 'testStage',
+      payload: { coin: 'bitcoin' },
+      attempts: 3,
+      jobId: 'a',
+      error: expect.objectContaining({ message: 'still broken' })
+    }));
+    expect(fail).toHaveBeenCalled();
+  });
+
+  test('dead-letters jobs whose lease expired on their last attempt', async () => {
+    const lastError = { message: 'Lease expired on the last attempt; the worker died or stalled' };
+    releaseExpired.mockResolvedValueOnce([{ ...job('a', { coin: 'solana' }, 3), lastError }]);
+    await runQueued();
+
+    expect(releaseExpired).toHaveBeenCalledWith('testStage');
+    expect(recordDeadLetter).toHaveBeenCalledWith(expect.objectContaining({
+      stage: 'testStage',
+      payload: { coin: 'solana' },
+      attempts: 3,
+      jobId: 'a',
+      error: lastError
+    }));
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('stops claiming once stopped', async () => {
+    stopWorkers();
+    mockJobs.push(job('a'));
+    await drainWorkers(1000);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
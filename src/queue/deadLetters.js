@@ -0,0 +1,260 @@
+// src/queue/deadLetters.js
+// Units of pipeline work that failed for good: queue jobs that used up their
+// attempts and per-subscriber failures in the sequential signal generation
+// loop. Each entry keeps the stage, the payload that stage needs and the
+// error, so it can be fixed up and replayed through the same stage handler.
+const { ObjectId } = require('mongodb');
+const { deadLetterCollectionName, workQueue } = require('../config/config');
+const { getCollection } = require('../db');
+const { enqueue } = require('./workQueue');
+const logger = require('../utils/logger');
+
+const DEAD_LETTER_STATUS = {
+    OPEN: 'open',
+    REPLAYED: 'replayed',
+    DISCARDED: 'discarded'
+};
+
+// Payload fields that can be filtered on directly
+const PAYLOAD_FILTERS = ['twitterHandle', 'tweet_id', 'coin', 'subscriber', 'signalId'];
+
+async function getDeadLetterCollection() {
+    return getCollection(deadLetterCollectionName);
+}
+
+function toObjectId(id) {
+    if (!ObjectId.isValid(id)) {
+        throw new Error(`Invalid dead letter id: ${id}`);
+    }
+    return new ObjectId(id);
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Stores a failed unit of work
+ * @param {Object} entry - { stage, payload, error, attempts, jobId, replayOf, source }
+ *   source: what gave up on the work, e.g. "queue" or the function name
+ * @returns {Promise<ObjectId>} - The dead letter id
+ */
+async function recordDeadLetter({ stage, payload, error, attempts = 1, jobId, replayOf, source = 'queue' }) {
+    const now = new Date();
+    const { jobName, jobRunId } = logger.getLogContext();
+    const entry = {
+        stage,
+        payload,
+        status: DEAD_LETTER_STATUS.OPEN,
+        source,
+        error: { name: error?.name, message: error?.message || String(error), stack: error?.stack },
+        attempts,
+        jobId: jobId || null,
+        replayOf: replayOf || null,
+        // The scheduled run the failure happened in, if any
+        jobName: jobName || null,
+        jobRunId: jobRunId || null,
+        createdAt: now,
+        updatedAt: now
+    };
+    const { insertedId } = await (await getDeadLetterCollection()).insertOne(entry);
+    logger.warn(`Dead-lettered ${stage} work ${insertedId}: ${entry.error.message}`);
+    return insertedId;
+}
+
+/**
+ * Builds a MongoDB filter from query options
+ * @param {Object} options - { stage, status, error, source, since, until, replayOf } plus
+ *   any of twitterHandle, tweet_id, coin, subscriber, signalId (matched in the payload).
+ *   status defaults to "open"; pass "all" for every status. error matches a substring.
+ */
+function buildDeadLetterFilter(options = {}) {
+    const filter = {};
+    const status = options.status || DEAD_LETTER_STATUS.OPEN;
+    if (status !== 'all') {
+        if (!Object.values(DEAD_LETTER_STATUS).includes(status)) {
+            throw new Error(`Invalid dead letter status: ${status}`);
+        }
+        filter.status = status;
+    }
+    if (options.stage) filter.stage = options.stage;
+    if (options.source) filter.source = options.source;
+    if (options.replayOf) filter.replayOf = toObjectId(options.replayOf);
+    if (options.error) filter['error.message'] = { $regex: escapeRegex(options.error), $options: 'i' };
+    for (const field of PAYLOAD_FILTERS) {
+        if (options[field]) filter[`payload.${field}`] = options[field];
+    }
+    if (options.since || options.until) {
+        filter.createdAt = {};
+        for (const [key, op] of [['since', '$gte'], ['until', '$lt']]) {
+            if (!options[key]) continue;
+            const date = new Date(options[key]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid dead letter filter: ${key} must be a valid date`);
+            }
+            filter.createdAt[op] = date;
+        }
+    }
+    return filter;
+}
+
+/**
+ * Dead letters matching the filter options, newest first
+ * @param {Object} options - Filter options (see buildDeadLetterFilter) plus { limit, skip }
+ * @returns {Promise<Object>} - { total, items }
+ */
+async function listDeadLetters({ limit = 50, skip = 0, ...options } = {}) {
+    const collection = await getDeadLetterCollection();
+    const filter = buildDeadLetterFilter(options);
+    const [total, items] = await Promise.all([
+        collection.countDocuments(filter),
+        collection.find(filter, { projection: { 'error.stack': 0 } })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray()
+    ]);
+    return { total, items };
+}
+
+async function getDeadLetter(id) {
+    return (await getDeadLetterCollection()).findOne({ _id: toObjectId(id) });
+}
+
+/**
+ * Replaces the payload of an open dead letter, e.g. to fix a bad coin id
+ * before replaying it. The previous payload is kept in `edits`.
+ * @param {string} id - Dead letter id
+ * @param {Object} payload - New payload
+ * @param {string} updatedBy - Who made the change
+ * @returns {Promise<Object|null>} - The updated dead letter, or null when not found or not open
+ */
+async function updateDeadLetterPayload(id, payload, updatedBy) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('Invalid dead letter payload: must be an object');
+    }
+    const collection = await getDeadLetterCollection();
+    const current = await collection.findOne({ _id: toObjectId(id), status: DEAD_LETTER_STATUS.OPEN });
+    if (!current) return null;
+
+    const now = new Date();
+    return collection.findOneAndUpdate(
+        { _id: current._id, status: DEAD_LETTER_STATUS.OPEN },
+        {
+            $set: { payload, updatedAt: now },
+            $push: { edits: { at: now, by: updatedBy || null, previousPayload: current.payload } }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Queues an open dead letter on its stage again. The replayed job runs the
+ * same handler as the original; if it fails for good it becomes a new dead
+ * letter with `replayOf` pointing here.
+ * @param {string} id - Dead letter id
+ * @param {string} replayedBy - Who asked for the replay
+ * @returns {Promise<Object>} - { id, replayed, jobId, reason }
+ */
+async function replayDeadLetter(id, replayedBy) {
+    const collection = await getDeadLetterCollection();
+    const entry = await collection.findOne({ _id: toObjectId(id) });
+    if (!entry) {
+        return { id, replayed: false, reason: 'Not found' };
+    }
+    if (entry.status !== DEAD_LETTER_STATUS.OPEN) {
+        return { id, replayed: false, reason: `Already ${entry.status}` };
+    }
+    if (!workQueue.stages[entry.stage]) {
+        return { id, replayed: false, reason: `Unknown stage ${entry.stage}` };
+    }
+
+    // Claim the entry first so concurrent replays queue it only once
+    const now = new Date();
+    const claimed = await collection.updateOne(
+        { _id: entry._id, status: DEAD_LETTER_STATUS.OPEN },
+        { $set: { status: DEAD_LETTER_STATUS.REPLAYED, replayedAt: now, replayedBy: replayedBy || null, updatedAt: now } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return { id, replayed: false, reason: 'Replayed concurrently' };
+    }
+
+    try {
+        const jobId = await enqueue(entry.stage, entry.payload, { replayOf: entry._id });
+        await collection.updateOne({ _id: entry._id }, { $set: { replayJobId: jobId } });
+        logger.info(`Replayed dead letter ${entry._id} as ${entry.stage} job ${jobId}`);
+        return { id, replayed: true, jobId };
+    } catch (error) {
+        await collection.updateOne(
+            { _id: entry._id },
+            { $set: { status: DEAD_LETTER_STATUS.OPEN, updatedAt: new Date() }, $unset: { replayedAt: '', replayedBy: '' } }
+        );
+        throw error;
+    }
+}
+
+/**
+ * Replays every open dead letter matching the filter options
+ * @param {Object} options - Filter options (see buildDeadLetterFilter) plus { limit }
+ * @param {string} replayedBy - Who asked for the replay
+ * @returns {Promise<Object>} - { matched, replayed, results }
+ */
+async function replayDeadLetters({ limit = 500, ...options } = {}, replayedBy) {
+    const filter = { ...buildDeadLetterFilter(options), status: DEAD_LETTER_STATUS.OPEN };
+    const entries = await (await getDeadLetterCollection())
+        .find(filter, { projection: { _id: 1 } })
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .toArray();
+
+    const results = [];
+    for (const { _id } of entries) {
+        results.push(await replayDeadLetter(String(_id), replayedBy));
+    }
+    return { matched: entries.length, replayed: results.filter(result => result.replayed).length, results };
+}
+
+/**
+ * Marks an open dead letter as not worth replaying
+ * @returns {Promise<boolean>} - False when not found or not open
+ */
+async function discardDeadLetter(id, discardedBy, reason) {
+    const now = new Date();
+    const result = await (await getDeadLetterCollection()).updateOne(
+        { _id: toObjectId(id), status: DEAD_LETTER_STATUS.OPEN },
+        { $set: { status: DEAD_LETTER_STATUS.DISCARDED, discardedAt: now, discardedBy: discardedBy || null, discardReason: reason || null, updatedAt: now } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Open dead letters per stage, e.g. for metrics
+ * @returns {Promise<Object>} - { [stage]: count }
+ */
+async function countOpenDeadLetters() {
+    const rows = await (await getDeadLetterCollection()).aggregate([
+        { $match: { status: DEAD_LETTER_STATUS.OPEN } },
+        { $group: { _id: '$stage', count: { $sum: 1 } } }
+    ]).toArray();
+    const counts = {};
+    for (const stage of Object.keys(workQueue.stages)) {
+        counts[stage] = 0;
+    }
+    for (const { _id, count } of rows) {
+        counts[_id] = count;
+    }
+    return counts;
+}
+
+module.exports = {
+    recordDeadLetter,
+    buildDeadLetterFilter,
+    listDeadLetters,
+    getDeadLetter,
+    updateDeadLetterPayload,
+    replayDeadLetter,
+    replayDeadLetters,
+    discardDeadLetter,
+    countOpenDeadLetters,
+    DEAD_LETTER_STATUS
+};
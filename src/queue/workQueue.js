@@ -0,0 +1,281 @@
+// src/queue/workQueue.js
+// MongoDB-backed job queue. A job is one unit of pipeline work for a stage.
+// Workers claim jobs by leasing them: a claimed job becomes invisible until
+// its visibility timeout passes, so a job whose worker crashed is picked up
+// again by another, until it runs out of attempts. Failed jobs are retried
+// with backoff and marked dead once they run out of attempts, as are jobs
+// whose lease expired on their last one (the workers copy them to the dead
+// letter collection, see deadLetters.js).
+const { ObjectId } = require('mongodb');
+const { workQueue } = require('../config/config');
+const { getCollection } = require('../db');
+const { INSTANCE_ID } = require('../cron/jobLock');
+const logger = require('../utils/logger');
+
+const STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    DEAD: 'dead'
+};
+
+async function getQueueCollection() {
+    return getCollection(workQueue.collectionName);
+}
+
+function stageSettings(stage) {
+    const settings = workQueue.stages[stage];
+    if (!settings) {
+        throw new Error(`Unknown queue stage: ${stage}`);
+    }
+    return settings;
+}
+
+/**
+ * Adds a job to a stage
+ * @param {string} stage - Stage name, a key of config.workQueue.stages
+ * @param {Object} payload - Input for the stage handler
+ * @param {Object} options - { dedupeKey, delayMs, replayOf }
+ *   dedupeKey: no new job is added while a pending or running job has the same key
+ *   replayOf: id of the dead letter this job replays
+ * @returns {Promise<ObjectId|null>} - The job id, or null when deduplicated
+ */
+async function enqueue(stage, payload, { dedupeKey, delayMs = 0, replayOf } = {}) {
+    const { maxAttempts } = stageSettings(stage);
+    const now = new Date();
+    const job = {
+        stage,
+        payload,
+        status: STATUS.PENDING,
+        // Only set while pending or running; the unique dedupe index is partial on it
+        active: true,
+        attempts: 0,
+        maxAttempts,
+        availableAt: new Date(now.getTime() + delayMs),
+        createdAt: now,
+        updatedAt: now
+    };
+    if (dedupeKey) {
+        job.dedupeKey = dedupeKey;
+    }
+    if (replayOf) {
+        job.replayOf = replayOf;
+    }
+    // Jobs enqueued while handling another job record where they came from
+    const parentJobId = logger.getLogContext().queueJobId;
+    if (parentJobId) {
+        job.parentJobId = new ObjectId(parentJobId);
+    }
+
+    try {
+        const { insertedId } = await (await getQueueCollection()).insertOne(job);
+        return insertedId;
+    } catch (error) {
+        if (error.code === 11000 && dedupeKey) {
+            logger.debug(`Skipped ${stage} job ${dedupeKey}: already queued`);
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Leases the next available job of a stage to this process
+ * @param {string} stage - Stage name
+ * @returns {Promise<Object|null>} - The claimed job, or null when none is available
+ */
+async function claim(stage) {
+    const { visibilityTimeoutMs } = stageSettings(stage);
+    const now = new Date();
+    // Running jobs past their visibility timeout belong to a worker that died or
+    // stalled; once they are out of attempts they are left to releaseExpired()
+    return (await getQueueCollection()).findOneAndUpdate(
+        {
+            stage,
+            status: { $in: [STATUS.PENDING, STATUS.RUNNING] },
+            availableAt: { $lte: now },
+            $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        },
+        {
+            $set: {
+                status: STATUS.RUNNING,
+                owner: INSTANCE_ID,
+                availableAt: new Date(now.getTime() + visibilityTimeoutMs),
+                startedAt: now,
+                updatedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { availableAt: 1 }, returnDocument: 'after' }
+    );
+}
+
+/**
+ * Marks as dead the running jobs of a stage whose lease expired on their last
+ * attempt. Their worker never got to fail them, so they would otherwise stay
+ * running forever.
+ * @param {string} stage - Stage name
+ * @returns {Promise<Array>} - The jobs marked dead, for the caller to dead-letter
+ */
+async function releaseExpired(stage) {
+    stageSettings(stage);
+    const collection = await getQueueCollection();
+    const released = [];
+    for (;;) {
+        const now = new Date();
+        const job = await collection.findOneAndUpdate(
+            {
+                stage,
+                status: STATUS.RUNNING,
+                availableAt: { $lte: now },
+                $expr: { $gte: ['$attempts', '$maxAttempts'] }
+            },
+            {
+                $set: {
+                    status: STATUS.DEAD,
+                    deadAt: now,
+                    updatedAt: now,
+                    lastError: { message: 'Lease expired on the last attempt; the worker died or stalled', at: now },
+                    expiresAt: new Date(now.getTime() + workQueue.completedRetentionMs)
+                },
+                $unset: { active: '' }
+            },
+            { returnDocument: 'after' }
+        );
+        if (!job) break;
+        logger.error(`${stage} job ${job._id} dead-lettered after ${job.attempts} attempts: ${job.lastError.message}`);
+        released.push(job);
+    }
+    return released;
+}
+
+// Updates a job only while this process still holds its lease
+async function updateClaimed(job, update) {
+    const result = await (await getQueueCollection()).updateOne(
+        { _id: job._id, owner: INSTANCE_ID, attempts: job.attempts, status: STATUS.RUNNING },
+        update
+    );
+    if (result.matchedCount === 0) {
+        logger.warn(`Lost lease on ${job.stage} job ${job._id}; another worker took it over`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Pushes the visibility timeout of a running job forward
+ * @param {Object} job - Claimed job
+ * @returns {Promise<boolean>} - False when the lease was lost
+ */
+async function extendLease(job) {
+    const { visibilityTimeoutMs } = stageSettings(job.stage);
+    const now = new Date();
+    return updateClaimed(job, { $set: { availableAt: new Date(now.getTime() + visibilityTimeoutMs), updatedAt: now } });
+}
+
+/**
+ * Marks a claimed job as done
+ * @param {Object} job - Claimed job
+ * @param {*} result - Optional summary stored on the job
+ */
+async function complete(job, result) {
+    const now = new Date();
+    return updateClaimed(job, {
+        $set: {
+            status: STATUS.DONE,
+            finishedAt: now,
+            updatedAt: now,
+            durationMs: now - job.startedAt,
+            result: result === undefined ? null : result,
+            expiresAt: new Date(now.getTime() + workQueue.completedRetentionMs)
+        },
+        $unset: { active: '' }
+    });
+}
+
+function retryDelay(attempts) {
+    const delay = workQueue.retryBaseDelayMs * 2 ** (attempts - 1);
+    return Math.min(delay, workQueue.retryMaxDelayMs) * (0.8 + Math.random() * 0.4);
+}
+
+/**
+ * Records a failed attempt. The job is retried after a backoff, or
+ * dead-lettered once it has used all its attempts.
+ * @param {Object} job - Claimed job
+ * @param {Error} error - What went wrong
+ * @returns {Promise<string>} - The job's new status
+ */
+async function fail(job, error) {
+    const now = new Date();
+    const lastError = { message: error.message, stack: error.stack, at: now };
+    if (job.attempts >= job.maxAttempts) {
+        await updateClaimed(job, {
+            $set: {
+                status: STATUS.DEAD,
+                deadAt: now,
+                updatedAt: now,
+                lastError,
+                expiresAt: new Date(now.getTime() + workQueue.completedRetentionMs)
+            },
+            $unset: { active: '' }
+        });
+        logger.error(`${job.stage} job ${job._id} dead-lettered after ${job.attempts} attempts:`, error);
+        return STATUS.DEAD;
+    }
+
+    const delayMs = retryDelay(job.attempts);
+    await updateClaimed(job, {
+        $set: { status: STATUS.PENDING, availableAt: new Date(now.getTime() + delayMs), updatedAt: now, lastError }
+    });
+    logger.warn(`${job.stage} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delayMs / 1000)}s: ${error.message}`);
+    return STATUS.PENDING;
+}
+
+/**
+ * Puts a claimed job back without counting the attempt, e.g. while a
+ * provider's circuit breaker is open
+ * @param {Object} job - Claimed job
+ * @param {number} delayMs - How long to wait before it is available again
+ * @param {string} reason - Why the job was postponed
+ */
+async function postpone(job, delayMs, reason) {
+    const now = new Date();
+    await updateClaimed(job, {
+        $set: { status: STATUS.PENDING, availableAt: new Date(now.getTime() + delayMs), updatedAt: now, postponedReason: reason },
+        $inc: { attempts: -1 }
+    });
+    logger.info(`Postponed ${job.stage} job ${job._id} by ${Math.round(delayMs / 1000)}s: ${reason}`);
+}
+
+/**
+ * Job counts per stage and status, e.g. for the admin API and metrics
+ * @returns {Promise<Object>} - { [stage]: { pending, running, done, dead } }
+ */
+async function getQueueStats() {
+    const rows = await (await getQueueCollection()).aggregate([
+        { $group: { _id: { stage: '$stage', status: '$status' }, count: { $sum: 1 } } }
+    ]).toArray();
+    const stats = {};
+    for (const stage of Object.keys(workQueue.stages)) {
+        stats[stage] = { pending: 0, running: 0, done: 0, dead: 0 };
+    }
+    for (const { _id, count } of rows) {
+        if (stats[_id.stage]) {
+            stats[_id.stage][_id.status] = count;
+        }
+    }
+    return stats;
+}
+
+module.exports = {
+    enqueue,
+    claim,
+    releaseExpired,
+    extendLease,
+    complete,
+    fail,
+    postpone,
+    getQueueStats,
+    getQueueCollection,
+    STATUS
+};
@@ -0,0 +1,186 @@
+// src/queue/workers.js
+// Runs queue stages in this process. Each registered stage polls for jobs and
+// runs up to its configured concurrency at a time, so a slow stage (or one
+// slow influencer) only holds its own slots.
+const { workQueue } = require('../config/config');
+const { claim, releaseExpired, extendLease, complete, fail, postpone } = require('./workQueue');
+const { recordDeadLetter } = require('./deadLetters');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { runWithLogContext } = logger;
+
+// Registered stages keyed by name
+const stages = new Map();
+
+let started = false;
+
+/**
+ * Thrown by a handler to retry its job later without using up an attempt
+ */
+class PostponeJobError extends Error {
+    constructor(message, delayMs) {
+        super(message);
+        this.name = 'PostponeJobError';
+        this.delayMs = delayMs;
+    }
+}
+
+/**
+ * Declares the handler for a stage. Workers start with startWorkers().
+ * @param {string} name - Stage name, a key of config.workQueue.stages
+ * @param {Function} handler - async (payload, job) => result
+ */
+function registerStage(name, handler) {
+    if (!workQueue.stages[name]) {
+        throw new Error(`No queue settings for stage ${name}`);
+    }
+    if (stages.has(name)) {
+        throw new Error(`Stage ${name} is already registered`);
+    }
+    stages.set(name, { name, handler, running: new Set(), timer: null, polling: false });
+}
+
+// Payload fields that are also log context fields
+function payloadLogContext(payload = {}) {
+    const { twitterHandle, tweet_id, coin, subscriber, signalId } = payload;
+    return { twitterHandle, tweet_id, coin, subscriber, signalId };
+}
+
+async function runQueueJob(stage, job) {
+    const { visibilityTimeoutMs } = workQueue.stages[stage.name];
+    const heartbeat = setInterval(() => {
+        extendLease(job).catch(error => logger.error(`Failed to extend lease on ${stage.name} job ${job._id}:`, error.message));
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / 3)));
+    heartbeat.unref();
+
+    const logContext = { queueStage: stage.name, queueJobId: String(job._id), ...payloadLogContext(job.payload) };
+    await runWithLogContext(logContext, async () => {
+        try {
+            const result = await stage.handler(job.payload, job);
+            await complete(job, result);
+            metrics.queueJobOutcomes.inc({ stage: stage.name, outcome: 'done' });
+        } catch (error) {
+            if (error instanceof CircuitOpenError) {
+                await postpone(job, Math.max(error.retryAt - Date.now(), workQueue.pollIntervalMs), error.message);
+                metrics.queueJobOutcomes.inc({ stage: stage.name, outcome: 'postponed' });
+            } else if (error instanceof PostponeJobError) {
+                await postpone(job, error.delayMs, error.message);
+                metrics.queueJobOutcomes.inc({ stage: stage.name, outcome: 'postponed' });
+            } else {
+                // Out of attempts: keep the input and error where they can be inspected and replayed
+                if (job.attempts >= job.maxAttempts) {
+                    await recordDeadLetter({
+                        stage: stage.name,
+                        payload: job.payload,
+                        error,
+                        attempts: job.attempts,
+                        jobId: job._id,
+                        replayOf: job.replayOf
+                    });
+                }
+                const status = await fail(job, error);
+                metrics.queueJobOutcomes.inc({ stage: stage.name, outcome: status === 'dead' ? 'dead' : 'retry' });
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    });
+}
+
+// Jobs whose worker died on their last attempt never reach the catch above
+async function deadLetterExpired(stage) {
+    for (const job of await releaseExpired(stage.name)) {
+        await recordDeadLetter({
+            stage: stage.name,
+            payload: job.payload,
+            error: job.lastError,
+            attempts: job.attempts,
+            jobId: job._id,
+            replayOf: job.replayOf
+        });
+        metrics.queueJobOutcomes.inc({ stage: stage.name, outcome: 'dead' });
+    }
+}
+
+// Claims jobs until the stage is at its concurrency limit or the queue is empty
+async function poll(stage) {
+    if (!started || stage.polling) return;
+    stage.polling = true;
+    try {
+        await deadLetterExpired(stage);
+        const { concurrency } = workQueue.stages[stage.name];
+        while (started && stage.running.size < concurrency) {
+            const job = await claim(stage.name);
+            if (!job) break;
+
+            const execution = runQueueJob(stage, job)
+                .catch(error => logger.error(`Unhandled error in ${stage.name} worker:`, error))
+                .finally(() => {
+                    stage.running.delete(execution);
+                    // A free slot is filled right away instead of waiting for the next poll
+                    setImmediate(() => poll(stage));
+                });
+            stage.running.add(execution);
+        }
+    } catch (error) {
+        logger.error(`Failed to poll ${stage.name} queue:`, error.message);
+    } finally {
+        stage.polling = false;
+    }
+}
+
+/**
+ * Starts polling every registered stage
+ */
+function startWorkers() {
+    if (started) return;
+    started = true;
+    for (const stage of stages.values()) {
+        stage.timer = setInterval(() => poll(stage), workQueue.pollIntervalMs);
+        poll(stage);
+    }
+    logger.info(`Queue workers started for ${stages.size} stages`);
+}
+
+/**
+ * Stops claiming new jobs. Running jobs continue; see drainWorkers().
+ */
+function stopWorkers() {
+    started = false;
+    for (const stage of stages.values()) {
+        clearInterval(stage.timer);
+        stage.timer = null;
+    }
+}
+
+/**
+ * Waits for running jobs to finish. Jobs still running when the timeout passes
+ * become visible to other workers once their lease expires.
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<boolean>} - True if every job finished in time
+ */
+async function drainWorkers(timeoutMs) {
+    const running = [...stages.values()].flatMap(stage => [...stage.running]);
+    if (running.length === 0) return true;
+    logger.info(`Waiting up to ${Math.round(timeoutMs / 1000)}s for ${running.length} queue job(s) to finish`);
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([Promise.all(running).then(() => true), timedOut]);
+    clearTimeout(timer);
+    if (!drained) {
+        logger.warn('Queue jobs still running at shutdown; their leases will expire and another worker will retry them');
+    }
+    return drained;
+}
+
+module.exports = {
+    registerStage,
+    startWorkers,
+    stopWorkers,
+    drainWorkers,
+    PostponeJobError
+};
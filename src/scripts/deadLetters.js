@@ -0,0 +1,203 @@
+// Inspects and replays dead-lettered pipeline work (see src/queue/deadLetters.js).
+//
+//   node src/scripts/deadLetters.js list [filters] [--limit N]
+//   node src/scripts/deadLetters.js show <id>
+//   node src/scripts/deadLetters.js edit <id> --payload '<json>' | --set key=value [--set key=value ...]
+//   node src/scripts/deadLetters.js replay <id> [<id> ...]
+//   node src/scripts/deadLetters.js replay --all | [filters] [--limit N]
+//   node src/scripts/deadLetters.js discard <id> [--reason text]
+//
+// Filters: --stage, --status (open | replayed | discarded | all), --error (substring),
+// --source, --since, --until, --handle, --tweet, --coin, --subscriber, --signal
+const os = require('os');
+const { disconnect } = require('../db');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterPayload,
+  replayDeadLetter,
+  replayDeadLetters,
+  discardDeadLetter,
+} = require('../queue/deadLetters');
+
+// CLI option → filter field
+const FILTER_OPTIONS = {
+  '--stage': 'stage',
+  '--status': 'status',
+  '--error': 'error',
+  '--source': 'source',
+  '--since': 'since',
+  '--until': 'until',
+  '--handle': 'twitterHandle',
+  '--tweet': 'tweet_id',
+  '--coin': 'coin',
+  '--subscriber': 'subscriber',
+  '--signal': 'signalId',
+};
+
+const operator = `cli:${os.userInfo().username}`;
+
+function usage() {
+  console.log('Usage: node src/scripts/deadLetters.js <list [filters] | show <id> | edit <id> --payload <json> | --set k=v ... | replay <id ...> | replay --all | [filters] | discard <id> [--reason text]>');
+}
+
+// Splits argv into positional arguments and --option values (repeated options are collected)
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = args[i];
+    const value = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+  return { positional, options };
+}
+
+function readFilters(options) {
+  const filters = {};
+  for (const [option, field] of Object.entries(FILTER_OPTIONS)) {
+    if (typeof options[option] === 'string') filters[field] = options[option];
+  }
+  return filters;
+}
+
+function readLimit(options, fallback) {
+  if (options['--limit'] === undefined) return fallback;
+  const limit = parseInt(options['--limit'], 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('--limit expects a positive integer');
+  }
+  return limit;
+}
+
+// "--set coin=bitcoin" edits one payload field; values that parse as JSON are used as such
+function applySets(payload, sets) {
+  const next = { ...payload };
+  for (const assignment of [].concat(sets)) {
+    const index = String(assignment).indexOf('=');
+    if (index < 1) {
+      throw new Error(`--set expects key=value, got "${assignment}"`);
+    }
+    const key = assignment.slice(0, index);
+    const raw = assignment.slice(index + 1);
+    try {
+      next[key] = JSON.parse(raw);
+    } catch {
+      next[key] = raw;
+    }
+  }
+  return next;
+}
+
+function summarize(entry) {
+  const payload = Object.entries(entry.payload || {}).map(([key, value]) => `${key}=${value}`).join(' ');
+  return `${entry._id}  ${entry.createdAt.toISOString()}  ${entry.status.padEnd(9)}  ${entry.stage.padEnd(14)}  ${payload}  | ${entry.error?.message}`;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'list': {
+      const { total, items } = await listDeadLetters({ ...readFilters(options), limit: readLimit(options, 50) });
+      for (const entry of items) {
+        console.log(summarize(entry));
+      }
+      console.log(`${items.length} of ${total} dead letter(s)`);
+      break;
+    }
+    case 'show': {
+      const entry = positional[0] && await getDeadLetter(positional[0]);
+      if (!entry) {
+        console.error('Dead letter not found');
+        process.exitCode = 1;
+        return;
+      }
+      console.log(JSON.stringify(entry, null, 2));
+      break;
+    }
+    case 'edit': {
+      const entry = positional[0] && await getDeadLetter(positional[0]);
+      if (!entry) {
+        console.error('Dead letter not found');
+        process.exitCode = 1;
+        return;
+      }
+      let payload;
+      if (typeof options['--payload'] === 'string') {
+        payload = JSON.parse(options['--payload']);
+      } else if (options['--set'] !== undefined) {
+        payload = applySets(entry.payload, options['--set']);
+      } else {
+        usage();
+        process.exitCode = 1;
+        return;
+      }
+      const updated = await updateDeadLetterPayload(positional[0], payload, operator);
+      if (!updated) {
+        console.error(`Dead letter is ${entry.status}; only open entries can be edited`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(JSON.stringify(updated.payload, null, 2));
+      break;
+    }
+    case 'replay': {
+      const filters = readFilters(options);
+      let results;
+      if (positional.length > 0) {
+        results = [];
+        for (const id of positional) {
+          results.push(await replayDeadLetter(id, operator));
+        }
+      } else if (options['--all'] || Object.keys(filters).length > 0) {
+        ({ results } = await replayDeadLetters({ ...filters, limit: readLimit(options, 500) }, operator));
+      } else {
+        usage();
+        process.exitCode = 1;
+        return;
+      }
+      for (const result of results) {
+        console.log(result.replayed ? `${result.id}  queued as job ${result.jobId}` : `${result.id}  skipped: ${result.reason}`);
+      }
+      const replayed = results.filter(result => result.replayed).length;
+      console.log(`Replayed ${replayed} of ${results.length} dead letter(s)`);
+      if (replayed < results.length) process.exitCode = 1;
+      break;
+    }
+    case 'discard': {
+      if (!positional[0]) {
+        usage();
+        process.exitCode = 1;
+        return;
+      }
+      const reason = typeof options['--reason'] === 'string' ? options['--reason'] : undefined;
+      if (!await discardDeadLetter(positional[0], operator, reason)) {
+        console.error('Open dead letter not found');
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`Discarded ${positional[0]}`);
+      break;
+    }
+    default:
+      usage();
+      process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .catch((error) => {
+      console.error('Dead letter command failed:', error?.message || error);
+      process.exitCode = 1;
+    })
+    .finally(() => disconnect());
+}
+
+module.exports = { main, parseArgs, applySets };
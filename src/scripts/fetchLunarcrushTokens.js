@@ -1,58 +1,8 @@
-const axios = require("axios");
-const dotenv = require("dotenv");
 const fs = require("fs");
 const path = require("path");
 const { connect, closeConnection } = require("../db");
-const { dbName, lunarcrushTokensCollectionName } = require("../config/config");
-
-dotenv.config({ path: path.resolve(__dirname, "../../.env") });
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-let lastRequestAt = 0;
-const MIN_REQUEST_SPACING_MS = 6500; // ~9/min to stay under 10/minute
-
-async function rateLimitedGet(url, headers, attempt = 1) {
-  const now = Date.now();
-  const sinceLast = now - lastRequestAt;
-  if (sinceLast < MIN_REQUEST_SPACING_MS) {
-    await sleep(MIN_REQUEST_SPACING_MS - sinceLast);
-  }
-
-  try {
-    const response = await axios.get(url, { headers });
-    lastRequestAt = Date.now();
-    return response;
-  } catch (error) {
-    const status = error?.response?.status;
-    const headersResp = error?.response?.headers || {};
-
-    // Handle 429 with respect to minute reset header
-    if (status === 429) {
-      const resetEpochSec = Number(headersResp["x-rate-limit-minute-reset"]);
-      const currentEpochSec = Math.floor(Date.now() / 1000);
-      let waitMs = MIN_REQUEST_SPACING_MS;
-      if (!Number.isNaN(resetEpochSec) && resetEpochSec > currentEpochSec) {
-        waitMs = (resetEpochSec - currentEpochSec + 1) * 1000;
-      }
-      console.warn(
-        `Rate limited (429). Waiting ${Math.ceil(waitMs / 1000)}s before retry...`,
-      );
-      await sleep(waitMs);
-      if (attempt <= 5) {
-        return rateLimitedGet(url, headers, attempt + 1);
-      }
-    }
-
-    // Transient network errors: backoff and retry a few times
-    if (!status && attempt <= 3) {
-      const backoffMs = Math.min(30000, 2000 * attempt);
-      await sleep(backoffMs);
-      return rateLimitedGet(url, headers, attempt + 1);
-    }
-
-    throw error;
-  }
-}
+const httpClient = require("../utils/httpClient");
+const { dbName, lunarcrushTokensCollectionName, lunarcrush } = require("../config/config");
 
 function classifyToken(tokenData) {
   // Check if token is explicitly categorized as meme
@@ -117,9 +67,11 @@ async function fetchAllTokens(apiKey) {
     try {
       console.log(`Fetching page ${page + 1}...`);
 
-      const response = await rateLimitedGet(url, {
-        Authorization: `Bearer ${apiKey}`,
-        Accept: "application/json",
+      const response = await httpClient.get("lunarcrush", url, {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          Accept: "application/json",
+        },
       });
 
       const data = response.data;
@@ -370,7 +322,7 @@ async function main(useExistingFiles = false) {
 
     if (!useExistingFiles) {
       // Fetch from API
-      const apiKey = process.env.LUNARCRUSH_API_KEY;
+      const apiKey = lunarcrush.apiKey;
 
       if (!apiKey) {
         console.error("LUNARCRUSH_API_KEY environment variable is required");
@@ -0,0 +1,77 @@
+// Runs database migrations from src/db/migrations.
+//
+//   node src/scripts/migrate.js status
+//   node src/scripts/migrate.js up [--to <version>]
+//   node src/scripts/migrate.js down [--steps <n> | --to <version>]
+//   node src/scripts/migrate.js create <name>
+const { disconnect } = require('../db');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require('../db/migrator');
+
+function usage() {
+  console.log('Usage: node src/scripts/migrate.js <status | up [--to N] | down [--steps N | --to N] | create <name>>');
+}
+
+function readIntOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} expects a non-negative integer`);
+  }
+  return value;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [command, ...args] = argv;
+
+  switch (command) {
+    case 'status': {
+      const status = await getMigrationStatus();
+      if (status.length === 0) {
+        console.log('No migrations found');
+      }
+      for (const { version, name, description, appliedAt, missing } of status) {
+        const state = missing ? 'MISSING' : appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending';
+        console.log(`${String(version).padStart(3, '0')}-${name}  ${state}  ${description}`);
+      }
+      break;
+    }
+    case 'up': {
+      const applied = await migrateUp({ to: readIntOption(args, '--to') });
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Already up to date');
+      break;
+    }
+    case 'down': {
+      const rolledBack = await migrateDown({ steps: readIntOption(args, '--steps'), to: readIntOption(args, '--to') });
+      console.log(rolledBack.length > 0 ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back');
+      break;
+    }
+    case 'create':
+      if (!args[0]) {
+        usage();
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`Created ${createMigration(args.join('-'))}`);
+      break;
+    default:
+      usage();
+      process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .catch((error) => {
+      console.error('Migration failed:', error?.message || error);
+      process.exitCode = 1;
+    })
+    .finally(() => disconnect());
+}
+
+module.exports = { main };
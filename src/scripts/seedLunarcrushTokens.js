@@ -1,11 +1,8 @@
 const fs = require('fs');
 const path = require('path');
-const dotenv = require('dotenv');
 const { connect, closeConnection } = require('../db');
 const { dbName, lunarcrushTokensCollectionName } = require('../config/config');
 
-dotenv.config({ path: path.resolve(__dirname, '../../.env') });
-
 async function main() {
   let client;
   try {
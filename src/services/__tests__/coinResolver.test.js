@@ -0,0 +1,46 @@
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  logLevel: 'silent'
+}));
+
+const { resolveCoins, symbolConfidence } = require('../coinResolver');
+
+describe('resolveCoins', () => {
+  test('resolves well-known cashtags without the LLM', () => {
+    const resolution = resolveCoins('$BTC and $SOL breaking out, $PEPE next. Targets $100k');
+    expect(resolution.needsLlm).toBe(false);
+    expect(resolution.unresolved).toEqual([]);
+    expect(resolution.coins.map(coin => coin.id).sort()).toEqual(['bitcoin', 'pepe', 'solana']);
+    expect(resolution.coins.every(coin => coin.matchedBy === 'cashtag' && coin.confidence >= 0.8)).toBe(true);
+  });
+
+  test('prefers the longest name and the best-ranked coin for a shared symbol', () => {
+    const { coins } = resolveCoins('Bitcoin Cash looks ready, $TRUMP too');
+    expect(coins.map(coin => coin.id)).toEqual(expect.arrayContaining(['bitcoin-cash', 'official-trump']));
+    expect(coins.map(coin => coin.id)).not.toContain('bitcoin');
+  });
+
+  test('matches aliases but sends cashtag-less tweets to the LLM', () => {
+    const resolution = resolveCoins('eth looks heavy here, rotating into doge');
+    expect(resolution.coins.map(coin => [coin.id, coin.matchedBy])).toEqual([
+      ['ethereum', 'alias'],
+      ['dogecoin', 'alias']
+    ]);
+    expect(resolution.needsLlm).toBe(true);
+  });
+
+  test('sends unknown cashtags to the LLM', () => {
+    const resolution = resolveCoins('$BTC and $QQZZXX');
+    expect(resolution.unresolved).toEqual(['qqzzxx']);
+    expect(resolution.needsLlm).toBe(true);
+  });
+});
+
+describe('symbolConfidence', () => {
+  test('is low when the candidates are close in rank or unranked', () => {
+    expect(symbolConfidence([{ rank: 5 }])).toBeGreaterThanOrEqual(0.9);
+    expect(symbolConfidence([{ rank: 5 }, { rank: 500 }])).toBeGreaterThanOrEqual(0.8);
+    expect(symbolConfidence([{ rank: 50 }, { rank: 80 }])).toBeLessThan(0.8);
+    expect(symbolConfidence([{ rank: null }, { rank: null }])).toBeLessThan(0.8);
+  });
+});
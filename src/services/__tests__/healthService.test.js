@@ -0,0 +1,66 @@
+const mockCommand = jest.fn();
+const mockEnv = {};
+
+jest.mock('../../db', () => ({
+  connect: jest.fn(() => Promise.resolve({ db: () => ({ command: mockCommand }) })),
+  closeConnection: jest.fn()
+}));
+
+jest.mock('../../cron/jobRegistry', () => ({
+  getJob: jest.fn(() => ({ paused: false })),
+  getLastSuccessfulRun: jest.fn()
+}));
+
+jest.mock('../../utils/httpClient', () => ({ get: jest.fn() }));
+
+jest.mock('../../config/config', () => ({
+  dbName: 'test',
+  env: mockEnv,
+  logLevel: 'silent',
+  telegram: { botToken: '123:abc', apiBaseUrl: 'https://api.telegram.org' },
+  health: {
+    checkTimeoutMs: 1000,
+    telegramCheckCacheMs: 0,
+    criticalJobs: { processTweets: 60 * 60 * 1000 },
+    requiredEnv: ['HEALTH_TEST_API_KEY']
+  }
+}));
+
+const { getLastSuccessfulRun } = require('../../cron/jobRegistry');
+const httpClient = require('../../utils/httpClient');
+const { getReadiness } = require('../healthService');
+
+describe('healthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEnv.HEALTH_TEST_API_KEY = 'set';
+    mockCommand.mockResolvedValue({ ok: 1 });
+    getLastSuccessfulRun.mockResolvedValue({ finishedAt: new Date() });
+    httpClient.get.mockResolvedValue({ data: { ok: true, result: { username: 'ctxbt_bot' } } });
+  });
+
+  test('is ready when every check passes', async () => {
+    const report = await getReadiness();
+
+    expect(report.ready).toBe(true);
+    expect(report.checks.mongodb.status).toBe('ok');
+    expect(report.checks.jobs.jobs.processTweets.status).toBe('ok');
+    expect(report.checks.telegram).toEqual({ status: 'ok', botUsername: 'ctxbt_bot' });
+  });
+
+  test('reports each failing check separately', async () => {
+    delete mockEnv.HEALTH_TEST_API_KEY;
+    mockCommand.mockRejectedValue(new Error('connection refused'));
+    getLastSuccessfulRun.mockResolvedValue({ finishedAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    httpClient.get.mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+
+    const report = await getReadiness();
+
+    expect(report.ready).toBe(false);
+    expect(report.status).toBe('not_ready');
+    expect(report.checks.mongodb).toEqual({ status: 'fail', error: 'connection refused' });
+    expect(report.checks.jobs.failing).toEqual(['processTweets']);
+    expect(report.checks.env).toEqual({ status: 'fail', missing: ['HEALTH_TEST_API_KEY'] });
+    expect(report.checks.telegram).toEqual({ status: 'fail', error: 'Bot token rejected by Telegram' });
+  });
+});
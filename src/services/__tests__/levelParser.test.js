@@ -0,0 +1,69 @@
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  statedLevels: { maxEntryDeviation: 0.2, maxPriceRatio: 5 }
+}));
+
+const { parseLevels, levelsFromView, checkStatedLevels } = require('../levelParser');
+
+describe('parseLevels', () => {
+  test.each([
+    ['long ARB, TP 0.45, SL 0.388', { direction: 'long', entry: null, targets: [0.45], stopLoss: 0.388 }],
+    ['Longing $ARB at 0.41. TP1: 0.45 TP2: 0.50. SL 0.388', { direction: 'long', entry: 0.41, targets: [0.45, 0.5], stopLoss: 0.388 }],
+    ['TP1/TP2: 1.2/1.35 stop loss 0.95 $OP', { direction: 'long', targets: [1.2, 1.35], stopLoss: 0.95 }],
+    ['$ETH short here 3,450. TP 3,050 and 3,200. stop 3,600', { direction: 'short', entry: 3450, targets: [3200, 3050], stopLoss: 3600 }],
+    ['$BTC entry 68k-69k, targets 75k / 72k, invalidation below 66.5k', {
+      direction: 'long', entry: 68500, entryRange: [68000, 69000], targets: [72000, 75000], stopLoss: 66500
+    }],
+    ['SOL buy zone 140 to 145, tgt 160, 175, 190. Stops 132', { entry: 142.5, targets: [160, 175, 190], stopLoss: 132 }],
+    ['short term bullish on $SOL, target 180', { direction: 'long', entry: null, targets: [180], stopLoss: null }],
+    ['$BTC cycle target 1.2m', { targets: [1200000] }],
+    ['Buying 1000 $DOGE at 0.15, TP 0.2', { direction: 'long', entry: 0.15, targets: [0.2] }],
+    ['Bought 5 ETH at 3000, target 3500', { direction: 'long', entry: 3000, targets: [3500] }],
+    ['Added more $ETH at 3k', { direction: 'long', entry: 3000, targets: [], stopLoss: null }],
+    ['Shorting 2 $BTC @ 70k, SL 72k', { direction: 'short', entry: 70000, stopLoss: 72000 }]
+  ])('%s', (text, expected) => {
+    expect(parseLevels(text)).toMatchObject(expected);
+  });
+
+  test('ignores leverage, percentages and tweets without levels', () => {
+    expect(parseLevels('Bought some $PEPE, 10x leverage, looking for 20% gains')).toBeNull();
+    expect(parseLevels('$BTC 2024 was great, 1,000,000 by 2030')).toBeNull();
+  });
+
+  test('does not take a position size for the entry', () => {
+    expect(parseLevels('Bought 5 $ETH, target 3500')).toMatchObject({ entry: null, targets: [3500] });
+  });
+});
+
+describe('levelsFromView', () => {
+  test('builds levels from the analyzer view of a coin', () => {
+    const view = { coin: 'ethereum', stance: 'short', levels: { entry: 3450, targets: [3050, 3200], stopLoss: 3600 } };
+    expect(levelsFromView(view)).toEqual({ direction: 'short', entry: 3450, entryRange: null, targets: [3200, 3050], stopLoss: 3600 });
+  });
+
+  test('infers the direction of a neutral view from its levels', () => {
+    const view = { coin: 'arbitrum', stance: 'neutral', levels: { entry: 0.41, targets: [0.45], stopLoss: null } };
+    expect(levelsFromView(view).direction).toBe('long');
+  });
+
+  test('returns null for views without levels', () => {
+    expect(levelsFromView({ coin: 'bitcoin', stance: 'long', levels: { entry: null, targets: [], stopLoss: null } })).toBeNull();
+    expect(levelsFromView(undefined)).toBeNull();
+  });
+});
+
+describe('checkStatedLevels', () => {
+  const long = { direction: 'long', entry: 0.41, entryRange: null, targets: [0.45, 0.5], stopLoss: 0.388 };
+
+  test('keeps levels that fit the current price', () => {
+    expect(checkStatedLevels(long, 0.42)).toEqual({ levels: long, reason: null });
+  });
+
+  test('rejects levels off the price scale, a stale entry or levels on the wrong side', () => {
+    expect(checkStatedLevels({ ...long, entry: null, targets: [45] }, 0.42).reason).toMatch(/scale/);
+    expect(checkStatedLevels(long, 0.6).reason).toMatch(/Entry is too far/);
+    expect(checkStatedLevels({ ...long, entry: null }, 0.46).reason).toMatch(/Targets are on the wrong side/);
+    expect(checkStatedLevels({ ...long, entry: null, targets: [] }, 0.38).reason).toMatch(/Stop loss is on the wrong side/);
+    expect(checkStatedLevels({ ...long, direction: null }, 0.42).levels).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  DEFAULT_PAYOUT_RULE,
+  computePayout,
+  resolvePayoutRule,
+  validatePayoutRule
+} = require('../payoutRules');
+
+const inputs = (overrides = {}) => ({
+  subscriberCount: 10,
+  signalCount: 5,
+  averagePnl: 5,
+  promotionalTweetCount: 1,
+  ...overrides
+});
+
+describe('computePayout', () => {
+  test('default rule keeps the original linear terms', () => {
+    expect(computePayout(inputs({ averagePnl: 12 }), DEFAULT_PAYOUT_RULE).payout).toBe(200);
+    expect(computePayout(inputs({ averagePnl: 5 }), DEFAULT_PAYOUT_RULE).payout).toBe(100);
+    expect(computePayout(inputs({ averagePnl: -3 }), DEFAULT_PAYOUT_RULE).payout).toBe(0);
+  });
+
+  test('requires a promotional tweet unless the rule waives it', () => {
+    const noPromo = inputs({ averagePnl: 12, promotionalTweetCount: 0 });
+
+    expect(computePayout(noPromo, DEFAULT_PAYOUT_RULE)).toMatchObject({ payout: 0, reason: 'no_promotion' });
+    expect(computePayout(noPromo, { ...DEFAULT_PAYOUT_RULE, requirePromotion: false }).payout).toBe(200);
+  });
+
+  test('enforces the minimum signal count', () => {
+    const rule = { ...DEFAULT_PAYOUT_RULE, minSignals: 10 };
+
+    expect(computePayout(inputs(), rule)).toMatchObject({ payout: 0, reason: 'below_min_signals' });
+  });
+
+  test('pays the highest tier reached', () => {
+    const rule = {
+      ...DEFAULT_PAYOUT_RULE,
+      curve: 'tiers',
+      tiers: [{ minPnl: 15, share: 1 }, { minPnl: 5, share: 0.5 }]
+    };
+
+    expect(computePayout(inputs({ averagePnl: 4 }), rule).payout).toBe(0);
+    expect(computePayout(inputs({ averagePnl: 7 }), rule).payout).toBe(100);
+    expect(computePayout(inputs({ averagePnl: 20 }), rule).payout).toBe(200);
+  });
+
+  test('step curve pays nothing below the threshold', () => {
+    const rule = { ...DEFAULT_PAYOUT_RULE, curve: 'step', fullPayoutPnl: 8, maxShare: 0.8 };
+
+    expect(computePayout(inputs({ averagePnl: 7.9 }), rule).payout).toBe(0);
+    expect(computePayout(inputs({ averagePnl: 8 }), rule).payout).toBe(160);
+  });
+});
+
+describe('resolvePayoutRule', () => {
+  test('layers influencer overrides over the stored default', () => {
+    const rules = {
+      default: { pricePerSubscriber: 25 },
+      influencers: { alice: { minSignals: 3 } }
+    };
+
+    expect(resolvePayoutRule(rules, 'alice')).toMatchObject({ pricePerSubscriber: 25, minSignals: 3, curve: 'linear' });
+    expect(resolvePayoutRule(rules, 'bob').minSignals).toBe(0);
+  });
+});
+
+describe('validatePayoutRule', () => {
+  test('rejects unknown fields and bad values', () => {
+    expect(() => validatePayoutRule({ price: 10 })).toThrow('unknown fields price');
+    expect(() => validatePayoutRule({ curve: 'exponential' })).toThrow('curve must be one of');
+    expect(() => validatePayoutRule({ tiers: [{ minPnl: 5 }] })).toThrow('tiers');
+  });
+});
@@ -0,0 +1,120 @@
+const { ObjectId } = require('mongodb');
+
+const mockCollections = {};
+const mockClient = {
+  db: () => ({ collection: (name) => mockCollections[name] })
+};
+
+jest.mock('../../db', () => ({
+  connect: jest.fn(() => Promise.resolve(mockClient)),
+  closeConnection: jest.fn()
+}));
+
+const {
+  calculateMonthlyPayouts,
+  approvePayout,
+  markPayoutPaid,
+  voidPayout,
+  PayoutTransitionError
+} = require('../payoutService');
+
+function toArray(docs) {
+  return { toArray: async () => docs };
+}
+
+describe('payoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCollections.influencers = {
+      find: jest.fn(() => toArray([
+        { _id: 'inf-1', twitterHandle: 'alice', subscribers: ['a', 'b'] },
+        { _id: 'inf-2', twitterHandle: 'bob', subscribers: ['c'] }
+      ]))
+    };
+    mockCollections.backtesting_results_with_reasoning = {
+      find: jest.fn(() => toArray([{ "Final P&L": '12%' }]))
+    };
+    mockCollections.tweets = {
+      find: jest.fn(() => ({
+        sort: () => toArray([{ tweet_id: '1', timestamp: '2025-03-10T12:00:00.000Z', content: 'gm' }])
+      }))
+    };
+    mockCollections.payout_rules = {
+      find: jest.fn(() => toArray([]))
+    };
+    mockCollections.payouts = {
+      updateOne: jest.fn().mockResolvedValue({}),
+      findOne: jest.fn(),
+      findOneAndUpdate: jest.fn()
+    };
+  });
+
+  test('upserts one draft per influencer and period', async () => {
+    const summary = await calculateMonthlyPayouts({ year: 2025, month: 3 });
+
+    expect(summary).toEqual({ period: { year: 2025, month: 3 }, drafted: 2, frozen: 0 });
+    expect(mockCollections.payouts.updateOne).toHaveBeenCalledWith(
+      { twitterHandle: 'alice', year: 2025, month: 3, status: 'calculated' },
+      expect.objectContaining({
+        $set: expect.objectContaining({ payout: 40, status: 'calculated' })
+      }),
+      { upsert: true }
+    );
+  });
+
+  test('leaves frozen entries untouched on recalculation', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    mockCollections.payouts.updateOne
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce({});
+
+    const summary = await calculateMonthlyPayouts({ year: 2025, month: 3 });
+
+    expect(summary.drafted).toBe(1);
+    expect(summary.frozen).toBe(1);
+  });
+
+  test('approves a calculated payout', async () => {
+    const id = new ObjectId();
+    mockCollections.payouts.findOne.mockResolvedValue({ _id: id, status: 'calculated' });
+    mockCollections.payouts.findOneAndUpdate.mockResolvedValue({ _id: id, status: 'approved' });
+
+    const payout = await approvePayout(id.toHexString(), 'ops');
+
+    expect(payout.status).toBe('approved');
+    expect(mockCollections.payouts.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: id, status: 'calculated' },
+      expect.anything(),
+      { returnDocument: 'after' }
+    );
+  });
+
+  test('rejects paying a payout that was never approved', async () => {
+    const id = new ObjectId();
+    mockCollections.payouts.findOne.mockResolvedValue({ _id: id, status: 'calculated' });
+
+    await expect(markPayoutPaid(id.toHexString())).rejects.toThrow(PayoutTransitionError);
+    expect(mockCollections.payouts.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('a voided payout releases its period for recalculation', async () => {
+    const id = new ObjectId();
+    mockCollections.payouts.findOne.mockResolvedValue({ _id: id, status: 'approved', active: true });
+    mockCollections.payouts.findOneAndUpdate.mockResolvedValue({ _id: id, status: 'voided' });
+
+    await voidPayout(id.toHexString(), 'ops', 'wrong subscriber count');
+    expect(mockCollections.payouts.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: id, status: 'approved' },
+      expect.objectContaining({ $unset: { active: '' } }),
+      { returnDocument: 'after' }
+    );
+
+    // Drafts are active, so only they and approved or paid entries hold the unique period key
+    await calculateMonthlyPayouts({ year: 2025, month: 3 });
+    expect(mockCollections.payouts.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ twitterHandle: 'alice', status: 'calculated' }),
+      expect.objectContaining({ $set: expect.objectContaining({ active: true }) }),
+      { upsert: true }
+    );
+  });
+});
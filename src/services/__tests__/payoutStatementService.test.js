@@ -0,0 +1,47 @@
+const { signStatement, verifyStatement, statementToCsv } = require('../payoutStatementService');
+
+const statement = () => ({
+  statementVersion: 1,
+  twitterHandle: 'alice',
+  period: { year: 2025, month: 3 },
+  signals: [{
+    id: 's1',
+    signalGenerationDate: '2025-03-02T10:00:00.000Z',
+    tokenMentioned: 'ETH',
+    tokenId: 'ethereum',
+    signalMessage: 'buy',
+    tweet: 'https://x.com/alice/status/1',
+    bestStrategy: 'TP1',
+    finalPnl: '12.00%',
+    finalPnlValue: 12
+  }],
+  summary: { signalCount: 1, averagePnl: 12, subscriberCount: 2, promotionalTweetCount: 1 },
+  promotion: [{ tweet_id: '1', tweet_link: 'https://x.com/alice/status/2', timestamp: '2025-03-05T00:00:00.000Z', content: 'gm' }],
+  payout: { id: 'p1', status: 'approved', amount: 40 }
+});
+
+describe('payoutStatementService', () => {
+  test('hash does not depend on key order', () => {
+    const reordered = Object.fromEntries(Object.entries(statement()).reverse());
+
+    expect(signStatement(reordered).hash).toBe(signStatement(statement()).hash);
+  });
+
+  test('verification fails once the statement changes', () => {
+    const issued = signStatement(statement());
+    const tampered = statement();
+    tampered.payout.amount = 400;
+
+    expect(verifyStatement(statement(), issued)).toBe(true);
+    expect(verifyStatement(tampered, issued)).toBe(false);
+  });
+
+  test('csv lists the signals and ends with the statement hash', () => {
+    const signed = signStatement(statement());
+    const csv = statementToCsv(signed);
+
+    expect(csv).toContain('s1,2025-03-02T10:00:00.000Z,ETH,ethereum,buy,https://x.com/alice/status/1,TP1,12.00%');
+    expect(csv).toContain('payoutAmount,40');
+    expect(csv.trim().split('\r\n').slice(-2)[0]).toBe(`statementHash,${signed.hash}`);
+  });
+});
@@ -0,0 +1,50 @@
+jest.mock('../../config/config', () => ({
+  logLevel: 'silent',
+  scraping: { defaultFetchSize: 5, minFetchSize: 3, maxFetchSize: 50, headroom: 1.5, rateSmoothing: 0.3 }
+}));
+
+const { isAfterCursor, reachesCursor, newestTweet, nextScrapeStats } = require('../scrapeCursor');
+
+const tweet = (tweet_id, timestamp = '2025-03-01T00:00:00Z') => ({ tweet_id, timestamp });
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('scrape cursor', () => {
+  const cursor = tweet('1000');
+
+  test('compares snowflake ids numerically and falls back to timestamps', () => {
+    expect(isAfterCursor(tweet('999'), cursor)).toBe(false);
+    expect(isAfterCursor(tweet('10000'), cursor)).toBe(true);
+    expect(isAfterCursor(tweet('abc', '2025-03-02T00:00:00Z'), cursor)).toBe(true);
+    expect(isAfterCursor(tweet('999'), null)).toBe(true);
+  });
+
+  test('a full page only reaches the cursor when it contains it or two older tweets', () => {
+    expect(reachesCursor([tweet('1003'), tweet('1002')], 5, cursor)).toBe(true);
+    expect(reachesCursor([tweet('1003'), tweet('1002'), tweet('1000')], 3, cursor)).toBe(true);
+    // A single older tweet could be pinned
+    expect(reachesCursor([tweet('10'), tweet('1003'), tweet('1002')], 3, cursor)).toBe(false);
+    expect(reachesCursor([tweet('1003'), tweet('999'), tweet('998')], 3, cursor)).toBe(true);
+  });
+
+  test('newestTweet picks the highest id', () => {
+    expect(newestTweet([tweet('10'), tweet('1003'), tweet('999')])).toEqual(tweet('1003'));
+    expect(newestTweet([])).toBeNull();
+  });
+
+  test('fetch size follows the posting rate within bounds', () => {
+    const start = new Date('2025-03-01T00:00:00Z');
+    const first = nextScrapeStats(undefined, { newTweets: 5, gap: false, scrapedAt: start });
+    expect(first).toMatchObject({ tweetsPerHour: null, fetchSize: 5 });
+
+    // 12 tweets in 3 hours: expect ~12 again, with headroom
+    const busy = nextScrapeStats(first, { newTweets: 12, gap: false, scrapedAt: new Date(start.getTime() + 3 * HOUR_MS) });
+    expect(busy.tweetsPerHour).toBe(4);
+    expect(busy.fetchSize).toBe(19);
+
+    const quiet = nextScrapeStats({ ...busy, tweetsPerHour: 0 }, { newTweets: 0, gap: false, scrapedAt: new Date(start.getTime() + 6 * HOUR_MS) });
+    expect(quiet.fetchSize).toBe(3);
+
+    const missed = nextScrapeStats(quiet, { newTweets: 50, gap: true, scrapedAt: new Date(start.getTime() + 9 * HOUR_MS) });
+    expect(missed).toMatchObject({ fetchSize: 50, lastGapAt: expect.any(Date) });
+  });
+});
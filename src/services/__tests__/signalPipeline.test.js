@@ -0,0 +1,209 @@
+// Runs the whole tweet → signal → delivery pipeline offline: tweets come from
+// the fixture source (src/data/tweet-fixtures), MongoDB is an in-memory fake
+// and the LLM, market data and delivery calls are stubbed.
+const mockCollections = new Map();
+const mockQueue = [];
+
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  logLevel: 'silent',
+  tweetSources: { default: 'fixture', fixtures: { dir: 'src/data/tweet-fixtures' } }
+}));
+
+jest.mock('../../db', () => {
+  const get = (doc, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+  const set = (doc, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((obj, part) => (obj[part] = obj[part] || {}), doc);
+    target[last] = value;
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(sub => matches(doc, sub));
+    const value = get(doc, key);
+    if (cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof Date) && !cond._bsontype) {
+      if ('$in' in cond) return cond.$in.includes(value);
+      if ('$exists' in cond) return (value !== undefined) === cond.$exists;
+      if ('$ne' in cond) return JSON.stringify(value) !== JSON.stringify(cond.$ne);
+    }
+    return String(value) === String(cond);
+  });
+  const apply = (doc, update, inserting) => {
+    for (const [key, value] of Object.entries(update.$set || {})) set(doc, key, value);
+    for (const [key, value] of Object.entries(inserting ? update.$setOnInsert || {} : {})) set(doc, key, value);
+    for (const [key, value] of Object.entries(update.$inc || {})) set(doc, key, (get(doc, key) || 0) + value);
+    for (const [key, value] of Object.entries(update.$addToSet || {})) {
+      const list = get(doc, key) || [];
+      for (const item of value.$each || [value]) if (!list.includes(item)) list.push(item);
+      set(doc, key, list);
+    }
+  };
+  const collection = (name) => {
+    if (!mockCollections.has(name)) mockCollections.set(name, []);
+    const docs = mockCollections.get(name);
+    const { ObjectId } = require('mongodb');
+    const api = {
+      findOne: async (filter) => docs.find(doc => matches(doc, filter)) || null,
+      find: (filter = {}) => ({ toArray: async () => docs.filter(doc => matches(doc, filter)) }),
+      insertOne: async (doc) => {
+        doc._id = doc._id || new ObjectId();
+        docs.push(doc);
+        return { insertedId: doc._id };
+      },
+      updateOne: async (filter, update, { upsert } = {}) => {
+        let doc = docs.find(d => matches(d, filter));
+        if (!doc && !upsert) return { matchedCount: 0 };
+        const inserting = !doc;
+        if (inserting) {
+          doc = { _id: new ObjectId(), ...filter };
+          docs.push(doc);
+        }
+        apply(doc, update, inserting);
+        return { matchedCount: 1 };
+      },
+      bulkWrite: async (ops) => {
+        for (const { updateOne } of ops) await api.updateOne(updateOne.filter, updateOne.update, updateOne);
+      }
+    };
+    return api;
+  };
+  return {
+    getCollection: jest.fn(async name => collection(name)),
+    getDb: jest.fn(async () => ({ collection }))
+  };
+});
+
+jest.mock('../../queue/workQueue', () => ({
+  enqueue: jest.fn(async (stage, payload) => {
+    mockQueue.push({ stage, payload });
+    return mockQueue.length;
+  })
+}));
+
+// Batch classification: anything with a cashtag in the tweet or its context is relevant, nothing mentions the platform
+jest.mock('openai', () => ({
+  OpenAI: jest.fn().mockImplementation(() => ({
+    chat: {
+      completions: {
+        create: jest.fn(async (body) => {
+          const tweets = JSON.parse(body.messages[1].content.split('Tweets:\n')[1]);
+          const results = tweets.map(({ id, text, context = '' }) => ({ id, relevant: /\$[A-Z]+/.test(text + context), mentionsPlatform: false }));
+          return { choices: [{ message: { content: JSON.stringify({ results }) } }] };
+        })
+      }
+    }
+  }))
+}));
+
+jest.mock('../../utils/httpClient', () => ({
+  execute: jest.fn(async (provider, fn) => fn({ timeoutMs: 1000 })),
+  isCircuitOpen: jest.fn(() => false)
+}));
+
+jest.mock('../tweetAnalyzer', () => jest.fn().mockImplementation(() => ({
+  analyzeTweet: jest.fn(async (content, account, context = '') => ({
+    coin_ids: [...new Set((`${content} ${context}`.match(/\$[A-Z]+/g) || []).map(tag => ({ $SOL: 'solana', $BTC: 'bitcoin' })[tag]))]
+  }))
+})));
+
+jest.mock('../signalGeneration', () => {
+  const { getCollection } = require('../../db');
+  return {
+    filterCoinsForInfluencer: jest.fn(async (handle, coins) => coins),
+    getMarketContext: jest.fn(async () => ({ marketData: { symbol: 'SOL' }, lunarCrushData: null })),
+    generateSignalForSubscriber: jest.fn(async ({ twitterHandle, tweet, coinId, username }) => {
+      const signals = await getCollection('trading-signals');
+      const signal = { tweet_id: tweet.tweet_id, twitterHandle, coin: coinId, personalizedFor: username };
+      await signals.insertOne(signal);
+      return { signal, created: true };
+    }),
+    routeSignal: jest.fn(async () => {}),
+    getUnavailableSignalProvider: jest.fn(() => null)
+  };
+});
+
+jest.mock('../telegramService', () => ({
+  deliverSignal: jest.fn(async () => ({ successful: 1, failed: 0, completed: true }))
+}));
+
+const TweetTradingAnalyzer = require('../tweetAnalyzer');
+const { routeSignal } = require('../signalGeneration');
+const { deliverSignal } = require('../telegramService');
+const pipeline = require('../signalPipeline');
+
+// Runs queued jobs in order until the queue is empty, as the workers would
+async function drainQueue() {
+  const handlers = Object.fromEntries(Object.values(pipeline.STAGES).map(stage => [stage, pipeline[stage]]));
+  const ran = [];
+  while (mockQueue.length > 0) {
+    const { stage, payload } = mockQueue.shift();
+    await handlers[stage](payload);
+    ran.push(stage);
+  }
+  return ran;
+}
+
+describe('signal pipeline with the fixture tweet source', () => {
+  beforeEach(async () => {
+    mockCollections.clear();
+    mockQueue.length = 0;
+    const { getCollection } = require('../../db');
+    await (await getCollection('influencers')).insertOne({ twitterHandle: 'example_trader', subscribers: ['alice', 'bob'] });
+  });
+
+  test('scrapes, classifies, extracts coins, generates, routes and delivers signals', async () => {
+    mockQueue.push({ stage: 'scrapeHandle', payload: { twitterHandle: 'example_trader' } });
+    const ran = await drainQueue();
+
+    const tweets = mockCollections.get('tweets');
+    expect(tweets.map(t => t.tweet_id).sort()).toEqual([
+      '1900000000000000001', '1900000000000000002', '1900000000000000003', '1900000000000000004'
+    ]);
+    // Only the fresh $SOL tweet is recent enough for signals; $BTC is two days old
+    const fresh = tweets.find(t => t.tweet_id === '1900000000000000003');
+    expect(fresh).toMatchObject({ relevant: true, coins: ['solana'], analysisStatus: 'queued' });
+    // The reply names no coin itself; it gets $SOL from the tweet it replies to
+    const reply = tweets.find(t => t.tweet_id === '1900000000000000004');
+    expect(reply.context.parents).toEqual([{ tweet_id: '1900000000000000003', handle: 'example_trader', content: fresh.content }]);
+    expect(reply).toMatchObject({ relevant: true, coins: ['solana'], analysisStatus: 'queued' });
+
+    const signals = mockCollections.get('trading-signals');
+    expect(signals.map(s => `${s.tweet_id}:${s.coin}:${s.personalizedFor}`).sort()).toEqual([
+      '1900000000000000003:solana:alice', '1900000000000000003:solana:bob',
+      '1900000000000000004:solana:alice', '1900000000000000004:solana:bob'
+    ]);
+    expect(routeSignal).toHaveBeenCalledTimes(4);
+    expect(deliverSignal).toHaveBeenCalledTimes(4);
+    // All four tweets are classified in one job; the coffee tweet never reaches the LLM
+    expect(ran.filter(stage => stage === 'classifyTweet')).toHaveLength(1);
+    expect(require('../../utils/httpClient').execute).toHaveBeenCalledTimes(1);
+    expect(tweets.find(t => t.tweet_id === '1900000000000000002')).toMatchObject({ relevant: false, classifiedVia: 'prefilter' });
+
+    const influencer = mockCollections.get('influencers')[0];
+    expect(influencer.scrapeCursor.tweet_id).toBe('1900000000000000004');
+  });
+
+  test('a failed coin extraction fails the job and leaves the tweet to its retry', async () => {
+    const { getCollection } = require('../../db');
+    const tweet = { twitterHandle: 'example_trader', tweet_id: '42', content: '$SOL breakout', timestamp: new Date().toISOString(), relevant: true };
+    await (await getCollection('tweets')).insertOne(tweet);
+    TweetTradingAnalyzer.mockImplementationOnce(() => ({ analyzeTweet: jest.fn().mockRejectedValue(new Error('OpenAI timeout')) }));
+
+    await expect(pipeline.extractCoins({ twitterHandle: 'example_trader', tweet_id: '42' })).rejects.toThrow('OpenAI timeout');
+    expect(tweet.coinsCheckedAt).toBeUndefined();
+    expect(tweet.coins).toBeUndefined();
+
+    await pipeline.extractCoins({ twitterHandle: 'example_trader', tweet_id: '42' });
+    expect(tweet).toMatchObject({ coins: ['solana'], signalsGenerated: true });
+  });
+
+  test('a second scrape finds nothing new past the cursor', async () => {
+    mockQueue.push({ stage: 'scrapeHandle', payload: { twitterHandle: 'example_trader' } });
+    await drainQueue();
+    deliverSignal.mockClear();
+
+    mockQueue.push({ stage: 'scrapeHandle', payload: { twitterHandle: 'example_trader' } });
+    expect(await drainQueue()).toEqual(['scrapeHandle']);
+    expect(deliverSignal).not.toHaveBeenCalled();
+  });
+});
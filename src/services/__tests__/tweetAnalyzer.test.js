@@ -0,0 +1,66 @@
+const mockCreate = jest.fn();
+
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  logLevel: 'silent'
+}));
+
+jest.mock('openai', () => ({
+  OpenAI: jest.fn().mockImplementation(() => ({ chat: { completions: { create: mockCreate } } }))
+}));
+
+jest.mock('../../utils/httpClient', () => ({
+  execute: jest.fn(async (provider, fn) => fn({ timeoutMs: 1000 }))
+}));
+
+jest.mock('../../db/index', () => ({
+  connect: jest.fn(async () => ({ db: () => ({ collection: () => ({ findOne: async () => null }) }) })),
+  closeConnection: jest.fn(async () => {})
+}));
+
+const TweetTradingAnalyzer = require('../tweetAnalyzer');
+
+function reply(body) {
+  mockCreate.mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify(body) } }] });
+}
+
+describe('TweetTradingAnalyzer', () => {
+  beforeEach(() => mockCreate.mockReset());
+
+  test('resolves cashtags locally and only asks the LLM for the views', async () => {
+    reply({ coins: [{ id: 'solana', stance: 'long', entry: '$142.5', targets: [160, 'soon', 180], stop_loss: 130, timeframe: ' this week ', conviction: 1.4 }] });
+    const analyzer = new TweetTradingAnalyzer('key');
+
+    const result = await analyzer.analyzeTweet('Longing $SOL at 142.5, TP 160 / 180, SL 130');
+    expect(result.coin_ids).toEqual(['solana']);
+    expect(result.resolution.via).toBe('resolver');
+    expect(result.views).toEqual([{
+      coin: 'solana',
+      stance: 'long',
+      levels: { entry: 142.5, targets: [160, 180], stopLoss: 130 },
+      timeframe: 'this week',
+      conviction: 1
+    }]);
+    expect(mockCreate.mock.calls[0][0].messages[0].content).not.toContain('Account Impact Factor');
+  });
+
+  test('keeps the coins when the view call fails', async () => {
+    mockCreate.mockRejectedValueOnce(new Error('timeout'));
+    const result = await new TweetTradingAnalyzer('key').analyzeTweet('$BTC');
+    expect(result.coin_ids).toEqual(['bitcoin']);
+    expect(result.views).toEqual([{ coin: 'bitcoin', stance: null, levels: { entry: null, targets: [], stopLoss: null }, timeframe: null, conviction: null }]);
+  });
+
+  test('throws when the LLM call that picks the coins fails', async () => {
+    mockCreate.mockRejectedValueOnce(new Error('timeout'));
+    await expect(new TweetTradingAnalyzer('key').analyzeTweet('Ethereum looks heavy')).rejects.toThrow('timeout');
+  });
+
+  test('reads coins and views in one call when the tweet has no cashtag', async () => {
+    reply({ coin_ids: ['ethereum'], coins: [{ id: 'ethereum', stance: 'short', conviction: 0.6 }] });
+    const result = await new TweetTradingAnalyzer('key').analyzeTweet('Ethereum looks heavy, fading this bounce');
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+    expect(result.resolution.via).toBe('llm');
+    expect(result.views[0]).toMatchObject({ coin: 'ethereum', stance: 'short', conviction: 0.6, timeframe: null });
+  });
+});
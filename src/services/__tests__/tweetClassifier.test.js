@@ -0,0 +1,108 @@
+const mockCache = new Map();
+const mockCreate = jest.fn();
+
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  logLevel: 'silent',
+  tweetClassification: { model: 'gpt-4o-mini', batchSize: 2, knownCoinMaxRank: 300, cacheTtlMs: 60000 }
+}));
+
+jest.mock('../../db', () => ({
+  getCollection: jest.fn(async () => ({
+    find: ({ _id }) => ({ toArray: async () => _id.$in.filter(id => mockCache.has(id)).map(id => mockCache.get(id)) }),
+    bulkWrite: async (ops) => {
+      for (const { updateOne } of ops) mockCache.set(updateOne.filter._id, { _id: updateOne.filter._id, ...updateOne.update.$set });
+    }
+  }))
+}));
+
+jest.mock('../knownCoins', () => ({
+  mentionsKnownCoin: jest.fn(text => /bitcoin|ethereum/i.test(text))
+}));
+
+jest.mock('openai', () => ({
+  OpenAI: jest.fn().mockImplementation(() => ({ chat: { completions: { create: mockCreate } } }))
+}));
+
+jest.mock('../../utils/httpClient', () => ({
+  execute: jest.fn(async (provider, fn) => fn({ timeoutMs: 1000 }))
+}));
+
+const httpClient = require('../../utils/httpClient');
+const { CircuitOpenError } = require('../../utils/circuitBreaker');
+const { classifyTweets, preFilter, contentHash } = require('../tweetClassifier');
+
+// Answers every tweet in the prompt, relevant when it has a cashtag
+function answerBatches({ skip = [] } = {}) {
+  mockCreate.mockImplementation(async (body) => {
+    const tweets = JSON.parse(body.messages[1].content.split('Tweets:\n')[1]);
+    const results = tweets
+      .filter(({ text }) => !skip.some(part => text.includes(part)))
+      .map(({ id, text }) => ({ id, relevant: text.includes('$'), mentionsPlatform: /maxxit/i.test(text) }));
+    return { choices: [{ message: { content: JSON.stringify({ results }) } }] };
+  });
+}
+
+describe('preFilter', () => {
+  test('rejects retweets, pure replies and tweets naming no coin', () => {
+    expect(preFilter('RT @someone: $BTC to the moon')).toMatchObject({ relevant: false, reason: 'retweet' });
+    expect(preFilter('@alice @bob 🔥🔥 https://t.co/x')).toMatchObject({ relevant: false, reason: 'pure reply' });
+    expect(preFilter('Good morning, coffee first')).toMatchObject({ relevant: false, reason: 'no coin mentioned' });
+  });
+
+  test('leaves tweets naming a coin to the LLM', () => {
+    expect(preFilter('@alice $SOL looks strong here').relevant).toBeUndefined();
+    expect(preFilter('Bitcoin reclaiming the range high').relevant).toBeUndefined();
+  });
+
+  test('only asks about the platform when the tweet says maxxit', () => {
+    expect(preFilter('$ETH breakout').mentionsPlatform).toBe(false);
+    expect(preFilter('$ETH breakout, signals on app.maxxit.ai').mentionsPlatform).toBeUndefined();
+  });
+});
+
+describe('classifyTweets', () => {
+  beforeEach(() => {
+    mockCache.clear();
+    mockCreate.mockReset();
+  });
+
+  test('batches the tweets that pass the pre-filter and caches the verdicts', async () => {
+    answerBatches();
+    const tweets = [
+      { tweet_id: '1', content: '$BTC long above 70k' },
+      { tweet_id: '2', content: 'gm' },
+      { tweet_id: '3', content: 'Ethereum looks heavy' },
+      { tweet_id: '4', content: '$SOL entries via maxxit' }
+    ];
+
+    const verdicts = await classifyTweets(tweets);
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+    expect(verdicts.get('1')).toMatchObject({ relevant: true, mentionsPlatform: false, via: 'llm' });
+    expect(verdicts.get('2')).toMatchObject({ relevant: false, mentionsPlatform: false, via: 'prefilter' });
+    expect(verdicts.get('3')).toMatchObject({ relevant: false, via: 'llm' });
+    expect(verdicts.get('4')).toMatchObject({ relevant: true, mentionsPlatform: true, via: 'llm' });
+    expect(mockCache.size).toBe(3);
+
+    mockCreate.mockClear();
+    const again = await classifyTweets([{ tweet_id: '5', content: '  $BTC long   above 70k ' }]);
+    expect(mockCreate).not.toHaveBeenCalled();
+    expect(again.get('5')).toMatchObject({ relevant: true, via: 'cache' });
+  });
+
+  test('leaves out tweets the LLM gave no verdict for', async () => {
+    answerBatches({ skip: ['$ETH'] });
+    const verdicts = await classifyTweets([
+      { tweet_id: '1', content: '$ETH to 5k' },
+      { tweet_id: '2', content: '$BTC to 100k' }
+    ]);
+    expect(verdicts.has('1')).toBe(false);
+    expect(verdicts.get('2')).toMatchObject({ relevant: true });
+    expect(mockCache.has(contentHash('$ETH to 5k'))).toBe(false);
+  });
+
+  test('rethrows an open OpenAI circuit so the job is retried later', async () => {
+    httpClient.execute.mockRejectedValueOnce(new CircuitOpenError('openai', new Date()));
+    await expect(classifyTweets([{ tweet_id: '1', content: '$BTC' }])).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+});
@@ -0,0 +1,64 @@
+const mockTweets = [];
+
+jest.mock('../../config/config', () => ({
+  ...jest.requireActual('../../config/config'),
+  tweetContext: { maxParents: 2 }
+}));
+
+jest.mock('../../db', () => ({
+  getCollection: jest.fn(async () => ({
+    findOne: async ({ tweet_id }) => mockTweets.find(tweet => tweet.tweet_id === tweet_id) || null
+  }))
+}));
+
+const { buildTweetContext, formatTweetContext } = require('../tweetContext');
+const { threadFields } = require('../tweetSources/tweetSource');
+
+describe('buildTweetContext', () => {
+  beforeEach(() => {
+    mockTweets.length = 0;
+    mockTweets.push(
+      { tweet_id: '1', twitterHandle: 'trader', content: '$ARB long 0.41', in_reply_to: null },
+      { tweet_id: '2', twitterHandle: 'trader', content: 'TP 0.45', in_reply_to: { tweet_id: '1', handle: 'trader' } },
+      { tweet_id: '3', twitterHandle: 'trader', content: 'SL 0.388', in_reply_to: { tweet_id: '2', handle: 'trader' } }
+    );
+  });
+
+  test('follows the reply chain up to maxParents, oldest first', async () => {
+    const context = await buildTweetContext({ tweet_id: '4', content: 'adding more here', in_reply_to: { tweet_id: '3' } });
+    expect(context.parents.map(parent => parent.tweet_id)).toEqual(['2', '3']);
+    expect(context.complete).toBe(false);
+    expect(formatTweetContext(context)).toBe('In reply to (earlier tweets missing):\n@trader: TP 0.45\n@trader: SL 0.388');
+  });
+
+  test('falls back to the text the source sent for tweets that are not stored', async () => {
+    const context = await buildTweetContext({
+      tweet_id: '5',
+      content: 'this aged well',
+      quoted_tweet: { tweet_id: '99', handle: 'analyst', content: '$SOL to 200' }
+    });
+    expect(context).toEqual({ parents: [], quoted: { tweet_id: '99', handle: 'analyst', content: '$SOL to 200' }, complete: true });
+    expect(formatTweetContext(context)).toBe('Quoting @analyst: $SOL to 200');
+  });
+
+  test('is null for tweets that refer to nothing that can be found', async () => {
+    expect(await buildTweetContext({ tweet_id: '6', content: 'gm' })).toBeNull();
+    expect(await buildTweetContext({ tweet_id: '7', content: 'yes', in_reply_to: { tweet_id: '404' } })).toBeNull();
+  });
+});
+
+describe('threadFields', () => {
+  test('normalizes scraper field names', () => {
+    expect(threadFields({
+      in_reply_to_status_id_str: '10',
+      in_reply_to_screen_name: 'trader',
+      quoted_status: { id_str: '11', full_text: '$ETH chart', user: { screen_name: 'analyst' } },
+      conversationId: 9
+    })).toEqual({
+      in_reply_to: { tweet_id: '10', handle: 'trader', content: null },
+      quoted_tweet: { tweet_id: '11', handle: 'analyst', content: '$ETH chart' },
+      conversation_id: '9'
+    });
+    expect(threadFields({ content: 'gm' })).toEqual({ in_reply_to: null, quoted_tweet: null, conversation_id: null });
+  });
+});
@@ -1,5 +1,6 @@
 const { connect, closeConnection } = require('../db');
 const { dbName, tradingSignalsCollectionName } = require('../config/config');
+const logger = require('../utils/logger');
 
 async function addSubscriber(twitterHandles, subscriber) {
     const client = await connect();
@@ -12,11 +13,11 @@ async function addSubscriber(twitterHandles, subscriber) {
             { $addToSet: { subscribers: subscriber } }
         );
 
-        console.log(
+        logger.info(
             `Matched ${updateResult.matchedCount} document(s) and modified ${updateResult.modifiedCount} document(s).`
         );
     } catch (error) {
-        console.error("Error updating subscribers:", error);
+        logger.error("Error updating subscribers:", error);
     } finally {
         await closeConnection(client);
     }
@@ -0,0 +1,151 @@
+// src/services/coinResolver.js
+// Maps the coins a tweet talks about to CoinGecko ids without the LLM:
+// cashtags against the symbols in src/utils/coins.json, plus coin names and
+// the curated aliases in src/data/coin-aliases.json. A symbol shared by
+// several coins goes to the one with the best market cap rank in the
+// LunarCrush token snapshot, and how clear that choice was sets its confidence.
+const path = require('path');
+const coinsData = require(path.join(__dirname, '../utils/coins.json'));
+const aliases = require('../data/coin-aliases.json');
+const { coinResolution } = require('../config/config');
+const { getLunarCrushTokens } = require('./knownCoins');
+
+const ALIAS_CONFIDENCE = 0.95;
+// Cashtags start with a letter so prices like $100k are not taken for symbols
+const CASHTAG = /\$([A-Za-z][A-Za-z0-9]*)/g;
+
+let coinIndex = null;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Ranked coins first, best rank first; the rest by id length as before
+function compareCandidates(a, b) {
+    if (a.rank && b.rank) return a.rank - b.rank;
+    if (a.rank || b.rank) return a.rank ? -1 : 1;
+    return a.id.length - b.id.length;
+}
+
+function buildIndex() {
+    // LunarCrush has no CoinGecko ids, so tokens are matched on symbol and name
+    const ranks = new Map();
+    for (const { symbol, name, market_cap_rank: rank } of getLunarCrushTokens()) {
+        if (!rank) continue;
+        const key = `${String(symbol).toLowerCase()}:${String(name).toLowerCase()}`;
+        if (!ranks.has(key) || rank < ranks.get(key)) ranks.set(key, rank);
+    }
+
+    const byId = new Map();
+    const bySymbol = new Map();
+    const phrases = new Map();
+    for (const coin of coinsData) {
+        const symbol = coin.symbol.toLowerCase();
+        const name = coin.name.toLowerCase();
+        const entry = { id: coin.id, symbol: coin.symbol, name: coin.name, rank: ranks.get(`${symbol}:${name}`) || null };
+        byId.set(entry.id, entry);
+        if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+        bySymbol.get(symbol).push(entry);
+
+        // Names in prose only count for the larger coins
+        if (entry.rank && entry.rank <= coinResolution.nameMaxRank && name.length >= 3) {
+            const current = phrases.get(name);
+            if (!current || entry.rank < current.coin.rank) {
+                phrases.set(name, { coin: entry, matchedBy: 'name', confidence: nameConfidence(coin.name) });
+            }
+        }
+    }
+    for (const group of bySymbol.values()) {
+        group.sort(compareCandidates);
+    }
+    for (const [alias, id] of Object.entries(aliases)) {
+        if (byId.has(id)) {
+            phrases.set(alias.toLowerCase(), { coin: byId.get(id), matchedBy: 'alias', confidence: ALIAS_CONFIDENCE });
+        }
+    }
+
+    // Longest first so "bitcoin cash" wins over "bitcoin"
+    const alternation = [...phrases.keys()].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+    return {
+        bySymbol,
+        phrases,
+        phrasePattern: new RegExp(`(?<![\\w$])(?:${alternation})(?!\\w)`, 'gi')
+    };
+}
+
+function getIndex() {
+    if (!coinIndex) coinIndex = buildIndex();
+    return coinIndex;
+}
+
+/**
+ * Confidence that a symbol means its best-ranked coin. A shared symbol is
+ * only clear when that coin is ranked far ahead of the next one.
+ * @param {Array} candidates - Coins with the symbol, best first
+ */
+function symbolConfidence(candidates) {
+    const [best, runnerUp] = candidates;
+    if (!best.rank) return candidates.length === 1 ? 0.7 : 0.3;
+    if (!runnerUp?.rank) return candidates.length === 1 ? 0.95 : 0.9;
+    return runnerUp.rank / best.rank >= 10 ? 0.85 : 0.5;
+}
+
+// Short one-word names (Safe, Flow, Core) are often plain English
+function nameConfidence(name) {
+    return /[\s\d]/.test(name) || name.length >= 6 ? 0.9 : 0.6;
+}
+
+/**
+ * Coins sharing a symbol, most likely first
+ * @param {string} symbol - Symbol without the $
+ * @returns {Array} - [{ id, symbol, name, rank }]
+ */
+function candidatesForSymbol(symbol) {
+    return [...(getIndex().bySymbol.get(symbol.toLowerCase()) || [])];
+}
+
+/**
+ * Resolves the coins a tweet mentions
+ * @param {string} text - Tweet text
+ * @returns {Object} - { coins, cashtags, unresolved, needsLlm }
+ *   coins: [{ id, symbol, name, rank, confidence, matchedBy (cashtag, name or alias), mention }], most confident first
+ *   unresolved: cashtags that match no known symbol
+ *   needsLlm: the tweet has no cashtag, or one that is unknown or below coinResolution.minConfidence
+ */
+function resolveCoins(text = '') {
+    const { phrases, phrasePattern } = getIndex();
+    const found = new Map();
+    const add = (coin, confidence, matchedBy, mention) => {
+        const current = found.get(coin.id);
+        if (!current || confidence > current.confidence) {
+            found.set(coin.id, { ...coin, confidence, matchedBy, mention });
+        }
+    };
+
+    const cashtags = [...new Set([...text.matchAll(CASHTAG)].map(match => match[1].toLowerCase()))];
+    const unresolved = [];
+    let uncertain = false;
+    for (const tag of cashtags) {
+        const candidates = candidatesForSymbol(tag);
+        if (candidates.length === 0) {
+            unresolved.push(tag);
+            continue;
+        }
+        const confidence = symbolConfidence(candidates);
+        if (confidence < coinResolution.minConfidence) uncertain = true;
+        add(candidates[0], confidence, 'cashtag', `$${tag}`);
+    }
+    for (const [mention] of text.matchAll(phrasePattern)) {
+        const { coin, matchedBy, confidence } = phrases.get(mention.toLowerCase());
+        add(coin, confidence, matchedBy, mention);
+    }
+
+    return {
+        coins: [...found.values()].sort((a, b) => b.confidence - a.confidence),
+        cashtags,
+        unresolved,
+        needsLlm: cashtags.length === 0 || unresolved.length > 0 || uncertain
+    };
+}
+
+module.exports = { resolveCoins, candidatesForSymbol, symbolConfidence };
@@ -1,23 +1,24 @@
 // src/services/coinsService.js
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { coingeckoApiUrl } = require('../config/config');
+const httpClient = require('../utils/httpClient');
+const logger = require('../utils/logger');
 
 const url = coingeckoApiUrl;
-const options = { method: 'GET', headers: { accept: 'application/json' } };
+const options = { headers: { accept: 'application/json' } };
 
 async function fetchAndUpdateCoins() {
     try {
-        const response = await axios.get(`${url}/coins/list`, options);
+        const response = await httpClient.get('coingecko', `${url}/coins/list`, options);
         const coinsList = response.data;
         // Save coins.json in the project root (adjust path as needed)
         // const filePath = path.join(__dirname, '../../coins.json');
         const filePath = path.join(__dirname, '../utils/coins.json');
         fs.writeFileSync(filePath, JSON.stringify(coinsList, null, 2), 'utf8');
-        console.log(`Coins list updated successfully at ${new Date().toISOString()}`);
+        logger.info(`Coins list updated successfully at ${new Date().toISOString()}`);
     } catch (error) {
-        console.error('Error fetching coins list:', error.message);
+        logger.error('Error fetching coins list:', error.message);
     }
 }
 
@@ -1,79 +1,25 @@
-// Use dynamic import for p-queue
-const axios = require('axios');
-const dotenv = require('dotenv');
-const { coingeckoApiUrl } = require('../config/config');
-dotenv.config();
+const httpClient = require('../utils/httpClient');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const { coingeckoApiUrl, coingeckoApiKey } = require('../config/config');
+const logger = require('../utils/logger');
 
 class CryptoService {
     constructor() {
         // this.baseUrl = 'https://api.coingecko.com/api/v3';
         this.baseUrl = coingeckoApiUrl;
-        this.apiKey = process.env.COINGECKO_API_KEY;
+        this.apiKey = coingeckoApiKey;
 
-        // Configure axios defaults for CoinGecko
-        this.axiosInstance = axios.create({
-            baseURL: this.baseUrl,
-            headers: {
-                'x-cg-demo-api-key': this.apiKey
-            }
-        });
-
-        // Initialize without p-queue, will be set in initQueue
-        this.apiQueue = null;
-        this.initQueue();
+        this.headers = {
+            'x-cg-demo-api-key': this.apiKey
+        };
 
         this.tokenCache = new Map();
         this.cacheTTL = 5 * 60 * 1000; // 5 minutes
-
-        this.queueStats = {
-            pending: 0,
-            processed: 0,
-            lastWindow: Date.now()
-        };
-
-        this.metrics = {
-            totalRequests: 0,
-            failedRequests: 0,
-            cacheHits: 0,
-            queueStats: []
-        };
-
-        setInterval(() => {
-            if (this.apiQueue) {
-                this.metrics.queueStats.push({
-                    timestamp: new Date().toISOString(),
-                    pending: this.apiQueue.pending,
-                    processed: this.apiQueue.completed
-                });
-            }
-        }, 60000);
-    }
-
-    async initQueue() {
-        try {
-            // Dynamically import p-queue
-            const PQueueModule = await import('p-queue');
-            const PQueue = PQueueModule.default;
-
-            this.apiQueue = new PQueue({
-                intervalCap: 25, // Keep 5 reqs/minute buffer for safety
-                interval: 60 * 1000,
-                carryoverConcurrencyCount: true,
-                autoStart: true
-            });
-
-            // console.log('PQueue initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize PQueue:', error);
-            throw new Error('Failed to initialize queue system');
-        }
     }
 
-    async ensureQueueInitialized() {
-        if (!this.apiQueue) {
-            await this.initQueue();
-        }
-        return this.apiQueue;
+    // Requests are paced by the shared client's CoinGecko limits (config.httpProviders)
+    apiGet(path, config = {}) {
+        return httpClient.get('coingecko', `${this.baseUrl}${path}`, { ...config, headers: this.headers });
     }
 
     formatDateForCoinGecko(timestamp) {
@@ -88,14 +34,12 @@ class CryptoService {
     async fetchFromMarketCapUrl(coinId) {
         const url = `https://www.coingecko.com/market_cap/${coinId}/usd/24_hours.json`;
         try {
-            const response = await fetch(url, { timeout: 60000 });
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            return data;
+            const response = await httpClient.get('coingecko', url);
+            return response.data;
         } catch (error) {
-            console.error(`Error fetching price data for ${coinId}:`, error.message);
+            // Let callers see a provider outage rather than a generic failure
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Error fetching price data for ${coinId}:`, error.message);
             return null;
         }
     }
@@ -103,14 +47,11 @@ class CryptoService {
     async fetchFromPriceChartsUrl(coinId) {
         const url = `https://www.coingecko.com/price_charts/${coinId}/usd/24_hours.json`;
         try {
-            const response = await fetch(url, { timeout: 60000 });
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            return data;
+            const response = await httpClient.get('coingecko', url);
+            return response.data;
         } catch (error) {
-            console.error(`Error fetching price data for ${coinId}:`, error.message);
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Error fetching price data for ${coinId}:`, error.message);
             return null;
         }
     }
@@ -152,7 +93,7 @@ class CryptoService {
             const currentVolumePoint = findClosest(marketCapData.total_volumes, currentUnixMs);
 
             // Fetch metadata from the official CoinGecko API
-            const metadataResponse = await this.axiosInstance.get(`/coins/${coinId}`, {
+            const metadataResponse = await this.apiGet(`/coins/${coinId}`, {
                 params: {
                     localization: false,
                     tickers: false,
@@ -198,7 +139,8 @@ class CryptoService {
                 }
             };
         } catch (error) {
-            console.error(`Error fetching data for ${coinId}:`, error);
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Error fetching data for ${coinId}:`, error);
             throw new Error(`Failed to fetch data for coin ID ${coinId}: ${error.message}`);
         }
     }
@@ -207,10 +149,10 @@ class CryptoService {
         try {
             const formattedHistoricalDate = this.formatDateForCoinGecko(historicalTimestamp);
             const formattedCurrentDate = this.formatDateForCoinGecko(currentTimestamp);
-            console.log(`Fetching historical data for ${coinId} at historical date: ${formattedHistoricalDate} and current date: ${formattedCurrentDate}`);
+            logger.info(`Fetching historical data for ${coinId} at historical date: ${formattedHistoricalDate} and current date: ${formattedCurrentDate}`);
 
             // Fetch historical data
-            const historicalResponse = await this.axiosInstance.get(`/coins/${coinId}/history`, {
+            const historicalResponse = await this.apiGet(`/coins/${coinId}/history`, {
                 params: {
                     date: formattedHistoricalDate,
                     localization: false
@@ -218,7 +160,7 @@ class CryptoService {
             });
 
             // Fetch current data at specified timestamp
-            const currentResponse = await this.axiosInstance.get(`/coins/${coinId}/history`, {
+            const currentResponse = await this.apiGet(`/coins/${coinId}/history`, {
                 params: {
                     date: formattedCurrentDate,
                     localization: false
@@ -230,7 +172,7 @@ class CryptoService {
 
             // Fallback handling if historical data is missing
             if (!historicalData?.market_data) {
-                console.warn(`No historical data found for ${coinId} at ${formattedHistoricalDate}`);
+                logger.warn(`No historical data found for ${coinId} at ${formattedHistoricalDate}`);
                 return this._createFallbackResponse(coinId, historicalTimestamp, currentData);
             }
 
@@ -260,7 +202,8 @@ class CryptoService {
                 }
             };
         } catch (error) {
-            console.error(`Error fetching historical data for ${coinId}:`, error);
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Error fetching historical data for ${coinId}:`, error);
             throw new Error(`Failed to fetch historical data for coin ID ${coinId}: ${error.message}`);
         }
     }
@@ -292,78 +235,75 @@ class CryptoService {
     }
 
     async getTokenDataById(coinId) {
-        await this.ensureQueueInitialized();
+        try {
+            // Direct fetch using coin ID without symbol resolution
+            const marketResponse = await this.apiGet('/coins/markets', {
+                params: {
+                    vs_currency: 'usd',
+                    ids: coinId,
+                    order: 'market_cap_desc',
+                    per_page: 1,
+                    page: 1,
+                    sparkline: false,
+                    price_change_percentage: '24h'
+                }
+            });
 
-        return this.apiQueue.add(async () => {
-            try {
-                // Direct fetch using coin ID without symbol resolution
-                const marketResponse = await this.axiosInstance.get('/coins/markets', {
-                    params: {
-                        vs_currency: 'usd',
-                        ids: coinId,
-                        order: 'market_cap_desc',
-                        per_page: 1,
-                        page: 1,
-                        sparkline: false,
-                        price_change_percentage: '24h'
-                    }
-                });
+            if (!marketResponse.data || marketResponse.data.length === 0) {
+                throw new Error(`No market data found for coin ID ${coinId}`);
+            }
 
-                if (!marketResponse.data || marketResponse.data.length === 0) {
-                    throw new Error(`No market data found for coin ID ${coinId}`);
-                }
+            const marketData = marketResponse.data[0];
 
-                const marketData = marketResponse.data[0];
+            // Get additional data using /coins/{id} endpoint
+            const detailResponse = await this.apiGet(`/coins/${coinId}`, {
+                params: {
+                    localization: false,
+                    tickers: false,
+                    market_data: true,
+                    community_data: false,
+                    developer_data: false,
+                    sparkline: false
+                }
+            });
 
-                // Get additional data using /coins/{id} endpoint
-                const detailResponse = await this.axiosInstance.get(`/coins/${coinId}`, {
-                    params: {
-                        localization: false,
-                        tickers: false,
-                        market_data: true,
-                        community_data: false,
-                        developer_data: false,
-                        sparkline: false
-                    }
-                });
+            const detailData = detailResponse.data;
 
-                const detailData = detailResponse.data;
-
-                return {
-                    token: marketData.symbol.toUpperCase(),
-                    coin_id: coinId,
-                    current_price: marketData.current_price,
-                    price_change_24h_percentage: marketData.price_change_percentage_24h,
-                    market_cap: marketData.market_cap,
-                    total_volume: marketData.total_volume,
-                    high_24h: marketData.high_24h,
-                    low_24h: marketData.low_24h,
-                    price_timestamp: new Date().toISOString(),
-                    additional_metrics: {
-                        market_cap_rank: marketData.market_cap_rank,
-                        total_supply: marketData.total_supply,
-                        circulating_supply: marketData.circulating_supply,
-                        max_supply: marketData.max_supply,
-                        ath: marketData.ath,
-                        ath_date: marketData.ath_date,
-                        atl: marketData.atl,
-                        atl_date: marketData.atl_date
-                    },
-                    market_details: {
-                        market_cap_change_24h_percentage: marketData.market_cap_change_percentage_24h,
-                        fully_diluted_valuation: marketData.fully_diluted_valuation,
-                        price_change_24h: marketData.price_change_24h,
-                        categories: detailData.categories,
-                        description: detailData.description?.en,
-                        sentiment_votes_up_percentage: detailData.sentiment_votes_up_percentage,
-                        sentiment_votes_down_percentage: detailData.sentiment_votes_down_percentage
-                    }
-                };
-            } catch (error) {
-                console.error('Error fetching token data:', error);
-                throw new Error(`Failed to fetch data for coin ID ${coinId}: ${error.message}`);
-            }
-        });
+            return {
+                token: marketData.symbol.toUpperCase(),
+                coin_id: coinId,
+                current_price: marketData.current_price,
+                price_change_24h_percentage: marketData.price_change_percentage_24h,
+                market_cap: marketData.market_cap,
+                total_volume: marketData.total_volume,
+                high_24h: marketData.high_24h,
+                low_24h: marketData.low_24h,
+                price_timestamp: new Date().toISOString(),
+                additional_metrics: {
+                    market_cap_rank: marketData.market_cap_rank,
+                    total_supply: marketData.total_supply,
+                    circulating_supply: marketData.circulating_supply,
+                    max_supply: marketData.max_supply,
+                    ath: marketData.ath,
+                    ath_date: marketData.ath_date,
+                    atl: marketData.atl,
+                    atl_date: marketData.atl_date
+                },
+                market_details: {
+                    market_cap_change_24h_percentage: marketData.market_cap_change_percentage_24h,
+                    fully_diluted_valuation: marketData.fully_diluted_valuation,
+                    price_change_24h: marketData.price_change_24h,
+                    categories: detailData.categories,
+                    description: detailData.description?.en,
+                    sentiment_votes_up_percentage: detailData.sentiment_votes_up_percentage,
+                    sentiment_votes_down_percentage: detailData.sentiment_votes_down_percentage
+                }
+            };
+        } catch (error) {
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error('Error fetching token data:', error);
+            throw new Error(`Failed to fetch data for coin ID ${coinId}: ${error.message}`);
+        }
     }
 
     async getPriceRangeData(coinId, startTimestamp, endTimestamp, interval = 'daily') {
@@ -407,7 +347,7 @@ class CryptoService {
 
             // Fetch data for all sample points
             const priceDataPromises = datesToSample.map(date =>
-                this.axiosInstance.get(`/coins/${coinId}/history`, {
+                this.apiGet(`/coins/${coinId}/history`, {
                     params: {
                         date,
                         localization: false
@@ -436,7 +376,8 @@ class CryptoService {
                 price_history: priceData
             };
         } catch (error) {
-            console.error(`Error fetching price range data for ${coinId}:`, error);
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Error fetching price range data for ${coinId}:`, error);
             throw new Error(`Failed to fetch price range data: ${error.message}`);
         }
     }
@@ -448,22 +389,11 @@ class CryptoService {
             return this.tokenCache.get(cacheKey);
         }
 
-        await this.ensureQueueInitialized();
-
-        return this.apiQueue.add(async () => {
-            try {
-                const data = await this.getPriceRangeData(coinId, startTimestamp, endTimestamp, interval);
-                this.tokenCache.set(cacheKey, data);
-                setTimeout(() => this.tokenCache.delete(cacheKey), this.cacheTTL);
-                return data;
-            } catch (error) {
-                if (error.response?.status === 429) {
-                    await new Promise(resolve => setTimeout(resolve, 60000));
-                    return this.getHighestPriceBetweenDates(coinId, startTimestamp, endTimestamp, interval);
-                }
-                throw error;
-            }
-        });
+        // 429s are retried by the HTTP client once CoinGecko's window resets
+        const data = await this.getPriceRangeData(coinId, startTimestamp, endTimestamp, interval);
+        this.tokenCache.set(cacheKey, data);
+        setTimeout(() => this.tokenCache.delete(cacheKey), this.cacheTTL);
+        return data;
     }
 
     clearCache() {
@@ -0,0 +1,155 @@
+// src/services/healthService.js
+// Liveness and readiness checks. Readiness reports every check separately so
+// an orchestrator can gate traffic on the overall status and alert on the
+// individual check that failed.
+const { connect, closeConnection } = require('../db');
+const { dbName, env, health, telegram } = require('../config/config');
+const { getJob, getLastSuccessfulRun } = require('../cron/jobRegistry');
+const httpClient = require('../utils/httpClient');
+const logger = require('../utils/logger');
+
+let telegramCheckCache = null;
+
+function withTimeout(promise, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} check timed out after ${health.checkTimeoutMs}ms`)), health.checkTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkMongo() {
+    const startedAt = Date.now();
+    let client;
+    try {
+        client = await withTimeout(connect(), 'MongoDB');
+        await withTimeout(client.db(dbName).command({ ping: 1 }), 'MongoDB');
+        return { status: 'ok', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'fail', error: error.message };
+    } finally {
+        if (client) await closeConnection(client);
+    }
+}
+
+/**
+ * A job fails the check when its last successful run is older than its
+ * allowed age. Paused jobs are reported but don't count, and a job that has
+ * never succeeded only fails once the process has been up longer than that age.
+ */
+async function checkJob(name, maxAgeMs, now) {
+    const job = getJob(name);
+    if (job?.paused) {
+        return { status: 'skipped', reason: 'paused', maxAgeMs };
+    }
+
+    const lastRun = await getLastSuccessfulRun(name);
+    if (!lastRun) {
+        const uptimeMs = process.uptime() * 1000;
+        return uptimeMs > maxAgeMs
+            ? { status: 'fail', lastSuccessAt: null, maxAgeMs, error: 'No successful run recorded' }
+            : { status: 'ok', lastSuccessAt: null, maxAgeMs };
+    }
+
+    const lastSuccessAt = lastRun.finishedAt || lastRun.startedAt;
+    const ageMs = now - new Date(lastSuccessAt).getTime();
+    return {
+        status: ageMs > maxAgeMs ? 'fail' : 'ok',
+        lastSuccessAt,
+        ageMs,
+        maxAgeMs
+    };
+}
+
+async function checkJobs() {
+    const now = Date.now();
+    const entries = Object.entries(health.criticalJobs);
+    try {
+        const results = await withTimeout(
+            Promise.all(entries.map(([name, maxAgeMs]) => checkJob(name, maxAgeMs, now))),
+            'Job runs'
+        );
+        const jobs = Object.fromEntries(entries.map(([name], i) => [name, results[i]]));
+        const failing = Object.keys(jobs).filter(name => jobs[name].status === 'fail');
+        return failing.length > 0
+            ? { status: 'fail', failing, jobs }
+            : { status: 'ok', jobs };
+    } catch (error) {
+        return { status: 'fail', error: error.message };
+    }
+}
+
+function checkEnv() {
+    const missing = health.requiredEnv.filter(name => !env[name]);
+    return missing.length > 0 ? { status: 'fail', missing } : { status: 'ok' };
+}
+
+/**
+ * Calls Telegram's getMe to confirm the bot token is accepted. Results are
+ * cached for config.health.telegramCheckCacheMs.
+ */
+async function checkTelegram() {
+    if (!telegram.botToken) {
+        return { status: 'fail', error: 'TELEGRAM_BOT_TOKEN is not set' };
+    }
+    if (telegramCheckCache && Date.now() - telegramCheckCache.checkedAt < health.telegramCheckCacheMs) {
+        return telegramCheckCache.result;
+    }
+
+    let result;
+    try {
+        const response = await httpClient.get(
+            'telegram',
+            `${telegram.apiBaseUrl}/bot${telegram.botToken}/getMe`,
+            { timeout: health.checkTimeoutMs },
+            { maxRetries: 0 }
+        );
+        result = response.data?.ok
+            ? { status: 'ok', botUsername: response.data.result?.username }
+            : { status: 'fail', error: response.data?.description || 'Unexpected getMe response' };
+    } catch (error) {
+        const status = error.response?.status;
+        result = {
+            status: 'fail',
+            error: status === 401 || status === 404 ? 'Bot token rejected by Telegram' : error.message
+        };
+    }
+
+    if (result.status === 'fail') {
+        logger.warn(`Telegram readiness check failed: ${result.error}`);
+    }
+    telegramCheckCache = { checkedAt: Date.now(), result };
+    return result;
+}
+
+/**
+ * Liveness: the process is up and serving requests
+ * @returns {Object} - Liveness report
+ */
+function getLiveness() {
+    return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * Readiness: MongoDB answers a ping, critical jobs have succeeded recently,
+ * required environment variables are set and the Telegram bot token is valid
+ * @returns {Promise<Object>} - { ready, status, checkedAt, checks }
+ */
+async function getReadiness() {
+    const [mongodb, jobs, telegramCheck] = await Promise.all([
+        checkMongo(),
+        checkJobs(),
+        checkTelegram()
+    ]);
+    const checks = { mongodb, jobs, env: checkEnv(), telegram: telegramCheck };
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+
+    return {
+        ready,
+        status: ready ? 'ready' : 'not_ready',
+        checkedAt: new Date(),
+        checks
+    };
+}
+
+module.exports = { getLiveness, getReadiness };
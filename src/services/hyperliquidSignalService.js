@@ -1,5 +1,6 @@
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
 const { hyperliquid } = require('../config/config');
+const logger = require('../utils/logger');
 
 /**
  * Sends a trading signal to the Hyperliquid Python API for position creation
@@ -24,14 +25,14 @@ async function sendSignalToHyperliquidAPI(signalData) {
             'Max Exit Time': signalData.maxExitTime ? { '$date': new Date(signalData.maxExitTime).toISOString() } : null
         };
 
-        console.log(`Sending signal to Hyperliquid API: ${JSON.stringify(payload, null, 2)}`);
+        logger.info('Sending signal to Hyperliquid API', { payload });
 
         // Require header-based auth for sending signals
         if (!hyperliquid.authToken) {
             throw new Error('Missing HYPERLIQUID_SIGNAL_AUTH_TOKEN environment variable required for Hyperliquid auth');
         }
 
-        const response = await axios.post(hyperliquid.apiUrl, payload, {
+        const response = await httpClient.post('trading', hyperliquid.apiUrl, payload, {
             headers: {
                 'Content-Type': 'application/json',
                 'X-Auth-Token': hyperliquid.authToken
@@ -39,15 +40,15 @@ async function sendSignalToHyperliquidAPI(signalData) {
             timeout: hyperliquid.timeout
         });
 
-        console.log(`Hyperliquid API response: ${JSON.stringify(response.data, null, 2)}`);
+        logger.info('Hyperliquid API response', { response: response.data });
         return response.data;
 
     } catch (error) {
-        console.error('Error sending signal to Hyperliquid API:', error.message);
+        logger.error('Error sending signal to Hyperliquid API:', error.message);
         
         // Log detailed error information
         if (error.response) {
-            console.error('API Error Response:', {
+            logger.error('API Error Response:', {
                 status: error.response.status,
                 statusText: error.response.statusText,
                 data: error.response.data
@@ -142,7 +143,7 @@ async function processAndSendSignal(rawSignalData) {
         return result;
         
     } catch (error) {
-        console.error('Error processing and sending signal:', error);
+        logger.error('Error processing and sending signal:', error);
         return {
             status: 'error',
             error: error.message
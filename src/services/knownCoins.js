@@ -0,0 +1,70 @@
+// src/services/knownCoins.js
+// Names and symbols of the larger coins, for cheap local checks on tweet text.
+// Read from the newest LunarCrush token snapshot in src/data
+// (lunarcrush-tokens-simple-<date>.json, written by fetchLunarcrushTokens).
+const fs = require('fs');
+const path = require('path');
+const { tweetClassification } = require('../config/config');
+const logger = require('../utils/logger');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SNAPSHOT_PATTERN = /^lunarcrush-tokens-simple-\d{4}-\d{2}-\d{2}\.json$/;
+
+let snapshot = null;
+let knownCoins = null;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Every token in the newest snapshot, loaded once
+ * @returns {Array} - [{ symbol, name, type, market_cap_rank, market_cap }]
+ */
+function getLunarCrushTokens() {
+    if (!snapshot) {
+        const [latest] = fs.readdirSync(DATA_DIR).filter(file => SNAPSHOT_PATTERN.test(file)).sort().reverse();
+        if (latest) {
+            snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, latest), 'utf8'));
+        } else {
+            logger.warn(`No LunarCrush token snapshot in ${DATA_DIR}; coins are matched without market cap ranks`);
+            snapshot = [];
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Tokens up to tweetClassification.knownCoinMaxRank, loaded once
+ * @returns {Object} - { tokens, namePattern, symbolPattern }
+ *   namePattern matches a name case-insensitively, symbolPattern an
+ *   upper-case symbol of 3+ letters, both as whole words
+ */
+function getKnownCoins() {
+    if (!knownCoins) {
+        const tokens = getLunarCrushTokens()
+            .filter(token => token.market_cap_rank && token.market_cap_rank <= tweetClassification.knownCoinMaxRank)
+            .map(({ symbol, name, market_cap_rank }) => ({ symbol: String(symbol).toUpperCase(), name: String(name), rank: market_cap_rank }));
+        const names = [...new Set(tokens.map(token => token.name.toLowerCase()).filter(name => name.length >= 3))];
+        const symbols = [...new Set(tokens.map(token => token.symbol).filter(symbol => /^[A-Z0-9]{3,}$/.test(symbol)))];
+        // Longest first so "Bitcoin Cash" wins over "Bitcoin"
+        const alternation = list => list.sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+        knownCoins = {
+            tokens,
+            namePattern: names.length > 0 ? new RegExp(`(?<![\\w$])(?:${alternation(names)})(?!\\w)`, 'i') : null,
+            symbolPattern: symbols.length > 0 ? new RegExp(`(?<![\\w$])(?:${alternation(symbols)})(?!\\w)`) : null
+        };
+    }
+    return knownCoins;
+}
+
+/**
+ * Whether text names a known coin, by name (any case) or upper-case symbol
+ * @param {string} text - Tweet text
+ */
+function mentionsKnownCoin(text = '') {
+    const { namePattern, symbolPattern } = getKnownCoins();
+    return Boolean(namePattern?.test(text) || symbolPattern?.test(text));
+}
+
+module.exports = { getLunarCrushTokens, getKnownCoins, mentionsKnownCoin };
@@ -0,0 +1,149 @@
+// src/services/levelParser.js
+// Reads the levels an influencer states in a tweet ("long ARB 0.41, TP 0.45 /
+// 0.5, SL 0.388") so signals can use them instead of generated ones.
+const { statedLevels } = require('../config/config');
+
+// 0.45, .45, 1,200.5, 70k, 1.2m, $0.388; not leverage (10x) or percentages
+const VALUE = String.raw`\$?(?:(?:\d{1,3}(?:,\d{3})+(?!\d)|\d+)(?:\.\d+)?|\.\d+)(?:\s?[kKmM](?![a-zA-Z]))?(?!\d|\.\d|\s?[x%])`;
+// "0.39-0.41", "70k to 72k", "0.45 / 0.5" and "0.45, 0.5"
+const RANGE_SEPARATOR = String.raw`\s*(?:-|–|\bto\b)\s*`;
+const LIST_SEPARATOR = String.raw`\s*(?:\/|,|&|\band\b)\s*`;
+const VALUES = `${VALUE}(?:(?:${RANGE_SEPARATOR}|${LIST_SEPARATOR})${VALUE})*`;
+const CONNECTOR = String.raw`(?:\s*(?:[:=@]|\b(?:at|around|near|from|is|below|above|under|over)\b))*\s*`;
+
+const ENTRY_WORD = String.raw`\b(?:entry(?:\s+zone)?|entries|buy\s+zone|bid(?:ding)?|buy(?:ing)?|long(?:ing)?|short(?:ing)?|sell(?:ing)?|bought|add(?:ed|ing)?|accumulat(?:e|ing))\b`;
+const COIN = String.raw`\$?[A-Za-z][A-Za-z0-9]{1,9}\b`;
+
+const KEYWORDS = {
+    entry: String.raw`${ENTRY_WORD}(?:\s+${COIN})?`,
+    target: String.raw`\b(?:tp\d?(?:\s*\/\s*tp\d)*|tps|targets?|tgts?|take[\s-]?profits?)\b`,
+    stop: String.raw`\b(?:sl|stop[\s-]?loss|stops?|invalidation|inval)\b`
+};
+const levelPattern = (keyword, after = '') => new RegExp(`${keyword}${CONNECTOR}(${VALUES})${after}`, 'gi');
+const PATTERNS = {
+    // "Buying 1000 $DOGE at 0.15", "added more $ETH at 3k": the price is the
+    // number after at, @ or from, with a position size allowed before it
+    boundEntry: new RegExp(String.raw`${ENTRY_WORD}(?:\s+(?:some|more))?(?:\s+${VALUE})?(?:\s+${COIN})?\s*(?:@|\b(?:at|from)\b)\s*(${VALUES})`, 'gi'),
+    // A number right before a cashtag is a position size ("bought 5 $ETH"), not a price
+    entry: levelPattern(KEYWORDS.entry, String.raw`(?!\s*\$[A-Za-z])`),
+    target: levelPattern(KEYWORDS.target),
+    stop: levelPattern(KEYWORDS.stop)
+};
+
+const LONG_WORDS = /\b(?:long(?:ing|ed)?|buy(?:ing)?|bought|add(?:ed|ing)|bid(?:ding)?|bullish|accumulat\w*)\b(?![\s-]term)/i;
+const SHORT_WORDS = /\b(?:short(?:ing|ed)?|sell(?:ing)?|sold|bearish)\b(?![\s-]term)/i;
+
+// "70k" → 70000, "1,200.5" → 1200.5
+function toNumber(text) {
+    const match = text.replace(/[$,\s]/g, '').match(/^([\d.]+)([kKmM])?$/);
+    if (!match) return null;
+    const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+    const value = Number(match[1]) * multiplier;
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// The values after each occurrence of one kind of keyword: [[0.45, 0.5], [0.6]]
+function collect(kind, text) {
+    const groups = [];
+    for (const match of text.matchAll(PATTERNS[kind])) {
+        const values = [...match[1].matchAll(new RegExp(VALUE, 'g'))].map(([value]) => toNumber(value)).filter(value => value !== null);
+        if (values.length > 0) groups.push(values);
+    }
+    return groups;
+}
+
+function inferDirection(text, entry, targets, stops) {
+    const reference = entry ?? stops[0] ?? null;
+    if (targets.length > 0 && reference !== null && targets[0] !== reference) {
+        return targets[0] > reference ? 'long' : 'short';
+    }
+    if (stops.length > 0 && entry !== null && stops[0] !== entry) {
+        return stops[0] < entry ? 'long' : 'short';
+    }
+    const long = LONG_WORDS.test(text);
+    const short = SHORT_WORDS.test(text);
+    if (long !== short) return long ? 'long' : 'short';
+    return null;
+}
+
+/**
+ * Parses the entry, targets and stop loss stated in a tweet
+ * @param {string} text - Tweet text
+ * @returns {Object|null} - { direction, entry, entryRange, targets, stopLoss }, or null when
+ *   the tweet states no levels. direction is long, short or null when unclear;
+ *   targets are nearest first.
+ */
+function parseLevels(text = '') {
+    // A price bound by at, @ or from wins over a bare number that may be a size
+    const [entries] = [...collect('boundEntry', text), ...collect('entry', text)];
+    const targets = [...new Set(collect('target', text).flat())];
+    const stops = collect('stop', text).flat();
+    if (!entries && targets.length === 0 && stops.length === 0) return null;
+
+    // Several entry prices are a zone, stated as its midpoint
+    let entry = null;
+    let entryRange = null;
+    if (entries) {
+        entryRange = entries.length > 1 ? [Math.min(...entries), Math.max(...entries)] : null;
+        entry = entryRange ? (entryRange[0] + entryRange[1]) / 2 : entries[0];
+    }
+
+    const direction = inferDirection(text, entry, targets, stops);
+    const sign = direction === 'short' ? -1 : 1;
+    // A stop range is taken at its widest; targets nearest first
+    const stopLoss = stops.length === 0 ? null : sign > 0 ? Math.min(...stops) : Math.max(...stops);
+    targets.sort((a, b) => sign * (a - b));
+
+    return { direction, entry, entryRange, targets, stopLoss };
+}
+
+/**
+ * Levels from the per-coin view the analyzer stored on the tweet
+ * @param {Object|null} view - An entry of tweet.coinViews (see tweetAnalyzer.normalizeViews)
+ * @returns {Object|null} - Levels as returned by parseLevels, or null when the view states none
+ */
+function levelsFromView(view) {
+    const { entry = null, targets = [], stopLoss = null } = view?.levels || {};
+    if (entry === null && targets.length === 0 && stopLoss === null) return null;
+    const stops = stopLoss === null ? [] : [stopLoss];
+    const direction = ['long', 'short'].includes(view.stance) ? view.stance : inferDirection('', entry, targets, stops);
+    const sign = direction === 'short' ? -1 : 1;
+    return { direction, entry, entryRange: null, targets: [...targets].sort((a, b) => sign * (a - b)), stopLoss };
+}
+
+/**
+ * Checks stated levels against the current price before a signal uses them
+ * @param {Object|null} levels - Parsed levels (see parseLevels)
+ * @param {number} currentPrice - Current price of the coin
+ * @returns {Object} - { levels, reason }: levels is null when they are unusable, with the reason
+ */
+function checkStatedLevels(levels, currentPrice) {
+    const reject = reason => ({ levels: null, reason });
+    if (!levels) return reject('No levels stated');
+    if (!(currentPrice > 0)) return reject('No current price');
+
+    const { direction, entry, targets, stopLoss } = levels;
+    if (!direction) return reject('Direction unclear');
+    if (targets.length === 0 && stopLoss === null) return reject('No targets or stop loss stated');
+
+    const { maxEntryDeviation, maxPriceRatio } = statedLevels;
+    const stated = [entry, ...targets, stopLoss].filter(value => value !== null);
+    if (stated.some(value => value > currentPrice * maxPriceRatio || value < currentPrice / maxPriceRatio)) {
+        return reject('Levels are not on the scale of the current price');
+    }
+    if (entry !== null && Math.abs(entry - currentPrice) / currentPrice > maxEntryDeviation) {
+        return reject('Entry is too far from the current price');
+    }
+
+    const reference = entry ?? currentPrice;
+    const sign = direction === 'long' ? 1 : -1;
+    if (targets.some(target => sign * (target - reference) <= 0)) {
+        return reject(`Targets are on the wrong side of ${entry !== null ? 'the entry' : 'the current price'} for a ${direction}`);
+    }
+    if (stopLoss !== null && sign * (reference - stopLoss) <= 0) {
+        return reject(`Stop loss is on the wrong side of ${entry !== null ? 'the entry' : 'the current price'} for a ${direction}`);
+    }
+    return { levels, reason: null };
+}
+
+module.exports = { parseLevels, levelsFromView, checkStatedLevels };
@@ -1,18 +1,13 @@
-const axios = require("axios");
-const dotenv = require("dotenv");
 const fs = require("fs");
 const { connect, closeConnection } = require("../db");
+const httpClient = require("../utils/httpClient");
 const {
   dbName,
   lunarcrushCollectionName,
   lunarcrushTokensCollectionName,
+  lunarcrush,
 } = require("../config/config");
-dotenv.config();
-
-// --- Rate limiting helpers ---l
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-let lastRequestAt = 0;
-const MIN_REQUEST_SPACING_MS = 6500; // ~9/min to stay under 10/minute
+const logger = require("../utils/logger");
 
 // Helper function to safely get numeric value, treating null/NaN as 0
 function safeNumber(value) {
@@ -74,49 +69,6 @@ function calculatePrediction(type, metrics) {
     return prediction;
 }
 
-async function rateLimitedGet(url, headers, attempt = 1) {
-  const now = Date.now();
-  const sinceLast = now - lastRequestAt;
-  if (sinceLast < MIN_REQUEST_SPACING_MS) {
-    await sleep(MIN_REQUEST_SPACING_MS - sinceLast);
-  }
-
-  try {
-    const response = await axios.get(url, { headers });
-    lastRequestAt = Date.now();
-    return response;
-  } catch (error) {
-    const status = error?.response?.status;
-    const headersResp = error?.response?.headers || {};
-
-    // Handle 429 with respect to minute reset header
-    if (status === 429) {
-      const resetEpochSec = Number(headersResp["x-rate-limit-minute-reset"]);
-      const currentEpochSec = Math.floor(Date.now() / 1000);
-      let waitMs = MIN_REQUEST_SPACING_MS;
-      if (!Number.isNaN(resetEpochSec) && resetEpochSec > currentEpochSec) {
-        waitMs = (resetEpochSec - currentEpochSec + 1) * 1000;
-      }
-      console.warn(
-        `Rate limited (429). Waiting ${Math.ceil(waitMs / 1000)}s before retry...`,
-      );
-      await sleep(waitMs);
-      if (attempt <= 5) {
-        return rateLimitedGet(url, headers, attempt + 1);
-      }
-    }
-
-    // Transient network errors: backoff and retry a few times
-    if (!status && attempt <= 3) {
-      const backoffMs = Math.min(30000, 2000 * attempt);
-      await sleep(backoffMs);
-      return rateLimitedGet(url, headers, attempt + 1);
-    }
-
-    throw error;
-  }
-}
-
 async function fetchLunarCrushData(coin = "btc", apiKey = "") {
   if (!apiKey) {
     throw new Error("API key is required for LunarCrush v4 API");
@@ -127,9 +79,11 @@ async function fetchLunarCrushData(coin = "btc", apiKey = "") {
   const url = `https://lunarcrush.com/api4/public/coins/${coin.toLowerCase()}/time-series/v2?bucket=hour&start=${start}&end=${now}`;
 
   try {
-    const response = await rateLimitedGet(url, {
-      Authorization: `Bearer ${apiKey}`,
-      Accept: "application/json",
+    const response = await httpClient.get("lunarcrush", url, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        Accept: "application/json",
+      },
     });
     const json = response.data;
 
@@ -216,7 +170,7 @@ async function fetchLunarCrushData(coin = "btc", apiKey = "") {
       neg_d_altrank_6h
     };
   } catch (error) {
-    console.error(
+    logger.error(
       "Error fetching data from LunarCrush API for " + coin + ":",
       error,
     );
@@ -225,9 +179,9 @@ async function fetchLunarCrushData(coin = "btc", apiKey = "") {
 }
 
 async function processAllTokens() {
-  const apiKey = process.env.LUNARCRUSH_API_KEY;
+  const apiKey = lunarcrush.apiKey;
   if (!apiKey) {
-    console.error("No API key provided");
+    logger.error("No API key provided");
     return;
   }
 
@@ -239,7 +193,7 @@ async function processAllTokens() {
     const db = client.db(dbName);
     collection = db.collection(lunarcrushCollectionName);
   } catch (e) {
-    console.error(
+    logger.error(
       "Failed to connect to MongoDB for lunarcrush upserts:",
       e?.message || e,
     );
@@ -253,11 +207,11 @@ async function processAllTokens() {
       ?.collection(lunarcrushTokensCollectionName);
     tokens = await tokensCol.find({}).project({ _id: 0 }).toArray();
     if (!Array.isArray(tokens) || tokens.length === 0) {
-      console.error("No tokens found in lunarcrush-tokens collection");
+      logger.error("No tokens found in lunarcrush-tokens collection");
       return;
     }
   } catch (e) {
-    console.error("Failed to load tokens from DB:", e?.message || e);
+    logger.error("Failed to load tokens from DB:", e?.message || e);
     return;
   }
 
@@ -271,9 +225,9 @@ async function processAllTokens() {
     if (data) {
       // Use the comprehensive prediction calculation with proper null/NaN handling
       pred_next6h_pct = calculatePrediction(type, data);
-      console.log(`Calculated prediction for ${symbol} (${type}): ${pred_next6h_pct.toFixed(2)}%`);
+      logger.info(`Calculated prediction for ${symbol} (${type}): ${pred_next6h_pct.toFixed(2)}%`);
     } else {
-      console.log(`No data retrieved for ${symbol}`);
+      logger.info(`No data retrieved for ${symbol}`);
     }
 
     // Persist to MongoDB: upsert by symbol with timestamps
@@ -294,9 +248,9 @@ async function processAllTokens() {
           },
           { upsert: true },
         );
-        console.log(`Upserted ${symbol} into ${lunarcrushCollectionName}`);
+        logger.info(`Upserted ${symbol} into ${lunarcrushCollectionName}`);
       } catch (e) {
-        console.error(
+        logger.error(
           `Failed to upsert ${symbol} in MongoDB:`,
           e?.message || e,
         );
@@ -307,7 +261,7 @@ async function processAllTokens() {
   if (client) {
     await closeConnection(client);
   }
-  console.log("Processing complete. Results stored in MongoDB");
+  logger.info("Processing complete. Results stored in MongoDB");
 }
 
 // Export functions for reuse by API and scripts
@@ -1,15 +1,16 @@
 // src/services/messageSender.js
 const { processAndSendTradingSignalMessage, getDeliveryConfig } = require('./telegramService');
+const logger = require('../utils/logger');
 
 async function messageSender() {
     const startTime = Date.now();
     
     try {
-        console.log('🚀 Starting message sender service...');
+        logger.info('Starting message sender service...');
         
         // Log current delivery configuration
         const config = getDeliveryConfig();
-        console.log('⚙️  Current delivery configuration:', {
+        logger.info('Current delivery configuration:', {
             batchSize: config.batchSize,
             delayBetweenBatches: `${config.delayBetweenBatches / 1000 / 60} minutes`,
             delayBetweenSignals: `${config.delayBetweenSignals / 1000} seconds`,
@@ -21,9 +22,9 @@ async function messageSender() {
         
         const totalTime = Date.now() - startTime;
         
-        console.log('\n🎯 MESSAGE SENDER SERVICE COMPLETED');
-        console.log(`⏱️  Total service time: ${Math.round(totalTime / 1000)} seconds`);
-        console.log(`📊 Delivery summary:`, deliverySummary);
+        logger.info('MESSAGE SENDER SERVICE COMPLETED');
+        logger.info(`Total service time: ${Math.round(totalTime / 1000)} seconds`);
+        logger.info(`Delivery summary:`, deliverySummary);
         
         // Add a small delay before completing
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -31,7 +32,7 @@ async function messageSender() {
         return deliverySummary;
         
     } catch (error) {
-        console.error('❌ Error in messageSender:', error);
+        logger.error('Error in messageSender:', error);
         throw error;
     }
 }
@@ -0,0 +1,190 @@
+// src/services/payoutRules.js
+const { connect, closeConnection } = require('../db');
+const { dbName, payoutRulesCollectionName } = require('../config/config');
+
+// Key of the rule document that applies to every influencer without an override
+const DEFAULT_RULE_KEY = 'default';
+
+const PAYOUT_CURVES = ['linear', 'step', 'tiers'];
+
+// The terms every influencer was paid under before rules were configurable
+const DEFAULT_PAYOUT_RULE = {
+    pricePerSubscriber: 20,
+    minSignals: 0,
+    requirePromotion: true,
+    // linear: share grows from 0 at minPnl to maxShare at fullPayoutPnl
+    // step:   maxShare at or above fullPayoutPnl, nothing below
+    // tiers:  share of the highest tier whose minPnl is reached
+    curve: 'linear',
+    minPnl: 0,
+    fullPayoutPnl: 10,
+    maxShare: 1,
+    tiers: []
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_PAYOUT_RULE);
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks a (partial) rule and returns the recognised fields only
+ * @param {Object} rule - Rule fields to validate
+ * @returns {Object} - The rule without unknown fields
+ */
+function validatePayoutRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error('Invalid payout rule: expected an object');
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid payout rule: unknown fields ${unknown.join(', ')}`);
+    }
+
+    for (const field of ['pricePerSubscriber', 'minSignals', 'maxShare']) {
+        if (field in rule && !isNonNegativeNumber(rule[field])) {
+            throw new Error(`Invalid payout rule: ${field} must be a non-negative number`);
+        }
+    }
+    for (const field of ['minPnl', 'fullPayoutPnl']) {
+        if (field in rule && !Number.isFinite(rule[field])) {
+            throw new Error(`Invalid payout rule: ${field} must be a number`);
+        }
+    }
+    if ('requirePromotion' in rule && typeof rule.requirePromotion !== 'boolean') {
+        throw new Error('Invalid payout rule: requirePromotion must be a boolean');
+    }
+    if ('curve' in rule && !PAYOUT_CURVES.includes(rule.curve)) {
+        throw new Error(`Invalid payout rule: curve must be one of ${PAYOUT_CURVES.join(', ')}`);
+    }
+    if ('tiers' in rule) {
+        const validTiers = Array.isArray(rule.tiers) && rule.tiers.every(tier =>
+            tier && Number.isFinite(tier.minPnl) && isNonNegativeNumber(tier.share));
+        if (!validTiers) {
+            throw new Error('Invalid payout rule: tiers must be a list of { minPnl, share }');
+        }
+    }
+    return Object.fromEntries(Object.entries(rule).filter(([key]) => RULE_FIELDS.includes(key)));
+}
+
+/**
+ * Builds the effective rule for one influencer: built-in defaults, then the
+ * stored default rule, then the influencer's own override
+ * @param {Object} rules - { default, influencers } as returned by loadPayoutRules
+ * @param {string} twitterHandle - Influencer handle
+ * @returns {Object} - Complete rule
+ */
+function resolvePayoutRule(rules, twitterHandle) {
+    return {
+        ...DEFAULT_PAYOUT_RULE,
+        ...(rules?.default || {}),
+        ...(rules?.influencers?.[twitterHandle] || {})
+    };
+}
+
+function revenueShare(averagePnl, rule) {
+    switch (rule.curve) {
+        case 'step':
+            return averagePnl >= rule.fullPayoutPnl ? rule.maxShare : 0;
+        case 'tiers': {
+            const reached = rule.tiers
+                .filter(tier => averagePnl >= tier.minPnl)
+                .sort((a, b) => b.minPnl - a.minPnl);
+            return reached.length > 0 ? reached[0].share : 0;
+        }
+        default: {
+            if (averagePnl <= rule.minPnl) return 0;
+            if (averagePnl >= rule.fullPayoutPnl) return rule.maxShare;
+            return rule.maxShare * (averagePnl - rule.minPnl) / (rule.fullPayoutPnl - rule.minPnl);
+        }
+    }
+}
+
+/**
+ * Computes a single influencer's payout. Pure: no database access.
+ * @param {Object} inputs - { subscriberCount, signalCount, averagePnl, promotionalTweetCount }
+ * @param {Object} rule - Complete rule, see resolvePayoutRule
+ * @returns {Object} - { payout, share, totalProceeds, reason }
+ */
+function computePayout(inputs, rule) {
+    const totalProceeds = inputs.subscriberCount * rule.pricePerSubscriber;
+
+    if (inputs.signalCount < rule.minSignals) {
+        return { payout: 0, share: 0, totalProceeds, reason: 'below_min_signals' };
+    }
+    if (rule.requirePromotion && inputs.promotionalTweetCount === 0) {
+        return { payout: 0, share: 0, totalProceeds, reason: 'no_promotion' };
+    }
+
+    const share = revenueShare(inputs.averagePnl, rule);
+    return {
+        payout: totalProceeds * share,
+        share,
+        totalProceeds,
+        reason: share > 0 ? 'eligible' : 'below_min_pnl'
+    };
+}
+
+async function withRulesCollection(fn) {
+    const client = await connect();
+    try {
+        return await fn(client.db(dbName).collection(payoutRulesCollectionName));
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Loads the stored default rule and every per-influencer override
+ * @returns {Promise<Object>} - { default, influencers: { [twitterHandle]: rule } }
+ */
+async function loadPayoutRules() {
+    const docs = await withRulesCollection(collection => collection.find({}).toArray());
+    const rules = { default: {}, influencers: {} };
+    for (const { _id, updatedAt, updatedBy, ...rule } of docs) {
+        if (_id === DEFAULT_RULE_KEY) {
+            rules.default = rule;
+        } else {
+            rules.influencers[_id] = rule;
+        }
+    }
+    return rules;
+}
+
+/**
+ * Stores the default rule or an influencer override, replacing the previous one
+ * @param {string} key - 'default' or an influencer's twitterHandle
+ * @param {Object} rule - Rule fields; omitted fields fall back to the default rule
+ * @param {string} updatedBy - Who made the change
+ * @returns {Promise<Object>} - The stored rule document
+ */
+async function savePayoutRule(key, rule, updatedBy = 'admin-api') {
+    const validated = validatePayoutRule(rule);
+    return withRulesCollection(collection => collection.findOneAndReplace(
+        { _id: key },
+        { ...validated, updatedAt: new Date(), updatedBy },
+        { upsert: true, returnDocument: 'after' }
+    ));
+}
+
+/**
+ * Removes an influencer override (or the stored default) so the fallback applies again
+ * @param {string} key - 'default' or an influencer's twitterHandle
+ * @returns {Promise<boolean>} - Whether a rule was removed
+ */
+async function deletePayoutRule(key) {
+    const result = await withRulesCollection(collection => collection.deleteOne({ _id: key }));
+    return result.deletedCount > 0;
+}
+
+module.exports = {
+    DEFAULT_RULE_KEY,
+    DEFAULT_PAYOUT_RULE,
+    validatePayoutRule,
+    resolvePayoutRule,
+    computePayout,
+    loadPayoutRules,
+    savePayoutRule,
+    deletePayoutRule
+};
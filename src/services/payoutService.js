@@ -1,84 +1,415 @@
-const { connect } = require('../db');
+const { ObjectId } = require('mongodb');
+const { connect, closeConnection } = require('../db');
+const { dbName, influencerCollectionName, tweetsCollectionName, payoutsCollectionName } = require('../config/config');
+const {
+    validatePayoutRule,
+    resolvePayoutRule,
+    computePayout,
+    loadPayoutRules
+} = require('./payoutRules');
+const logger = require('../utils/logger');
 
-async function calculateMonthlyPayouts() {
-    const client = await connect();
+/**
+ * Returns the calendar month before the given date as a payout period
+ * @param {Date} date - Reference date (defaults to now)
+ * @returns {{year: number, month: number}} - Period with a 1-12 month
+ */
+function getPreviousMonthPeriod(date = new Date()) {
+    const previousMonth = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+    return { year: previousMonth.getFullYear(), month: previousMonth.getMonth() + 1 };
+}
+
+/**
+ * Returns the first day of the month after the given date
+ * @param {Date} date - Reference date (defaults to now)
+ * @returns {Date} - Local midnight on the 1st of the next month
+ */
+function getNextMonthStart(date = new Date()) {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+}
+
+/**
+ * Returns the first and last instant of a payout period
+ * @param {{year: number, month: number}} period - Period with a 1-12 month
+ * @returns {{start: Date, end: Date}} - Inclusive date range
+ */
+function getPeriodRange({ year, month }) {
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+        throw new Error(`Invalid payout period: ${year}-${month}`);
+    }
+    return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+}
+
+const PAYOUT_STATUS = {
+    CALCULATED: 'calculated',
+    APPROVED: 'approved',
+    PAID: 'paid',
+    VOIDED: 'voided'
+};
+
+// Allowed status transitions; anything that is not a draft is frozen
+const PAYOUT_TRANSITIONS = {
+    [PAYOUT_STATUS.CALCULATED]: [PAYOUT_STATUS.APPROVED, PAYOUT_STATUS.VOIDED],
+    [PAYOUT_STATUS.APPROVED]: [PAYOUT_STATUS.PAID, PAYOUT_STATUS.VOIDED],
+    [PAYOUT_STATUS.PAID]: [],
+    [PAYOUT_STATUS.VOIDED]: []
+};
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class PayoutTransitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PayoutTransitionError';
+    }
+}
+
+// Its unique (twitterHandle, year, month) index is created at boot, see
+// src/db/indexes.js. It only covers entries with active: true, which voiding
+// unsets, so a voided period can be calculated again.
+async function getPayoutsCollection(client) {
+    return client.db(dbName).collection(payoutsCollectionName);
+}
+
+/**
+ * Writes the draft ledger entry for one influencer and month. An existing
+ * draft is replaced; approved, paid and voided entries are never touched, and
+ * a voided entry is kept next to the new draft.
+ * @returns {Promise<boolean>} - False when the period is frozen for this influencer
+ */
+async function upsertPayoutDraft(payoutsCollection, entry) {
+    const now = new Date();
+    const { twitterHandle, year, month } = entry;
     try {
-        const backtestingCollection = client.db('backtesting_db').collection('backtesting_results_with_reasoning');
-        const influencersCollection = client.db('ctxbt-signal-flow').collection('influencers');
-        const tweetsCollection = client.db('ctxbt-signal-flow').collection('ctxbt_tweets');
+        await payoutsCollection.updateOne(
+            { twitterHandle, year, month, status: PAYOUT_STATUS.CALCULATED },
+            {
+                $set: { ...entry, status: PAYOUT_STATUS.CALCULATED, active: true, calculatedAt: now, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // The upsert collides with the unique key when a frozen entry exists
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return false;
+        }
+        throw error;
+    }
+}
 
-        // Determine the previous month's date range
-        const currentDate = new Date();
-        const previousMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-        const startOfPreviousMonth = new Date(previousMonth.getFullYear(), previousMonth.getMonth(), 1).toISOString();
-        const endOfPreviousMonth = new Date(previousMonth.getFullYear(), previousMonth.getMonth() + 1, 0, 23, 59, 59, 999).toISOString();
+/**
+ * Reads a backtesting result's P&L: the numeric finalPnlPercent when present,
+ * otherwise the stored "Final P&L" string such as "12.50%"
+ * @param {Object} signal - Backtesting result
+ * @returns {number} - P&L in percent, 0 when missing or unparsable
+ */
+function parseFinalPnl(signal) {
+    if (typeof signal.finalPnlPercent === 'number' && isFinite(signal.finalPnlPercent)) {
+        return signal.finalPnlPercent;
+    }
+    const pnlStr = signal["Final P&L"];
+    if (!pnlStr) return 0;
+    return parseFloat(String(pnlStr).replace('%', '')) || 0;
+}
+
+/**
+ * Gathers the figures every payout is computed from for a single month
+ * @param {MongoClient} client - Connected client
+ * @param {{year: number, month: number}} period - Target month
+ * @param {Object} influencerQuery - Optional filter, e.g. { twitterHandle: 'alice' }
+ * @returns {Promise<Array>} - One { influencer, signals, inputs } entry per influencer
+ */
+async function collectPayoutInputs(client, period, influencerQuery = {}) {
+    const { start, end } = getPeriodRange(period);
+    const backtestingCollection = client.db('backtesting_db').collection('backtesting_results_with_reasoning');
+    const influencersCollection = client.db(dbName).collection(influencerCollectionName);
+    const tweetsCollection = client.db(dbName).collection(tweetsCollectionName);
+
+    // Dates are stored both as Date objects and as ISO strings depending on the writer
+    const startIso = start.toISOString();
+    const endIso = end.toISOString();
+
+    // Fetch all influencers with their twitterHandle and subscribers
+    const influencers = await influencersCollection.find(influencerQuery, { projection: { twitterHandle: 1, subscribers: 1 } }).toArray();
+
+    const results = [];
+    for (const influencer of influencers) {
+        const handle = influencer.twitterHandle;
+
+        // Fetch signals for the target month
+        const signals = await backtestingCollection.find({
+            "Twitter Account": handle,
+            $or: [
+                { "Signal Generation Date": { $gte: start, $lte: end } },
+                { "Signal Generation Date": { $gte: startIso, $lte: endIso } }
+            ]
+        }).toArray();
+
+        // Calculate average P&L
+        const pnls = signals.map(parseFinalPnl);
+        const averagePnl = pnls.length > 0 ? pnls.reduce((sum, val) => sum + val, 0) / pnls.length : 0;
+
+        // Collect promotional tweets (tweets flagged as mentioning the platform)
+        const promotionalTweets = await tweetsCollection.find(
+            { twitterHandle: handle, mentionsPlatform: true, timestamp: { $gte: startIso, $lte: endIso } },
+            { projection: { _id: 0, tweet_id: 1, tweet_link: 1, timestamp: 1, content: 1 } }
+        ).sort({ timestamp: 1 }).toArray();
+
+        results.push({
+            influencer,
+            signals,
+            inputs: {
+                subscriberCount: influencer.subscribers ? influencer.subscribers.length : 0,
+                signalCount: signals.length,
+                averagePnl,
+                promotionalTweetCount: promotionalTweets.length,
+                promotionalTweets
+            }
+        });
+    }
+    return results;
+}
+
+/**
+ * Fetches the ledger entry for one influencer and month: the active one, or
+ * the latest voided one when the month has not been calculated again
+ * @param {string} twitterHandle - Influencer handle
+ * @param {{year: number, month: number}} period - Target month
+ * @returns {Promise<Object|null>} - The payout entry
+ */
+async function findPayoutForPeriod(twitterHandle, { year, month }) {
+    const client = await connect();
+    try {
+        const payoutsCollection = await getPayoutsCollection(client);
+        return await payoutsCollection.findOne({ twitterHandle, year, month }, { sort: { active: -1, createdAt: -1 } });
+    } finally {
+        await closeConnection(client);
+    }
+}
 
-        // Fetch all influencers with their twitterHandle and subscribers
-        const influencers = await influencersCollection.find({}, { projection: { twitterHandle: 1, subscribers: 1 } }).toArray();
+/**
+ * Calculates influencer payouts for a single month and records them in the
+ * payouts ledger. Rerunning a period replaces its drafts instead of appending.
+ * @param {{year: number, month: number}} period - Target month; defaults to the previous month
+ * @returns {Promise<Object>} - Counts of drafted and frozen entries
+ */
+async function calculateMonthlyPayouts(period = getPreviousMonthPeriod()) {
+    // Validate the period before touching the database
+    getPeriodRange(period);
+    const rules = await loadPayoutRules();
+    const client = await connect();
+    const summary = { period, drafted: 0, frozen: 0 };
+    try {
+        const payoutsCollection = await getPayoutsCollection(client);
+        logger.info(`Calculating payouts for ${period.year}-${String(period.month).padStart(2, '0')}`);
 
-        for (const influencer of influencers) {
+        for (const { influencer, inputs } of await collectPayoutInputs(client, period)) {
             const handle = influencer.twitterHandle;
-            const numSubscribers = influencer.subscribers ? influencer.subscribers.length : 0;
-            const P = numSubscribers * 20; // Total proceeds: $20 per subscriber
-
-            // Fetch signals for the previous month
-            const signals = await backtestingCollection.find({
-                "Twitter Account": handle,
-                "Signal Generation Date": { $gte: startOfPreviousMonth, $lte: endOfPreviousMonth }
-            }).toArray();
-
-            // Calculate average P&L
-            const pnls = signals.map(signal => {
-                const pnlStr = signal["Final P&L"];
-                if (!pnlStr) return 0;
-                return parseFloat(pnlStr.replace('%', '')) || 0;
-            });
-            const A = pnls.length > 0 ? pnls.reduce((sum, val) => sum + val, 0) / pnls.length : 0;
+            const rule = resolvePayoutRule(rules, handle);
+            const result = computePayout(inputs, rule);
 
-            // Check for promotional tweet containing "ctxbt"
-            const promotionalTweet = await tweetsCollection.findOne({
+            const drafted = await upsertPayoutDraft(payoutsCollection, {
                 twitterHandle: handle,
-                tweets: {
-                    $elemMatch: {
-                        timestamp: { $gte: startOfPreviousMonth, $lte: endOfPreviousMonth },
-                    }
-                }
+                influencerId: influencer._id,
+                year: period.year,
+                month: period.month, // 1-12 for Jan-Dec
+                payout: result.payout,
+                share: result.share,
+                reason: result.reason,
+                inputs: { ...inputs, totalProceeds: result.totalProceeds },
+                // Snapshot of the terms so later rule changes don't rewrite history
+                rule
             });
-            const S = promotionalTweet ? 1 : 0;
-            // Calculate payout (R)
-            let R;
-            if (A >= 10 && S === 1) {
-                R = P;
-            } else if (A > 0 && A < 10 && S === 1) {
-                R = P * (A / 10);
+
+            if (drafted) {
+                summary.drafted++;
+                logger.info(`Recorded payout draft for ${handle}: $${result.payout}`);
             } else {
-                R = 0;
+                summary.frozen++;
+                logger.info(`Payout for ${handle} in ${period.year}-${period.month} is already approved, paid or voided. Skipping.`);
             }
-
-            // Update the influencer's document with the payout
-            await influencersCollection.updateOne(
-                { _id: influencer._id },
-                {
-                    $push: {
-                        monthlyPayouts: {
-                            year: previousMonth.getFullYear(),
-                            month: previousMonth.getMonth() + 1, // 1-12 for Jan-Dec
-                            payout: R,
-                            updatedAt: new Date(),
-                        }
-                    }
-                },
-                { upsert: true } // Create monthlyPayouts array if it doesn't exist
-            );
-
-            console.log(`Updated payout for ${handle}: $${R}`);
         }
+        return summary;
     } catch (error) {
-        console.error('Error in calculateMonthlyPayouts:', error);
+        logger.error('Error in calculateMonthlyPayouts:', error);
         throw error;
     } finally {
-        client.close();
+        await closeConnection(client);
     }
 }
 
-module.exports = { calculateMonthlyPayouts };
\ No newline at end of file
+/**
+ * Dry run: computes payouts for a month under the stored rules and under a
+ * proposed rule set without writing anything. Proposed rules are layered on
+ * top of the stored ones, so only the fields being changed need to be sent.
+ * @param {Object} proposed - { default, influencers: { [twitterHandle]: rule } }
+ * @param {{year: number, month: number}} period - Target month; defaults to the
+ *   current month, which is what the next scheduled payout run settles
+ * @returns {Promise<Object>} - Per-influencer current and proposed payouts with totals
+ */
+async function previewPayouts(proposed = {}, period = getPreviousMonthPeriod(getNextMonthStart())) {
+    // Validate the period before touching the database
+    getPeriodRange(period);
+    const proposedDefault = validatePayoutRule(proposed.default || {});
+    const proposedInfluencers = Object.fromEntries(
+        Object.entries(proposed.influencers || {}).map(([handle, rule]) => [handle, validatePayoutRule(rule)])
+    );
+
+    const stored = await loadPayoutRules();
+    const candidate = {
+        default: { ...stored.default, ...proposedDefault },
+        influencers: { ...stored.influencers }
+    };
+    for (const [handle, rule] of Object.entries(proposedInfluencers)) {
+        candidate.influencers[handle] = { ...(stored.influencers[handle] || {}), ...rule };
+    }
+
+    const client = await connect();
+    try {
+        const payouts = (await collectPayoutInputs(client, period)).map(({ influencer, inputs }) => {
+            const { promotionalTweets, ...figures } = inputs;
+            const proposedRule = resolvePayoutRule(candidate, influencer.twitterHandle);
+            return {
+                twitterHandle: influencer.twitterHandle,
+                inputs: figures,
+                current: computePayout(inputs, resolvePayoutRule(stored, influencer.twitterHandle)),
+                proposed: { ...computePayout(inputs, proposedRule), rule: proposedRule }
+            };
+        });
+        const total = key => payouts.reduce((sum, entry) => sum + entry[key].payout, 0);
+        return {
+            period,
+            totals: { current: total('current'), proposed: total('proposed') },
+            payouts
+        };
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Lists ledger entries, newest period first
+ * @param {Object} filter - Optional year, month, status and twitterHandle filters
+ * @returns {Promise<Array>} - Array of payout entries
+ */
+async function listPayouts({ year, month, status, twitterHandle } = {}) {
+    const client = await connect();
+    try {
+        const query = {};
+        if (year) query.year = Number(year);
+        if (month) query.month = Number(month);
+        if (status) query.status = status;
+        if (twitterHandle) query.twitterHandle = twitterHandle;
+        const payoutsCollection = await getPayoutsCollection(client);
+        return await payoutsCollection.find(query).sort({ year: -1, month: -1, twitterHandle: 1 }).toArray();
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Fetches a single ledger entry
+ * @param {string} id - Payout entry id
+ * @returns {Promise<Object|null>} - The payout entry
+ */
+async function getPayout(id) {
+    const client = await connect();
+    try {
+        const payoutsCollection = await getPayoutsCollection(client);
+        return await payoutsCollection.findOne({ _id: new ObjectId(id) });
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Moves a ledger entry to a new status. The update is conditional on the
+ * current status so two concurrent approvals cannot both succeed.
+ * @param {string} id - Payout entry id
+ * @param {string} toStatus - Target status
+ * @param {Object} fields - Extra fields recorded with the transition
+ * @returns {Promise<Object>} - The updated payout entry
+ */
+async function transitionPayout(id, toStatus, fields = {}) {
+    const client = await connect();
+    try {
+        const payoutsCollection = await getPayoutsCollection(client);
+        const current = await payoutsCollection.findOne({ _id: new ObjectId(id) });
+        if (!current) {
+            return null;
+        }
+        if (!PAYOUT_TRANSITIONS[current.status]?.includes(toStatus)) {
+            throw new PayoutTransitionError(`Cannot move payout from ${current.status} to ${toStatus}`);
+        }
+
+        const now = new Date();
+        const updated = await payoutsCollection.findOneAndUpdate(
+            { _id: current._id, status: current.status },
+            {
+                $set: { ...fields, status: toStatus, updatedAt: now },
+                $push: { statusHistory: { from: current.status, to: toStatus, at: now, ...fields } },
+                // A voided entry no longer holds its period
+                ...(toStatus === PAYOUT_STATUS.VOIDED ? { $unset: { active: '' } } : {})
+            },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            throw new PayoutTransitionError('Payout status changed concurrently, please retry');
+        }
+        return updated;
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Approves a draft, freezing it against recalculation
+ * @param {string} id - Payout entry id
+ * @param {string} approvedBy - Who approved the payout
+ */
+function approvePayout(id, approvedBy) {
+    return transitionPayout(id, PAYOUT_STATUS.APPROVED, { approvedBy: approvedBy || null, approvedAt: new Date() });
+}
+
+/**
+ * Marks an approved payout as paid
+ * @param {string} id - Payout entry id
+ * @param {string} paidBy - Who paid the payout
+ * @param {string} reference - Payment reference, e.g. a transaction hash
+ */
+function markPayoutPaid(id, paidBy, reference) {
+    return transitionPayout(id, PAYOUT_STATUS.PAID, { paidBy: paidBy || null, paymentReference: reference || null, paidAt: new Date() });
+}
+
+/**
+ * Voids a draft or approved payout. The next calculation of its month drafts
+ * a new entry for the influencer.
+ * @param {string} id - Payout entry id
+ * @param {string} voidedBy - Who voided the payout
+ * @param {string} reason - Why the payout was voided
+ */
+function voidPayout(id, voidedBy, reason) {
+    return transitionPayout(id, PAYOUT_STATUS.VOIDED, { voidedBy: voidedBy || null, voidReason: reason || null, voidedAt: new Date() });
+}
+
+module.exports = {
+    calculateMonthlyPayouts,
+    previewPayouts,
+    getPreviousMonthPeriod,
+    getPeriodRange,
+    parseFinalPnl,
+    collectPayoutInputs,
+    listPayouts,
+    getPayout,
+    findPayoutForPeriod,
+    approvePayout,
+    markPayoutPaid,
+    voidPayout,
+    PAYOUT_STATUS,
+    PayoutTransitionError
+};
@@ -0,0 +1,168 @@
+// src/services/payoutStatementService.js
+const crypto = require('crypto');
+const Papa = require('papaparse');
+const stringify = require('json-stable-stringify');
+const { connect, closeConnection } = require('../db');
+const { payouts: payoutConfig } = require('../config/config');
+const {
+    collectPayoutInputs,
+    findPayoutForPeriod,
+    parseFinalPnl,
+    getPreviousMonthPeriod,
+    getPeriodRange
+} = require('./payoutService');
+
+// Bump when the statement layout changes so old hashes are not compared against new ones
+const STATEMENT_VERSION = 1;
+
+function toIso(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+function toStatementSignal(signal) {
+    return {
+        id: String(signal._id),
+        signalGenerationDate: toIso(signal["Signal Generation Date"]),
+        tokenMentioned: signal["Token Mentioned"] || null,
+        tokenId: signal["Token ID"] || null,
+        signalMessage: signal["Signal Message"] || null,
+        tweet: signal["Tweet"] || null,
+        bestStrategy: signal["Best Strategy"] || null,
+        finalPnl: signal["Final P&L"] || null,
+        finalPnlValue: parseFinalPnl(signal)
+    };
+}
+
+// Signals are ordered by date, then id, so the same data always yields the same statement
+function compareSignals(a, b) {
+    return String(a.signalGenerationDate).localeCompare(String(b.signalGenerationDate))
+        || a.id.localeCompare(b.id);
+}
+
+/**
+ * Builds the statement for one influencer and month from the payout ledger
+ * and the underlying backtesting results
+ * @param {string} twitterHandle - Influencer handle
+ * @param {{year: number, month: number}} period - Target month; defaults to the previous month
+ * @returns {Promise<Object|null>} - The statement, or null when no payout was calculated
+ */
+async function buildPayoutStatement(twitterHandle, period = getPreviousMonthPeriod()) {
+    getPeriodRange(period);
+    const payout = await findPayoutForPeriod(twitterHandle, period);
+    if (!payout) {
+        return null;
+    }
+
+    const client = await connect();
+    try {
+        const [entry] = await collectPayoutInputs(client, period, { twitterHandle });
+        const signals = (entry?.signals || []).map(toStatementSignal).sort(compareSignals);
+        // Figures come from the ledger so the summary shows what the payout was based on
+        const inputs = payout.inputs || {};
+        const promotion = inputs.promotionalTweets || [];
+
+        return {
+            statementVersion: STATEMENT_VERSION,
+            twitterHandle,
+            period: { year: period.year, month: period.month },
+            signals,
+            summary: {
+                signalCount: inputs.signalCount ?? signals.length,
+                averagePnl: inputs.averagePnl ?? null,
+                subscriberCount: inputs.subscriberCount ?? null,
+                promotionalTweetCount: promotion.length
+            },
+            promotion,
+            payout: {
+                id: String(payout._id),
+                status: payout.status,
+                amount: payout.payout,
+                share: payout.share ?? null,
+                reason: payout.reason ?? null,
+                totalProceeds: inputs.totalProceeds ?? null,
+                rule: payout.rule || null,
+                calculatedAt: toIso(payout.calculatedAt)
+            }
+        };
+    } finally {
+        await closeConnection(client);
+    }
+}
+
+/**
+ * Serialises a statement canonically and hashes it. When a signing key is
+ * configured the canonical JSON is also signed with HMAC-SHA256.
+ * @param {Object} statement - Statement from buildPayoutStatement
+ * @returns {Object} - { statement, canonicalJson, hash, signature, algorithm }
+ */
+function signStatement(statement) {
+    const canonicalJson = stringify(statement);
+    const hash = crypto.createHash('sha256').update(canonicalJson).digest('hex');
+    const signature = payoutConfig.statementSigningKey
+        ? crypto.createHmac('sha256', payoutConfig.statementSigningKey).update(canonicalJson).digest('hex')
+        : null;
+    return {
+        statement,
+        canonicalJson,
+        hash,
+        signature,
+        algorithm: signature ? 'hmac-sha256' : 'sha256'
+    };
+}
+
+/**
+ * Checks that a statement still matches a previously issued hash (and signature)
+ * @param {Object} statement - Statement to verify
+ * @param {{hash: string, signature: string}} issued - Values returned by signStatement
+ * @returns {boolean} - True when the statement is unchanged
+ */
+function verifyStatement(statement, { hash, signature }) {
+    const signed = signStatement(statement);
+    if (signed.hash !== hash) return false;
+    if (signature && signed.signature !== signature) return false;
+    return true;
+}
+
+/**
+ * Renders a statement as CSV: one row per signal, followed by a summary block
+ * carrying the payout and the hash of the canonical JSON
+ * @param {Object} signed - Result of signStatement
+ * @returns {string} - CSV text
+ */
+function statementToCsv({ statement, hash, signature }) {
+    const signalsCsv = Papa.unparse({
+        fields: ['id', 'signalGenerationDate', 'tokenMentioned', 'tokenId', 'signalMessage', 'tweet', 'bestStrategy', 'finalPnl'],
+        data: statement.signals
+    });
+    const promotionCsv = Papa.unparse({
+        fields: ['tweet_id', 'tweet_link', 'timestamp', 'content'],
+        data: statement.promotion
+    });
+
+    const { year, month } = statement.period;
+    const summaryCsv = Papa.unparse([
+        ['field', 'value'],
+        ['twitterHandle', statement.twitterHandle],
+        ['period', `${year}-${String(month).padStart(2, '0')}`],
+        ['signalCount', statement.summary.signalCount],
+        ['averagePnl', statement.summary.averagePnl],
+        ['subscriberCount', statement.summary.subscriberCount],
+        ['promotionalTweetCount', statement.summary.promotionalTweetCount],
+        ['payoutStatus', statement.payout.status],
+        ['payoutAmount', statement.payout.amount],
+        ['statementHash', hash],
+        ['statementSignature', signature || '']
+    ]);
+
+    return [signalsCsv, promotionCsv, summaryCsv].join('\r\n\r\n');
+}
+
+module.exports = {
+    STATEMENT_VERSION,
+    buildPayoutStatement,
+    signStatement,
+    verifyStatement,
+    statementToCsv
+};
@@ -1,5 +1,6 @@
 const { MongoClient } = require('mongodb');
 const { connect } = require('../db/index');
+const logger = require('../utils/logger');
 
 class PnLNormalizationService {
     constructor() {
@@ -21,14 +22,15 @@ class PnLNormalizationService {
             const pnlData = await this.backtestingDb.collection('backtesting_results_with_reasoning')
                 .find({})
                 .toArray();
-            console.log("Overall pnlData", pnlData.length, "total records");
+            logger.info("Overall pnlData", pnlData.length, "total records");
             
             // Group PnL by Twitter Account and calculate sum and signal count
             const accountPnL = {};
             const accountSignalCount = {};
             pnlData.forEach(entry => {
                 const account = entry["Twitter Account"];
-                const pnlStr = entry["Final P&L"];
+                // Prefer the numeric field added by migration 002
+                const pnlStr = typeof entry.finalPnlPercent === 'number' ? entry.finalPnlPercent : entry["Final P&L"];
                 
                 // Convert percentage string to number
                 let pnl = 0;
@@ -39,13 +41,13 @@ class PnLNormalizationService {
                     
                     // Validate that we got a finite number
                     if (!isFinite(pnl)) {
-                        console.warn(`Invalid PnL value for account ${account}: "${pnlStr}", setting to 0`);
+                        logger.warn(`Invalid PnL value for account ${account}: "${pnlStr}", setting to 0`);
                         pnl = 0;
                     }
                 } else if (typeof pnlStr === 'number') {
                     // Validate that the number is finite
                     if (!isFinite(pnlStr)) {
-                        console.warn(`Invalid PnL value for account ${account}: ${pnlStr}, setting to 0`);
+                        logger.warn(`Invalid PnL value for account ${account}: ${pnlStr}, setting to 0`);
                         pnl = 0;
                     } else {
                         pnl = pnlStr;
@@ -71,7 +73,7 @@ class PnLNormalizationService {
             await this.backtestingDb.collection(this.weeklyPnLCollection).insertOne(overallPnL);
             return { accountPnL, accountSignalCount };
         } catch (error) {
-            console.error('Error calculating overall PnL:', error);
+            logger.error('Error calculating overall PnL:', error);
             throw error;
         }
     }
@@ -79,7 +81,7 @@ class PnLNormalizationService {
     // Helper function to validate and sanitize numeric values
     validateNumericValue(value, fieldName, defaultValue = 0) {
         if (!isFinite(value)) {
-            console.warn(`Invalid ${fieldName} value: ${value}, setting to ${defaultValue}`);
+            logger.warn(`Invalid ${fieldName} value: ${value}, setting to ${defaultValue}`);
             return defaultValue;
         }
         return value;
@@ -101,7 +103,7 @@ class PnLNormalizationService {
                 
                 // Skip if influencer not found
                 if (!influencer) {
-                    console.log(`Influencer not found for account: ${account}`);
+                    logger.info(`Influencer not found for account: ${account}`);
                     continue;
                 }
                 
@@ -161,7 +163,7 @@ class PnLNormalizationService {
                 pnlPerSignal: u.updateOne.update.$set.pnlPerSignal
             }));
         } catch (error) {
-            console.error('Error normalizing PnL and updating influencers:', error);
+            logger.error('Error normalizing PnL and updating influencers:', error);
             throw error;
         }
     }
@@ -172,38 +174,18 @@ class PnLNormalizationService {
             const { accountPnL, accountSignalCount } = await this.calculateOverallPnL();
             const updatedInfluencers = await this.normalizePnL(accountPnL, accountSignalCount);
             
-            console.log('Overall PnL normalization completed:', {
+            logger.info('Overall PnL normalization completed:', {
                 timestamp: new Date(),
                 updatedAccounts: updatedInfluencers.length,
                 sampleUpdate: updatedInfluencers[0]
             });
 
-            // Close database connection
-            // if (this.client) {
-            //     await this.client.close();
-            // }
-
             return updatedInfluencers;
         } catch (error) {
-            console.error('Error in overall normalization process:', error);
+            logger.error('Error in overall normalization process:', error);
             throw error;
         }
     }
 }
 
-// Add this section to allow direct execution
-// if (require.main === module) {
-//     (async () => {
-//         const service = new PnLNormalizationService();
-//         try {
-//             const updatedInfluencers = await service.processOverallNormalization();
-//             console.log('Updated Influencers:', updatedInfluencers);
-//         } catch (error) {
-//             console.error('Failed to process overall normalization:', error);
-//         } finally {
-//             process.exit(); // Exit the process after completion
-//         }
-//     })();
-// }
-
 module.exports = new PnLNormalizationService(); 
\ No newline at end of file
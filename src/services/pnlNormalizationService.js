@@ -1,6 +1,7 @@
 const { MongoClient } = require('mongodb');
 const { processCSV } = require('./process-signal-multi-strategies');
 const { getDb } = require('../db/connection');
+const logger = require('../utils/logger');
 
 class PnLNormalizationService {
     constructor() {
@@ -9,8 +10,10 @@ class PnLNormalizationService {
         this.weeklyPnLCollection = 'weekly_pnl';
     }
 
+    // getDb() hands out the shared client, so every call can ask for it
     async initialize() {
         this.db = await getDb();
+        return this.db;
     }
 
     async calculateWeeklyPnL() {
@@ -33,10 +36,11 @@ class PnLNormalizationService {
                 data: accountPnL
             };
 
-            await this.db.collection(this.weeklyPnLCollection).insertOne(weeklyPnL);
+            const db = await this.initialize();
+            await db.collection(this.weeklyPnLCollection).insertOne(weeklyPnL);
             return accountPnL;
         } catch (error) {
-            console.error('Error calculating weekly PnL:', error);
+            logger.error('Error calculating weekly PnL:', error);
             throw error;
         }
     }
@@ -44,7 +48,8 @@ class PnLNormalizationService {
     async normalizePnL(accountPnL) {
         try {
             // Get all impact factors
-            const impactFactors = await this.db.collection(this.impactFactorsCollection)
+            const db = await this.initialize();
+            const impactFactors = await db.collection(this.impactFactorsCollection)
                 .find({})
                 .toArray();
 
@@ -82,7 +87,7 @@ class PnLNormalizationService {
 
             // Bulk update impact factors
             if (updates.length > 0) {
-                await this.db.collection(this.impactFactorsCollection).bulkWrite(updates);
+                await db.collection(this.impactFactorsCollection).bulkWrite(updates);
             }
 
             return updates.map(u => ({
@@ -90,7 +95,7 @@ class PnLNormalizationService {
                 newImpactFactor: u.updateOne.update.$set.impactFactor
             }));
         } catch (error) {
-            console.error('Error normalizing PnL:', error);
+            logger.error('Error normalizing PnL:', error);
             throw error;
         }
     }
@@ -101,7 +106,7 @@ class PnLNormalizationService {
             const accountPnL = await this.calculateWeeklyPnL();
             const updatedImpactFactors = await this.normalizePnL(accountPnL);
             
-            console.log('Weekly PnL normalization completed:', {
+            logger.info('Weekly PnL normalization completed:', {
                 timestamp: new Date(),
                 updatedAccounts: updatedImpactFactors.length,
                 sampleUpdate: updatedImpactFactors[0]
@@ -109,7 +114,7 @@ class PnLNormalizationService {
 
             return updatedImpactFactors;
         } catch (error) {
-            console.error('Error in weekly normalization process:', error);
+            logger.error('Error in weekly normalization process:', error);
             throw error;
         }
     }
@@ -1,12 +1,11 @@
-const dotenv = require('dotenv');
 const OpenAI = require('openai');
 const lighthouse = require('@lighthouse-web3/sdk');
 const stringify = require('json-stable-stringify');
-const path = require('path');
 const { connect, closeConnection } = require('../db/index');
-const axios = require('axios'); // Import axios for HTTP requests
-// Explicitly provide the path to the .env file
-dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+const { openAI, telegram, lighthouse: lighthouseConfig } = require('../config/config');
+const httpClient = require('../utils/httpClient'); // Rate-limited client for external APIs
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
 // Configuration
 const dbName = 'backtesting_db';
@@ -23,7 +22,8 @@ const BACKTEST_DELIVERY_CONFIG = {
 
 // OpenAI API setup
 const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+    apiKey: openAI.apiKey,
+    maxRetries: 0, // retries are handled by httpClient
 });
 
 // Function to parse tweet date or max exit time to UTC timestamp
@@ -57,14 +57,10 @@ function calculateDaysDifference(startDateStr, endDateStr) {
 async function fetchPriceData(coinId) {
     const url = `https://www.coingecko.com/price_charts/${coinId}/usd/365_days.json`;
     try {
-        const response = await fetch(url, { timeout: 60000 });
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data.stats; // Array of [timestamp, price]
+        const response = await httpClient.get('coingecko', url);
+        return response.data.stats; // Array of [timestamp, price]
     } catch (error) {
-        console.error(`Error fetching price data for ${coinId}:`, error.message);
+        logger.error(`Error fetching price data for ${coinId}:`, error.message);
         return null;
     }
 }
@@ -86,13 +82,13 @@ async function getReasoningFromLLM(tokenId, bestStrategy, strategyPnLs, signalTy
     `;
 
     try {
-        const response = await openai.chat.completions.create({
+        const response = await httpClient.execute('openai', ({ timeoutMs }) => openai.chat.completions.create({
             model: 'gpt-4o-mini',
             messages: [{ role: 'user', content: prompt }],
-        });
+        }, { timeout: timeoutMs }));
         return response.choices[0].message.content.trim();
     } catch (error) {
-        console.error(`Error getting reasoning for ${tokenId}:`, error.message);
+        logger.error(`Error getting reasoning for ${tokenId}:`, error.message);
         return 'Reasoning unavailable due to API error';
     }
 }
@@ -127,7 +123,7 @@ function formatDate(dateString) {
             minute: '2-digit'
         });
     } catch (error) {
-        console.error(`Error formatting date: ${dateString}`, error);
+        logger.error(`Error formatting date: ${dateString}`, error);
         return "Date Error";
     }
 }
@@ -146,7 +142,7 @@ async function sendBacktestedSignalToSubscribers(twitterAccount, signal, bestPnL
         const influencer = await influencersCollection.findOne({ twitterHandle: twitterAccount });
         
         if (!influencer || !influencer.subscribers || influencer.subscribers.length === 0) {
-            console.log(`No subscribers found for ${twitterAccount}`);
+            logger.info(`No subscribers found for ${twitterAccount}`);
             await closeConnection(client);
             return;
         }
@@ -201,12 +197,12 @@ ${profitArrow} **Signal:** *${signalType}*
             batches.push(subscribers.slice(i, i + BACKTEST_DELIVERY_CONFIG.batchSize));
         }
 
-        console.log(`Starting progressive backtesting delivery: ${subscribers.length} subscribers, ${batches.length} batches`);
+        logger.info(`Starting progressive backtesting delivery: ${subscribers.length} subscribers, ${batches.length} batches`);
 
         // Process batches sequentially with delays
         for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
             const batch = batches[batchIndex];
-            console.log(`Processing backtesting batch ${batchIndex + 1}/${batches.length} (${batch.length} subscribers)`);
+            logger.info(`Processing backtesting batch ${batchIndex + 1}/${batches.length} (${batch.length} subscribers)`);
 
             // Send to each subscriber in the batch with delay
             for (let i = 0; i < batch.length; i++) {
@@ -227,50 +223,36 @@ ${profitArrow} **Signal:** *${signalType}*
                         message: backtestMessage
                     };
 
-                    // Retry logic with timeout
-                    const maxRetries = 3;
-                    let retries = 0;
-                    let success = false;
-
-                    while (retries < maxRetries && !success) {
-                        try {
-                            await axios.post(
-                                'https://telegram-msg-sender.maxxit.ai/api/telegram/send',
-                                payload,
-                                { timeout: 10000 }
-                            );
-                            success = true;
-                            console.log(`Backtested signal sent to ${username} for ${tokenId}`);
-
-                            // Update the sent status for this specific subscriber
-                            await resultsCollection.updateOne(
-                                { _id: documentId, "subscribers.username": username },
-                                { $set: { "subscribers.$.sent": true } }
-                            );
-                        } catch (retryError) {
-                            retries++;
-                            if (retries >= maxRetries) {
-                                throw retryError;
-                            }
-                            console.log(`Retry ${retries}/${maxRetries} for ${username}`);
-                            await new Promise(resolve => setTimeout(resolve, 1000 * retries));
-                        }
-                    }
+                    // Up to 3 attempts with backoff
+                    await httpClient.post(
+                        'telegram',
+                        telegram.senderUrl,
+                        payload,
+                        { timeout: 10000 },
+                        { maxRetries: 2, retryPolicy: 'all' }
+                    );
+                    logger.info(`Backtested signal sent to ${username} for ${tokenId}`);
+
+                    // Update the sent status for this specific subscriber
+                    await resultsCollection.updateOne(
+                        { _id: documentId, "subscribers.username": username },
+                        { $set: { "subscribers.$.sent": true } }
+                    );
                 } catch (error) {
-                    console.error(`Failed to send backtested signal to ${username}:`, error.message);
+                    logger.error(`Failed to send backtested signal to ${username}:`, error.message);
                 }
 
                 // Delay between individual messages, except after the last message of the last batch
                 const isLastMessage = (batchIndex === batches.length - 1) && (i === batch.length - 1);
                 if (!isLastMessage) {
-                    console.log(`Waiting ${BACKTEST_DELIVERY_CONFIG.delayBetweenSignals / 1000}s before next backtesting message...`);
+                    logger.info(`Waiting ${BACKTEST_DELIVERY_CONFIG.delayBetweenSignals / 1000}s before next backtesting message...`);
                     await new Promise(resolve => setTimeout(resolve, BACKTEST_DELIVERY_CONFIG.delayBetweenSignals));
                 }
             }
 
             // Delay between batches, except after the last batch
             if (batchIndex < batches.length - 1) {
-                console.log(`Waiting ${BACKTEST_DELIVERY_CONFIG.delayBetweenBatches / 1000 / 60} minutes before next backtesting batch...`);
+                logger.info(`Waiting ${BACKTEST_DELIVERY_CONFIG.delayBetweenBatches / 1000 / 60} minutes before next backtesting batch...`);
                 await new Promise(resolve => setTimeout(resolve, BACKTEST_DELIVERY_CONFIG.delayBetweenBatches));
             }
         }
@@ -284,12 +266,12 @@ ${profitArrow} **Signal:** *${signalType}*
                 { _id: documentId },
                 { $set: { messageSent: true } }
             );
-            console.log(`All subscribers have received backtested signal for ${tokenId}`);
+            logger.info(`All subscribers have received backtested signal for ${tokenId}`);
         }
         
         await closeConnection(client);
     } catch (error) {
-        console.error('Error sending backtested signal to subscribers:', error);
+        logger.error('Error sending backtested signal to subscribers:', error);
     }
 }
 
@@ -297,7 +279,7 @@ ${profitArrow} **Signal:** *${signalType}*
 async function processSignals() {
     try {
         const client = await connect();
-        console.log('Connected to MongoDB');
+        logger.info('Connected to MongoDB');
         const db = client.db(dbName);
         const sourceCollection = db.collection(sourceCollectionName);
         const collection = db.collection(collectionName);
@@ -305,7 +287,7 @@ async function processSignals() {
 
         // Find all signals that haven't been processed yet
         const signals = await sourceCollection.find({ backtesting_done: false }).toArray();
-        console.log(`Found ${signals.length} signals to process`);
+        logger.info(`Found ${signals.length} signals to process`);
 
         // Define strategies
         const strategies = {
@@ -323,7 +305,7 @@ async function processSignals() {
         // Process each signal
         for (const signal of signals) {
             const tokenId = signal["Token ID"];
-            console.log(`Processing signal for token ${tokenId}`);
+            logger.info(`Processing signal for token ${tokenId}`);
 
             // Check for minimum 3-day window between Signal Generation Date and Max Exit Time
             const signalGenerationDate = signal["Signal Generation Date"];
@@ -331,14 +313,14 @@ async function processSignals() {
             const daysDifference = calculateDaysDifference(signalGenerationDate, maxExitTime);
             
             if (daysDifference < 3) {
-                console.log(`Signal for token ${tokenId} has insufficient time window (${daysDifference} days), minimum 3 days required. Skipping.`);
+                logger.info(`Signal for token ${tokenId} has insufficient time window (${daysDifference} days), minimum 3 days required. Skipping.`);
                 continue;
             }
             
-            console.log(`Signal for token ${tokenId} has ${daysDifference} days window, proceeding with processing.`);
+            logger.info(`Signal for token ${tokenId} has ${daysDifference} days window, proceeding with processing.`);
 
             if (signal["Final Exit Price"]) {
-                console.log(`Signal for token ${tokenId} already has an exit price, skipping`);
+                logger.info(`Signal for token ${tokenId} already has an exit price, skipping`);
                 await sourceCollection.updateOne(
                     { _id: signal._id },
                     { $set: { backtesting_done: true } }
@@ -350,7 +332,7 @@ async function processSignals() {
             if (!priceCache[tokenId]) {
                 const priceData = await fetchPriceData(tokenId);
                 if (!priceData) {
-                    console.warn(`No price data for ${tokenId}, skipping`);
+                    logger.warn(`No price data for ${tokenId}, skipping`);
                     continue;
                 }
                 priceCache[tokenId] = priceData;
@@ -363,7 +345,7 @@ async function processSignals() {
             try {
                 tweetTimestamp = parseDateToTimestamp(signal["Tweet Date"]);
             } catch (error) {
-                console.error(`Error parsing Tweet Date for token ${tokenId}: ${signal["Tweet Date"]}`, error);
+                logger.error(`Error parsing Tweet Date for token ${tokenId}: ${signal["Tweet Date"]}`, error);
                 continue;
             }
 
@@ -371,13 +353,13 @@ async function processSignals() {
             try {
                 maxExitTimestamp = parseDateToTimestamp(signal["Max Exit Time"]);
             } catch (error) {
-                console.error(`Error parsing Max Exit Time for token ${tokenId}: ${signal["Max Exit Time"]}`, error);
+                logger.error(`Error parsing Max Exit Time for token ${tokenId}: ${signal["Max Exit Time"]}`, error);
                 continue;
             }
 
             const prices = priceCache[tokenId].filter(([ts]) => ts >= tweetTimestamp);
             if (prices.length === 0) {
-                console.warn(`No price data after tweet date for ${tokenId}`);
+                logger.warn(`No price data after tweet date for ${tokenId}`);
                 continue;
             }
 
@@ -389,13 +371,13 @@ async function processSignals() {
             const isPutOptions = signalType === "Put Options";
             
             if (!isPutOptions && (priceAtTweet > TP1 || priceAtTweet < SL)) {
-                console.warn(`Invalid price conditions for ${tokenId}: Price at Tweet > TP1 or < SL`);
+                logger.warn(`Invalid price conditions for ${tokenId}: Price at Tweet > TP1 or < SL`);
                 continue;
             }
 
             // For put options, the validation logic is inverted (we want price to fall)
             if (isPutOptions && (priceAtTweet < TP1 || priceAtTweet > SL)) {
-                console.warn(`Invalid price conditions for Put Options ${tokenId}: Price at Tweet < TP1 or > SL`);
+                logger.warn(`Invalid price conditions for Put Options ${tokenId}: Price at Tweet < TP1 or > SL`);
                 continue;
             }
 
@@ -537,7 +519,7 @@ async function processSignals() {
 
             const exitedStrategies = Object.entries(strategyStates).filter(([_, state]) => state.exitPrice !== null);
             if (exitedStrategies.length === 0) {
-                console.log(`No strategy exited for token ${tokenId}`);
+                logger.info(`No strategy exited for token ${tokenId}`);
                 continue;
             }
 
@@ -582,16 +564,17 @@ async function processSignals() {
             
             // Validate that we have valid values before proceeding
             if (bestExitPrice === null || bestStrategy === null) {
-                console.log(`Invalid exit data for token ${tokenId}, skipping`);
+                logger.info(`Invalid exit data for token ${tokenId}, skipping`);
                 continue;
             }
             
             // Ensure bestPnL is a finite number
             if (!isFinite(bestPnL)) {
-                console.log(`Invalid PnL value for token ${tokenId}: ${bestPnL}, setting to 0`);
+                logger.info(`Invalid PnL value for token ${tokenId}: ${bestPnL}, setting to 0`);
             }
             document['Final Exit Price'] = bestExitPrice;
             document['Final P&L'] = bestPnL.toFixed(2) + "%";
+            document.finalPnlPercent = Number(bestPnL.toFixed(2));
             document['Best Strategy'] = bestStrategy;
             document['backtesting_done'] = true;
 
@@ -600,7 +583,7 @@ async function processSignals() {
 
             // Store in MongoDB (results collection)
             const insertResult = await collection.insertOne(document);
-            console.log(`Inserted backtesting result for token: ${tokenId} into MongoDB`);
+            logger.info(`Inserted backtesting result for token: ${tokenId} into MongoDB`);
 
             // Update the source document as processed
             await sourceCollection.updateOne(
@@ -609,10 +592,12 @@ async function processSignals() {
                     backtesting_done: true,
                     'Final Exit Price': bestExitPrice,
                     'Final P&L': bestPnL.toFixed(2) + "%",
+                    finalPnlPercent: Number(bestPnL.toFixed(2)),
                     'Best Strategy': bestStrategy,
                     'Reasoning': reasoning
                 } }
             );
+            metrics.backtestsCompleted.inc();
 
             // Send backtested signal to subscribers
             await sendBacktestedSignalToSubscribers(
@@ -643,8 +628,8 @@ async function processSignals() {
             try {
                 const documentJson = stringify(ipfsDoc);
                 const buffer = Buffer.from(documentJson);
-                const cidObj = await lighthouse.uploadBuffer(buffer, process.env.LIGHTHOUSE_API_KEY);
-                console.log(`IPFS CID for ${tokenId}: ${cidObj?.data?.Hash}`);
+                const cidObj = await lighthouse.uploadBuffer(buffer, lighthouseConfig.apiKey);
+                logger.info(`IPFS CID for ${tokenId}: ${cidObj?.data?.Hash}`);
 
                 if (cidObj?.data?.Hash) {
                     // Store trade metadata in MongoDB
@@ -655,24 +640,24 @@ async function processSignals() {
                         timestamp: Date.now(),
                         backtesting_done: true
                     });
-                    console.log(`Stored trade metadata for ${tradeId} with CID: ${cidObj.data.Hash}`);
+                    logger.info(`Stored trade metadata for ${tradeId} with CID: ${cidObj.data.Hash}`);
 
                     // Update the results document with the IPFS link
                     await collection.updateOne(
                         { _id: insertResult.insertedId },
                         { $set: { "IPFS Link": `https://gateway.lighthouse.storage/ipfs/${cidObj.data.Hash}` } }
                     );
-                    console.log(`Updated document for token: ${tokenId} with IPFS Link`);
+                    logger.info(`Updated document for token: ${tokenId} with IPFS Link`);
                 }
             } catch (error) {
-                console.error(`Error uploading to Lighthouse for ${tokenId}: ${error.message}`);
+                logger.error(`Error uploading to Lighthouse for ${tokenId}: ${error.message}`);
             }
         }
 
-        console.log('All signals processed');
+        logger.info('All signals processed');
         await closeConnection(client);
     } catch (error) {
-        console.error('Error processing signals:', error);
+        logger.error('Error processing signals:', error);
         const client = await connect();
         if (client) {
             await closeConnection(client);
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const Papa = require('papaparse');
+const httpClient = require('../utils/httpClient');
+const logger = require('../utils/logger');
 
 // Function to parse tweet date from "DD/MM/YYYY" or "D-M-YYYY" to UTC timestamp
 function parseTweetDate(dateStr) {
@@ -29,14 +31,10 @@ function parseTweetDate(dateStr) {
 async function fetchPriceData(coinId) {
     const url = `https://www.coingecko.com/price_charts/${coinId}/usd/365_days.json`;
     try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data.stats; // Array of [timestamp, price]
+        const response = await httpClient.get('coingecko', url);
+        return response.data.stats; // Array of [timestamp, price]
     } catch (error) {
-        console.error(`Error fetching price data for ${coinId}:`, error.message);
+        logger.error(`Error fetching price data for ${coinId}:`, error.message);
         return null;
     }
 }
@@ -63,7 +61,7 @@ async function processCSV(inputCSV, outputCSV) {
         if (data) {
             priceCache[tokenId] = data;
         } else {
-            console.warn(`No price data for ${tokenId}`);
+            logger.warn(`No price data for ${tokenId}`);
         }
     }
 
@@ -71,7 +69,7 @@ async function processCSV(inputCSV, outputCSV) {
     for (const row of rows) {
         const tokenId = row["Token ID"];
         if (!priceCache[tokenId]) {
-            console.log(tokenId);
+            logger.info(tokenId);
             continue; // Skip this row entirely
         }
 
@@ -79,14 +77,14 @@ async function processCSV(inputCSV, outputCSV) {
         try {
             tweetTimestamp = parseTweetDate(row["Tweet Date"]);
         } catch (error) {
-            console.error(`Error parsing date for row: ${row["Tweet Date"]}`, error);
+            logger.error(`Error parsing date for row: ${row["Tweet Date"]}`, error);
             continue; // Skip this row entirely
         }
 
         const prices = priceCache[tokenId].filter(([ts]) => ts >= tweetTimestamp);
 
         if (prices.length === 0) {
-            console.log(tokenId);
+            logger.info(tokenId);
             continue; // Skip this row entirely
         }
 
@@ -144,12 +142,7 @@ async function processCSV(inputCSV, outputCSV) {
     // Write the updated CSV with only valid rows
     const updatedCSV = Papa.unparse(validRows);
     fs.writeFileSync(outputCSV, updatedCSV);
-    console.log(`Processing complete. Output saved to ${outputCSV}`);
+    logger.info(`Processing complete. Output saved to ${outputCSV}`);
 }
 
-// // Run the script
-// processCSV('./backtest.csv', './result.csv')
-//     .catch(error => console.error('Error:', error));
-
-
 module.exports = { processCSV };
\ No newline at end of file
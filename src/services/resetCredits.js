@@ -1,4 +1,5 @@
 const { connect, closeConnection } = require('../db/index');
+const logger = require('../utils/logger');
 
 /**
  * Resets the credits of all users to zero.
@@ -38,14 +39,14 @@ async function resetAllUsersCredits() {
       }
     );
 
-    console.log("Credits reset for all users:", userUpdateResult);
-    console.log("Users removed from trading-signals subscribers:", signalsUpdateResult);
+    logger.info("Credits reset for all users:", userUpdateResult);
+    logger.info("Users removed from trading-signals subscribers:", signalsUpdateResult);
     return {
       userUpdateResult,
       signalsUpdateResult
     };
   } catch (error) {
-    console.error("Error resetting credits and removing subscribers:", error);
+    logger.error("Error resetting credits and removing subscribers:", error);
     throw error;
   } finally {
     await closeConnection(client);
@@ -61,9 +62,9 @@ if (require.main === module) {
   (async function () {
     try {
       await resetAllUsersCredits();
-      console.log("Successfully reset credits for all users.");
+      logger.info("Successfully reset credits for all users.");
     } catch (err) {
-      console.error("Error resetting credits:", err);
+      logger.error("Error resetting credits:", err);
     } finally {
       process.exit();
     }
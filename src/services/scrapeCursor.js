@@ -0,0 +1,93 @@
+// src/services/scrapeCursor.js
+// Per-influencer scrape cursor: the newest tweet seen so far, and a fetch size
+// sized to how often the influencer posts. The scraper only returns the latest
+// N tweets, so a scrape widens N until the cursor tweet is within the window.
+const { scraping } = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tweet ids are numeric snowflakes, which sort by time; timestamps are the fallback
+function compareTweets(a, b) {
+    if (/^\d+$/.test(a.tweet_id) && /^\d+$/.test(b.tweet_id)) {
+        const idA = BigInt(a.tweet_id);
+        const idB = BigInt(b.tweet_id);
+        return idA === idB ? 0 : idA > idB ? 1 : -1;
+    }
+    return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+}
+
+/**
+ * Whether a tweet is newer than the cursor. Everything is new without a cursor.
+ * @param {Object} tweet - { tweet_id, timestamp }
+ * @param {Object|null} cursor - { tweet_id, timestamp }
+ */
+function isAfterCursor(tweet, cursor) {
+    return !cursor || compareTweets(tweet, cursor) > 0;
+}
+
+/**
+ * Whether a page of the latest tweets reaches back to the cursor, i.e. no
+ * tweet between the two is missing. One older tweet is not enough on its
+ * own: it may be a pinned tweet shown above newer ones.
+ * @param {Array} tweets - Scraped tweets
+ * @param {number} requested - Page size asked for
+ * @param {Object|null} cursor - Stored cursor
+ */
+function reachesCursor(tweets, requested, cursor) {
+    // A short page is the whole timeline
+    if (!cursor || tweets.length < requested) return true;
+    if (tweets.some(tweet => tweet.tweet_id === cursor.tweet_id)) return true;
+    return tweets.filter(tweet => !isAfterCursor(tweet, cursor)).length >= 2;
+}
+
+/**
+ * The newest of the tweets, as a cursor
+ * @param {Array} tweets - Scraped tweets
+ * @returns {Object|null} - { tweet_id, timestamp }
+ */
+function newestTweet(tweets) {
+    if (tweets.length === 0) return null;
+    const newest = tweets.reduce((a, b) => (compareTweets(a, b) >= 0 ? a : b));
+    return { tweet_id: newest.tweet_id, timestamp: newest.timestamp };
+}
+
+/**
+ * Updates the posting rate with the latest scrape and sizes the next fetch to
+ * cover what the influencer is expected to post by then, with headroom.
+ * @param {Object} stats - Stored scrapeStats ({ tweetsPerHour, lastScrapedAt }), if any
+ * @param {Object} scrape - { newTweets, gap, scrapedAt }
+ *   gap: the widest fetch did not reach the cursor, so tweets were probably missed
+ * @returns {Object} - New scrapeStats
+ */
+function nextScrapeStats(stats = {}, { newTweets, gap, scrapedAt }) {
+    const { minFetchSize, maxFetchSize, defaultFetchSize, headroom, rateSmoothing } = scraping;
+    let { tweetsPerHour = null } = stats;
+    let fetchSize = stats.fetchSize || defaultFetchSize;
+
+    const elapsedHours = stats.lastScrapedAt ? (scrapedAt - new Date(stats.lastScrapedAt)) / HOUR_MS : 0;
+    if (elapsedHours > 0) {
+        const observed = newTweets / elapsedHours;
+        tweetsPerHour = tweetsPerHour === null ? observed : rateSmoothing * observed + (1 - rateSmoothing) * tweetsPerHour;
+        // The next scrape is expected about as far off as this one was from the last
+        fetchSize = Math.ceil(tweetsPerHour * elapsedHours * headroom) + 1;
+    }
+    if (gap) {
+        fetchSize = maxFetchSize;
+    }
+
+    return {
+        tweetsPerHour,
+        fetchSize: Math.min(maxFetchSize, Math.max(minFetchSize, fetchSize)),
+        lastScrapedAt: scrapedAt,
+        lastNewTweets: newTweets,
+        lastGapAt: gap ? scrapedAt : stats.lastGapAt || null
+    };
+}
+
+module.exports = {
+    compareTweets,
+    isAfterCursor,
+    reachesCursor,
+    newestTweet,
+    nextScrapeStats
+};
@@ -1,8 +1,18 @@
-const { connect, closeConnection } = require('../db');
-const { dbName, influencerCollectionName, perplexity, tradingSignalsCollectionName, lunarcrushCollectionName } = require('../config/config');
+const { connect, closeConnection, getCollection } = require('../db');
+const { perplexity, trading, tradingSignalsCollectionName, lunarcrushCollectionName } = require('../config/config');
 const CryptoService = require('./cryptoService');
 const { processAndSendSignal } = require('./hyperliquidSignalService');
-const axios = require('axios');
+const { parseLevels, levelsFromView, checkStatedLevels } = require('./levelParser');
+const { formatTweetContext } = require('./tweetContext');
+const httpClient = require('../utils/httpClient');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+const { setLogContext } = logger;
+const metrics = require('../utils/metrics');
+
+// External providers every signal depends on. While either circuit is open,
+// tweets are deferred instead of failing one call per subscriber.
+const SIGNAL_PROVIDERS = ['coingecko', 'perplexity'];
 
 /**
  * Gets the safe address for perpetuals trading from the users collection
@@ -26,12 +36,12 @@ async function getSafeAddressForPerpetuals(username) {
         });
 
         if (!userDoc) {
-            console.log(`No user found in users collection for identifier ${username}`);
+            logger.info(`No user found in users collection for identifier ${username}`);
             return null;
         }
 
         if (!userDoc.safeConfigs || !Array.isArray(userDoc.safeConfigs)) {
-            console.log(`No safeConfigs found for user ${username}`);
+            logger.info(`No safeConfigs found for user ${username}`);
             return null;
         }
 
@@ -41,7 +51,7 @@ async function getSafeAddressForPerpetuals(username) {
         );
 
         if (perpetualsConfigs.length === 0) {
-            console.log(`No perpetuals safe address found for user ${username}`);
+            logger.info(`No perpetuals safe address found for user ${username}`);
             return null;
         }
 
@@ -54,11 +64,11 @@ async function getSafeAddressForPerpetuals(username) {
         const selectedConfig = mainnetConfig || perpetualsConfigs[0];
         const safeAddress = selectedConfig.safeAddress;
 
-        console.log(`Found perpetuals safe address ${safeAddress} for user ${username} on ${selectedConfig.networkKey}`);
+        logger.info(`Found perpetuals safe address ${safeAddress} for user ${username} on ${selectedConfig.networkKey}`);
         return safeAddress;
 
     } catch (error) {
-        console.error(`Error getting perpetuals safe address for user ${username}:`, error);
+        logger.error(`Error getting perpetuals safe address for user ${username}:`, error);
         return null;
     } finally {
         if (client) {
@@ -89,12 +99,12 @@ async function getSafeAddressForSpot(username) {
         });
 
         if (!userDoc) {
-            console.log(`No user found in users collection for identifier ${username}`);
+            logger.info(`No user found in users collection for identifier ${username}`);
             return null;
         }
 
         if (!userDoc.safeConfigs || !Array.isArray(userDoc.safeConfigs)) {
-            console.log(`No safeConfigs found for user ${username}`);
+            logger.info(`No safeConfigs found for user ${username}`);
             return null;
         }
 
@@ -104,7 +114,7 @@ async function getSafeAddressForSpot(username) {
         );
 
         if (spotConfigs.length === 0) {
-            console.log(`No spot safe address found for user ${username}`);
+            logger.info(`No spot safe address found for user ${username}`);
             return null;
         }
 
@@ -118,11 +128,11 @@ async function getSafeAddressForSpot(username) {
         const safeAddress = selectedConfig.safeAddress;
         const twitterId = userDoc.twitterId;
 
-        console.log(`Found spot safe address ${safeAddress} for user ${username} on ${selectedConfig.networkKey}`);
+        logger.info(`Found spot safe address ${safeAddress} for user ${username} on ${selectedConfig.networkKey}`);
         return { safeAddress, twitterId };
 
     } catch (error) {
-        console.error(`Error getting spot safe address for user ${username}:`, error);
+        logger.error(`Error getting spot safe address for user ${username}:`, error);
         return null;
     } finally {
         if (client) {
@@ -152,20 +162,20 @@ async function sendSignalToGMXAPI(signalData, username, safeAddress) {
             "autoExecute": true
         };
 
-        console.log(`Sending signal to API for user ${username}:`, JSON.stringify(payload, null, 2));
+        logger.info(`Sending signal to API for user ${username}`, { payload });
 
-        const response = await axios.post(process.env.GMX_API_URL + '/position/create-with-tp-sl', payload, {
+        const response = await httpClient.post('trading', `${trading.gmxApiUrl}/position/create-with-tp-sl`, payload, {
             headers: {
                 'Content-Type': 'application/json',
             },
             timeout: 60000
         });
 
-        console.log(`Successfully sent signal to API for user ${username}:`, response.data);
+        logger.info(`Successfully sent signal to API for user ${username}:`, response.data);
         return { success: true, response: response.data };
 
     } catch (error) {
-        console.error(`Failed to send signal to API for user ${username}:`, error.response?.data || error.message);
+        logger.error(`Failed to send signal to API for user ${username}:`, error.response?.data || error.message);
         return { success: false, error: error.response?.data || error.message };
     }
 }
@@ -184,21 +194,21 @@ async function sendSignalToSafeAPI(signalData, username, safeAddress, twitterId)
             "safeAddress": safeAddress
         };
 
-        console.log(`Sending signal to API for user ${username}:`, JSON.stringify(payload, null, 2));
+        logger.info(`Sending signal to API for user ${username}`, { payload });
 
-        const response = await axios.post(process.env.SAFE_API_URL + '/api/signal/process', payload, {
+        const response = await httpClient.post('trading', `${trading.safeApiUrl}/api/signal/process`, payload, {
             headers: {
                 'Content-Type': 'application/json',
             },
             timeout: 60000
         });
 
-        console.log(`Successfully sent signal to API for user ${username}:`, response.data);
-        console.log(`Signal processing API response:`, response.data);
+        logger.info(`Successfully sent signal to API for user ${username}:`, response.data);
+        logger.info(`Signal processing API response:`, response.data);
         return { success: true, response: response.data };
 
     } catch (error) {
-        console.error(`Error calling signal processing API:`, error?.response?.data || error.message);
+        logger.error(`Error calling signal processing API:`, error?.response?.data || error.message);
         return { success: false, error: error.response?.data || error.message };
     }
 }
@@ -256,10 +266,10 @@ async function getTopInfluencersByImpactFactor(limit = 30) {
             })
             .toArray();
 
-        console.log(`Fetched top ${topInfluencers.length} influencers by impact factor`);
+        logger.info(`Fetched top ${topInfluencers.length} influencers by impact factor`);
         return topInfluencers;
     } catch (error) {
-        console.error('Error fetching top influencers by impact factor:', error);
+        logger.error('Error fetching top influencers by impact factor:', error);
         return [];
     }
 }
@@ -399,7 +409,9 @@ function generateMessage(data) {
     const targets = data.targets.map((t, i) => `TP${i + 1}: $${t}`).join('\n');
     const stopLoss = data.stopLoss != null ? `🛑 **Stop Loss**: $${data.stopLoss}` : '';
     const timeline = data.timeline ? `⏳ **Timeline:** ${data.timeline}` : '';
-    const entryPrice = data.currentPrice ? `💰 **Entry Price**: $${Number(data.currentPrice).toFixed(2)}` : '';
+    const entry = data.entryPrice ?? data.currentPrice;
+    const entryPrice = entry ? `💰 **Entry Price**: $${Number(entry).toFixed(2)}` : '';
+    const levelsNote = data.levelsSource && data.levelsSource !== 'llm' ? '📌 **Levels**: as stated in the tweet' : '';
 
     return `
 ${heading}
@@ -411,6 +423,7 @@ ${entryPrice}
 ${targets}
 ${stopLoss}
 ${timeline}
+${levelsNote}
 
 💡 **Trade Tip**:
 ${data.tradeTip}
@@ -434,14 +447,14 @@ async function getLunarCrushData(symbol) {
         });
 
         if (lunarcrushData && lunarcrushData.metrics) {
-            console.log(`Found LunarCrush data for ${symbol}`);
+            logger.info(`Found LunarCrush data for ${symbol}`);
             return lunarcrushData;
         } else {
-            console.log(`No LunarCrush data found for ${symbol}`);
+            logger.info(`No LunarCrush data found for ${symbol}`);
             return null;
         }
     } catch (error) {
-        console.error(`Error fetching LunarCrush data for ${symbol}:`, error);
+        logger.error(`Error fetching LunarCrush data for ${symbol}:`, error);
         return null;
     } finally {
         if (client) {
@@ -546,14 +559,14 @@ async function getUserWeightages(username) {
         });
 
         if (!userDoc || !userDoc.customizationOptions) {
-            console.log(`No weightage configuration found for user ${username}`);
+            logger.info(`No weightage configuration found for user ${username}`);
             return null;
         }
 
-        console.log(`Found weightage configuration for user ${username}`);
+        logger.info(`Found weightage configuration for user ${username}`);
         return userDoc.customizationOptions;
     } catch (error) {
-        console.error(`Error fetching weightages for user ${username}:`, error);
+        logger.error(`Error fetching weightages for user ${username}:`, error);
         return null;
     } finally {
         if (client) {
@@ -568,9 +581,11 @@ async function getUserWeightages(username) {
  * @param {Object} marketData - Market data for the coin mentioned in the tweet.
  * @param {Object} lunarCrushData - LunarCrush metrics data (optional)
  * @param {Object} userWeightages - User's customization weightages for different metrics (optional)
+ * @param {Object} statedLevels - Levels stated in the tweet that the signal keeps (optional, see levelParser)
+ * @param {string} tweetContext - Tweets the tweet replies to or quotes, as text (optional, see tweetContext)
  * @returns {string} - The prompt string.
  */
-function generatePrompt(tweetContent, marketData, lunarCrushData = null, userWeightages = null) {
+function generatePrompt(tweetContent, marketData, lunarCrushData = null, userWeightages = null, statedLevels = null, tweetContext = '') {
     // Format market data for the specific coin
     const marketDataStr = `
      - ${marketData.token} (${marketData.coin_id}):
@@ -619,13 +634,31 @@ This user has specific preferences for different metrics. Please consider these
 Adjust your trading signal strength, targets, and timeline based on these user preferences. Higher weightages mean the user values those metrics more in their trading decisions.`;
     }
 
+    // The author's own levels are kept as stated; only the rest is generated
+    let statedLevelsStr = '';
+    if (statedLevels) {
+        statedLevelsStr = `
+### Levels Stated by the Author (fixed):
+ - Direction: ${statedLevels.direction}
+ - Entry: ${statedLevels.entry ?? 'not stated'}
+ - Targets: ${statedLevels.targets.length > 0 ? statedLevels.targets.join(', ') : 'not stated'}
+ - Stop Loss: ${statedLevels.stopLoss ?? 'not stated'}
+
+Use the stated levels exactly as given in the JSON and write the tradeTip around them. Only fill in the levels that are not stated.`;
+    }
+
+    // A reply or quote is read with the tweets it refers to
+    const tweetContextStr = tweetContext ? `### Thread Context (the tweets it replies to or quotes):
+${tweetContext}
+` : '';
+
     return `Analyze the following tweet about ${marketData.token} along with current market conditions to generate a trading signal. Consider price action, volume trends, market sentiment, and social engagement indicators. Your analysis should incorporate all available market intelligence to determine the optimal trading strategy.${userPreferencesStr ? ' Pay special attention to the user\'s preferences and weightages for different metrics.' : ''}
 
 --- INPUT DATA ---
 ### Tweet: "${tweetContent}"
-### Market Conditions:
+${tweetContextStr}### Market Conditions:
 ${marketDataStr}
-${lunarCrushStr ? `### Social & Market Indicators:${lunarCrushStr}` : ''}${userPreferencesStr}
+${lunarCrushStr ? `### Social & Market Indicators:${lunarCrushStr}` : ''}${userPreferencesStr}${statedLevelsStr}
 
 ### Trading Signal Format - Complete the JSON structure below:
 
@@ -659,8 +692,9 @@ Output the JSON object and nothing else:
  */
 async function callPerplexityAPI(prompt) {
     try {
-        const response = await axios.post(
-            'https://api.perplexity.ai/chat/completions',
+        const response = await httpClient.post(
+            'perplexity',
+            perplexity.endpoint,
             {
                 model: 'sonar-reasoning-pro',
                 messages: [{ role: 'user', content: prompt }]
@@ -681,312 +715,328 @@ async function callPerplexityAPI(prompt) {
             if (jsonMatch) {
                 return JSON.parse(jsonMatch[0]);
             }
-            console.error('No valid JSON found in response:', content);
+            logger.error('No valid JSON found in response:', content);
             throw new Error('Invalid JSON response');
         }
     } catch (error) {
-        console.error('API Error:', error);
+        if (error instanceof CircuitOpenError) throw error;
+        logger.error('API Error:', error);
         throw new Error('Failed to generate trading signal');
     }
 }
 
+/**
+ * Returns the first signal provider whose circuit breaker is open
+ * @returns {string|null} - Provider name, or null when all are available
+ */
+function getUnavailableSignalProvider() {
+    return SIGNAL_PROVIDERS.find(provider => httpClient.isCircuitOpen(provider)) || null;
+}
 
+/**
+ * Keeps the coins the influencer's specialization allows signals for
+ * @param {string} twitterHandle - The influencer's Twitter handle
+ * @param {Array} coins - CoinGecko ids extracted from the tweet
+ * @returns {Promise<Array>} - Eligible coin ids
+ */
+async function filterCoinsForInfluencer(twitterHandle, coins) {
+    const eligible = [];
+    for (const coinId of coins) {
+        if (await shouldProcessCoinForInfluencer(twitterHandle, coinId)) {
+            eligible.push(coinId);
+        }
+    }
+    return eligible;
+}
 
 /**
- * Processes tweets for a given Twitter handle and generates trading signals.
- * @param {string} twitterHandle - The influencer's Twitter handle.
+ * Fetches market data for a coin at the time of a tweet, plus stored LunarCrush metrics
+ * @param {Object} tweet - Tweet document
+ * @param {string} coinId - CoinGecko id
+ * @returns {Promise<Object|null>} - { marketData, lunarCrushData }, or null without market data
  */
-async function processAndGenerateSignalsForTweets(twitterHandle) {
-    const client = await connect();
-    try {
-        const db = client.db(dbName);
-        const influencerCollection = db.collection(influencerCollectionName);
-        const tradingSignalsCollection = db.collection(tradingSignalsCollectionName);
-
-        // Atomic update for processing status
-        const result = await influencerCollection.findOneAndUpdate(
-            { twitterHandle, isProcessing: { $ne: true } },
-            { $set: { isProcessing: true, lastProcessed: new Date() } },
-            { returnDocument: 'after' }
-        );
-        if (!result) return;
+async function getMarketContext(tweet, coinId) {
+    const marketData = await cryptoService.getHistoricalTokenDataFromCustomEndpoints(
+        coinId,
+        tweet.timestamp,
+        new Date().toISOString()
+    );
+    if (!marketData) return null;
+
+    // Fetch LunarCrush data for the token symbol
+    const tokenSymbol = marketData.symbol || marketData.token || coinId;
+    const lunarCrushData = await getLunarCrushData(tokenSymbol);
+    return { marketData, lunarCrushData };
+}
 
-        try {
-            const doc = await influencerCollection.findOne({ twitterHandle });
-            if (!doc) return;
+/**
+ * Finds the levels a tweet states for a coin and keeps them when they are
+ * sane for the current price. The analyzer's view of the coin (coinViews) is
+ * used first, as it keeps each coin's levels apart and tells sizes from
+ * prices; without one, the text of a tweet about this coin alone is parsed.
+ * @returns {Object|null} - Levels (see levelParser.parseLevels), or null
+ */
+function getStatedLevels(tweet, coinId, currentPrice) {
+    let stated = levelsFromView(tweet.coinViews?.find(view => view.coin === coinId));
+    if (!stated && (tweet.coins || [coinId]).length === 1) {
+        stated = parseLevels(tweet.content);
+    }
+    if (!stated) return null;
+    const { levels, reason } = checkStatedLevels(stated, currentPrice);
+    if (!levels) {
+        logger.info(`Ignoring the levels stated in tweet ${tweet.tweet_id}: ${reason}`, { stated });
+    }
+    return levels;
+}
+
+/**
+ * Puts stated levels over the generated ones. The generated signal keeps the
+ * trade tip, timeline and any level the tweet does not state. Direction,
+ * targets and stop loss reach GMX, Safe, Hyperliquid and backtesting; the
+ * stated entry (entryPrice) is only shown in the message, as trades open at
+ * the market and are recorded at currentPrice.
+ * @param {Object} data - Trading parameters from Perplexity
+ * @param {Object|null} levels - Stated levels (see getStatedLevels)
+ * @returns {Object} - Trading parameters with levelsSource: influencer (entry,
+ *   targets and stop loss all stated), mixed or llm
+ */
+function applyStatedLevels(data, levels) {
+    if (!levels) return { ...data, levelsSource: 'llm' };
+    const merged = { ...data, signal: levels.direction === 'short' ? 'Put Options' : 'Buy' };
+    if (levels.entry !== null) merged.entryPrice = levels.entry;
+    if (levels.targets.length > 0) merged.targets = levels.targets;
+    if (levels.stopLoss !== null) merged.stopLoss = levels.stopLoss;
+    const complete = levels.targets.length > 0 && levels.stopLoss !== null;
+    return { ...merged, levelsSource: complete ? 'influencer' : 'mixed' };
+}
+
+/**
+ * Generates and stores one subscriber's personalized signal for a coin in a
+ * tweet. When the signal already exists (a retry), it is returned instead.
+ * @param {Object} params - { twitterHandle, tweet, coinId, marketData, lunarCrushData, username }
+ * @returns {Promise<Object>} - { signal, created }
+ */
+async function generateSignalForSubscriber({ twitterHandle, tweet, coinId, marketData, lunarCrushData, username }) {
+    const tradingSignalsCollection = await getCollection(tradingSignalsCollectionName);
+
+    const existingSignal = await tradingSignalsCollection.findOne(
+        { tweet_id: tweet.tweet_id, coin: coinId, personalizedFor: username }
+    );
+    if (existingSignal) {
+        logger.info(`Signal for ${username} on ${coinId} already generated, skipping`);
+        return { signal: existingSignal, created: false };
+    }
+
+    logger.info(`Generating personalized signal for user ${username}`);
+
+    // Get user's weightage configuration
+    const userWeightages = await getUserWeightages(username);
+
+    // Generate personalized prompt and signal
+    const statedLevels = getStatedLevels(tweet, coinId, marketData.current_data.price_usd);
+    const personalizedPrompt = generatePrompt(tweet.content, marketData, lunarCrushData, userWeightages, statedLevels, formatTweetContext(tweet.context));
+    const personalizedData = applyStatedLevels(await callPerplexityAPI(personalizedPrompt), statedLevels);
+    const personalizedMessage = generateMessage(personalizedData);
+
+    // Extract token details
+    const tokenInfo = personalizedData.token.split('(');
+    const tokenMentioned = tokenInfo[0].trim();
+    const tokenId = marketData.id ? marketData.id : coinId;
+
+    const personalizedSignalData = {
+        ...personalizedData,
+        currentPrice: marketData.current_data.price_usd,
+        tweet_id: tweet.tweet_id,
+        tweet_link: tweet.tweet_link,
+        tweet_timestamp: tweet.timestamp,
+        priceAtTweet: marketData.historical_data.price_usd,
+        exitValue: null,
+        twitterHandle,
+        tokenMentioned,
+        tokenId,
+        lunarCrushMetrics: lunarCrushData?.metrics || null,
+        lunarCrushPrediction: lunarCrushData?.pred_next6h_pct || null,
+        lunarCrushTokenType: lunarCrushData?.type || null,
+        userWeightages: userWeightages,
+        personalizedFor: username,
+        // What the influencer said about the coin, to compare with the generated signal
+        influencerView: tweet.coinViews?.find(view => view.coin === coinId) || null
+    };
 
-            const tweetsToProcess = doc.tweets.filter(
-                tweet => !tweet.signalsGenerated && tweet.coins?.length > 0
+    // Store personalized signal in database
+    const signal = {
+        tweet_id: tweet.tweet_id,
+        twitterHandle,
+        coin: coinId,
+        signal_message: personalizedMessage,
+        signal_data: personalizedSignalData,
+        levelsSource: personalizedData.levelsSource,
+        generatedAt: new Date(),
+        personalizedFor: username,
+        userWeightages: userWeightages,
+        subscribers: [{
+            username: username,
+            sent: false,
+            sentAt: null,
+            error: null
+        }],
+        tweet_link: tweet.tweet_link,
+        messageSent: false
+    };
+    const { insertedId } = await tradingSignalsCollection.insertOne(signal);
+    signal._id = insertedId;
+    setLogContext({ signalId: String(insertedId) });
+    metrics.signalsGenerated.inc({ twitter_handle: twitterHandle });
+
+    return { signal, created: true };
+}
+
+/**
+ * Sends a stored signal to GMX and the Safe API, records it for backtesting
+ * and, for top influencers, sends it to Hyperliquid. Each step's outcome is
+ * saved under `routing` on the signal so a retry never repeats a trade.
+ * Routing stops at the first step the subscriber has no safe address for.
+ * @param {Object} signal - Trading signal document
+ */
+async function routeSignal(signal) {
+    const tradingSignalsCollection = await getCollection(tradingSignalsCollectionName);
+    const { twitterHandle, personalizedFor: username, signal_data: signalData } = signal;
+    const routing = { ...signal.routing };
+
+    const recordStep = async (step, outcome) => {
+        routing[step] = { ...outcome, at: new Date() };
+        await tradingSignalsCollection.updateOne({ _id: signal._id }, { $set: { [`routing.${step}`]: routing[step] } });
+    };
+
+    if (!routing.gmx) {
+        logger.info(`Sending personalized signal to GMX API for ${username}`);
+
+        // Get safe address for perpetuals trading
+        const safeAddress = await getSafeAddressForPerpetuals(username);
+        if (!safeAddress) {
+            logger.info(`No safe address found for user ${username}, skipping API call`);
+
+            // Update subscriber status to show safe address failure
+            await tradingSignalsCollection.updateOne(
+                { _id: signal._id },
+                { $set: { "subscribers.0.sent": false, "subscribers.0.error": "No safe address found" } }
             );
-            if (tweetsToProcess.length === 0) return;
-
-            console.log(`Processing ${tweetsToProcess.length} tweets for ${twitterHandle}`);
-
-            for (const tweet of tweetsToProcess) {
-                try {
-                    // Filter coins based on influencer specialization
-                    const coinsToProcess = [];
-                    for (const coinId of tweet.coins) {
-                        const shouldProcess = await shouldProcessCoinForInfluencer(twitterHandle, coinId);
-                        if (shouldProcess) {
-                            coinsToProcess.push(coinId);
+            await recordStep('gmx', { skipped: 'No safe address found' });
+        } else {
+            const apiResult = await sendSignalToGMXAPI(signalData, username, safeAddress);
+            metrics.recordDelivery('gmx', apiResult.success);
+
+            // Update subscriber status based on API result
+            if (apiResult.success) {
+                logger.info(`Successfully sent personalized signal to API for GMX ${username}`);
+                await tradingSignalsCollection.updateOne(
+                    { _id: signal._id },
+                    {
+                        $set: {
+                            "subscribers.0.sent": true,
+                            "subscribers.0.sentAt": new Date(),
+                            "subscribers.0.apiResponse": apiResult.response
                         }
                     }
-
-                    if (coinsToProcess.length === 0) {
-                        console.log(`No eligible coins for ${twitterHandle} in tweet ${tweet.tweet_id} (specialization filter applied)`);
-                        // Still mark as processed since we've evaluated it
-                        await influencerCollection.updateOne(
-                            { twitterHandle, 'tweets.tweet_id': tweet.tweet_id },
-                            {
-                                $set: {
-                                    'tweets.$.signalsGenerated': true,
-                                    'tweets.$.processedAt': new Date(),
-                                    'tweets.$.analysisStatus': 'skipped_specialization_filter'
-                                },
-                                $inc: { 'tweets.$.processingAttempts': 1 }
-                            }
-                        );
-                        continue;
-                    }
-
-                    console.log(`Processing ${coinsToProcess.length} eligible coins for ${twitterHandle} in tweet ${tweet.tweet_id}`);
-
-                    for (const coinId of coinsToProcess) {
-                        try {
-                            const marketData = await cryptoService.getHistoricalTokenDataFromCustomEndpoints(
-                                coinId,
-                                tweet.timestamp,
-                                new Date().toISOString()
-                            );
-                            if (!marketData) continue;
-
-                            // Fetch LunarCrush data for the token symbol
-                            const tokenSymbol = marketData.symbol || marketData.token || coinId;
-                            const lunarCrushData = await getLunarCrushData(tokenSymbol);
-
-                            // Generate personalized signals for each subscriber
-                            console.log(`Generating personalized signals for ${doc.subscribers.length} subscribers`);
-
-                            for (const subscriber of doc.subscribers) {
-                                try {
-                                    const username = subscriber;
-                                    console.log(`Generating personalized signal for user ${username}`);
-
-                                    // Get user's weightage configuration
-                                    const userWeightages = await getUserWeightages(username);
-
-                                    // Generate personalized prompt and signal
-                                    const personalizedPrompt = generatePrompt(tweet.content, marketData, lunarCrushData, userWeightages);
-                                    const personalizedData = await callPerplexityAPI(personalizedPrompt);
-                                    const personalizedMessage = generateMessage(personalizedData);
-
-                                    // Extract token details
-                                    const tokenInfo = personalizedData.token.split('(');
-                                    const tokenMentioned = tokenInfo[0].trim();
-                                    const tokenId = marketData.id ? marketData.id : coinId;
-
-                                    // Store personalized signal data in database
-                                    const personalizedSignalData = {
-                                        ...personalizedData,
-                                        currentPrice: marketData.current_data.price_usd,
-                                        tweet_id: tweet.tweet_id,
-                                        tweet_link: tweet.tweet_link,
-                                        tweet_timestamp: tweet.timestamp,
-                                        priceAtTweet: marketData.historical_data.price_usd,
-                                        exitValue: null,
-                                        twitterHandle,
-                                        tokenMentioned,
-                                        tokenId,
-                                        lunarCrushMetrics: lunarCrushData?.metrics || null,
-                                        lunarCrushPrediction: lunarCrushData?.pred_next6h_pct || null,
-                                        lunarCrushTokenType: lunarCrushData?.type || null,
-                                        userWeightages: userWeightages,
-                                        personalizedFor: username
-                                    };
-
-                                    // Store personalized signal in database
-                                    await tradingSignalsCollection.insertOne({
-                                        tweet_id: tweet.tweet_id,
-                                        twitterHandle,
-                                        coin: coinId,
-                                        signal_message: personalizedMessage,
-                                        signal_data: personalizedSignalData,
-                                        generatedAt: new Date(),
-                                        personalizedFor: username,
-                                        userWeightages: userWeightages,
-                                        subscribers: [{
-                                            username: username,
-                                            sent: false,
-                                            sentAt: null,
-                                            error: null
-                                        }],
-                                        tweet_link: tweet.tweet_link,
-                                        messageSent: false
-                                    });
-
-                                    // Send personalized signal to GMX API
-                                    console.log(`Sending personalized signal to GMX API for ${username}`);
-
-                                    // Get safe address for perpetuals trading
-                                    const safeAddress = await getSafeAddressForPerpetuals(username);
-                                    if (!safeAddress) {
-                                        console.log(`No safe address found for user ${username}, skipping API call`);
-
-                                        // Update subscriber status to show safe address failure
-                                        await tradingSignalsCollection.updateOne(
-                                            { tweet_id: tweet.tweet_id, twitterHandle, personalizedFor: username },
-                                            {
-                                                $set: {
-                                                    "subscribers.0.sent": false,
-                                                    "subscribers.0.error": "No safe address found"
-                                                }
-                                            }
-                                        );
-                                        continue;
-                                    }
-
-                                    // Send personalized signal to GMX API
-                                    const apiResult = await sendSignalToGMXAPI(personalizedSignalData, username, safeAddress);
-
-                                    // Update subscriber status based on API result
-                                    if (apiResult.success) {
-                                        console.log(`Successfully sent personalized signal to API for GMX ${username}`);
-
-                                        await tradingSignalsCollection.updateOne(
-                                            { tweet_id: tweet.tweet_id, twitterHandle, personalizedFor: username },
-                                            {
-                                                $set: {
-                                                    "subscribers.0.sent": true,
-                                                    "subscribers.0.sentAt": new Date(),
-                                                    "subscribers.0.apiResponse": apiResult.response
-                                                }
-                                            }
-                                        );
-                                    } else {
-                                        console.error(`Failed to send personalized signal to API for GMX ${username}:`, apiResult.error);
-
-                                        await tradingSignalsCollection.updateOne(
-                                            { tweet_id: tweet.tweet_id, twitterHandle, personalizedFor: username },
-                                            {
-                                                $set: {
-                                                    "subscribers.0.sent": false,
-                                                    "subscribers.0.error": apiResult.error,
-                                                    "subscribers.0.failedAt": new Date()
-                                                }
-                                            }
-                                        );
-                                    }
-
-                                    // Send personalized signal to Safe API
-                                    console.log(`Sending personalized signal to Safe API for ${username}`);
-
-                                    // Get safe address and twitterId for spot trading
-                                    const spotResult = await getSafeAddressForSpot(username);
-                                    if (!spotResult || !spotResult.safeAddress) {
-                                        console.log(`No spot safe address found for user ${username}, skipping Safe API call`);
-                                        continue;
-                                    }
-
-                                    // Send personalized signal to Safe API
-                                    const safeApiResult = await sendSignalToSafeAPI(personalizedSignalData, username, spotResult.safeAddress, spotResult.twitterId);
-
-                                    // Log the result
-                                    if (safeApiResult.success) {
-                                        console.log(`Successfully sent personalized signal to Safe API for ${username}`);
-                                    } else {
-                                        console.error(`Failed to send personalized signal to Safe API for ${username}:`, safeApiResult.error);
-                                    }
-
-                                    // Store in backtesting database for this personalized signal
-                                    const backtestingDb = client.db('backtesting_db');
-                                    const backtestingCollection = backtestingDb.collection('trading_signals_backtesting');
-                                    await backtestingCollection.insertOne({
-                                        'Twitter Account': twitterHandle,
-                                        'Tweet': tweet.tweet_link,
-                                        'Tweet Date': new Date(tweet.timestamp),
-                                        'Signal Generation Date': new Date(),
-                                        'Signal Message': personalizedData.signal,
-                                        'Token Mentioned': tokenMentioned,
-                                        'Token ID': tokenId,
-                                        'Price at Tweet': marketData.historical_data.price_usd,
-                                        'Current Price': marketData.current_data.price_usd,
-                                        'TP1': personalizedData.targets && personalizedData.targets.length > 0 ? personalizedData.targets[0] : null,
-                                        'TP2': personalizedData.targets && personalizedData.targets.length > 1 ? personalizedData.targets[1] : null,
-                                        'SL': personalizedData.stopLoss || null,
-                                        'Max Exit Time': personalizedData.maxExitTime ? new Date(personalizedData.maxExitTime) : null,
-                                        'backtesting_done': false,
-                                        'personalizedFor': username,
-                                        'userWeightages': userWeightages
-                                    });
-
-                                    // Send signal to Hyperliquid API for position creation (only for top 10 influencers)
-                                    const { shouldSend, reason } = await shouldSendToHyperliquid(twitterHandle, tokenId);
-                                    if (shouldSend) {
-                                        try {
-                                            const signalPayload = {
-                                                signal: personalizedData.signal,
-                                                tokenMentioned: tokenMentioned,
-                                                targets: personalizedData.targets || [],
-                                                stopLoss: personalizedData.stopLoss,
-                                                currentPrice: marketData.current_data.price_usd,
-                                                maxExitTime: personalizedData.maxExitTime
-                                            };
-
-                                            const apiResponse = await processAndSendSignal(signalPayload);
-
-                                            if (apiResponse.status === 'success') {
-                                                console.log(`Successfully sent personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}`);
-                                            } else {
-                                                console.error(`Failed to send personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}:`, apiResponse.error);
-                                            }
-                                        } catch (apiError) {
-                                            console.error(`Error sending personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}:`, apiError);
-                                        }
-                                    } else {
-                                        console.log(`Skipping Hyperliquid API for personalized signal ${tokenMentioned} - ${twitterHandle} (${reason}) - User: ${username}`);
-                                    }
-
-                                } catch (subscriberError) {
-                                    console.error(`Error processing personalized signal for ${username}:`, subscriberError);
-                                }
-                            } // End of subscriber loop
-
-                            console.log(`Generated personalized signals for all subscribers for ${coinId} in tweet ${tweet.tweet_id}`);
-                        } catch (coinError) {
-                            console.error(`Error processing coin ${coinId} for tweet ${tweet.tweet_id}:`, coinError);
+                );
+            } else {
+                logger.error(`Failed to send personalized signal to API for GMX ${username}:`, apiResult.error);
+                await tradingSignalsCollection.updateOne(
+                    { _id: signal._id },
+                    {
+                        $set: {
+                            "subscribers.0.sent": false,
+                            "subscribers.0.error": apiResult.error,
+                            "subscribers.0.failedAt": new Date()
                         }
                     }
+                );
+            }
+            await recordStep('gmx', { success: apiResult.success });
+        }
+    }
+    if (routing.gmx.skipped) return;
 
-                    // Update tweet status after processing all coins
-                    await influencerCollection.updateOne(
-                        { twitterHandle, 'tweets.tweet_id': tweet.tweet_id },
-                        {
-                            $set: {
-                                'tweets.$.signalsGenerated': true,
-                                'tweets.$.processedAt': new Date(),
-                                'tweets.$.analysisStatus': 'completed'
-                            },
-                            $inc: { 'tweets.$.processingAttempts': 1 }
-                        }
-                    );
-                    console.log(`Tweet ${tweet.tweet_id} fully processed`);
-                } catch (tweetError) {
-                    console.error(`Error processing tweet ${tweet.tweet_id}:`, tweetError);
-                }
+    if (!routing.safe) {
+        logger.info(`Sending personalized signal to Safe API for ${username}`);
+
+        // Get safe address and twitterId for spot trading
+        const spotResult = await getSafeAddressForSpot(username);
+        if (!spotResult || !spotResult.safeAddress) {
+            logger.info(`No spot safe address found for user ${username}, skipping Safe API call`);
+            await recordStep('safe', { skipped: 'No spot safe address found' });
+        } else {
+            const safeApiResult = await sendSignalToSafeAPI(signalData, username, spotResult.safeAddress, spotResult.twitterId);
+            metrics.recordDelivery('safe', safeApiResult.success);
+            if (safeApiResult.success) {
+                logger.info(`Successfully sent personalized signal to Safe API for ${username}`);
+            } else {
+                logger.error(`Failed to send personalized signal to Safe API for ${username}:`, safeApiResult.error);
             }
+            await recordStep('safe', { success: safeApiResult.success });
+        }
+    }
+    if (routing.safe.skipped) return;
+
+    if (!routing.backtesting) {
+        // Store in backtesting database for this personalized signal
+        const backtestingCollection = await getCollection('trading_signals_backtesting', 'backtesting_db');
+        await backtestingCollection.insertOne({
+            'Twitter Account': twitterHandle,
+            'Tweet': signalData.tweet_link,
+            'Tweet Date': new Date(signalData.tweet_timestamp),
+            'Signal Generation Date': signal.generatedAt || new Date(),
+            'Signal Message': signalData.signal,
+            'Token Mentioned': signalData.tokenMentioned,
+            'Token ID': signalData.tokenId,
+            'Price at Tweet': signalData.priceAtTweet,
+            'Current Price': signalData.currentPrice,
+            'TP1': signalData.targets && signalData.targets.length > 0 ? signalData.targets[0] : null,
+            'TP2': signalData.targets && signalData.targets.length > 1 ? signalData.targets[1] : null,
+            'SL': signalData.stopLoss || null,
+            'Max Exit Time': signalData.maxExitTime ? new Date(signalData.maxExitTime) : null,
+            'backtesting_done': false,
+            'personalizedFor': username,
+            'userWeightages': signalData.userWeightages,
+            'Influencer View': signalData.influencerView || null,
+            'Levels Source': signalData.levelsSource || 'llm'
+        });
+        await recordStep('backtesting', { success: true });
+    }
 
-            console.log(`Completed processing tweets for ${twitterHandle}`);
-        } finally {
-            await influencerCollection.updateOne(
-                { twitterHandle },
-                { $set: { isProcessing: false } }
-            );
+    if (!routing.hyperliquid) {
+        // Send signal to Hyperliquid API for position creation (only for top 10 influencers)
+        const { tokenMentioned, tokenId } = signalData;
+        const { shouldSend, reason } = await shouldSendToHyperliquid(twitterHandle, tokenId);
+        if (shouldSend) {
+            let success = false;
+            try {
+                const signalPayload = {
+                    signal: signalData.signal,
+                    tokenMentioned: tokenMentioned,
+                    targets: signalData.targets || [],
+                    stopLoss: signalData.stopLoss,
+                    currentPrice: signalData.currentPrice,
+                    maxExitTime: signalData.maxExitTime
+                };
+
+                const apiResponse = await processAndSendSignal(signalPayload);
+                success = apiResponse.status === 'success';
+
+                if (success) {
+                    logger.info(`Successfully sent personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}`);
+                } else {
+                    logger.error(`Failed to send personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}:`, apiResponse.error);
+                }
+            } catch (apiError) {
+                logger.error(`Error sending personalized signal to Hyperliquid API for ${tokenMentioned} from ${twitterHandle} (${reason}) - User: ${username}:`, apiError);
+            }
+            metrics.recordDelivery('hyperliquid', success);
+            await recordStep('hyperliquid', { success, reason });
+        } else {
+            logger.info(`Skipping Hyperliquid API for personalized signal ${tokenMentioned} - ${twitterHandle} (${reason}) - User: ${username}`);
+            await recordStep('hyperliquid', { skipped: reason });
         }
-    } catch (error) {
-        console.error(`Error in processAndGenerateSignalsForTweets for ${twitterHandle}:`, error);
-    } finally {
-        await closeConnection(client);
     }
 }
 
@@ -1019,7 +1069,7 @@ async function getCurrentTopInfluencers() {
             }
         };
     } catch (error) {
-        console.error('Error getting current top influencers:', error);
+        logger.error('Error getting current top influencers:', error);
         return { error: error.message };
     }
 }
@@ -1034,7 +1084,7 @@ function clearInfluencerCache() {
         lastUpdated: null,
         cacheDuration: 5 * 60 * 1000
     };
-    console.log('Influencer cache cleared');
+    logger.info('Influencer cache cleared');
 }
 
 /**
@@ -1074,13 +1124,17 @@ async function checkInfluencerEligibility(twitterHandle, tokenId) {
             }
         };
     } catch (error) {
-        console.error('Error checking influencer eligibility:', error);
+        logger.error('Error checking influencer eligibility:', error);
         return { error: error.message };
     }
 }
 
 module.exports = {
-    processAndGenerateSignalsForTweets,
+    filterCoinsForInfluencer,
+    getMarketContext,
+    generateSignalForSubscriber,
+    routeSignal,
+    getUnavailableSignalProvider,
     isTop10Influencer,
     isTop30Influencer,
     getTop10Influencers,
@@ -0,0 +1,283 @@
+// src/services/signalPipeline.js
+// The tweet → signal → delivery pipeline as work queue stages. Each stage
+// handles one unit of work and enqueues the next, so a crash only loses the
+// job in progress (which is retried once its lease expires) and one slow
+// influencer does not hold up the others:
+//
+//   scrapeHandle → classifyTweet (per batch of tweets) → extractCoins → generateSignal (per coin and
+//   subscriber) → routeExecution (GMX, Safe, backtesting, Hyperliquid) → deliverMessage
+//
+// Scrapes are queued by tweetsService.processTweets.
+//
+// Handlers are idempotent: a retried job skips work its previous attempt recorded.
+const { ObjectId } = require('mongodb');
+const { influencerCollectionName, tweetsCollectionName, tradingSignalsCollectionName, openAI, tweetClassification } = require('../config/config');
+const { getCollection } = require('../db');
+const { enqueue } = require('../queue/workQueue');
+const { registerStage, PostponeJobError } = require('../queue/workers');
+const { scrapeNewTweets, saveScrapeProgress } = require('./tweetsService');
+const { storeScrapedTweets, saveTweet } = require('./processAndStoreRelevantTweets');
+const { classifyTweets } = require('./tweetClassifier');
+const { buildTweetContext, formatTweetContext } = require('./tweetContext');
+const {
+    filterCoinsForInfluencer,
+    getMarketContext,
+    generateSignalForSubscriber,
+    routeSignal,
+    getUnavailableSignalProvider
+} = require('./signalGeneration');
+const { deliverSignal } = require('./telegramService');
+const TweetTradingAnalyzer = require('./tweetAnalyzer');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const STAGES = {
+    SCRAPE_HANDLE: 'scrapeHandle',
+    CLASSIFY_TWEET: 'classifyTweet',
+    EXTRACT_COINS: 'extractCoins',
+    GENERATE_SIGNAL: 'generateSignal',
+    ROUTE_EXECUTION: 'routeExecution',
+    DELIVER_MESSAGE: 'deliverMessage'
+};
+
+// Market data fetched for a coin is shared by every subscriber's signal for the tweet
+const MARKET_CONTEXT_TTL_MS = 10 * 60 * 1000;
+// How long generateSignal waits while CoinGecko or Perplexity is down
+const PROVIDER_OUTAGE_DELAY_MS = 60 * 1000;
+// Signals are only generated for tweets from the last day
+const MAX_TWEET_AGE_MS = 24 * 60 * 60 * 1000;
+
+async function findTweet(twitterHandle, tweet_id) {
+    const tweet = await (await getCollection(tweetsCollectionName)).findOne({ twitterHandle, tweet_id });
+    if (!tweet) {
+        throw new Error(`Tweet ${tweet_id} of ${twitterHandle} not found`);
+    }
+    return tweet;
+}
+
+async function findSignal(signalId) {
+    const signal = await (await getCollection(tradingSignalsCollectionName)).findOne({ _id: new ObjectId(signalId) });
+    if (!signal) {
+        throw new Error(`Signal ${signalId} not found`);
+    }
+    return signal;
+}
+
+async function scrapeHandle({ twitterHandle }) {
+    const influencer = await (await getCollection(influencerCollectionName)).findOne(
+        { twitterHandle },
+        { projection: { subscribers: 1, scrapeCursor: 1, scrapeStats: 1, tweetSource: 1 } }
+    );
+    if (!influencer) {
+        return { skipped: 'Unknown influencer' };
+    }
+
+    // The shared HTTP client already retries; queue retries cover longer outages
+    const scrape = await scrapeNewTweets(twitterHandle, influencer, { timeout: 240000, maxRetries: 1 });
+    if (!scrape.success) {
+        throw new Error(`Scrape failed: ${scrape.error}`);
+    }
+
+    const { tweets } = scrape;
+    metrics.tweetsScraped.inc(tweets.length);
+    const unchecked = await storeScrapedTweets(twitterHandle, influencer.subscribers || [], tweets);
+    for (let start = 0; start < unchecked.length; start += tweetClassification.batchSize) {
+        const tweet_ids = unchecked.slice(start, start + tweetClassification.batchSize);
+        await enqueue(
+            STAGES.CLASSIFY_TWEET,
+            { twitterHandle, tweet_ids },
+            { dedupeKey: `${STAGES.CLASSIFY_TWEET}:${twitterHandle}:${tweet_ids[0]}:${tweet_ids[tweet_ids.length - 1]}` }
+        );
+    }
+    const { scrapeStats } = await saveScrapeProgress(twitterHandle, influencer, scrape);
+    return { source: scrape.source, scraped: scrape.scraped, new: tweets.length, requests: scrape.requests, gap: scrape.gap, nextFetchSize: scrapeStats.fetchSize, queued: unchecked.length };
+}
+
+// Jobs queued before batching carry a single tweet_id
+async function classifyTweet({ twitterHandle, tweet_id, tweet_ids = [tweet_id] }) {
+    const tweetsCollection = await getCollection(tweetsCollectionName);
+    const tweets = await tweetsCollection.find({ twitterHandle, tweet_id: { $in: tweet_ids } }).toArray();
+
+    const unchecked = tweets.filter(tweet => !tweet.relevanceCheckedAt || !tweet.platformCheckedAt);
+    // Replies and quotes are read with the tweets they refer to, here and in the later stages
+    for (const tweet of unchecked) {
+        if (tweet.contextBuiltAt || (!tweet.in_reply_to && !tweet.quoted_tweet)) continue;
+        const fields = { context: await buildTweetContext(tweet), contextBuiltAt: new Date() };
+        await saveTweet(tweetsCollection, twitterHandle, tweet.tweet_id, fields);
+        Object.assign(tweet, fields);
+    }
+    const verdicts = await classifyTweets(unchecked);
+    let undetermined = 0;
+    let relevant = 0;
+    for (const tweet of tweets) {
+        const verdict = verdicts.get(tweet.tweet_id);
+        if (verdict) {
+            const now = new Date();
+            const fields = {
+                relevant: verdict.relevant,
+                mentionsPlatform: verdict.mentionsPlatform,
+                relevanceCheckedAt: now,
+                platformCheckedAt: now,
+                classifiedVia: verdict.via,
+                classificationReason: verdict.reason || null
+            };
+            await saveTweet(tweetsCollection, twitterHandle, tweet.tweet_id, fields);
+            if (verdict.relevant) metrics.tweetsRelevant.inc();
+            Object.assign(tweet, fields);
+        } else if (!tweet.relevanceCheckedAt || !tweet.platformCheckedAt) {
+            undetermined++;
+            continue;
+        }
+        // Also re-queued when a previous attempt stopped before enqueueing
+        if (tweet.relevant && !tweet.coinsCheckedAt) {
+            await enqueue(STAGES.EXTRACT_COINS, { twitterHandle, tweet_id: tweet.tweet_id }, { dedupeKey: `${STAGES.EXTRACT_COINS}:${twitterHandle}:${tweet.tweet_id}` });
+        }
+        if (tweet.relevant) relevant++;
+    }
+
+    // The retry only classifies what is still unchecked
+    if (undetermined > 0) {
+        throw new Error(`Could not classify ${undetermined} of ${tweets.length} tweets`);
+    }
+    return { classified: tweets.length, relevant };
+}
+
+async function extractCoins({ twitterHandle, tweet_id }) {
+    const tweetsCollection = await getCollection(tweetsCollectionName);
+    const tweet = await findTweet(twitterHandle, tweet_id);
+
+    if (!tweet.coinsCheckedAt) {
+        const analyzer = new TweetTradingAnalyzer(openAI.apiKey);
+        const { coin_ids: coins = [], views = [], resolution = { via: 'llm', coins: [] } } = await analyzer.analyzeTweet(tweet.content, twitterHandle, formatTweetContext(tweet.context));
+        logger.info(`Coins extracted for tweet ${tweet_id}`, { coins, via: resolution.via });
+        metrics.coinResolutions.inc({ via: resolution.via });
+        if (coins.length > 0) metrics.tweetsWithCoins.inc();
+
+        const tweetDate = new Date(tweet.timestamp);
+        // coinViews: the influencer's own stance, levels, timeframe and conviction per coin
+        const fields = { coins, coinViews: views, coinResolution: resolution, coinsCheckedAt: new Date() };
+        if (isNaN(tweetDate.getTime())) {
+            logger.error(`Invalid date format for tweet ${tweet_id}:`, tweet.timestamp);
+        } else if (coins.length > 0 && Date.now() - tweetDate.getTime() <= MAX_TWEET_AGE_MS) {
+            // signalsGenerated: false queues the tweet for signal generation
+            fields.signalsGenerated = false;
+        } else {
+            logger.info(`Tweet ${tweet_id} is older than a day (${tweet.timestamp}) or has no coins. Skipping.`);
+        }
+        await saveTweet(tweetsCollection, twitterHandle, tweet_id, fields);
+        Object.assign(tweet, fields);
+    }
+    if (tweet.signalsGenerated !== false) {
+        return { coins: tweet.coins, queued: 0 };
+    }
+
+    const coins = await filterCoinsForInfluencer(twitterHandle, tweet.coins);
+    const influencer = await (await getCollection(influencerCollectionName)).findOne(
+        { twitterHandle },
+        { projection: { subscribers: 1 } }
+    );
+    const subscribers = influencer?.subscribers || [];
+
+    let queued = 0;
+    for (const coin of coins) {
+        for (const subscriber of subscribers) {
+            await enqueue(
+                STAGES.GENERATE_SIGNAL,
+                { twitterHandle, tweet_id, coin, subscriber },
+                { dedupeKey: `${STAGES.GENERATE_SIGNAL}:${twitterHandle}:${tweet_id}:${coin}:${subscriber}` }
+            );
+            queued++;
+        }
+    }
+
+    await tweetsCollection.updateOne(
+        { twitterHandle, tweet_id },
+        {
+            $set: {
+                signalsGenerated: true,
+                processedAt: new Date(),
+                analysisStatus: coins.length > 0 ? 'queued' : 'skipped_specialization_filter'
+            },
+            $inc: { processingAttempts: 1 }
+        }
+    );
+    return { coins, queued };
+}
+
+async function generateSignal({ twitterHandle, tweet_id, coin, subscriber }) {
+    const unavailableProvider = getUnavailableSignalProvider();
+    if (unavailableProvider) {
+        throw new PostponeJobError(`${unavailableProvider} circuit is open`, PROVIDER_OUTAGE_DELAY_MS);
+    }
+
+    const tweetsCollection = await getCollection(tweetsCollectionName);
+    const tweet = await findTweet(twitterHandle, tweet_id);
+
+    let context = tweet.marketContext?.[coin];
+    if (!context || Date.now() - context.fetchedAt.getTime() > MARKET_CONTEXT_TTL_MS) {
+        const fresh = await getMarketContext(tweet, coin);
+        if (!fresh) {
+            throw new Error(`No market data for ${coin}`);
+        }
+        context = { ...fresh, fetchedAt: new Date() };
+        await tweetsCollection.updateOne({ _id: tweet._id }, { $set: { [`marketContext.${coin}`]: context } });
+    }
+
+    const { signal } = await generateSignalForSubscriber({
+        twitterHandle,
+        tweet,
+        coinId: coin,
+        marketData: context.marketData,
+        lunarCrushData: context.lunarCrushData,
+        username: subscriber
+    });
+    const signalId = String(signal._id);
+    await enqueue(
+        STAGES.ROUTE_EXECUTION,
+        { signalId, twitterHandle, tweet_id, coin, subscriber },
+        { dedupeKey: `${STAGES.ROUTE_EXECUTION}:${signalId}` }
+    );
+    return { signalId };
+}
+
+async function routeExecution(payload) {
+    const signal = await findSignal(payload.signalId);
+    await routeSignal(signal);
+    await enqueue(STAGES.DELIVER_MESSAGE, payload, { dedupeKey: `${STAGES.DELIVER_MESSAGE}:${payload.signalId}` });
+}
+
+async function deliverMessage({ signalId }) {
+    const result = await deliverSignal(signalId);
+    // Only subscribers that have not received the message are retried
+    if (result.failed > 0) {
+        throw new Error(`Delivery failed for ${result.failed} subscriber(s)`);
+    }
+    return result;
+}
+
+let stagesRegistered = false;
+
+/**
+ * Registers every pipeline stage with the queue workers. Safe to call more than once.
+ */
+function registerPipelineStages() {
+    if (stagesRegistered) return;
+    stagesRegistered = true;
+    registerStage(STAGES.SCRAPE_HANDLE, scrapeHandle);
+    registerStage(STAGES.CLASSIFY_TWEET, classifyTweet);
+    registerStage(STAGES.EXTRACT_COINS, extractCoins);
+    registerStage(STAGES.GENERATE_SIGNAL, generateSignal);
+    registerStage(STAGES.ROUTE_EXECUTION, routeExecution);
+    registerStage(STAGES.DELIVER_MESSAGE, deliverMessage);
+}
+
+module.exports = {
+    registerPipelineStages,
+    scrapeHandle,
+    classifyTweet,
+    extractCoins,
+    generateSignal,
+    routeExecution,
+    deliverMessage,
+    STAGES
+};
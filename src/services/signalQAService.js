@@ -1,12 +1,14 @@
 const { getDb } = require('../db/connection');
 const { OpenAI } = require('openai');
-const { openAIConfig } = require('../config/config');
+const httpClient = require('../utils/httpClient');
+const { openAI } = require('../config/config');
+const logger = require('../utils/logger');
 
 class SignalQAService {
     constructor() {
         this.db = null;
         this.qaCollection = 'signal_qa_review';
-        this.openai = new OpenAI({ apiKey: openAIConfig.apiKey });
+        this.openai = new OpenAI({ apiKey: openAI.apiKey, maxRetries: 0 }); // retries are handled by httpClient
     }
 
     async initialize() {
@@ -53,7 +55,7 @@ Timestamp: ${new Date(signal.timestamp).toISOString()}
 
 Please provide a detailed analysis of any issues found.`;
 
-            const response = await this.openai.chat.completions.create({
+            const response = await httpClient.execute('openai', ({ timeoutMs }) => this.openai.chat.completions.create({
                 model: "gpt-4",
                 messages: [
                     {
@@ -66,7 +68,7 @@ Please provide a detailed analysis of any issues found.`;
                     }
                 ],
                 response_format: { type: "json_object" }
-            });
+            }, { timeout: timeoutMs }));
 
             const analysis = JSON.parse(response.choices[0].message.content);
 
@@ -85,7 +87,7 @@ Please provide a detailed analysis of any issues found.`;
 
             return analysis;
         } catch (error) {
-            console.error('Error in signal QA inspection:', error);
+            logger.error('Error in signal QA inspection:', error);
             // In case of OpenAI error, perform basic validation
             return this.performBasicValidation(signal);
         }
@@ -129,7 +131,7 @@ Please provide a detailed analysis of any issues found.`;
                 .sort({ timestamp: -1 })
                 .toArray();
         } catch (error) {
-            console.error('Error fetching pending reviews:', error);
+            logger.error('Error fetching pending reviews:', error);
             throw error;
         }
     }
@@ -151,7 +153,7 @@ Please provide a detailed analysis of any issues found.`;
                 }
             );
         } catch (error) {
-            console.error('Error updating review status:', error);
+            logger.error('Error updating review status:', error);
             throw error;
         }
     }
@@ -166,7 +168,7 @@ Please provide a detailed analysis of any issues found.`;
             
             return review ? review.aiAnalysis : null;
         } catch (error) {
-            console.error('Error getting signal analysis:', error);
+            logger.error('Error getting signal analysis:', error);
             throw error;
         }
     }
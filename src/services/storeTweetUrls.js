@@ -1,4 +1,5 @@
 const { connect, closeConnection } = require('../db/index');
+const logger = require('../utils/logger');
 
 /**
  * Stores tweet URLs in the database under a specific collection or document.
@@ -23,10 +24,10 @@ async function storeTweetUrls(tweetUrls) {
       { upsert: true } // Create the document if it doesn't exist
     );
 
-    console.log("Tweet URLs stored/updated in database:", result);
+    logger.info("Tweet URLs stored/updated in database:", result);
     return result;
   } catch (error) {
-    console.error("Error storing tweet URLs:", error);
+    logger.error("Error storing tweet URLs:", error);
     throw error;
   } finally {
     await closeConnection(client);
@@ -48,9 +49,9 @@ if (require.main === module) {
   (async function () {
     try {
       await storeTweetUrls(tweetUrls);
-      console.log("Successfully stored tweet URLs.");
+      logger.info("Successfully stored tweet URLs.");
     } catch (err) {
-      console.error("Error storing tweet URLs:", err);
+      logger.error("Error storing tweet URLs:", err);
     } finally {
       process.exit();
     }
@@ -1,6 +1,7 @@
 // src/services/subscriptionService.js
 const { connect, closeConnection } = require('../db');
 const { dbName, userCollectionName, influencerCollectionName } = require('../config/config');
+const logger = require('../utils/logger');
 
 async function updateSubscribers() {
     const client = await connect();
@@ -16,7 +17,7 @@ async function updateSubscribers() {
             "subscribedAccounts.expiryDate": { $gt: currentDate }
         }).toArray();
 
-        console.log(`Retrieved ${users.length} users with active subscriptions`);
+        logger.info(`Retrieved ${users.length} users with active subscriptions`);
 
         // Group active subscriptions by twitter handle
         const subscriptionMap = {};
@@ -39,10 +40,10 @@ async function updateSubscribers() {
                 { $set: { subscribers: subscribersArray, updatedAt: new Date() } },
                 { upsert: true }
             );
-            console.log(`Updated subscribers for ${twitterHandle}:`, subscribersArray);
+            logger.info(`Updated subscribers for ${twitterHandle}:`, subscribersArray);
         }
     } catch (error) {
-        console.error('Error updating subscribers:', error);
+        logger.error('Error updating subscribers:', error);
     } finally {
         await closeConnection(client);
     }
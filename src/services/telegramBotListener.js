@@ -1,9 +1,9 @@
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
 const { connect, closeConnection } = require('../db');
-const { dbName } = require('../config/config');
+const { dbName, telegram } = require('../config/config');
+const logger = require('../utils/logger');
 
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_API_BASE_URL = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
+const TELEGRAM_API_BASE_URL = `${telegram.apiBaseUrl}/bot${telegram.botToken}`;
 const WELCOME_MESSAGE = `Welcome to Maxxit AI 🎉
 
 We're excited to have you join our community of traders. Here's what you can expect:
@@ -38,9 +38,9 @@ class TelegramBotListener {
             });
             
             await closeConnection(client);
-            console.log(`Loaded ${this.welcomedUsers.size} previously welcomed users`);
+            logger.info(`Loaded ${this.welcomedUsers.size} previously welcomed users`);
         } catch (error) {
-            console.error('Error initializing welcomed users:', error);
+            logger.error('Error initializing welcomed users:', error);
         }
     }
 
@@ -65,7 +65,7 @@ class TelegramBotListener {
             this.welcomedUsers.add(userId.toString());
             await closeConnection(client);
         } catch (error) {
-            console.error('Error marking user as welcomed:', error);
+            logger.error('Error marking user as welcomed:', error);
         }
     }
 
@@ -73,28 +73,28 @@ class TelegramBotListener {
         try {
             const personalizedMessage = `Hey ${firstName}!\n${WELCOME_MESSAGE}`;
             
-            const response = await axios.post(`${TELEGRAM_API_BASE_URL}/sendMessage`, {
+            const response = await httpClient.post('telegram', `${TELEGRAM_API_BASE_URL}/sendMessage`, {
                 chat_id: userId,
                 text: personalizedMessage,
                 parse_mode: 'HTML'
             });
 
             if (response.data.ok) {
-                console.log(`Welcome message sent successfully to user ${userId} (${firstName})`);
+                logger.info(`Welcome message sent successfully to user ${userId} (${firstName})`);
                 return true;
             } else {
-                console.error('Failed to send welcome message:', response.data);
+                logger.error('Failed to send welcome message:', response.data);
                 return false;
             }
         } catch (error) {
-            console.error(`Error sending welcome message to user ${userId}:`, error.message);
+            logger.error(`Error sending welcome message to user ${userId}:`, error.message);
             return false;
         }
     }
 
     async getUpdates() {
         try {
-            const response = await axios.get(`${TELEGRAM_API_BASE_URL}/getUpdates`, {
+            const response = await httpClient.get('telegram', `${TELEGRAM_API_BASE_URL}/getUpdates`, {
                 params: {
                     offset: this.lastUpdateId + 1,
                     timeout: 30
@@ -104,11 +104,11 @@ class TelegramBotListener {
             if (response.data.ok) {
                 return response.data.result;
             } else {
-                console.error('Error getting updates:', response.data);
+                logger.error('Error getting updates:', response.data);
                 return [];
             }
         } catch (error) {
-            console.error('Error fetching Telegram updates:', error.message);
+            logger.error('Error fetching Telegram updates:', error.message);
             return [];
         }
     }
@@ -120,11 +120,11 @@ class TelegramBotListener {
 
         // Check if user has already been welcomed
         if (this.welcomedUsers.has(userId.toString())) {
-            console.log(`User ${userId} (${firstName}) already welcomed, skipping.`);
+            logger.info(`User ${userId} (${firstName}) already welcomed, skipping.`);
             return;
         }
 
-        console.log(`New user detected: ${userId} (${firstName}), sending welcome message...`);
+        logger.info(`New user detected: ${userId} (${firstName}), sending welcome message...`);
         
         const messageSent = await this.sendWelcomeMessage(userId, firstName);
         if (messageSent) {
@@ -134,17 +134,17 @@ class TelegramBotListener {
 
     async startListening() {
         if (this.isListening) {
-            console.log('Telegram bot listener is already running');
+            logger.info('Telegram bot listener is already running');
             return;
         }
 
         if (!TELEGRAM_BOT_TOKEN) {
-            console.error('TELEGRAM_BOT_TOKEN environment variable is not set');
+            logger.error('TELEGRAM_BOT_TOKEN environment variable is not set');
             return;
         }
 
         this.isListening = true;
-        console.log('Starting Telegram bot listener...');
+        logger.info('Starting Telegram bot listener...');
 
         while (this.isListening) {
             try {
@@ -161,7 +161,7 @@ class TelegramBotListener {
                 // Short delay before next poll
                 await new Promise(resolve => setTimeout(resolve, this.pollInterval));
             } catch (error) {
-                console.error('Error in Telegram bot listener loop:', error);
+                logger.error('Error in Telegram bot listener loop:', error);
                 // Wait longer before retrying on error
                 await new Promise(resolve => setTimeout(resolve, 5000));
             }
@@ -170,7 +170,7 @@ class TelegramBotListener {
 
     stopListening() {
         this.isListening = false;
-        console.log('Stopping Telegram bot listener...');
+        logger.info('Stopping Telegram bot listener...');
     }
 }
 
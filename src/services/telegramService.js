@@ -1,6 +1,10 @@
-const { connect, closeConnection } = require('../db'); // Database connection module
-const { dbName, tradingSignalsCollectionName } = require('../config/config'); // Configuration
-const axios = require('axios'); // For making HTTP requests to Telegram API
+const { ObjectId } = require('mongodb');
+const { connect, closeConnection, getCollection } = require('../db'); // Database connection module
+const { dbName, tradingSignalsCollectionName, telegram } = require('../config/config'); // Configuration
+const httpClient = require('../utils/httpClient'); // Rate-limited client for the Telegram sender
+const logger = require('../utils/logger');
+const { runWithLogContext, setLogContext } = logger;
+const metrics = require('../utils/metrics');
 
 // Configuration for progressive message delivery
 const DELIVERY_CONFIG = {
@@ -23,11 +27,13 @@ async function sendSingleMessage(username, message, documentId) {
     };
 
     try {
-        await axios.post('https://telegram-msg-sender.maxxit.ai/api/telegram/send', payload);
-        console.log(`✅ Message sent to ${username} for document ${documentId}`);
+        await httpClient.post('telegram', telegram.senderUrl, payload);
+        logger.info(`Message sent to ${username} for document ${documentId}`);
+        metrics.recordDelivery('telegram', true);
         return true;
     } catch (error) {
-        console.error(`❌ Failed to send message to ${username} for document ${documentId}:`, error.message);
+        logger.error(`Failed to send message to ${username} for document ${documentId}:`, error);
+        metrics.recordDelivery('telegram', false);
         return false;
     }
 }
@@ -46,62 +52,107 @@ async function processBatch(batch, tradingSignalsCollection) {
         details: []
     };
 
-    console.log(`📦 Processing batch of ${batch.length} signals...`);
+    logger.info(`Processing batch of ${batch.length} signals...`);
 
     for (let i = 0; i < batch.length; i++) {
         const doc = batch[i];
         const { signal_message, subscribers, _id } = doc;
 
-        console.log(`📤 Processing signal ${i + 1}/${batch.length} (ID: ${_id})`);
+        // Delivery lines carry the signal, tweet and influencer they belong to
+        const logContext = { signalId: String(_id), tweet_id: doc.tweet_id, twitterHandle: doc.twitterHandle, coin: doc.coin };
+        await runWithLogContext(logContext, async () => {
+            logger.info(`Processing signal ${i + 1}/${batch.length} (ID: ${_id})`);
+
+            // Process each subscriber for this signal
+            for (const subscriber of subscribers) {
+                if (subscriber.sent === true) {
+                    continue;
+                }
+                setLogContext({ subscriber: subscriber.username || subscriber });
+
+                const success = await sendSingleMessage(
+                    subscriber.username || subscriber,
+                    signal_message,
+                    _id
+                );
 
-        // Process each subscriber for this signal
-        for (const subscriber of subscribers) {
-            if (subscriber.sent === true) {
-                continue;
+                if (success) {
+                    // Update sent status for this subscriber
+                    await tradingSignalsCollection.updateOne(
+                        { _id: _id, "subscribers.username": subscriber.username || subscriber },
+                        { $set: { "subscribers.$.sent": true } }
+                    );
+                    results.successful++;
+                } else {
+                    results.failed++;
+                }
+
+                // Add delay between individual signals (except for the last one)
+                if (i < batch.length - 1 || subscriber !== subscribers[subscribers.length - 1]) {
+                    logger.info(`Waiting ${DELIVERY_CONFIG.delayBetweenSignals / 1000}s before next signal...`);
+                    await new Promise(resolve => setTimeout(resolve, DELIVERY_CONFIG.delayBetweenSignals));
+                }
             }
 
-            const success = await sendSingleMessage(
-                subscriber.username || subscriber,
-                signal_message,
-                _id
-            );
-
-            if (success) {
-                // Update sent status for this subscriber
+            // Check if all subscribers have received this signal
+            const allSubscribersSent = subscribers.every(sub => sub.sent === true);
+            if (allSubscribersSent) {
                 await tradingSignalsCollection.updateOne(
-                    { _id: _id, "subscribers.username": subscriber.username || subscriber },
-                    { $set: { "subscribers.$.sent": true } }
+                    { _id: _id },
+                    { $set: { messageSent: true } }
                 );
-                results.successful++;
-            } else {
-                results.failed++;
+                logger.info(`All subscribers received signal ${_id}`);
             }
 
-            // Add delay between individual signals (except for the last one)
-            if (i < batch.length - 1 || subscriber !== subscribers[subscribers.length - 1]) {
-                console.log(`⏳ Waiting ${DELIVERY_CONFIG.delayBetweenSignals / 1000}s before next signal...`);
-                await new Promise(resolve => setTimeout(resolve, DELIVERY_CONFIG.delayBetweenSignals));
-            }
+            results.details.push({
+                documentId: _id,
+                subscribersCount: subscribers.length,
+                completed: allSubscribersSent
+            });
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Sends one signal to each of its subscribers that has not received it yet
+ * @param {ObjectId|string} signalId - Trading signal id
+ * @returns {Object} - { successful, failed, completed }
+ */
+async function deliverSignal(signalId) {
+    const tradingSignalsCollection = await getCollection(tradingSignalsCollectionName);
+    const doc = await tradingSignalsCollection.findOne({ _id: new ObjectId(signalId) });
+    if (!doc) {
+        throw new Error(`Signal ${signalId} not found`);
+    }
+
+    let successful = 0;
+    let failed = 0;
+    for (const subscriber of doc.subscribers) {
+        if (subscriber.sent === true) {
+            continue;
         }
+        const username = subscriber.username || subscriber;
+        setLogContext({ subscriber: username });
 
-        // Check if all subscribers have received this signal
-        const allSubscribersSent = subscribers.every(sub => sub.sent === true);
-        if (allSubscribersSent) {
+        if (await sendSingleMessage(username, doc.signal_message, doc._id)) {
             await tradingSignalsCollection.updateOne(
-                { _id: _id },
-                { $set: { messageSent: true } }
+                { _id: doc._id, "subscribers.username": username },
+                { $set: { "subscribers.$.sent": true, "subscribers.$.sentAt": new Date() } }
             );
-            console.log(`✅ All subscribers received signal ${_id}`);
+            subscriber.sent = true;
+            successful++;
+        } else {
+            failed++;
         }
-
-        results.details.push({
-            documentId: _id,
-            subscribersCount: subscribers.length,
-            completed: allSubscribersSent
-        });
     }
 
-    return results;
+    const completed = doc.subscribers.every(sub => sub.sent === true);
+    if (completed) {
+        await tradingSignalsCollection.updateOne({ _id: doc._id }, { $set: { messageSent: true } });
+    }
+    return { successful, failed, completed };
 }
 
 /**
@@ -149,13 +200,13 @@ async function processAndSendTradingSignalMessage(options = {}) {
 
         if (documents.length === 0) {
             const filterMsg = handleFilter ? ` for handle @${handleFilter}` : '';
-            console.log(`📭 No pending signals to send${filterMsg}`);
+            logger.info(`No pending signals to send${filterMsg}`);
             return { total: 0, batches: 0, deliveryTime: 0 };
         }
 
         const filterMsg = handleFilter ? ` for handle @${handleFilter}` : '';
-        console.log(`🚀 Starting progressive delivery of ${documents.length} signals${filterMsg}...`);
-        console.log(`⚙️  Configuration: ${DELIVERY_CONFIG.batchSize} signals per batch, ${DELIVERY_CONFIG.delayBetweenBatches / 1000}s between batches`);
+        logger.info(`Starting progressive delivery of ${documents.length} signals${filterMsg}...`);
+        logger.info(`Configuration: ${DELIVERY_CONFIG.batchSize} signals per batch, ${DELIVERY_CONFIG.delayBetweenBatches / 1000}s between batches`);
 
         // Step 2: Split documents into batches
         const batches = [];
@@ -163,7 +214,7 @@ async function processAndSendTradingSignalMessage(options = {}) {
             batches.push(documents.slice(i, i + DELIVERY_CONFIG.batchSize));
         }
 
-        console.log(`📊 Split into ${batches.length} batches`);
+        logger.info(`Split into ${batches.length} batches`);
 
         // Step 3: Process batches with delays
         const batchResults = [];
@@ -172,7 +223,7 @@ async function processAndSendTradingSignalMessage(options = {}) {
 
         for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
             const batch = batches[batchIndex];
-            console.log(`\n🔄 Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} signals)`);
+            logger.info(`Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} signals)`);
 
             const batchResult = await processBatch(batch, tradingSignalsCollection);
             batchResults.push(batchResult);
@@ -182,7 +233,7 @@ async function processAndSendTradingSignalMessage(options = {}) {
 
             // Add delay between batches (except for the last batch)
             if (batchIndex < batches.length - 1) {
-                console.log(`⏳ Waiting ${DELIVERY_CONFIG.delayBetweenBatches / 1000} minutes before next batch...`);
+                logger.info(`Waiting ${DELIVERY_CONFIG.delayBetweenBatches / 1000} minutes before next batch...`);
                 await new Promise(resolve => setTimeout(resolve, DELIVERY_CONFIG.delayBetweenBatches));
             }
         }
@@ -201,18 +252,19 @@ async function processAndSendTradingSignalMessage(options = {}) {
             configuration: DELIVERY_CONFIG
         };
 
-        console.log('\n📈 DELIVERY SUMMARY:');
-        console.log(`   Total signals: ${summary.total}`);
-        console.log(`   Batches processed: ${summary.batches}`);
-        console.log(`   Successful deliveries: ${summary.successful}`);
-        console.log(`   Failed deliveries: ${summary.failed}`);
-        console.log(`   Total delivery time: ${summary.deliveryTimeMinutes} minutes`);
-        console.log(`   Average time per signal: ${Math.round(totalDeliveryTime / documents.length / 1000)} seconds`);
+        logger.info('Delivery summary', {
+            total: summary.total,
+            batches: summary.batches,
+            successful: summary.successful,
+            failed: summary.failed,
+            deliveryTimeMinutes: summary.deliveryTimeMinutes,
+            averageSecondsPerSignal: Math.round(totalDeliveryTime / documents.length / 1000)
+        });
 
         return summary;
 
     } catch (error) {
-        console.error('❌ Error in processAndSendTradingSignalMessage:', error);
+        logger.error('Error in processAndSendTradingSignalMessage:', error);
         throw error;
     } finally {
         await closeConnection(client);
@@ -233,11 +285,12 @@ function getDeliveryConfig() {
  */
 function updateDeliveryConfig(newConfig) {
     Object.assign(DELIVERY_CONFIG, newConfig);
-    console.log('⚙️  Delivery configuration updated:', DELIVERY_CONFIG);
+    logger.info('Delivery configuration updated:', DELIVERY_CONFIG);
 }
 
 module.exports = { 
     processAndSendTradingSignalMessage,
+    deliverSignal,
     getDeliveryConfig,
     updateDeliveryConfig
 };
\ No newline at end of file
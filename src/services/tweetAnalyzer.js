@@ -1,15 +1,34 @@
 // src/services/TweetTradingAnalyzer.js
 const { OpenAI } = require('openai');
-const path = require('path');
-const coinsData = require(path.join(__dirname, '../utils/coins.json'));
+const httpClient = require('../utils/httpClient');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const { resolveCoins, candidatesForSymbol } = require('./coinResolver');
+const { coinResolution } = require('../config/config');
 const { connect, closeConnection } = require('../db/index');
+const logger = require('../utils/logger');
+
+const STANCES = ['long', 'short', 'neutral'];
+
+// Asked for every coin, whether the LLM picks the coins or only reads the views
+const VIEW_INSTRUCTIONS = `For each coin, also report what the author says about it:
+- stance: "long" if they are bullish or buying, "short" if bearish or selling, "neutral" if they only mention it
+- entry: the entry price they state, or null
+- targets: the take-profit prices they state, nearest first, or []
+- stop_loss: the stop-loss price they state, or null
+- timeframe: their time horizon in a few words (e.g. "intraday", "this week", "by Q4"), or null
+- conviction: 0 to 1, how strongly they back the view (hedged language is low, "all in" or repeated calls are high)
+Only report prices the author states; do not infer them.`;
+
+// "$65,000" or 65000 → 65000; anything else → null
+function toPrice(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const price = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(price) && price > 0 ? price : null;
+}
 
 class TweetTradingAnalyzer {
     constructor(apiKey) {
-        this.openai = new OpenAI({ apiKey });
-        this.coinsData = new Map();
-        this.symbolGroups = new Map();
-        this.initializeCoinsData(coinsData);
+        this.openai = new OpenAI({ apiKey, maxRetries: 0 }); // retries are handled by httpClient
         this.db = null;
         this.client = null;
     }
@@ -21,17 +40,6 @@ class TweetTradingAnalyzer {
         return client;
     }
 
-    initializeCoinsData(coinsData) {
-        coinsData.forEach(coin => {
-            this.coinsData.set(coin.id, coin);
-            const symbol = coin.symbol.toLowerCase();
-            if (!this.symbolGroups.has(symbol)) {
-                this.symbolGroups.set(symbol, []);
-            }
-            this.symbolGroups.get(symbol).push(coin);
-        });
-    }
-
     async getImpactFactor(account) {
         try {
             let client = null;
@@ -47,26 +55,20 @@ class TweetTradingAnalyzer {
 
             return impactFactorDoc ? impactFactorDoc.impactFactor : 1.0; // Default to 1.0 if no impact factor found
         } catch (error) {
-            console.error('Error fetching impact factor:', error);
+            logger.error('Error fetching impact factor:', error);
             return 1.0;
         }
     }
 
-    getRelevantCoinsForContext(symbols) {
-        const relevantCoins = [];
+    // Candidates for the LLM: the likeliest coins per cashtag plus anything the resolver matched
+    getRelevantCoinsForContext(symbols, resolved = []) {
+        const relevantCoins = new Map(resolved.map(coin => [coin.id, coin]));
         for (const symbol of symbols) {
-            const symbolLower = symbol.toLowerCase();
-            if (this.symbolGroups.has(symbolLower)) {
-                const coins = this.symbolGroups.get(symbolLower);
-                const sortedCoins = coins.sort((a, b) => {
-                    if (a.symbol.toLowerCase() === symbolLower && b.symbol.toLowerCase() !== symbolLower) return -1;
-                    if (b.symbol.toLowerCase() === symbolLower && a.symbol.toLowerCase() !== symbolLower) return 1;
-                    return a.id.length - b.id.length;
-                });
-                relevantCoins.push(...sortedCoins.slice(0, 10));
+            for (const coin of candidatesForSymbol(symbol).slice(0, 10)) {
+                relevantCoins.set(coin.id, coin);
             }
         }
-        return relevantCoins;
+        return [...relevantCoins.values()];
     }
 
     extractTradingElements(tweet) {
@@ -80,32 +82,127 @@ class TweetTradingAnalyzer {
         };
     }
 
-    async analyzeTweet(tweet, account) {
-        try {
-            if (!tweet || typeof tweet !== 'string') {
-                throw new Error('Invalid tweet format - must be a string');
-            }
+    /**
+     * Extracts the coins a tweet discusses and the author's view on each
+     * @param {string} tweet - Tweet text
+     * @param {string} account - Author's handle, for the impact factor
+     * @param {string} context - Thread and quoted tweet as text (see tweetContext.js), if any
+     * @returns {Promise<Object>} - { coin_ids, views, resolution }. Throws when the
+     *   LLM call fails, so the caller can retry rather than record no coins.
+     */
+    async analyzeTweet(tweet, account, context = '') {
+        if (!tweet || typeof tweet !== 'string') {
+            throw new Error('Invalid tweet format - must be a string');
+        }
 
-            const impactFactor = await this.getImpactFactor(account);
-            const tweetText = tweet;
-            const elements = this.extractTradingElements(tweetText);
-            const relevantCoins = this.getRelevantCoinsForContext(elements.cashtags);
-            const systemPrompt = this.createSystemPrompt(relevantCoins, impactFactor);
+        // Cashtags that resolve unambiguously need no LLM call to pick the coins
+        const resolution = resolveCoins(tweet);
+        if (!resolution.needsLlm) {
+            const coins = resolution.coins.filter(coin => coin.confidence >= coinResolution.minConfidence);
+            return {
+                coin_ids: coins.map(coin => coin.id),
+                views: await this.getCoinViews(tweet, coins, context),
+                resolution: { via: 'resolver', coins: coins.map(({ id, confidence, matchedBy }) => ({ id, confidence, matchedBy })) }
+            };
+        }
 
-            const openAiResponse = await this.getOpenAIAnalysis(systemPrompt, tweetText, elements, impactFactor);
+        const impactFactor = await this.getImpactFactor(account);
+        const tweetText = tweet;
+        const elements = this.extractTradingElements(tweetText);
+        // A reply or quote may only name its coin in the thread
+        const contextResolution = context ? resolveCoins(context) : { cashtags: [], coins: [] };
+        const relevantCoins = this.getRelevantCoinsForContext(
+            [...elements.cashtags, ...contextResolution.cashtags],
+            [...resolution.coins, ...contextResolution.coins]
+        );
+        const systemPrompt = this.createSystemPrompt(relevantCoins, impactFactor);
 
-            console.log("openAiResponse", openAiResponse);
+        const openAiResponse = await this.getOpenAIAnalysis(systemPrompt, tweetText, elements, impactFactor, context);
 
-            return openAiResponse;
+        // Keep the resolver's confidence for coins it also found, preferring the tweet's own text
+        const resolved = new Map([...contextResolution.coins, ...resolution.coins].map(coin => [coin.id, coin]));
+        const coinIds = Array.isArray(openAiResponse.coin_ids) ? openAiResponse.coin_ids : [];
+        return {
+            coin_ids: coinIds,
+            views: this.normalizeViews(coinIds, openAiResponse.coins),
+            resolution: {
+                via: 'llm',
+                coins: coinIds.map(id => ({ id, confidence: resolved.get(id)?.confidence ?? null, matchedBy: resolved.get(id)?.matchedBy ?? null }))
+            }
+        };
+    }
+
+    /**
+     * Reads the author's view on coins that are already known
+     * @param {string} tweet - Tweet text
+     * @param {Array} coins - [{ id, symbol, name }]
+     * @param {string} context - Thread and quoted tweet as text, if any
+     * @returns {Promise<Array>} - Views as returned by normalizeViews; stance null when the call failed
+     */
+    async getCoinViews(tweet, coins, context = '') {
+        const coinIds = coins.map(coin => coin.id);
+        if (coinIds.length === 0) return [];
+        try {
+            const systemPrompt = `You are an expert crypto trading analyst. The tweet below discusses these coins:
+${JSON.stringify(coins.map(({ id, symbol, name }) => ({ id, symbol, name })), null, 2)}
+
+${VIEW_INSTRUCTIONS}
+
+Respond in the below JSON format, with one entry per coin:
+{"coins": [{"id": "bitcoin", "stance": "long", "entry": 65000, "targets": [70000, 75000], "stop_loss": 62000, "timeframe": "this week", "conviction": 0.8}]}
+`;
+            const response = await this.requestJson(systemPrompt, `Tweet: ${tweet}\n${this.contextSection(context)}Please analyze this tweet in strict JSON format.`);
+            return this.normalizeViews(coinIds, response.coins);
         } catch (error) {
-            console.error('Error analyzing tweet:', error);
-            return { coin_ids: [] };
+            // An open circuit postpones the job; any other failure only costs the views
+            if (error instanceof CircuitOpenError) throw error;
+            logger.warn(`Could not read the author's view on ${coinIds.join(', ')}:`, error.message);
+            return this.normalizeViews(coinIds, []);
         }
     }
 
-    async getOpenAIAnalysis(systemPrompt, tweet, elements, impactFactor) {
+    /**
+     * One view per coin in coinIds; fields the model left out or got wrong are null
+     * @param {Array} coinIds - CoinGecko ids
+     * @param {Array} rawViews - The model's "coins" array
+     * @returns {Array} - [{ coin, stance, levels: { entry, targets, stopLoss }, timeframe, conviction }]
+     */
+    normalizeViews(coinIds, rawViews) {
+        const byId = new Map((Array.isArray(rawViews) ? rawViews : []).map(view => [view?.id, view]));
+        return coinIds.map(coin => {
+            const view = byId.get(coin) || {};
+            const conviction = view.conviction === null || view.conviction === undefined ? NaN : Number(view.conviction);
+            return {
+                coin,
+                stance: STANCES.includes(view.stance) ? view.stance : null,
+                levels: {
+                    entry: toPrice(view.entry),
+                    targets: (Array.isArray(view.targets) ? view.targets : []).map(toPrice).filter(price => price !== null),
+                    stopLoss: toPrice(view.stop_loss)
+                },
+                timeframe: typeof view.timeframe === 'string' && view.timeframe.trim() ? view.timeframe.trim() : null,
+                conviction: Number.isFinite(conviction) ? Math.min(1, Math.max(0, conviction)) : null
+            };
+        });
+    }
+
+    // Replies and quotes are analyzed with the tweets they refer to
+    contextSection(context) {
+        return context ? `Context (the tweets this one replies to or quotes, for reference only):\n${context}\n` : '';
+    }
+
+    async getOpenAIAnalysis(systemPrompt, tweet, elements, impactFactor, context = '') {
+        return this.requestJson(systemPrompt, `Tweet: ${tweet}
+${this.contextSection(context)}Extracted cashtags: ${elements.cashtags.join(', ')}
+Extracted hashtags: ${elements.hashtags.join(', ')}
+Extracted mentions: ${elements.mentions.join(', ')}
+Account Impact Factor: ${impactFactor}
+Please analyze this tweet in strict JSON format.`);
+    }
+
+    async requestJson(systemPrompt, userContent) {
         try {
-            const response = await this.openai.chat.completions.create({
+            const response = await httpClient.execute('openai', ({ timeoutMs }) => this.openai.chat.completions.create({
                 model: "gpt-4o-mini",
                 messages: [
                     {
@@ -114,22 +211,17 @@ class TweetTradingAnalyzer {
                     },
                     {
                         role: "user",
-                        content: `Tweet: ${tweet}
-Extracted cashtags: ${elements.cashtags.join(', ')}
-Extracted hashtags: ${elements.hashtags.join(', ')}
-Extracted mentions: ${elements.mentions.join(', ')}
-Account Impact Factor: ${impactFactor}
-Please analyze this tweet in strict JSON format.`
+                        content: userContent
                     }
                 ],
                 response_format: { type: "json_object" }
-            });
+            }, { timeout: timeoutMs }));
 
-            console.log("response", response.choices[0].message.content);
+            logger.debug('OpenAI response', response.choices[0].message.content);
 
             return JSON.parse(response.choices[0].message.content);
         } catch (error) {
-            console.error('Error getting OpenAI analysis:', error);
+            logger.error('Error getting OpenAI analysis:', error);
             throw new Error(`OpenAI analysis failed: ${error.message}`);
         }
     }
@@ -155,10 +247,13 @@ Important guidelines:
 6. Higher impact accounts may have more subtle or indirect trading signals
 7. Lower impact accounts require more explicit trading signals
 8. Only include coins if your confidence in the trading signal meets or exceeds the confidence threshold (${confidenceThreshold})
+9. When the tweet replies to or quotes other tweets (given as Context), coins named there count as discussed if the tweet refers to them, e.g. "adding more here"
+
+${VIEW_INSTRUCTIONS}
 
-Respond with a array of coin ids of the discussed coins in the below format: 
-coin_ids: ['bitcoin', 'ethereum', 'solana', 'shiba-inu', 'dogecoin']
-If no coins are discussed, respond with an empty array: coin_ids: []
+Respond with the coin ids of the discussed coins and the author's view on each in the below JSON format:
+{"coin_ids": ["bitcoin", "solana"], "coins": [{"id": "bitcoin", "stance": "long", "entry": 65000, "targets": [70000, 75000], "stop_loss": 62000, "timeframe": "this week", "conviction": 0.8}, {"id": "solana", "stance": "neutral", "entry": null, "targets": [], "stop_loss": null, "timeframe": null, "conviction": 0.3}]}
+If no coins are discussed, respond with empty arrays: {"coin_ids": [], "coins": []}
 `;
     }
 
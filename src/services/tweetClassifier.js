@@ -0,0 +1,204 @@
+// src/services/tweetClassifier.js
+// Decides whether tweets carry trading signals or market insight (relevant)
+// and whether they mention the platform, in three steps:
+//   1. verdicts cached by content hash, so reposted or edited-back text is free
+//   2. a local pre-filter: retweets, pure replies and tweets naming no coin
+//      (also counting the thread they reply to and the tweet they quote) are
+//      not relevant; tweets that don't contain "maxxit" don't mention the platform
+//   3. one gpt-4o-mini call per batch of the remaining tweets, returning both flags
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+const { tweetClassification, classificationCacheCollectionName, openAI } = require('../config/config');
+const { getCollection } = require('../db');
+const { mentionsKnownCoin } = require('./knownCoins');
+const { formatTweetContext } = require('./tweetContext');
+const httpClient = require('../utils/httpClient');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Bump when the prompt or pre-filter changes so cached verdicts are not reused
+const CLASSIFIER_VERSION = 2;
+
+const RETWEET = /^RT @\w+:/;
+const LEADING_MENTIONS = /^(?:@\w+\s*)+/;
+const CASHTAG = /\$[A-Za-z][A-Za-z0-9]{1,9}\b/;
+const PLATFORM = /maxxit/i;
+
+let openai;
+
+// Created on first use so the module loads without an API key
+function openAIClient() {
+    if (!openai) {
+        openai = new OpenAI({ apiKey: openAI.apiKey, maxRetries: 0 }); // retries are handled by httpClient
+    }
+    return openai;
+}
+
+function normalizeContent(content = '') {
+    return content.replace(/\s+/g, ' ').trim();
+}
+
+// The same reply to a different thread is a different question
+function contentHash(content, contextText = '') {
+    return crypto.createHash('sha256')
+        .update(`${CLASSIFIER_VERSION}:${normalizeContent(content)}\n${normalizeContent(contextText)}`)
+        .digest('hex');
+}
+
+/**
+ * Local checks that settle a verdict without the LLM where they can
+ * @param {string} content - Tweet text
+ * @param {string} contextText - Thread and quoted tweet (see tweetContext.js), if any
+ * @returns {Object} - { relevant, mentionsPlatform, reason }; a flag is
+ *   undefined when the LLM has to decide it
+ */
+function preFilter(content = '', contextText = '') {
+    const text = normalizeContent(content);
+    const verdict = { mentionsPlatform: PLATFORM.test(text) ? undefined : false };
+
+    if (RETWEET.test(text)) {
+        return { ...verdict, relevant: false, reason: 'retweet' };
+    }
+    if (LEADING_MENTIONS.test(text)) {
+        // A reply with nothing but mentions, links and emoji
+        const body = text.replace(LEADING_MENTIONS, '').replace(/https?:\/\/\S+/g, '');
+        if (!/[\p{L}\p{N}]/u.test(body)) {
+            return { ...verdict, relevant: false, reason: 'pure reply' };
+        }
+    }
+    // "adding more here 👆" names its coin in the tweet it replies to
+    const withContext = `${text}\n${contextText}`;
+    if (!CASHTAG.test(withContext) && !mentionsKnownCoin(withContext)) {
+        return { ...verdict, relevant: false, reason: 'no coin mentioned' };
+    }
+    return verdict;
+}
+
+function buildPrompt(batch) {
+    const tweets = batch.map(({ content, contextText }, index) => ({
+        id: index + 1,
+        text: normalizeContent(content),
+        ...(contextText ? { context: contextText } : {})
+    }));
+    return `Classify each tweet below. A tweet's "context" holds the tweets it replies to and the tweet it quotes; use it to understand what the tweet refers to, but classify the tweet itself.
+- relevant: true if it contains actionable trading signals or market insights about crypto assets, otherwise false
+- mentionsPlatform: true if it mentions, promotes or discusses the platform maxxit ('maxxit', 'MAXXIT', 'maxxit ai', 'maxxit.ai' or 'app.maxxit.ai'), otherwise false
+
+Reply with only a JSON object of the form {"results": [{"id": 1, "relevant": false, "mentionsPlatform": false}]} with one entry per tweet.
+
+Tweets:
+${JSON.stringify(tweets)}`;
+}
+
+/**
+ * Classifies one batch with a single LLM call
+ * @param {Array} batch - [{ content }]
+ * @returns {Promise<Array>} - Verdict per tweet ({ relevant, mentionsPlatform }), null where the reply had none
+ */
+async function classifyBatch(batch) {
+    const response = await httpClient.execute('openai', ({ timeoutMs }) => openAIClient().chat.completions.create({
+        model: tweetClassification.model,
+        response_format: { type: 'json_object' },
+        messages: [
+            { role: 'system', content: 'You are a financial market expert who classifies tweets for actionable trading insights and platform mentions.' },
+            { role: 'user', content: buildPrompt(batch) }
+        ]
+    }, { timeout: timeoutMs }));
+
+    const { results = [] } = JSON.parse(response.choices[0].message.content);
+    const byId = new Map(results.map(result => [Number(result.id), result]));
+    return batch.map((_tweet, index) => {
+        const result = byId.get(index + 1);
+        if (typeof result?.relevant !== 'boolean' || typeof result?.mentionsPlatform !== 'boolean') {
+            return null;
+        }
+        return { relevant: result.relevant, mentionsPlatform: result.mentionsPlatform };
+    });
+}
+
+async function readCache(hashes) {
+    const cache = await getCollection(classificationCacheCollectionName);
+    const entries = await cache.find({ _id: { $in: hashes } }).toArray();
+    return new Map(entries.map(entry => [entry._id, entry]));
+}
+
+async function writeCache(entries) {
+    if (entries.length === 0) return;
+    const cache = await getCollection(classificationCacheCollectionName);
+    const now = new Date();
+    await cache.bulkWrite(entries.map(({ hash, relevant, mentionsPlatform, reason }) => ({
+        updateOne: {
+            filter: { _id: hash },
+            update: { $set: { relevant, mentionsPlatform, reason: reason || null, model: tweetClassification.model, createdAt: now } },
+            upsert: true
+        }
+    })), { ordered: false });
+}
+
+/**
+ * Classifies tweets for relevance and platform mentions
+ * @param {Array} tweets - [{ tweet_id, content, context }], context as stored by the pipeline
+ * @returns {Promise<Map>} - tweet_id → { relevant, mentionsPlatform, via, reason },
+ *   via being cache, prefilter or llm. Tweets the LLM gave no verdict for are
+ *   left out so the caller can retry them.
+ */
+async function classifyTweets(tweets) {
+    const verdicts = new Map();
+    if (tweets.length === 0) return verdicts;
+
+    const contextTexts = new Map(tweets.map(tweet => [tweet.tweet_id, formatTweetContext(tweet.context)]));
+    const hashes = new Map(tweets.map(tweet => [tweet.tweet_id, contentHash(tweet.content, contextTexts.get(tweet.tweet_id))]));
+    const cached = await readCache([...new Set(hashes.values())]);
+    const pending = [];
+
+    for (const tweet of tweets) {
+        const hit = cached.get(hashes.get(tweet.tweet_id));
+        if (hit) {
+            verdicts.set(tweet.tweet_id, { relevant: hit.relevant, mentionsPlatform: hit.mentionsPlatform, reason: hit.reason, via: 'cache' });
+            continue;
+        }
+        const contextText = contextTexts.get(tweet.tweet_id);
+        const local = preFilter(tweet.content, contextText);
+        if (local.relevant !== undefined && local.mentionsPlatform !== undefined) {
+            verdicts.set(tweet.tweet_id, { ...local, via: 'prefilter' });
+        } else {
+            pending.push({ ...tweet, contextText, local });
+        }
+    }
+
+    const toCache = [];
+    for (let start = 0; start < pending.length; start += tweetClassification.batchSize) {
+        const batch = pending.slice(start, start + tweetClassification.batchSize);
+        let results;
+        try {
+            results = await classifyBatch(batch);
+        } catch (error) {
+            if (error instanceof CircuitOpenError) throw error;
+            logger.error(`Failed to classify a batch of ${batch.length} tweets:`, error.message);
+            continue;
+        }
+        batch.forEach((tweet, index) => {
+            if (!results[index]) return;
+            // Pre-filter decisions stand; the LLM fills in the rest
+            const verdict = {
+                relevant: tweet.local.relevant ?? results[index].relevant,
+                mentionsPlatform: tweet.local.mentionsPlatform ?? results[index].mentionsPlatform,
+                reason: tweet.local.reason,
+                via: 'llm'
+            };
+            verdicts.set(tweet.tweet_id, verdict);
+            toCache.push({ ...verdict, hash: hashes.get(tweet.tweet_id) });
+        });
+    }
+    await writeCache(toCache);
+
+    for (const { via } of verdicts.values()) {
+        metrics.tweetClassifications.inc({ via });
+    }
+    const counts = [...verdicts.values()].reduce((acc, { via }) => ({ ...acc, [via]: (acc[via] || 0) + 1 }), {});
+    logger.info(`Classified ${verdicts.size} of ${tweets.length} tweets`, counts);
+    return verdicts;
+}
+
+module.exports = { classifyTweets, preFilter, contentHash };
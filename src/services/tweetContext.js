@@ -0,0 +1,75 @@
+// src/services/tweetContext.js
+// What a tweet responds to: the reply chain above it and the tweet it quotes.
+// A follow-up like "adding more here 👆" only names its coin through these,
+// so the classifier, the coin analyzer and the signal prompt all get them.
+const { tweetsCollectionName, tweetContext } = require('../config/config');
+const { getCollection } = require('../db');
+
+// A stored tweet, or else the text the source sent along with the reference
+async function findReferencedTweet(tweetsCollection, reference) {
+    if (reference.tweet_id) {
+        const stored = await tweetsCollection.findOne(
+            { tweet_id: reference.tweet_id },
+            { projection: { tweet_id: 1, twitterHandle: 1, content: 1, in_reply_to: 1 } }
+        );
+        if (stored) {
+            return { tweet_id: stored.tweet_id, handle: stored.twitterHandle, content: stored.content, in_reply_to: stored.in_reply_to || null };
+        }
+    }
+    if (!reference.content) return null;
+    return { tweet_id: reference.tweet_id || null, handle: reference.handle || null, content: reference.content, in_reply_to: null };
+}
+
+/**
+ * Assembles the context of a reply or quote tweet
+ * @param {Object} tweet - Stored tweet with in_reply_to / quoted_tweet
+ * @returns {Promise<Object|null>} - { parents, quoted, complete }, null for tweets that
+ *   reply to and quote nothing that could be found.
+ *   parents: [{ tweet_id, handle, content }], oldest first, up to tweetContext.maxParents
+ *   quoted: { tweet_id, handle, content } or null
+ *   complete: false when the reply chain goes on beyond what was found
+ */
+async function buildTweetContext(tweet) {
+    if (!tweet.in_reply_to && !tweet.quoted_tweet) return null;
+    const tweetsCollection = await getCollection(tweetsCollectionName);
+
+    const parents = [];
+    const seen = new Set([tweet.tweet_id]);
+    let reference = tweet.in_reply_to;
+    while (reference && parents.length < tweetContext.maxParents && !seen.has(reference.tweet_id)) {
+        const parent = await findReferencedTweet(tweetsCollection, reference);
+        if (!parent) break;
+        seen.add(parent.tweet_id);
+        parents.unshift({ tweet_id: parent.tweet_id, handle: parent.handle, content: parent.content });
+        reference = parent.in_reply_to;
+    }
+
+    const quoted = tweet.quoted_tweet ? await findReferencedTweet(tweetsCollection, tweet.quoted_tweet) : null;
+    if (parents.length === 0 && !quoted) return null;
+    return {
+        parents,
+        quoted: quoted && { tweet_id: quoted.tweet_id, handle: quoted.handle, content: quoted.content },
+        complete: !reference
+    };
+}
+
+/**
+ * The context as text for prompts and local checks
+ * @param {Object|null} context - From buildTweetContext
+ * @returns {string} - Empty when there is no context
+ */
+function formatTweetContext(context) {
+    if (!context) return '';
+    const author = handle => (handle ? `@${handle}` : 'unknown author');
+    const lines = [];
+    if (context.parents.length > 0) {
+        lines.push(`In reply to${context.complete ? '' : ' (earlier tweets missing)'}:`);
+        lines.push(...context.parents.map(parent => `${author(parent.handle)}: ${parent.content}`));
+    }
+    if (context.quoted) {
+        lines.push(`Quoting ${author(context.quoted.handle)}: ${context.quoted.content}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = { buildTweetContext, formatTweetContext };
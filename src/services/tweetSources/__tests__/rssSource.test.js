@@ -0,0 +1,34 @@
+jest.mock('../../../config/config', () => ({
+  logLevel: 'silent',
+  tweetSources: { rss: { baseUrl: 'https://nitter.example/' } }
+}));
+
+const { parseTweetFeed } = require('../rssSource');
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel>
+  <title>trader / @trader</title>
+  <item>
+    <title>Long $ETH above 3k</title>
+    <description><![CDATA[<p>Long $ETH above 3k &amp; adding on dips<br>cc @friend #crypto</p>]]></description>
+    <pubDate>Sat, 01 Mar 2025 12:00:00 GMT</pubDate>
+    <guid>https://nitter.example/trader/status/1895000000000000002#m</guid>
+    <link>https://nitter.example/trader/status/1895000000000000002#m</link>
+  </item>
+  <item>
+    <title>No link, skipped</title>
+  </item>
+</channel></rss>`;
+
+describe('RSS tweet source', () => {
+  test('parses items into stored tweets with x.com links', () => {
+    expect(parseTweetFeed(FEED, 'trader')).toEqual([{
+      tweet_id: '1895000000000000002',
+      content: 'Long $ETH above 3k & adding on dips\ncc @friend #crypto',
+      timestamp: '2025-03-01T12:00:00.000Z',
+      tweet_link: 'https://x.com/trader/status/1895000000000000002',
+      tags: ['#crypto'],
+      mentions: ['@friend']
+    }]);
+  });
+});
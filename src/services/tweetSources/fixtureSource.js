@@ -0,0 +1,60 @@
+// src/services/tweetSources/fixtureSource.js
+const fs = require('fs');
+const path = require('path');
+const { tweetSources } = require('../../config/config');
+const { TweetSource, extractEntities, tweetLink, threadFields } = require('./tweetSource');
+const { compareTweets, isAfterCursor } = require('../scrapeCursor');
+
+const REPO_ROOT = path.join(__dirname, '../../..');
+
+/**
+ * Replays recorded tweets from JSON files, one per handle:
+ * <TWEET_FIXTURES_DIR>/<handle>.json holding an array of tweets (or a
+ * scraper response, { data: [...] }). A tweet may give `ageMinutes` instead
+ * of a timestamp so recordings stay recent enough for signal generation.
+ * Lets the pipeline run offline, in tests and locally.
+ */
+class FixtureSource extends TweetSource {
+    constructor({ dir } = tweetSources.fixtures) {
+        super('fixture');
+        this.dir = path.resolve(REPO_ROOT, dir);
+    }
+
+    readFixture(twitterHandle) {
+        for (const name of [twitterHandle, twitterHandle.toLowerCase()]) {
+            const file = path.join(this.dir, `${name}.json`);
+            if (fs.existsSync(file)) {
+                const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return Array.isArray(recorded) ? recorded : recorded.data || [];
+            }
+        }
+        return [];
+    }
+
+    async fetchLatest(twitterHandle, { count = 20, sinceId } = {}) {
+        const now = Date.now();
+        // Recorded ids are snowflakes; anything else is returned unfiltered
+        const since = /^\d+$/.test(sinceId) ? { tweet_id: String(sinceId) } : null;
+        return this.readFixture(twitterHandle)
+            .map(({ ageMinutes, ...tweet }) => {
+                const tweet_id = String(tweet.tweet_id);
+                const content = tweet.content || '';
+                return {
+                    ...extractEntities(content),
+                    tweet_link: tweetLink(twitterHandle, tweet_id),
+                    ...tweet,
+                    ...threadFields(tweet),
+                    tweet_id,
+                    content,
+                    timestamp: ageMinutes !== undefined
+                        ? new Date(now - ageMinutes * 60 * 1000).toISOString()
+                        : tweet.timestamp
+                };
+            })
+            .filter(tweet => isAfterCursor(tweet, since))
+            .sort((a, b) => compareTweets(b, a))
+            .slice(0, count);
+    }
+}
+
+module.exports = { FixtureSource };
@@ -0,0 +1,65 @@
+// src/services/tweetSources/index.js
+// Tweet sources by name. An influencer document can pick one with
+// `tweetSource`; everyone else uses TWEET_SOURCE.
+const { tweetSources } = require('../../config/config');
+const { TweetSource } = require('./tweetSource');
+const { MaxxitScraperSource } = require('./maxxitScraperSource');
+const { XApiSource } = require('./xApiSource');
+const { RssSource } = require('./rssSource');
+const { FixtureSource } = require('./fixtureSource');
+
+const factories = new Map([
+    ['maxxit', () => new MaxxitScraperSource()],
+    ['xApi', () => new XApiSource()],
+    ['rss', () => new RssSource()],
+    ['fixture', () => new FixtureSource()]
+]);
+
+// Sources are created on first use and shared
+const instances = new Map();
+
+/**
+ * Adds or replaces a source, e.g. a stub in tests
+ * @param {string} name - Source name
+ * @param {TweetSource|Function} source - Instance, or a factory returning one
+ */
+function registerTweetSource(name, source) {
+    factories.set(name, typeof source === 'function' ? source : () => source);
+    instances.delete(name);
+}
+
+/**
+ * @param {string} name - Source name
+ * @returns {TweetSource}
+ */
+function getTweetSource(name) {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown tweet source: ${name}`);
+        }
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+}
+
+/**
+ * The source for an influencer: its own `tweetSource`, else the default
+ * @param {Object} influencer - Influencer document
+ * @returns {TweetSource}
+ */
+function resolveTweetSource(influencer = {}) {
+    return getTweetSource(influencer.tweetSource || tweetSources.default);
+}
+
+function listTweetSources() {
+    return [...factories.keys()];
+}
+
+module.exports = {
+    TweetSource,
+    registerTweetSource,
+    getTweetSource,
+    resolveTweetSource,
+    listTweetSources
+};
@@ -0,0 +1,37 @@
+// src/services/tweetSources/maxxitScraperSource.js
+const { scrapeEndpoint, scraperCredentials, scraping } = require('../../config/config');
+const httpClient = require('../../utils/httpClient');
+const logger = require('../../utils/logger');
+const { TweetSource, threadFields } = require('./tweetSource');
+
+/**
+ * The maxxit tweet scraper. It returns the latest `tweets` tweets of an
+ * account already in the stored shape, apart from the reply and quote
+ * fields, and has no since-id filter.
+ */
+class MaxxitScraperSource extends TweetSource {
+    constructor() {
+        super('maxxit');
+    }
+
+    async fetchLatest(twitterHandle, { count = scraping.defaultFetchSize, timeout = 300000, maxRetries = 3 } = {}) {
+        const requestBody = { tweets: count, username: twitterHandle };
+        // Credentials are only sent when configured
+        if (scraperCredentials.user) {
+            requestBody.user = scraperCredentials.user;
+            requestBody.password = scraperCredentials.password;
+        }
+
+        logger.info(`Calling scrape API for Twitter handle: ${twitterHandle}`);
+        // The scraper's tweets-per-window limit, retries and backoff are handled by the shared client
+        const response = await httpClient.post('scraper', scrapeEndpoint, requestBody, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout
+        }, { maxRetries: maxRetries - 1 });
+
+        logger.debug(`Scrape API response for ${twitterHandle}`, response.data);
+        return (response.data?.data || []).map(tweet => ({ ...tweet, ...threadFields(tweet) }));
+    }
+}
+
+module.exports = { MaxxitScraperSource };
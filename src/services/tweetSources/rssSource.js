@@ -0,0 +1,80 @@
+// src/services/tweetSources/rssSource.js
+const { tweetSources } = require('../../config/config');
+const httpClient = require('../../utils/httpClient');
+const { TweetSource, extractEntities, tweetLink } = require('./tweetSource');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function readTag(item, tag) {
+    const match = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(item);
+    if (!match) return '';
+    return match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim();
+}
+
+// Feed item descriptions are HTML; keep the text with line breaks
+function htmlToText(html) {
+    const text = decodeEntities(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(text).trim();
+}
+
+/**
+ * Parses an RSS feed of an account's tweets, as served by Nitter and similar
+ * mirrors at /<handle>/rss
+ * @param {string} xml - Feed body
+ * @param {string} twitterHandle - Account the feed belongs to
+ * @returns {Array} - Tweets, in feed order
+ */
+function parseTweetFeed(xml, twitterHandle) {
+    const items = xml.split(/<item[\s>]/i).slice(1);
+    const tweets = [];
+    for (const item of items) {
+        const link = readTag(item, 'link') || readTag(item, 'guid');
+        const id = /\/status\/(\d+)/.exec(link)?.[1];
+        if (!id) continue;
+        const content = htmlToText(readTag(item, 'description') || readTag(item, 'title'));
+        const published = new Date(readTag(item, 'pubDate'));
+        tweets.push({
+            tweet_id: id,
+            content,
+            timestamp: isNaN(published.getTime()) ? null : published.toISOString(),
+            tweet_link: tweetLink(twitterHandle, id),
+            ...extractEntities(content)
+        });
+    }
+    return tweets;
+}
+
+/**
+ * RSS feeds from a Nitter-style mirror (NITTER_BASE_URL). No engagement
+ * counts, and the feed length is fixed by the mirror.
+ */
+class RssSource extends TweetSource {
+    constructor({ baseUrl } = tweetSources.rss) {
+        super('rss');
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async fetchLatest(twitterHandle, { count = 20, timeout } = {}) {
+        const response = await httpClient.get('rss', `${this.baseUrl}/${encodeURIComponent(twitterHandle)}/rss`, {
+            timeout,
+            responseType: 'text',
+            headers: { Accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.8' }
+        });
+        return parseTweetFeed(String(response.data), twitterHandle).slice(0, count);
+    }
+}
+
+module.exports = { RssSource, parseTweetFeed };
@@ -0,0 +1,80 @@
+// src/services/tweetSources/tweetSource.js
+
+/**
+ * Where an influencer's tweets come from. Implementations return tweets in
+ * the shape the pipeline stores (see scrapedTweetFields in
+ * processAndStoreRelevantTweets.js): tweet_id, content, timestamp,
+ * tweet_link, likes, retweets, comments and, where available, verified,
+ * tags, mentions, emojis, analytics, profile_image and the thread fields
+ * in_reply_to ({ tweet_id, handle, content? }), quoted_tweet
+ * ({ tweet_id, handle, content }) and conversation_id.
+ */
+class TweetSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Fetches an account's latest tweets, newest first. Failures throw.
+     * @param {string} twitterHandle - Account to fetch
+     * @param {Object} options - { count, sinceId, timeout, maxRetries }
+     *   count: how many of the latest tweets to return at most
+     *   sinceId: newest tweet already stored; sources that can filter on it may
+     *   stop there, others return the latest `count` regardless
+     * @returns {Promise<Array>} - Tweets
+     */
+    async fetchLatest(twitterHandle, options) {
+        throw new Error(`Tweet source ${this.name} does not implement fetchLatest`);
+    }
+}
+
+const HASHTAG = /#\w+/g;
+const MENTION = /@\w+/g;
+
+// Hashtags and mentions for sources that only return the text
+function extractEntities(content = '') {
+    return {
+        tags: content.match(HASHTAG) || [],
+        mentions: content.match(MENTION) || []
+    };
+}
+
+function tweetLink(twitterHandle, tweetId) {
+    return `https://x.com/${twitterHandle}/status/${tweetId}`;
+}
+
+function toId(value) {
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+// A referenced tweet as a nested object, in scraper or API field names
+function toReference(tweet) {
+    if (!tweet || typeof tweet !== 'object') return null;
+    const tweet_id = toId(tweet.tweet_id ?? tweet.id_str ?? tweet.id);
+    const content = tweet.content ?? tweet.full_text ?? tweet.text ?? null;
+    if (!tweet_id && !content) return null;
+    return {
+        tweet_id,
+        handle: tweet.handle ?? tweet.username ?? tweet.screen_name ?? tweet.user?.screen_name ?? tweet.user?.username ?? null,
+        content
+    };
+}
+
+/**
+ * Normalizes the reply, quote and conversation fields of a scraped tweet.
+ * Scrapers name them differently (in_reply_to_status_id, inReplyToStatusId,
+ * quoted_status, quotedTweet, ...); already normalized fields pass through.
+ * @param {Object} tweet - Tweet as returned by a scraper
+ * @returns {Object} - { in_reply_to, quoted_tweet, conversation_id }, null where absent
+ */
+function threadFields(tweet) {
+    const replyId = toId(tweet.in_reply_to?.tweet_id ?? tweet.in_reply_to_status_id_str ?? tweet.in_reply_to_status_id ?? tweet.inReplyToStatusId ?? tweet.in_reply_to_tweet_id);
+    const replyHandle = tweet.in_reply_to?.handle ?? tweet.in_reply_to_screen_name ?? tweet.inReplyToUsername ?? tweet.inReplyToScreenName ?? null;
+    return {
+        in_reply_to: replyId ? { tweet_id: replyId, handle: replyHandle, content: tweet.in_reply_to?.content ?? null } : null,
+        quoted_tweet: toReference(tweet.quoted_tweet ?? tweet.quoted_status ?? tweet.quotedTweet ?? tweet.quoted),
+        conversation_id: toId(tweet.conversation_id ?? tweet.conversation_id_str ?? tweet.conversationId)
+    };
+}
+
+module.exports = { TweetSource, extractEntities, tweetLink, threadFields };
@@ -0,0 +1,100 @@
+// src/services/tweetSources/xApiSource.js
+const { tweetSources } = require('../../config/config');
+const httpClient = require('../../utils/httpClient');
+const { TweetSource, tweetLink } = require('./tweetSource');
+
+// The timeline endpoint returns between 5 and 100 tweets per page
+const MIN_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * The official X API v2 (user timeline). Needs X_API_BEARER_TOKEN. Filters on
+ * since_id server-side and pages with next_token.
+ */
+class XApiSource extends TweetSource {
+    constructor({ baseUrl, bearerToken } = tweetSources.xApi) {
+        super('xApi');
+        this.baseUrl = baseUrl;
+        this.bearerToken = bearerToken;
+        // Handle → user id; ids never change
+        this.userIds = new Map();
+    }
+
+    async get(path, params, timeout) {
+        if (!this.bearerToken) {
+            throw new Error('X_API_BEARER_TOKEN is not configured');
+        }
+        const response = await httpClient.get('xApi', `${this.baseUrl}${path}`, {
+            params,
+            timeout,
+            headers: { Authorization: `Bearer ${this.bearerToken}` }
+        });
+        return response.data;
+    }
+
+    async getUser(twitterHandle, timeout) {
+        if (!this.userIds.has(twitterHandle)) {
+            const { data } = await this.get(`/users/by/username/${encodeURIComponent(twitterHandle)}`, {
+                'user.fields': 'verified,profile_image_url'
+            }, timeout);
+            if (!data) {
+                throw new Error(`X user ${twitterHandle} not found`);
+            }
+            this.userIds.set(twitterHandle, data);
+        }
+        return this.userIds.get(twitterHandle);
+    }
+
+    async fetchLatest(twitterHandle, { count = 10, sinceId, timeout } = {}) {
+        const user = await this.getUser(twitterHandle, timeout);
+        const tweets = [];
+        let paginationToken;
+
+        do {
+            const page = await this.get(`/users/${user.id}/tweets`, {
+                max_results: Math.min(MAX_PAGE_SIZE, Math.max(MIN_PAGE_SIZE, count - tweets.length)),
+                'tweet.fields': 'created_at,public_metrics,entities,conversation_id,referenced_tweets',
+                // Replied-to and quoted tweets with their authors, for thread context
+                expansions: 'referenced_tweets.id,referenced_tweets.id.author_id',
+                ...(sinceId && /^\d+$/.test(sinceId) ? { since_id: sinceId } : {}),
+                ...(paginationToken ? { pagination_token: paginationToken } : {})
+            }, timeout);
+            tweets.push(...(page.data || []).map(tweet => toStoredTweet(twitterHandle, user, tweet, page.includes)));
+            paginationToken = page.meta?.next_token;
+        } while (paginationToken && tweets.length < count);
+
+        return tweets.slice(0, count);
+    }
+}
+
+// A replied-to or quoted tweet, with its text when the response included it
+function toReference(tweet, type, includes = {}) {
+    const reference = (tweet.referenced_tweets || []).find(ref => ref.type === type);
+    if (!reference) return null;
+    const included = (includes.tweets || []).find(candidate => candidate.id === reference.id);
+    const author = included && (includes.users || []).find(candidate => candidate.id === included.author_id);
+    return { tweet_id: reference.id, handle: author?.username || null, content: included?.text || null };
+}
+
+function toStoredTweet(twitterHandle, user, tweet, includes) {
+    const metrics = tweet.public_metrics || {};
+    return {
+        tweet_id: tweet.id,
+        content: tweet.text,
+        timestamp: tweet.created_at,
+        tweet_link: tweetLink(twitterHandle, tweet.id),
+        verified: user.verified,
+        profile_image: user.profile_image_url,
+        likes: metrics.like_count,
+        retweets: metrics.retweet_count,
+        comments: metrics.reply_count,
+        analytics: metrics.impression_count,
+        tags: (tweet.entities?.hashtags || []).map(hashtag => `#${hashtag.tag}`),
+        mentions: (tweet.entities?.mentions || []).map(mention => `@${mention.username}`),
+        in_reply_to: toReference(tweet, 'replied_to', includes),
+        quoted_tweet: toReference(tweet, 'quoted', includes),
+        conversation_id: tweet.conversation_id || null
+    };
+}
+
+module.exports = { XApiSource };
@@ -1,186 +1,128 @@
 // src/services/tweetsService.js
-const axios = require('axios');
-const { connect, closeConnection } = require('../db');
-const { dbName, influencerCollectionName, scrapeEndpoint, scraperCredentials, openAI } = require('../config/config');
-const { processAndStoreTweetsForHandle } = require('./processAndStoreRelevantTweets');
-const { processAndGenerateSignalsForTweets } = require('./signalGeneration');
-const { processAndSendTradingSignalMessage } = require('./telegramService');
-const { messageSender } = require('./messageSender');
-
-// Rate limiting: 35 tweets per 5 minutes (7 API calls × 5 tweets each)
-let tweetCount = 0;
-const MAX_TWEETS_PER_WINDOW = 35;
-const TWEETS_PER_CALL = 5;
-const WAIT_DURATION_MS = 6 * 60 * 1000; // 6 minutes
-
-async function checkRateLimit() {
-    // If adding 5 more tweets would exceed the limit, wait for 5 minutes
-    if (tweetCount + TWEETS_PER_CALL > MAX_TWEETS_PER_WINDOW) {
-        console.log(`🕒 Rate limit reached (${tweetCount + TWEETS_PER_CALL} tweets would exceed ${MAX_TWEETS_PER_WINDOW}). Waiting 5 minutes...`);
-        await new Promise(resolve => setTimeout(resolve, WAIT_DURATION_MS));
-
-        // Reset after waiting
-        tweetCount = 0;
-    }
-
-    tweetCount += TWEETS_PER_CALL;
-}
-
-async function scrapeTwitterAccount(subscription, options = {}) {
-    const maxRetries = options.maxRetries || 3;
-    const timeout = options.timeout || 300000; // 5 minutes default
-    const retryDelay = options.retryDelay || 5000; // 5 seconds delay between retries
-
-    // Validate scraper credentials
-    // if (!scraperCredentials.user || !scraperCredentials.password) {
-    //     console.warn('⚠️  Scraper credentials are missing. Please set SCRAPER_USER and SCRAPER_PASSWORD environment variables.');
-    //     return { 
-    //         subscription, 
-    //         success: false, 
-    //         error: 'Missing scraper credentials - SCRAPER_USER and SCRAPER_PASSWORD required'
-    //     };
-    // }
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+const { getCollection } = require('../db');
+const { influencerCollectionName, tweetsCollectionName, scraping } = require('../config/config');
+const { getUnavailableSignalProvider } = require('./signalGeneration');
+const { enqueue } = require('../queue/workQueue');
+const { isAfterCursor, reachesCursor, newestTweet, nextScrapeStats } = require('./scrapeCursor');
+const { resolveTweetSource } = require('./tweetSources');
+const logger = require('../utils/logger');
+
+/**
+ * Scrapes the tweets an influencer posted since the stored cursor from the
+ * influencer's tweet source. Starts at the influencer's adaptive fetch size
+ * and widens the request (doubling, up to scraping.maxFetchSize) until the
+ * response reaches back to the cursor.
+ * @param {string} twitterHandle - Influencer handle
+ * @param {Object} influencer - { scrapeCursor, scrapeStats, tweetSource } from the influencer document
+ * @param {Object} options - { timeout, maxRetries } for the source
+ * @returns {Promise<Object>} - { success, error, source, tweets (new ones only), scraped, requests, gap, fetchSize }
+ */
+async function scrapeNewTweets(twitterHandle, influencer = {}, options = {}) {
+    const { scrapeCursor = null, scrapeStats = {} } = influencer;
+    const source = resolveTweetSource(influencer);
+    let fetchSize = scrapeStats.fetchSize || scraping.defaultFetchSize;
+    let requests = 0;
+    let tweets;
+    let gap = false;
+
+    for (;;) {
+        requests++;
         try {
-            // Check rate limit before making the API call
-            await checkRateLimit();
-
-            const requestBody = {
-                ...scraperCredentials,
-                username: subscription.twitterHandleUsername
-            };
-
-            console.log({
-                username: requestBody.username,
-                tweets: requestBody.tweets,
-                tweetCount: tweetCount,
-                limit: `${tweetCount}/${MAX_TWEETS_PER_WINDOW} tweets`
-            });
-
-            console.log(`Calling scrape API for Twitter handle: ${subscription.twitterHandleUsername} (attempt ${attempt}/${maxRetries})`);
-
-            const response = await axios.post(scrapeEndpoint, requestBody, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: timeout
-            });
-
-            console.log(response.data);
-
-            console.log(`API call for ${subscription.twitterHandleUsername} successful`);
-            return { subscription, success: true, data: response.data };
-
+            tweets = await source.fetchLatest(twitterHandle, { ...options, count: fetchSize, sinceId: scrapeCursor?.tweet_id });
         } catch (error) {
-            const isServerError = error.response && (error.response.status >= 500 || error.response.status === 429);
-            const isTimeoutError = error.code === 'ECONNABORTED' || error.message.includes('timeout');
-
-            console.error(`Error calling API for ${subscription.twitterHandleUsername} (attempt ${attempt}/${maxRetries}):`, error.message);
-
-            // Log detailed error information for better debugging
-            if (error.response) {
-                console.error('API Error Response:', {
-                    status: error.response.status,
-                    statusText: error.response.statusText,
-                    data: error.response.data,
-                    headers: error.response.headers
-                });
-            } else if (error.request) {
-                console.error('No response received:', error.request);
-            } else {
-                console.error('Request setup error:', error.message);
-            }
-
-            // Retry on server errors, timeouts, or rate limits
-            if ((isServerError || isTimeoutError) && attempt < maxRetries) {
-                console.log(`Retrying ${subscription.twitterHandleUsername} in ${retryDelay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                continue;
-            }
-
-            // If all retries failed or it's a client error, return failure
-            return {
-                subscription,
-                success: false,
-                error: error.message,
-                statusCode: error.response?.status,
-                responseData: error.response?.data
-            };
+            logger.error(`Error fetching tweets for ${twitterHandle} from ${source.name}`, error);
+            return { success: false, error: error.message, source: source.name, requests };
+        }
+        if (reachesCursor(tweets, fetchSize, scrapeCursor)) break;
+        if (fetchSize >= scraping.maxFetchSize) {
+            gap = true;
+            logger.warn(`Latest ${fetchSize} tweets of ${twitterHandle} do not reach the last seen tweet ${scrapeCursor.tweet_id}; older ones may be missing`);
+            break;
         }
+        fetchSize = Math.min(fetchSize * 2, scraping.maxFetchSize);
+        logger.info(`Cursor for ${twitterHandle} not reached, fetching the latest ${fetchSize} tweets`);
     }
-}
-
-async function processTweets() {
-    const client = await connect();
-    try {
-        const db = client.db(dbName);
-        const influencerCollection = db.collection(influencerCollectionName);
-        // Process only twitter handles with active subscribers
-        const docs = await influencerCollection.find({ subscribers: { $exists: true, $ne: [] } }).toArray();
-        // const docs = await influencerCollection.find(
-        //     { twitterHandle: "anoncptn", subscribers: { $exists: true, $ne: [] } }
-        // ).toArray();
 
+    const newTweets = tweets.filter(tweet => isAfterCursor(tweet, scrapeCursor));
+    logger.info(`Scraped ${newTweets.length} new of ${tweets.length} tweets for ${twitterHandle} in ${requests} request(s)`);
+    return { success: true, source: source.name, tweets: newTweets, scraped: tweets.length, requests, gap, fetchSize };
+}
 
-        console.log(`🚀 Starting incremental tweet processing for ${docs.length} influencers...`);
-
-        for (let i = 0; i < docs.length; i++) {
-            const doc = docs[i];
-            const subscription = {
-                twitterHandleUsername: doc.twitterHandle,
-                account: doc.twitterHandle // Pass the account name for impact factor lookup
-            };
-
-            console.log(`📊 Processing ${i + 1}/${docs.length}: ${subscription.twitterHandleUsername}`);
-
-            const result = await scrapeTwitterAccount(subscription, {
-                timeout: 240000,    // 4 minutes per request
-                maxRetries: 3,      // Try up to 3 times
-                retryDelay: 10000   // Wait 10 seconds between retries
-            });
-
-            if (result.success) {
-                console.log(`✅ Successfully scraped tweets for ${subscription.twitterHandleUsername}`);
+/**
+ * Moves the influencer's cursor to the newest tweet of a stored scrape and
+ * updates the posting rate and fetch size for the next one. Call this only
+ * once the scraped tweets are stored, so a failed run scrapes them again.
+ * @param {string} twitterHandle - Influencer handle
+ * @param {Object} progress - { scrapeCursor, scrapeStats } read before the scrape
+ * @param {Object} scrape - Result of scrapeNewTweets
+ * @returns {Promise<Object>} - The new { scrapeCursor, scrapeStats }
+ */
+async function saveScrapeProgress(twitterHandle, { scrapeCursor = null, scrapeStats } = {}, scrape) {
+    const scrapedAt = new Date();
+    const update = {
+        scrapeCursor: newestTweet(scrape.tweets) || scrapeCursor,
+        scrapeStats: nextScrapeStats(scrapeStats, { newTweets: scrape.tweets.length, gap: scrape.gap, scrapedAt })
+    };
+    await (await getCollection(influencerCollectionName)).updateOne({ twitterHandle }, { $set: update });
+    return update;
+}
 
-                // Process tweets for this handle
-                await processAndStoreTweetsForHandle(
-                    subscription.twitterHandleUsername,
-                    doc.subscribers,
-                    result.data,
-                    subscription.account
-                );
+/**
+ * Queues a scrape of every influencer with active subscribers. Queue workers
+ * take each handle from there (src/services/signalPipeline.js): classification,
+ * coin extraction, signal generation, routing and delivery. A handle whose
+ * previous scrape is still queued or running is not queued again.
+ * @returns {Promise<Object>} - { influencers, queued }
+ */
+async function processTweets() {
+    const influencerCollection = await getCollection(influencerCollectionName);
+    // Process only twitter handles with active subscribers
+    const docs = await influencerCollection.find(
+        { subscribers: { $exists: true, $ne: [] } },
+        { projection: { twitterHandle: 1 } }
+    ).toArray();
+
+    let queued = 0;
+    for (const { twitterHandle } of docs) {
+        if (await enqueue('scrapeHandle', { twitterHandle }, { dedupeKey: `scrapeHandle:${twitterHandle}` })) {
+            queued++;
+        }
+    }
 
-                // Generate signals for this handle
-                await processAndGenerateSignalsForTweets(
-                    subscription.twitterHandleUsername,
-                    subscription.account
-                );
+    logger.info(`Queued scrapes for ${queued} of ${docs.length} influencers`);
+    return { influencers: docs.length, queued };
+}
 
-                // Immediately send signals for this handle to spread them out over time
-                console.log(`📤 Sending signals for ${subscription.twitterHandleUsername} immediately...`);
-                const sendResult = await processAndSendTradingSignalMessage({
-                    handleFilter: subscription.twitterHandleUsername
-                });
-                console.log(`📊 Signals sent for ${subscription.twitterHandleUsername}: ${sendResult.successful || 0} successful, ${sendResult.failed || 0} failed`);
+/**
+ * Queues the tweets still waiting for signals: ones deferred during a provider
+ * outage before signal generation moved to the queue, and ones whose
+ * extractCoins job stopped before it queued their signals. extractCoins picks
+ * each up from its stored coins. Does nothing while CoinGecko or Perplexity
+ * is down, as generateSignal would only postpone the work.
+ * @returns {Promise<Object>} - { tweets, queued }
+ */
+async function retryDeferredTweets() {
+    const unavailableProvider = getUnavailableSignalProvider();
+    if (unavailableProvider) {
+        logger.info(`Skipping deferred tweets: ${unavailableProvider} circuit is still open`);
+        return { tweets: 0, queued: 0 };
+    }
 
-            } else {
-                console.log(`❌ Failed to scrape tweets for ${subscription.twitterHandleUsername}: ${result.error}`);
-            }
+    const tweets = await (await getCollection(tweetsCollectionName)).find(
+        { signalsGenerated: false, 'coins.0': { $exists: true } },
+        { projection: { twitterHandle: 1, tweet_id: 1 } }
+    ).toArray();
 
-            // Small delay between handles to avoid overwhelming the system
-            if (i < docs.length - 1) {
-                console.log(`⏳ Waiting 1 second before next handle...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+    let queued = 0;
+    for (const { twitterHandle, tweet_id } of tweets) {
+        if (await enqueue('extractCoins', { twitterHandle, tweet_id }, { dedupeKey: `extractCoins:${twitterHandle}:${tweet_id}` })) {
+            queued++;
         }
-
-        console.log(`✅ Completed incremental processing of ${docs.length} influencers`);
-
-    } catch (error) {
-        console.error('Error processing tweets:', error);
-    } finally {
-        // Use closeConnection instead of client.close()
-        await closeConnection(client);
     }
+    if (tweets.length > 0) {
+        logger.info(`Queued ${queued} of ${tweets.length} tweets waiting for signals`);
+    }
+    return { tweets: tweets.length, queued };
 }
 
-module.exports = { scrapeTwitterAccount, processTweets };
+module.exports = { scrapeNewTweets, saveScrapeProgress, processTweets, retryDeferredTweets };
@@ -1,55 +1,52 @@
 const { connect, closeConnection } = require('../db/index');
 const { tweetScoutApiKey, dbName } = require('../config/config');
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
+const logger = require('../utils/logger');
 
 async function updateInfluencerScores() {
-    const { default: PQueue } = await import('p-queue');
     const client = await connect();
     const db = client.db(dbName);
     const influencersCollection = db.collection('influencers');
 
     try {
-        console.log('Fetching influencers from database...');
+        logger.info('Fetching influencers from database...');
         const influencers = await influencersCollection.find({}).toArray();
-        // console.log("influencers:::", influencers)
-        console.log(`Found ${influencers.length} influencers to process`);
+        logger.info(`Found ${influencers.length} influencers to process`);
 
-        const queue = new PQueue({ concurrency: 5 }); // Limit to 5 concurrent API calls
+        // TweetScout requests are paced by the shared HTTP client
+        const updatePromises = influencers.map(async (influencer) => {
+            // Requests run concurrently, so the handle goes on a child logger rather than the shared context
+            const influencerLogger = logger.child({ twitterHandle: influencer.twitterHandle });
+            influencerLogger.info(`Processing influencer ${influencer.twitterHandle}`);
+            try {
+                const twitterHandle = influencer.twitterHandle;
+                const url = `https://api.tweetscout.io/v2/score/${twitterHandle}`;
+                const headers = {
+                    Accept: 'application/json',
+                    ApiKey: tweetScoutApiKey
+                };
 
-        const updatePromises = influencers.map(influencer => {
-            console.log("Processing influencer:", influencer.twitterHandle);
-            return queue.add(async () => {
-                try {
-                    const twitterHandle = influencer.twitterHandle;
-                    console.log("Making API request for:", twitterHandle);
-                    const url = `https://api.tweetscout.io/v2/score/${twitterHandle}`;
-                    const headers = {
-                        Accept: 'application/json',
-                        ApiKey: tweetScoutApiKey
-                    };
-
-                    const response = await axios.get(url, { headers });
-                    const data = response.data;
-                    const score = data.score;
-                    await influencersCollection.updateOne(
-                        { _id: influencer._id },
-                        { $set: { tweetScoutScore: score } }
-                    );
-                    console.log(`Successfully updated score for ${twitterHandle}: ${score}`);
-                } catch (error) {
-                    console.error(`Error processing ${influencer.twitterHandle}:`, error.message);
-                }
-            });
+                const response = await httpClient.get('tweetscout', url, { headers });
+                const data = response.data;
+                const score = data.score;
+                await influencersCollection.updateOne(
+                    { _id: influencer._id },
+                    { $set: { tweetScoutScore: score } }
+                );
+                influencerLogger.info(`Successfully updated score for ${twitterHandle}: ${score}`);
+            } catch (error) {
+                influencerLogger.error(`Error processing ${influencer.twitterHandle}:`, error);
+            }
         });
 
-        console.log('Waiting for all updates to complete...');
+        logger.info('Waiting for all updates to complete...');
         await Promise.all(updatePromises);
-        console.log('All updates completed successfully');
+        logger.info('All updates completed successfully');
     } catch (error) {
-        console.error('Error in updateInfluencerScores:', error);
+        logger.error('Error in updateInfluencerScores:', error);
     } finally {
         await closeConnection(client);
-        console.log('Database connection closed');
+        logger.info('Database connection closed');
     }
 }
 
@@ -1,7 +1,10 @@
-const { connect } = require('../db/index');
+const { getCollection } = require('../db/index');
+const httpClient = require('../utils/httpClient');
+const { tweetScoutApiKey } = require('../config/config');
+const logger = require('../utils/logger');
 
 const TWEETSCOUT_API_URL = 'https://api.tweetscout.io/v2/check-follow';
-const TWEETSCOUT_API_KEY = process.env.TWEETSCOUT_API_KEY;
+const TWEETSCOUT_API_KEY = tweetScoutApiKey;
 
 /**
  * Checks if all users in the database follow a specific Twitter account and updates their follow status.
@@ -9,9 +12,7 @@ const TWEETSCOUT_API_KEY = process.env.TWEETSCOUT_API_KEY;
  * @returns {Promise<Array>} - Array of results for each user.
  */
 async function verifyAndUpdateAllUsersFollow(project_handle) {
-  const client = await connect();
-  const db = client.db("ctxbt-signal-flow");
-  const usersCollection = db.collection("users");
+  const usersCollection = await getCollection("users");
 
   // Fetch all users
   const users = await usersCollection.find({}).toArray();
@@ -19,24 +20,22 @@ async function verifyAndUpdateAllUsersFollow(project_handle) {
   // For each user, check if they follow the target account and update the DB
   const results = await Promise.all(users.map(async function(user) {
     // Use user_id if available, otherwise user_handle
-    const body = JSON.stringify({
+    const body = {
       project_handle: project_handle,
       user_handle: user.twitterUsername,
       user_id: user.twitterId
-    });
+    };
 
     try {
-      const response = await fetch(TWEETSCOUT_API_URL, {
-        method: 'POST',
+      const response = await httpClient.post('tweetscout', TWEETSCOUT_API_URL, body, {
         headers: {
           'Content-Type': 'application/json',
           Accept: 'application/json',
           ApiKey: TWEETSCOUT_API_KEY
-        },
-        body: body
+        }
       });
 
-      const data = await response.json();
+      const data = response.data;
 
       // Update the user document with follow status
       await usersCollection.updateOne(
@@ -89,9 +88,9 @@ if (require.main === module) {
   (async function() {
     try {
       const results = await verifyAndUpdateAllUsersFollow(project_handle);
-      console.log("Follow check results:", results);
+      logger.info("Follow check results:", results);
     } catch (err) {
-      console.error("Error running verifyAndUpdateAllUsersFollow:", err);
+      logger.error("Error running verifyAndUpdateAllUsersFollow:", err);
     } finally {
       process.exit();
     }
@@ -1,16 +1,17 @@
-const { connect } = require('../db/index');
+const { getCollection } = require('../db/index');
+const httpClient = require('../utils/httpClient');
+const { tweetScoutApiKey } = require('../config/config');
+const logger = require('../utils/logger');
 
 const TWEETSCOUT_API_URL = 'https://api.tweetscout.io/v2/check-retweet';
-const TWEETSCOUT_API_KEY = process.env.TWEETSCOUT_API_KEY;
+const TWEETSCOUT_API_KEY = tweetScoutApiKey;
 
 /**
  * Fetches the latest tweet URL from the database.
  * @returns {Promise<string|null>} - The latest tweet URL or null if not found.
  */
 async function getLatestTweetUrl() {
-  const client = await connect();
-  const db = client.db("ctxbt-signal-flow");
-  const tweetsCollection = db.collection("maxxit_tweets");
+  const tweetsCollection = await getCollection("maxxit_tweets");
 
   const tweetDoc = await tweetsCollection.findOne({ id: "tweet_list" });
   if (tweetDoc && tweetDoc.urls && tweetDoc.urls.length > 0) {
@@ -31,36 +32,32 @@ async function verifyAndUpdateAllUsersRetweet(next_cursor = '') {
   if (!tweet_link) {
     throw new Error("No tweet URLs found in the database.");
   }
-  console.log("Verifying retweets for tweet:", tweet_link);
+  logger.info("Verifying retweets for tweet:", tweet_link);
 
-  const client = await connect();
-  const db = client.db("ctxbt-signal-flow");
-  const usersCollection = db.collection("users");
+  const usersCollection = await getCollection("users");
 
   // Fetch all users
   const users = await usersCollection.find({}).toArray();
 
   // For each user, check if they have retweeted the specified tweet and update the DB
   const results = await Promise.all(users.map(async function(user) {
-    const body = JSON.stringify({
+    const body = {
       next_cursor: next_cursor,
       tweet_link: tweet_link,
       user_handle: user.twitterUsername,
       user_id: user.twitterId
-    });
+    };
 
     try {
-      const response = await fetch(TWEETSCOUT_API_URL, {
-        method: 'POST',
+      const response = await httpClient.post('tweetscout', TWEETSCOUT_API_URL, body, {
         headers: {
           'Content-Type': 'application/json',
           Accept: 'application/json',
           ApiKey: TWEETSCOUT_API_KEY
-        },
-        body: body
+        }
       });
 
-      const data = await response.json();
+      const data = response.data;
 
       // Update the user document with retweet status
       await usersCollection.updateOne(
@@ -114,9 +111,9 @@ if (require.main === module) {
   (async function() {
     try {
       const results = await verifyAndUpdateAllUsersRetweet();
-      console.log("Retweet check results:", results);
+      logger.info("Retweet check results:", results);
     } catch (err) {
-      console.error("Error running verifyAndUpdateAllUsersRetweet:", err);
+      logger.error("Error running verifyAndUpdateAllUsersRetweet:", err);
     } finally {
       process.exit();
     }
@@ -0,0 +1,115 @@
+jest.mock('axios', () => ({ request: jest.fn() }));
+
+jest.mock('../../config/config', () => ({
+  logLevel: 'silent',
+  httpProviders: {
+    default: {
+      limit: 1000,
+      intervalMs: 1000,
+      timeoutMs: 1000,
+      maxRetries: 2,
+      baseDelayMs: 1,
+      maxDelayMs: 5,
+      retryUnsafeMethods: false,
+      breaker: { failureThreshold: 2, resetTimeoutMs: 60 * 1000 }
+    },
+    flaky: {}
+  }
+}));
+
+const axios = require('axios');
+const httpClient = require('../httpClient');
+const metrics = require('../metrics');
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers }
+  });
+}
+
+describe('httpClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('retries a GET after a 429 and returns the response', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockResolvedValueOnce({ data: { ok: true }, headers: {} });
+
+    const response = await httpClient.get('retry-provider', 'https://example.test');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(axios.request).toHaveBeenCalledWith(expect.objectContaining({ method: 'get', timeout: 1000 }));
+  });
+
+  test('does not retry a POST after a server error', async () => {
+    axios.request.mockRejectedValueOnce(httpError(502));
+
+    await expect(httpClient.post('post-provider', 'https://example.test', {})).rejects.toThrow('502');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('opens the circuit after repeated failures', async () => {
+    axios.request.mockRejectedValue(httpError(503));
+
+    await expect(httpClient.get('flaky', 'https://example.test', {}, { maxRetries: 0 })).rejects.toThrow('503');
+    await expect(httpClient.get('flaky', 'https://example.test', {}, { maxRetries: 0 })).rejects.toThrow('503');
+    await expect(httpClient.get('flaky', 'https://example.test')).rejects.toBeInstanceOf(httpClient.CircuitOpenError);
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(httpClient.isCircuitOpen('flaky')).toBe(true);
+    expect(httpClient.getCircuitStates().flaky.state).toBe('open');
+  });
+
+  test('does not count rate limiting for or against the circuit', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValue(httpError(429));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(httpClient.post('limited', 'https://example.test', {}, { maxRetries: 0 })).rejects.toThrow();
+    }
+    // The 429 did not reset the failure count, so the second 503 opened the circuit
+    expect(httpClient.isCircuitOpen('limited')).toBe(true);
+
+    axios.request.mockClear();
+    await expect(httpClient.post('limited-only', 'https://example.test', {}, { maxRetries: 0 })).rejects.toThrow('429');
+    await expect(httpClient.post('limited-only', 'https://example.test', {}, { maxRetries: 0 })).rejects.toThrow('429');
+    expect(httpClient.isCircuitOpen('limited-only')).toBe(false);
+    expect(httpClient.getHttpStats()['limited-only'].circuit).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('records latency and errors per provider', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ data: {}, headers: {} });
+
+    await httpClient.get('metrics-provider', 'https://example.test');
+
+    const output = await metrics.register.metrics();
+    expect(output).toContain('ctxbt_external_request_errors_total{provider="metrics-provider",status="503"} 1');
+    expect(output).toContain('ctxbt_external_request_duration_seconds_count{provider="metrics-provider",outcome="success"} 1');
+    expect(output).toContain('ctxbt_external_queue_depth{provider="metrics-provider"} 0');
+  });
+
+  test('parses Retry-After and reset headers', () => {
+    const now = Date.UTC(2025, 0, 1);
+
+    expect(httpClient.parseRetryAt({ 'retry-after': '5' }, now)).toBe(now + 5000);
+    expect(httpClient.parseRetryAt({ 'x-rate-limit-minute-reset': String(now / 1000 + 30) }, now)).toBe(now + 30000);
+    expect(httpClient.parseRetryAt({}, now)).toBeNull();
+  });
+
+  test('token bucket spaces requests beyond the burst', async () => {
+    const bucket = new httpClient.TokenBucket({ limit: 20, intervalMs: 1000, burst: 1 });
+
+    await bucket.take();
+    const waited = await bucket.take();
+
+    expect(waited).toBeGreaterThanOrEqual(40);
+  });
+});
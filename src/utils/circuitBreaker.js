@@ -0,0 +1,96 @@
+// src/utils/circuitBreaker.js
+const logger = require('./logger');
+
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`Circuit for ${name} is open until ${retryAt.toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.provider = name;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Classic three-state breaker. After `failureThreshold` consecutive failures
+ * the circuit opens and calls fail fast; once `resetTimeoutMs` has passed a
+ * single trial call is let through (half-open) and its outcome decides
+ * whether the circuit closes again or re-opens.
+ */
+class CircuitBreaker {
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 60 * 1000 }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Throws CircuitOpenError when calls should not be attempted right now
+     */
+    beforeRequest() {
+        if (this.state === 'closed') {
+            return;
+        }
+        const retryAt = new Date(this.openedAt + this.resetTimeoutMs);
+        if (this.state === 'open' && Date.now() >= retryAt.getTime()) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return;
+        }
+        throw new CircuitOpenError(this.name, retryAt);
+    }
+
+    /**
+     * True while calls are being rejected, i.e. the circuit is open and its
+     * reset timeout has not passed yet. Does not change the state.
+     */
+    isOpen() {
+        return this.state === 'open' && Date.now() < this.openedAt + this.resetTimeoutMs;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`Circuit for ${this.name} closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Records an answer that says nothing about the provider's health, e.g. a
+     * rate limit. A half-open circuit lets the next call be its trial instead.
+     */
+    recordInconclusive() {
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn(`Circuit for ${this.name} opened after ${this.failures} consecutive failures`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs) : null
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -0,0 +1,305 @@
+// src/utils/httpClient.js
+// Shared HTTP client for every external integration. Each provider gets its
+// own token bucket, timeout, retry policy and circuit breaker, all configured
+// in config.httpProviders.
+const axios = require('axios');
+const { httpProviders } = require('../config/config');
+const { CircuitBreaker, CircuitOpenError } = require('./circuitBreaker');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Token bucket holding up to `burst` tokens and refilling `limit` tokens per
+ * `intervalMs`. Callers are served in arrival order.
+ */
+class TokenBucket {
+    constructor({ limit, intervalMs, burst = limit }) {
+        this.capacity = burst;
+        this.tokens = burst;
+        this.refillPerMs = limit / intervalMs;
+        this.lastRefill = Date.now();
+        this.blockedUntil = 0;
+        this.tail = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    async acquire() {
+        for (;;) {
+            const blockedMs = this.blockedUntil - Date.now();
+            if (blockedMs > 0) {
+                await sleep(blockedMs);
+                continue;
+            }
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+        }
+    }
+
+    /**
+     * Waits for a token. Returns how long the caller was held back.
+     * @returns {Promise<number>} - Wait time in ms
+     */
+    take() {
+        const queuedAt = Date.now();
+        const turn = this.tail.then(() => this.acquire());
+        this.tail = turn.catch(() => {});
+        return turn.then(() => Date.now() - queuedAt);
+    }
+
+    /**
+     * Holds every caller until the provider's rate limit window resets
+     * @param {number} timestamp - Epoch ms
+     */
+    pauseUntil(timestamp) {
+        this.blockedUntil = Math.max(this.blockedUntil, timestamp);
+        this.tokens = 0;
+    }
+}
+
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Works out when a rate-limited provider accepts requests again from the
+ * Retry-After header (seconds or HTTP date) or a reset header (epoch seconds,
+ * epoch ms or seconds from now, depending on the provider)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Epoch ms, or null when the headers don't say
+ */
+function parseRetryAt(headers, now = Date.now()) {
+    const retryAfter = readHeader(headers, 'retry-after');
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return now + seconds * 1000;
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return date;
+    }
+
+    const resetHeaders = ['x-ratelimit-reset', 'x-rate-limit-reset', 'x-rate-limit-minute-reset', 'ratelimit-reset'];
+    for (const name of resetHeaders) {
+        const value = Number(readHeader(headers, name));
+        if (!Number.isFinite(value) || value <= 0) continue;
+        if (value > 1e12) return value;
+        if (value > 1e9) return value * 1000;
+        return now + value * 1000;
+    }
+    return null;
+}
+
+/**
+ * Exponential backoff with equal jitter: half the delay is fixed, half random
+ * @param {number} attempt - 1 for the first retry
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in ms
+ */
+function computeBackoff(attempt, { baseDelayMs, maxDelayMs }) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+function getStatus(error) {
+    return error?.response?.status ?? error?.status;
+}
+
+function getHeaders(error) {
+    return error?.response?.headers ?? error?.headers;
+}
+
+// Server-side, timeout and network failures count against the breaker. A 429
+// counts neither way: the token bucket already waits out the rate limit, and
+// it says nothing about whether the provider is up. Other 4xx answers mean the
+// provider is up and rejected our request.
+function breakerOutcome(error) {
+    const status = getStatus(error);
+    if (status === 429) return 'inconclusive';
+    if (status) return status >= 500 || status === 408 ? 'failure' : 'success';
+    return error instanceof CircuitOpenError ? 'success' : 'failure';
+}
+
+function isRetryable(error, retryPolicy) {
+    const status = getStatus(error);
+    if (status === 429) return true;
+    if (retryPolicy !== 'all') return false;
+    if (status) return RETRYABLE_STATUS.has(status);
+    return RETRYABLE_CODES.has(error?.code) || /timeout/i.test(error?.message || '');
+}
+
+const providers = new Map();
+
+function getProvider(name) {
+    if (!providers.has(name)) {
+        const settings = { ...httpProviders.default, ...(httpProviders[name] || {}) };
+        providers.set(name, {
+            name,
+            settings,
+            bucket: new TokenBucket(settings),
+            breaker: new CircuitBreaker({ name, ...settings.breaker }),
+            stats: { requests: 0, failures: 0, retries: 0, rateLimited: 0, throttledMs: 0 }
+        });
+    }
+    return providers.get(name);
+}
+
+/**
+ * Runs an outbound call under a provider's rate limit, circuit breaker and
+ * retry policy. Use this directly for SDK clients (e.g. OpenAI) whose errors
+ * carry `status` and `headers`; plain HTTP calls should go through request().
+ * @param {string} providerName - Key in config.httpProviders
+ * @param {Function} fn - Performs the call, receives { timeoutMs, attempt }
+ * @param {Object} options - { maxRetries, retryPolicy: 'all' | 'rate_limit' }
+ * @returns {Promise<*>} - Whatever fn resolves to
+ */
+async function execute(providerName, fn, options = {}) {
+    const provider = getProvider(providerName);
+    const { settings, bucket, breaker, stats } = provider;
+    const maxRetries = options.maxRetries ?? settings.maxRetries;
+    const retryPolicy = options.retryPolicy || 'all';
+
+    for (let attempt = 1; ; attempt++) {
+        // Fail fast while the circuit is open instead of queueing for a token
+        breaker.beforeRequest();
+        metrics.externalQueueDepth.inc({ provider: providerName });
+        try {
+            stats.throttledMs += await bucket.take();
+        } finally {
+            metrics.externalQueueDepth.dec({ provider: providerName });
+        }
+        stats.requests++;
+
+        const endTimer = metrics.externalRequestDuration.startTimer({ provider: providerName });
+        try {
+            const result = await fn({ timeoutMs: options.timeoutMs ?? settings.timeoutMs, attempt });
+            endTimer({ outcome: 'success' });
+            breaker.recordSuccess();
+
+            // Stop before the provider has to tell us with a 429
+            const headers = result?.headers;
+            if (String(readHeader(headers, 'x-ratelimit-remaining')) === '0') {
+                const resetAt = parseRetryAt(headers);
+                if (resetAt) bucket.pauseUntil(resetAt);
+            }
+            return result;
+        } catch (error) {
+            endTimer({ outcome: 'error' });
+            stats.failures++;
+            metrics.externalRequestErrors.inc({ provider: providerName, status: String(getStatus(error) || error.code || 'error') });
+            const outcome = breakerOutcome(error);
+            if (outcome === 'failure') {
+                breaker.recordFailure();
+            } else if (outcome === 'inconclusive') {
+                breaker.recordInconclusive();
+            } else {
+                breaker.recordSuccess();
+            }
+
+            const status = getStatus(error);
+            if (status === 429) {
+                stats.rateLimited++;
+            }
+            if (attempt > maxRetries || !isRetryable(error, retryPolicy)) {
+                throw error;
+            }
+
+            const retryAt = parseRetryAt(getHeaders(error));
+            let waitMs = computeBackoff(attempt, settings);
+            if (retryAt) {
+                // The whole provider is throttled, not just this caller
+                bucket.pauseUntil(retryAt + 1000);
+                waitMs = 0;
+            }
+            stats.retries++;
+            logger.warn(`${providerName} request failed (${status || error.code || error.message}), retry ${attempt}/${maxRetries}${waitMs ? ` in ${Math.ceil(waitMs / 1000)}s` : ' after rate limit reset'}`);
+            await sleep(waitMs);
+        }
+    }
+}
+
+/**
+ * Axios request through a provider's limits. GET requests are retried on any
+ * transient failure; other methods only after a 429 unless the provider sets
+ * `retryUnsafeMethods`, since the request may already have taken effect.
+ * @param {string} providerName - Key in config.httpProviders
+ * @param {Object} config - Axios request config
+ * @param {Object} options - Overrides: { maxRetries, timeoutMs, retryPolicy }
+ * @returns {Promise<Object>} - Axios response
+ */
+function request(providerName, config, options = {}) {
+    const { settings } = getProvider(providerName);
+    const method = (config.method || 'get').toLowerCase();
+    const retryPolicy = options.retryPolicy
+        || (method === 'get' || settings.retryUnsafeMethods ? 'all' : 'rate_limit');
+
+    return execute(providerName, ({ timeoutMs }) => axios.request({
+        ...config,
+        timeout: config.timeout ?? timeoutMs
+    }), { ...options, retryPolicy });
+}
+
+function get(providerName, url, config = {}, options) {
+    return request(providerName, { ...config, method: 'get', url }, options);
+}
+
+function post(providerName, url, data, config = {}, options) {
+    return request(providerName, { ...config, method: 'post', url, data }, options);
+}
+
+/**
+ * Whether calls to a provider are currently being short-circuited
+ * @param {string} providerName - Key in config.httpProviders
+ * @returns {boolean} - True while the provider's circuit is open
+ */
+function isCircuitOpen(providerName) {
+    return getProvider(providerName).breaker.isOpen();
+}
+
+/**
+ * Breaker state of every configured provider, including ones not called yet
+ * @returns {Object} - Keyed by provider name
+ */
+function getCircuitStates() {
+    return Object.fromEntries(Object.keys(httpProviders)
+        .filter(name => name !== 'default')
+        .map(name => [name, getProvider(name).breaker.snapshot()]));
+}
+
+/**
+ * Per-provider counters and breaker state, for health checks and debugging
+ * @returns {Object} - Keyed by provider name
+ */
+function getHttpStats() {
+    return Object.fromEntries([...providers.values()].map(({ name, stats, breaker }) => [
+        name,
+        { ...stats, circuit: breaker.snapshot() }
+    ]));
+}
+
+module.exports = {
+    request,
+    get,
+    post,
+    execute,
+    getHttpStats,
+    isCircuitOpen,
+    getCircuitStates,
+    parseRetryAt,
+    computeBackoff,
+    TokenBucket,
+    CircuitOpenError
+};
@@ -0,0 +1,193 @@
+// src/utils/logger.js
+// Structured JSON logger. Every line is one JSON object carrying the level,
+// message, and the context of the work in progress (job run, influencer,
+// tweet, coin, subscriber, signal) so a single tweet can be followed from
+// scraping through delivery. Secrets are redacted before anything is written.
+const { AsyncLocalStorage } = require('async_hooks');
+const { logLevel, env = {} } = require('../config/config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Context keys, in the order they appear in a log line
+const CONTEXT_FIELDS = ['jobName', 'jobRunId', 'queueStage', 'queueJobId', 'twitterHandle', 'tweet_id', 'coin', 'subscriber', 'signalId'];
+
+const REDACTED = '[REDACTED]';
+// Matched against the whole key with camelCase split on "_", so accessToken and
+// bot_token are secret but max_tokens and tokenMentioned are not
+const SENSITIVE_KEY = /^(.*[-_])?(token|secret|password|passwd|api[-_]?key|private[-_]?key|authorization|cookie)$/i;
+const SENSITIVE_ENV = /(KEY|TOKEN|SECRET|PASSWORD)/;
+const MAX_DEPTH = 6;
+
+const contextStorage = new AsyncLocalStorage();
+
+let threshold = LEVELS[logLevel] ?? LEVELS.info;
+
+// Values of secret environment variables are scrubbed wherever they appear,
+// e.g. the Telegram bot token embedded in API URLs
+const secretValues = Object.entries(env)
+    .filter(([name, value]) => SENSITIVE_ENV.test(name) && typeof value === 'string' && value.length >= 8)
+    .map(([, value]) => value);
+
+function redactString(value) {
+    let result = value;
+    for (const secret of secretValues) {
+        if (result.includes(secret)) {
+            result = result.split(secret).join(REDACTED);
+        }
+    }
+    return result
+        .replace(/(mongodb(?:\+srv)?:\/\/)[^@/\s]+@/gi, `$1${REDACTED}@`)
+        .replace(/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, `$1${REDACTED}`)
+        .replace(/\/bot\d+:[A-Za-z0-9_-]+/g, `/bot${REDACTED}`);
+}
+
+function serializeError(error) {
+    const serialized = {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+    };
+    if (error.code) serialized.code = error.code;
+    // HTTP errors: keep the status and body, never the request config (it holds headers)
+    const status = error.response?.status ?? error.status;
+    if (status) serialized.status = status;
+    if (error.response?.data !== undefined) serialized.responseData = error.response.data;
+    return serialized;
+}
+
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Error) return redact(serializeError(value), depth);
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    if (typeof value.toHexString === 'function') return value.toHexString();
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = isSensitiveKey(key) && item ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+}
+
+function isSensitiveKey(key) {
+    return SENSITIVE_KEY.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Error) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Builds one log entry. Extra arguments are folded in the way console.* would
+ * print them: an Error becomes `error`, a plain object is merged as fields and
+ * anything else is collected under `details`.
+ */
+function buildEntry(level, bindings, message, args) {
+    const entry = { time: new Date().toISOString(), level };
+    const context = { ...(contextStorage.getStore() || {}), ...bindings };
+    for (const field of CONTEXT_FIELDS) {
+        if (context[field] !== undefined && context[field] !== null) entry[field] = context[field];
+    }
+
+    if (typeof message === 'string') {
+        entry.msg = message.replace(/[:\s]+$/, '');
+    } else {
+        args.unshift(message);
+        entry.msg = '';
+    }
+
+    const details = [];
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            entry.error = serializeError(arg);
+        } else if (isPlainObject(arg)) {
+            for (const [key, value] of Object.entries(arg)) {
+                if (key === 'time' || key === 'level' || key === 'msg') continue;
+                entry[key] = value instanceof Error ? serializeError(value) : value;
+            }
+        } else if (arg !== undefined) {
+            details.push(arg);
+        }
+    }
+    if (details.length > 0) entry.details = details.length === 1 ? details[0] : details;
+    return redact(entry);
+}
+
+function write(level, bindings, message, args) {
+    if (LEVELS[level] < threshold) return;
+    let line;
+    try {
+        line = JSON.stringify(buildEntry(level, bindings, message, args));
+    } catch (error) {
+        // Circular or otherwise unserialisable arguments: keep the message at least
+        line = JSON.stringify({ time: new Date().toISOString(), level, msg: redactString(String(message)), logError: error.message });
+    }
+    const stream = LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+function createLogger(bindings = {}) {
+    return {
+        debug: (message, ...args) => write('debug', bindings, message, args),
+        info: (message, ...args) => write('info', bindings, message, args),
+        warn: (message, ...args) => write('warn', bindings, message, args),
+        error: (message, ...args) => write('error', bindings, message, args),
+        /**
+         * Returns a logger that adds the given context fields to every line
+         * @param {Object} fields - e.g. { tweet_id, coin }
+         */
+        child: (fields) => createLogger({ ...bindings, ...fields })
+    };
+}
+
+/**
+ * Runs fn with the given context fields attached to every log line written
+ * inside it, including from other modules it calls
+ * @param {Object} fields - Context fields, e.g. { jobRunId } or { twitterHandle }
+ * @param {Function} fn - Work to run
+ * @returns {*} - Whatever fn returns
+ */
+function runWithLogContext(fields, fn) {
+    return contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Updates the current context in place. Meant for sequential loops (one tweet,
+ * coin or subscriber at a time); `undefined` removes a field. Does nothing
+ * outside runWithLogContext.
+ * @param {Object} fields - Context fields to set
+ */
+function setLogContext(fields) {
+    const store = contextStorage.getStore();
+    if (!store) return;
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) {
+            delete store[key];
+        } else {
+            store[key] = value;
+        }
+    }
+}
+
+function getLogContext() {
+    return { ...(contextStorage.getStore() || {}) };
+}
+
+function setLogLevel(level) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+    threshold = LEVELS[level];
+}
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.runWithLogContext = runWithLogContext;
+module.exports.setLogContext = setLogContext;
+module.exports.getLogContext = getLogContext;
+module.exports.setLogLevel = setLogLevel;
+module.exports.redact = redact;
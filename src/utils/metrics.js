@@ -0,0 +1,137 @@
+// src/utils/metrics.js
+// Prometheus metrics for the signal pipeline and outbound HTTP, served on
+// GET /metrics by src/api/server.js
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const tweetsScraped = new client.Counter({
+    name: 'ctxbt_tweets_scraped_total',
+    help: 'New tweets returned by the scraper (newer than the influencer\'s cursor)',
+    registers: [register]
+});
+
+const tweetsRelevant = new client.Counter({
+    name: 'ctxbt_tweets_relevant_total',
+    help: 'Tweets classified as relevant trading content',
+    registers: [register]
+});
+
+const tweetClassifications = new client.Counter({
+    name: 'ctxbt_tweet_classifications_total',
+    help: 'Tweets classified for relevance, by where the verdict came from (cache, prefilter, llm)',
+    labelNames: ['via'],
+    registers: [register]
+});
+
+const tweetsWithCoins = new client.Counter({
+    name: 'ctxbt_tweets_with_coins_total',
+    help: 'Relevant tweets with at least one coin extracted',
+    registers: [register]
+});
+
+const coinResolutions = new client.Counter({
+    name: 'ctxbt_coin_resolutions_total',
+    help: 'Coin extractions per relevant tweet, by whether the local resolver or the LLM decided (resolver, llm)',
+    labelNames: ['via'],
+    registers: [register]
+});
+
+const signalsGenerated = new client.Counter({
+    name: 'ctxbt_signals_generated_total',
+    help: 'Personalized trading signals generated',
+    labelNames: ['twitter_handle'],
+    registers: [register]
+});
+
+const deliveries = new client.Counter({
+    name: 'ctxbt_signal_deliveries_total',
+    help: 'Signal deliveries by channel (telegram, gmx, safe, hyperliquid) and outcome (sent, failed)',
+    labelNames: ['channel', 'outcome'],
+    registers: [register]
+});
+
+const backtestsCompleted = new client.Counter({
+    name: 'ctxbt_backtests_completed_total',
+    help: 'Signals whose backtest finished with a final P&L',
+    registers: [register]
+});
+
+const externalRequestDuration = new client.Histogram({
+    name: 'ctxbt_external_request_duration_seconds',
+    help: 'Latency of outbound calls per provider, excluding time spent waiting for a rate limit token',
+    labelNames: ['provider', 'outcome'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    registers: [register]
+});
+
+const externalRequestErrors = new client.Counter({
+    name: 'ctxbt_external_request_errors_total',
+    help: 'Failed outbound calls per provider and HTTP status (or error code)',
+    labelNames: ['provider', 'status'],
+    registers: [register]
+});
+
+const externalQueueDepth = new client.Gauge({
+    name: 'ctxbt_external_queue_depth',
+    help: 'Outbound calls waiting for a rate limit token per provider',
+    labelNames: ['provider'],
+    registers: [register]
+});
+
+const circuitOpen = new client.Gauge({
+    name: 'ctxbt_circuit_open',
+    help: '1 while a provider circuit breaker is open or half-open',
+    labelNames: ['provider'],
+    registers: [register]
+});
+
+const queueJobs = new client.Gauge({
+    name: 'ctxbt_queue_jobs',
+    help: 'Work queue jobs per stage and status, sampled on scrape',
+    labelNames: ['stage', 'status'],
+    registers: [register]
+});
+
+const deadLetters = new client.Gauge({
+    name: 'ctxbt_dead_letters',
+    help: 'Open dead letters per stage, sampled on scrape',
+    labelNames: ['stage'],
+    registers: [register]
+});
+
+const queueJobOutcomes = new client.Counter({
+    name: 'ctxbt_queue_job_outcomes_total',
+    help: 'Finished work queue attempts per stage and outcome (done, retry, dead, postponed)',
+    labelNames: ['stage', 'outcome'],
+    registers: [register]
+});
+
+/**
+ * Records a delivery attempt on one channel
+ * @param {string} channel - telegram, gmx, safe or hyperliquid
+ * @param {boolean} sent - Whether the channel accepted the signal
+ */
+function recordDelivery(channel, sent) {
+    deliveries.inc({ channel, outcome: sent ? 'sent' : 'failed' });
+}
+
+module.exports = {
+    register,
+    tweetsScraped,
+    tweetsRelevant,
+    tweetClassifications,
+    tweetsWithCoins,
+    coinResolutions,
+    signalsGenerated,
+    backtestsCompleted,
+    externalRequestDuration,
+    externalRequestErrors,
+    externalQueueDepth,
+    circuitOpen,
+    queueJobs,
+    queueJobOutcomes,
+    deadLetters,
+    recordDelivery
+};
@@ -0,0 +1,64 @@
+// src/utils/shutdown.js
+// Graceful shutdown on SIGTERM / SIGINT: stop scheduling and claiming queue
+// jobs, stop accepting requests, let running jobs finish, then close MongoDB.
+const { shutdownDrainTimeoutMs } = require('../config/config');
+const { stopJobs, drainJobs } = require('../cron/jobRegistry');
+const { stopWorkers, drainWorkers } = require('../queue/workers');
+const { disconnect } = require('../db');
+const logger = require('./logger');
+
+let shuttingDown = false;
+
+function closeServer(server) {
+    if (!server) return Promise.resolve();
+    return new Promise(resolve => {
+        server.close(error => {
+            if (error) logger.warn('HTTP server did not close cleanly:', error);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Stops cron, queue workers, the HTTP server and running jobs, then closes the database
+ * @param {Object} options - { server, signal }
+ * @returns {Promise<boolean>} - True if every running job finished in time
+ */
+async function shutdown({ server, signal } = {}) {
+    logger.info(`Shutting down${signal ? ` on ${signal}` : ''}`);
+    stopJobs();
+    stopWorkers();
+    const serverClosed = closeServer(server);
+    const [jobsDrained, workersDrained] = await Promise.all([
+        drainJobs(shutdownDrainTimeoutMs),
+        drainWorkers(shutdownDrainTimeoutMs)
+    ]);
+    await serverClosed;
+    await disconnect();
+    logger.info('Shutdown complete');
+    return jobsDrained && workersDrained;
+}
+
+/**
+ * Installs SIGTERM / SIGINT handlers. A second signal exits immediately.
+ * @param {Object} options - { server } HTTP server to close
+ */
+function registerShutdownHandlers({ server } = {}) {
+    const handle = (signal) => {
+        if (shuttingDown) {
+            logger.warn(`Received ${signal} again, exiting without waiting`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+        shutdown({ server, signal })
+            .then(drained => process.exit(drained ? 0 : 1))
+            .catch(error => {
+                logger.error('Shutdown failed:', error);
+                process.exit(1);
+            });
+    };
+    process.on('SIGTERM', handle);
+    process.on('SIGINT', handle);
+}
+
+module.exports = { shutdown, registerShutdownHandlers };